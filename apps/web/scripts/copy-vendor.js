@@ -0,0 +1,109 @@
+/**
+ * Copy Vendor Libraries
+ * The app is served without a bundler, so the browser builds of the npm
+ * dependencies it loads at runtime are copied into vendor/ after install.
+ * detection.js loads them from there instead of a CDN, and the import map in
+ * index.html points bare workspace package imports at their copies.
+ *
+ * The COCO-SSD weights are not part of @tensorflow-models/coco-ssd, which
+ * downloads them from Google Storage at runtime. They are taken from a pinned
+ * npm package tarball instead, checked against its integrity hash, and only
+ * the model files are unpacked into models/coco-ssd/.
+ */
+
+import { createHash } from 'node:crypto';
+import { copyFileSync, cpSync, existsSync, mkdirSync, writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { gunzipSync } from 'node:zlib';
+
+const { resolve } = createRequire(import.meta.url);
+const appDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+const vendorDir = join(appDir, 'vendor');
+const modelDir = join(appDir, 'models', 'coco-ssd');
+
+// Package file -> name in vendor/
+const FILES = {
+    '@tensorflow/tfjs/dist/tf.min.js': 'tf.min.js',
+    '@tensorflow-models/coco-ssd/dist/coco-ssd.min.js': 'coco-ssd.min.js'
+};
+
+// Workspace package -> directory in vendor/; the whole source directory of its entry point is copied
+const PACKAGES = {
+    '@ar-speaker/utils': 'ar-speaker-utils'
+};
+
+// lite_mobilenet_v2 graph model, Apache-2.0, as packaged by node-red-contrib-tfjs-coco-ssd
+const MODEL = {
+    tarball: 'node-red-contrib-tfjs-coco-ssd/-/node-red-contrib-tfjs-coco-ssd-1.0.6.tgz',
+    integrity: 'sha512-VvAv1pRmbjMQlNUGa0WRKDcN13exbv1B9eRn99+oV3ndXB6M9xjvuyUbMvYsXLCMI5CPj4FWgIDncsU8azMKxw==',
+    directory: 'package/models/coco-ssd/',
+    files: ['model.json', 'group1-shard1of5', 'group1-shard2of5', 'group1-shard3of5', 'group1-shard4of5', 'group1-shard5of5']
+};
+
+/**
+ * Regular files of a tar archive as [path, contents] pairs
+ */
+function* tarEntries(archive) {
+    const field = (header, start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+    for (let offset = 0; offset + 512 <= archive.length;) {
+        const header = archive.subarray(offset, offset + 512);
+        const name = field(header, 0, 100);
+        if (!name) return; // End-of-archive blocks
+
+        const size = parseInt(field(header, 124, 12).trim() || '0', 8);
+        const type = field(header, 156, 1);
+        const prefix = field(header, 345, 155);
+        const start = offset + 512;
+        if (type === '' || type === '0') {
+            yield [prefix ? `${prefix}/${name}` : name, archive.subarray(start, start + size)];
+        }
+        offset = start + Math.ceil(size / 512) * 512;
+    }
+}
+
+async function fetchModel() {
+    if (MODEL.files.every(file => existsSync(join(modelDir, file)))) {
+        console.log('📦 COCO-SSD model already in models/coco-ssd/');
+        return;
+    }
+
+    const registry = (process.env.npm_config_registry || 'https://registry.npmjs.org/').replace(/\/?$/, '/');
+    const response = await fetch(registry + MODEL.tarball);
+    if (!response.ok) throw new Error(`Failed to download the COCO-SSD model: HTTP ${response.status}`);
+
+    const tarball = Buffer.from(await response.arrayBuffer());
+    const [algorithm, expected] = MODEL.integrity.split('-');
+    if (createHash(algorithm).update(tarball).digest('base64') !== expected) {
+        throw new Error('COCO-SSD model tarball does not match its integrity hash');
+    }
+
+    mkdirSync(modelDir, { recursive: true });
+    let written = 0;
+    for (const [path, contents] of tarEntries(gunzipSync(tarball))) {
+        const file = path.slice(MODEL.directory.length);
+        if (!path.startsWith(MODEL.directory) || !MODEL.files.includes(file)) continue;
+        writeFileSync(join(modelDir, file), contents);
+        written++;
+    }
+    if (written !== MODEL.files.length) throw new Error('COCO-SSD model tarball is missing model files');
+    console.log(`📦 ${MODEL.tarball} -> models/coco-ssd/`);
+}
+
+mkdirSync(vendorDir, { recursive: true });
+
+Object.entries(FILES).forEach(([source, target]) => {
+    copyFileSync(resolve(source), join(vendorDir, target));
+    console.log(`📦 ${source} -> vendor/${target}`);
+});
+
+Object.entries(PACKAGES).forEach(([name, target]) => {
+    cpSync(dirname(resolve(name)), join(vendorDir, target), { recursive: true });
+    console.log(`📦 ${name} -> vendor/${target}/`);
+});
+
+fetchModel().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
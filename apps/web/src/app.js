@@ -1,13 +1,25 @@
 /**
  * Simple 3D Measurement Tool Application
- * A minimal interface for placing two points in 3D space and measuring distance
+ * A minimal interface for placing points in 3D space and measuring distance,
+ * either as a single two-point measurement or as a multi-point polyline
  */
 
+import { formatAngle, nextUnitSystem, subscribeUnitPreferences, UNIT_SYSTEM_LABELS } from '@ar-speaker/utils';
 import { SimpleMeasurementTool } from './modules/measurement.js';
+import { TriangleCalculator } from './modules/triangle.js';
+import { CameraSession } from './modules/camera-session.js';
+import { SpeakerDetector, SpeakerCandidateMarkers } from './modules/detection.js';
 
 class MeasurementApp {
     constructor() {
         this.measurementTool = null;
+        this.triangleCalculator = null;
+        this.trianglePoints = null;
+        this.aimTarget = null; // null when not aiming, -1 while picking a speaker
+        this.cameraSession = null;
+        this.speakerDetector = null;
+        this.candidateMarkers = null;
+        this.isConfirmingCandidates = false;
         this.scene = null;
         this.camera = null;
         this.renderer = null;
@@ -31,6 +43,21 @@ class MeasurementApp {
             // Initialize measurement tool
             this.measurementTool = new SimpleMeasurementTool();
             console.log('✅ Measurement tool created');
+
+            // The units button names the system it switches to
+            this.updateUnitsButton();
+            subscribeUnitPreferences(() => this.updateUnitsButton());
+            
+            // Initialize stereo triangle calculator
+            this.triangleCalculator = new TriangleCalculator();
+            this.handleTriangleClick = this.handleTriangleClick.bind(this);
+            this.handleAimClick = this.handleAimClick.bind(this);
+            console.log('✅ Triangle calculator created');
+            
+            // Speaker detection loads its model lazily on first use
+            this.speakerDetector = new SpeakerDetector();
+            this.candidateMarkers = new SpeakerCandidateMarkers();
+            this.handleCandidateClick = this.handleCandidateClick.bind(this);
             
             // Setup event listeners
             this.setupEventListeners();
@@ -39,6 +66,9 @@ class MeasurementApp {
             // Hide loading
             this.hideLoading();
             
+            // Expose camera diagnostics for troubleshooting from the console
+            this.exposeDebugFunctions();
+            
             console.log('✅ Application initialized successfully');
             
         } catch (error) {
@@ -57,6 +87,20 @@ class MeasurementApp {
             startButton: document.getElementById('start-session'),
             clearButton: document.getElementById('clear-measurement'),
             resetButton: document.getElementById('reset-session'),
+            modeButton: document.getElementById('toggle-mode'),
+            undoButton: document.getElementById('undo-point'),
+            closeLoopButton: document.getElementById('close-loop'),
+            unitsButton: document.getElementById('toggle-units'),
+            triangleButton: document.getElementById('triangle-mode'),
+            detectButton: document.getElementById('detect-speakers'),
+            aimButton: document.getElementById('aim-speakers'),
+            triangleStats: document.getElementById('triangle-stats'),
+            triangleAngle: document.getElementById('triangle-angle'),
+            triangleSymmetry: document.getElementById('triangle-symmetry'),
+            triangleToeIn: document.getElementById('triangle-toe-in'),
+            measurementStats: document.getElementById('measurement-stats'),
+            segmentCount: document.getElementById('segment-count'),
+            enclosedArea: document.getElementById('enclosed-area'),
             distanceDisplay: document.getElementById('distance-display'),
             distanceValue: document.getElementById('distance-value'),
             instructionText: document.getElementById('instruction-text'),
@@ -106,6 +150,57 @@ class MeasurementApp {
             });
         }
 
+        // Polyline controls
+        if (this.elements.modeButton) {
+            this.elements.modeButton.addEventListener('click', () => {
+                this.toggleMeasurementMode();
+            });
+        }
+
+        if (this.elements.undoButton) {
+            this.elements.undoButton.addEventListener('click', () => {
+                this.undoLastPoint();
+            });
+        }
+
+        if (this.elements.closeLoopButton) {
+            this.elements.closeLoopButton.addEventListener('click', () => {
+                this.closeLoop();
+            });
+        }
+
+        if (this.elements.unitsButton) {
+            this.elements.unitsButton.addEventListener('click', () => {
+                this.toggleUnits();
+            });
+        }
+
+        if (this.elements.triangleButton) {
+            this.elements.triangleButton.addEventListener('click', () => {
+                if (this.trianglePoints) {
+                    this.stopTrianglePlacement();
+                } else {
+                    this.startTrianglePlacement();
+                }
+            });
+        }
+
+        if (this.elements.detectButton) {
+            this.elements.detectButton.addEventListener('click', () => {
+                this.detectSpeakers();
+            });
+        }
+
+        if (this.elements.aimButton) {
+            this.elements.aimButton.addEventListener('click', () => {
+                if (this.aimTarget !== null) {
+                    this.stopAiming();
+                } else {
+                    this.startAiming();
+                }
+            });
+        }
+
         // Error modal close
         if (this.elements.errorClose) {
             this.elements.errorClose.addEventListener('click', () => {
@@ -124,12 +219,12 @@ class MeasurementApp {
     /**
      * Start the measurement session
      */
-    startSession() {
+    async startSession() {
         console.log('🚀 Starting measurement session');
         
         try {
-            // Create Three.js scene
-            this.createThreeJSScene();
+            // Create Three.js scene, over the camera feed when one is available
+            await this.createSessionScene();
             
             // Initialize measurement tool with scene
             this.measurementTool.initialize(this.scene, this.camera, this.elements.container);
@@ -138,6 +233,11 @@ class MeasurementApp {
             this.measurementTool.onMeasurementComplete = (distance) => {
                 this.onMeasurementComplete(distance);
             };
+
+            // Keep running totals in sync while points are added or removed
+            this.measurementTool.onStatsUpdate = (stats) => {
+                this.updateMeasurementStats(stats);
+            };
             
             // Activate measurement tool
             this.measurementTool.activate();
@@ -147,12 +247,15 @@ class MeasurementApp {
             this.elements.startButton.textContent = 'Stop';
             this.elements.startButton.className = 'btn btn-danger';
             if (this.elements.clearButton) this.elements.clearButton.disabled = false;
+            this.setPolylineControlsEnabled(true);
             
-            this.updateInstructions('Click two points in the 3D space to measure distance');
+            this.updateInstructions(this.getModeInstructions());
             this.updateDistanceDisplay('-');
             
-            // Start render loop
-            this.startRenderLoop();
+            // Start render loop (the camera session renders its own overlay)
+            if (!this.cameraSession) {
+                this.startRenderLoop();
+            }
             
             console.log('✅ Measurement session started');
             
@@ -174,6 +277,19 @@ class MeasurementApp {
                 this.measurementTool.deactivate();
             }
             
+            // Leave triangle placement and drop its overlay
+            this.stopAiming();
+            this.stopTrianglePlacement();
+            if (this.triangleCalculator) {
+                this.triangleCalculator.reset();
+            }
+            
+            // Drop detected speaker markers
+            this.stopCandidateConfirmation();
+            if (this.candidateMarkers) {
+                this.candidateMarkers.clear();
+            }
+            
             // Stop render loop
             this.stopRenderLoop();
             
@@ -185,6 +301,8 @@ class MeasurementApp {
             this.elements.startButton.textContent = 'Start';
             this.elements.startButton.className = 'btn btn-primary';
             if (this.elements.clearButton) this.elements.clearButton.disabled = true;
+            this.setPolylineControlsEnabled(false);
+            this.updateMeasurementStats(null);
             
             this.updateInstructions('Click "Start" to begin measuring distance between two points');
             this.updateDistanceDisplay('-');
@@ -225,16 +343,424 @@ class MeasurementApp {
         // Clear measurement points and line
         this.measurementTool.clear();
         
+        // Clear stereo triangle
+        this.stopAiming();
+        this.stopTrianglePlacement();
+        this.triangleCalculator.reset();
+        this.updateTriangleStats(null);
+        
+        // Clear detected speakers
+        this.stopCandidateConfirmation();
+        this.candidateMarkers.clear();
+        
         // Reactivate for new measurement
         this.measurementTool.activate();
         
         // Update UI
-        this.updateInstructions('Click two points in the 3D space to measure distance');
+        this.updateInstructions(this.getModeInstructions());
         this.updateDistanceDisplay('-');
         
         console.log('✅ Measurement cleared');
     }
 
+    /**
+     * Switch between two-point and polyline measuring
+     */
+    toggleMeasurementMode() {
+        if (!this.measurementTool || !this.isSessionActive) return;
+
+        this.stopTrianglePlacement();
+
+        const nextMode = this.measurementTool.mode === 'pair' ? 'polyline' : 'pair';
+        this.measurementTool.setMode(nextMode);
+        this.measurementTool.activate();
+
+        this.setButtonText(this.elements.modeButton, nextMode === 'polyline' ? 'Two Points' : 'Polyline');
+        this.updateInstructions(this.getModeInstructions());
+        this.updateDistanceDisplay('-');
+    }
+
+    /**
+     * Remove the most recently placed point
+     */
+    undoLastPoint() {
+        if (!this.measurementTool || !this.isSessionActive) return;
+
+        if (this.measurementTool.undoLastPoint()) {
+            // A completed two-point measurement deactivates the tool; resume placing points
+            this.measurementTool.activate();
+            this.updateInstructions(this.getModeInstructions());
+        }
+    }
+
+    /**
+     * Close the polyline back to its first point
+     */
+    closeLoop() {
+        if (!this.measurementTool || !this.isSessionActive) return;
+
+        if (!this.measurementTool.closeLoop()) {
+            this.updateInstructions('Place at least three points in polyline mode to close a loop');
+        }
+    }
+
+    /**
+     * Switch to the next unit system: metric, imperial, feet and inches
+     */
+    toggleUnits() {
+        if (!this.measurementTool) return;
+
+        this.measurementTool.toggleUnits();
+    }
+
+    updateUnitsButton() {
+        this.setButtonText(this.elements.unitsButton, UNIT_SYSTEM_LABELS[nextUnitSystem(this.measurementTool.units)]);
+    }
+
+    /**
+     * Start placing the stereo triangle: left speaker, right speaker, then listener
+     */
+    startTrianglePlacement() {
+        if (!this.isSessionActive || !this.elements.container) return;
+
+        this.stopAiming();
+        this.measurementTool.clear();
+        this.measurementTool.deactivate();
+        this.triangleCalculator.reset();
+        this.updateTriangleStats(null);
+
+        this.trianglePoints = [];
+        this.elements.container.addEventListener('click', this.handleTriangleClick);
+        this.elements.container.style.cursor = 'crosshair';
+
+        this.setButtonText(this.elements.triangleButton, 'Cancel Triangle');
+        this.updateInstructions('Click the position of the LEFT speaker');
+        this.updateDistanceDisplay('-');
+    }
+
+    /**
+     * Leave stereo triangle placement and hand clicks back to the measurement tool
+     */
+    stopTrianglePlacement() {
+        if (!this.trianglePoints) return;
+
+        this.trianglePoints = null;
+        if (this.elements.container) {
+            this.elements.container.removeEventListener('click', this.handleTriangleClick);
+        }
+        this.setButtonText(this.elements.triangleButton, 'Stereo Triangle');
+
+        if (this.isSessionActive) {
+            this.measurementTool.activate();
+        }
+    }
+
+    /**
+     * Collect the three triangle points from clicks on the ground plane
+     */
+    handleTriangleClick(event) {
+        if (!this.trianglePoints) return;
+
+        const point = this.measurementTool.getGroundPoint(event);
+        if (!point) return;
+
+        this.trianglePoints.push(point.clone());
+
+        if (this.trianglePoints.length === 1) {
+            this.updateInstructions('Click the position of the RIGHT speaker');
+        } else if (this.trianglePoints.length === 2) {
+            this.triangleCalculator.setSpeakers(this.trianglePoints);
+            this.triangleCalculator.drawTriangles(this.scene);
+            this.updateInstructions('Click your listening position. The green triangle marks the ideal spot');
+        } else {
+            this.triangleCalculator.setListenerPosition(this.trianglePoints[2]);
+            this.triangleCalculator.drawTriangles(this.scene);
+
+            const breakdown = this.triangleCalculator.getQualityBreakdown();
+            this.updateDistanceDisplay(`${breakdown.total}%`);
+            this.updateTriangleStats(breakdown);
+            this.updateInstructions(this.getTriangleFeedback(breakdown.total));
+
+            // Keep the overlay but stop taking triangle clicks
+            this.measurementTool.deactivate();
+            this.trianglePoints = null;
+            this.elements.container.removeEventListener('click', this.handleTriangleClick);
+            this.setButtonText(this.elements.triangleButton, 'Stereo Triangle');
+        }
+    }
+
+    /**
+     * Start recording which way the triangle speakers face:
+     * click a speaker, then click a spot straight in front of it
+     */
+    startAiming() {
+        if (!this.isSessionActive || !this.elements.container) return;
+        if (this.triangleCalculator.speakers.length !== 2) {
+            this.updateInstructions('Place both speakers with "Stereo Triangle" first');
+            return;
+        }
+
+        this.stopTrianglePlacement();
+        this.stopCandidateConfirmation();
+        this.measurementTool.deactivate();
+
+        this.aimTarget = -1;
+        this.elements.container.addEventListener('click', this.handleAimClick);
+        this.elements.container.style.cursor = 'crosshair';
+
+        this.setButtonText(this.elements.aimButton, 'Done Aiming');
+        this.updateInstructions('Click the speaker you want to aim');
+    }
+
+    /**
+     * Leave aiming and hand clicks back to the measurement tool
+     */
+    stopAiming() {
+        if (this.aimTarget === null) return;
+
+        this.aimTarget = null;
+        if (this.elements.container) {
+            this.elements.container.removeEventListener('click', this.handleAimClick);
+        }
+        this.setButtonText(this.elements.aimButton, 'Aim Speakers');
+
+        if (this.isSessionActive) {
+            this.measurementTool.activate();
+        }
+    }
+
+    /**
+     * First click picks a speaker, the second sets its facing towards the clicked spot
+     */
+    handleAimClick(event) {
+        if (this.aimTarget === null) return;
+
+        const point = this.measurementTool.getGroundPoint(event);
+        if (!point) return;
+
+        const side = (index) => index === 0 ? 'LEFT' : 'RIGHT';
+
+        if (this.aimTarget === -1) {
+            const index = this.triangleCalculator.findSpeakerNear(point, 0.4);
+            if (index === -1) return;
+
+            this.aimTarget = index;
+            this.updateInstructions(`Click a spot straight in front of the ${side(index)} speaker's baffle`);
+            return;
+        }
+
+        const speaker = this.triangleCalculator.speakers[this.aimTarget];
+        const facing = { x: point.x - speaker.position.x, z: point.z - speaker.position.z };
+        if (!this.triangleCalculator.setSpeakerFacing(this.aimTarget, facing)) return;
+
+        this.triangleCalculator.drawTriangles(this.scene);
+        if (this.triangleCalculator.isReady()) {
+            const breakdown = this.triangleCalculator.getQualityBreakdown();
+            this.updateDistanceDisplay(`${breakdown.total}%`);
+            this.updateTriangleStats(breakdown);
+        }
+
+        this.updateInstructions(`${side(this.aimTarget)} speaker aimed. Click the other speaker, or "Done Aiming"`);
+        this.aimTarget = -1;
+    }
+
+    /**
+     * Run speaker detection on the current camera frame and pre-place markers
+     */
+    async detectSpeakers() {
+        if (!this.isSessionActive) return;
+        if (!this.cameraSession || !this.cameraSession.video) {
+            this.showError('Speaker detection needs the camera feed');
+            return;
+        }
+
+        this.stopTrianglePlacement();
+        this.updateInstructions('Looking for speakers...');
+        if (this.elements.detectButton) this.elements.detectButton.disabled = true;
+
+        try {
+            const candidates = await this.speakerDetector.detect(this.cameraSession.video);
+            const placed = this.candidateMarkers.place(this.scene, candidates, (anchor) => {
+                const clientPoint = this.cameraSession.videoToClientPoint(anchor.x, anchor.y);
+                return clientPoint ? this.measurementTool.getGroundPoint(clientPoint) : null;
+            });
+
+            if (placed.length === 0) {
+                this.updateInstructions('No speakers found. Try another angle or place them with "Stereo Triangle"');
+                return;
+            }
+
+            this.startCandidateConfirmation();
+            this.updateInstructions(`Found ${placed.length} possible speaker${placed.length === 1 ? '' : 's'}. Tap each real speaker to confirm it`);
+        } catch (error) {
+            console.error(`Speaker detection failed: ${error.message}`);
+            this.showError(`Speaker detection failed: ${error.message}`);
+        } finally {
+            if (this.elements.detectButton) this.elements.detectButton.disabled = !this.isSessionActive;
+        }
+    }
+
+    /**
+     * Route container taps to candidate confirmation instead of measuring
+     */
+    startCandidateConfirmation() {
+        if (this.isConfirmingCandidates) return;
+
+        this.isConfirmingCandidates = true;
+        this.measurementTool.deactivate();
+        this.elements.container.addEventListener('click', this.handleCandidateClick);
+        this.elements.container.style.cursor = 'pointer';
+    }
+
+    /**
+     * Hand taps back to the measurement tool
+     */
+    stopCandidateConfirmation() {
+        if (!this.isConfirmingCandidates) return;
+
+        this.isConfirmingCandidates = false;
+        this.elements.container.removeEventListener('click', this.handleCandidateClick);
+        if (this.isSessionActive) {
+            this.measurementTool.activate();
+        }
+    }
+
+    /**
+     * Confirm the candidate nearest to a tap; two confirmed speakers set up the triangle
+     */
+    handleCandidateClick(event) {
+        const point = this.measurementTool.getGroundPoint(event);
+        if (!point) return;
+
+        const marker = this.candidateMarkers.confirmAt(point);
+        if (!marker) return;
+
+        const confirmed = this.candidateMarkers.getConfirmed();
+        console.log(`🔊 Speaker confirmed (${marker.candidate.sourceClass}, ${(marker.candidate.confidence * 100).toFixed(0)}%)`);
+
+        if (confirmed.length >= 2) {
+            this.candidateMarkers.clearPending();
+            this.stopCandidateConfirmation();
+            this.startTrianglePlacement();
+
+            // Skip straight to the listener step with the confirmed pair
+            this.trianglePoints = confirmed.slice(0, 2).map(item => item.position.clone());
+            this.triangleCalculator.setSpeakers(this.trianglePoints);
+            this.triangleCalculator.drawTriangles(this.scene);
+            this.updateInstructions('Both speakers confirmed. Click your listening position');
+        } else if (this.candidateMarkers.getPending().length === 0) {
+            this.stopCandidateConfirmation();
+            this.updateInstructions('Only one speaker confirmed. Run detection again or use "Stereo Triangle"');
+        } else {
+            this.updateInstructions('Speaker confirmed. Tap the second speaker');
+        }
+    }
+
+    /**
+     * Human readable feedback for a triangle quality score
+     */
+    getTriangleFeedback(quality) {
+        if (quality >= 80) {
+            return 'Excellent stereo triangle! Click "Clear" to start over.';
+        } else if (quality >= 60) {
+            return 'Good stereo triangle. Consider minor adjustments towards the green marker.';
+        }
+        return 'Stereo triangle needs improvement. Move towards the green marker.';
+    }
+
+    /**
+     * Show the angle, distance-symmetry and toe-in parts of the triangle score
+     */
+    updateTriangleStats(breakdown) {
+        if (!this.elements.triangleStats) return;
+
+        if (!breakdown) {
+            this.elements.triangleStats.classList.add('hidden');
+            return;
+        }
+
+        this.elements.triangleStats.classList.remove('hidden');
+        if (this.elements.triangleAngle) {
+            this.elements.triangleAngle.textContent = `Angle ${formatAngle(breakdown.details.listeningAngle)} (${breakdown.angle}%)`;
+        }
+        if (this.elements.triangleSymmetry) {
+            this.elements.triangleSymmetry.textContent = `Symmetry ${breakdown.distanceSymmetry}%`;
+        }
+        if (this.elements.triangleToeIn) {
+            this.elements.triangleToeIn.textContent = breakdown.toeIn === null ? '' : `Toe-in ${breakdown.toeIn}% ${this.formatOnAxisDetails(breakdown.details)}`;
+        }
+    }
+
+    /**
+     * Per-speaker toe-in angle and on-axis miss, e.g. "(L 4° / 9 cm, R 12° / 31 cm)"
+     */
+    formatOnAxisDetails(details) {
+        const parts = details.toeInErrors.map((error, index) => {
+            if (error === null) return null;
+            const miss = details.onAxisMisses[index];
+            const missText = miss === null ? 'behind' : this.measurementTool.formatDistance(miss);
+            return `${index === 0 ? 'L' : 'R'} ${formatAngle(error)} / ${missText}`;
+        }).filter(part => part !== null);
+
+        return parts.length > 0 ? `(${parts.join(', ')})` : '';
+    }
+
+    /**
+     * Enable or disable the polyline control buttons
+     */
+    setPolylineControlsEnabled(enabled) {
+        ['modeButton', 'undoButton', 'closeLoopButton', 'unitsButton', 'triangleButton', 'detectButton', 'aimButton'].forEach(key => {
+            if (this.elements[key]) this.elements[key].disabled = !enabled;
+        });
+    }
+
+    /**
+     * Instruction text for the current measurement mode
+     */
+    getModeInstructions() {
+        if (this.measurementTool && this.measurementTool.mode === 'polyline') {
+            return 'Click to add points. Click the first point or "Close Loop" to measure perimeter and area';
+        }
+        return 'Click two points in the 3D space to measure distance';
+    }
+
+    /**
+     * Update a button label without removing its icon
+     */
+    setButtonText(button, text) {
+        if (!button) return;
+        const label = button.querySelector('.btn-text');
+        if (label) {
+            label.textContent = text;
+        } else {
+            button.textContent = text;
+        }
+    }
+
+    /**
+     * Composite the scene over the live camera feed, falling back to the plain 3D view
+     */
+    async createSessionScene() {
+        this.elements.container.innerHTML = ''; // Clear placeholder
+        
+        const cameraSession = new CameraSession();
+        try {
+            await cameraSession.initialize(this.elements.container);
+            await cameraSession.start();
+        } catch (error) {
+            console.warn(`⚠️ Camera unavailable, using 3D view: ${error.message}`);
+            cameraSession.stop();
+            this.createThreeJSScene();
+            return;
+        }
+        
+        this.cameraSession = cameraSession;
+        this.scene = cameraSession.scene;
+        this.camera = cameraSession.camera;
+        this.renderer = cameraSession.renderer;
+        console.log(`✅ Camera feed active (${cameraSession.activeConstraint})`);
+    }
+
     /**
      * Create Three.js scene, camera, and renderer
      */
@@ -338,6 +864,10 @@ class MeasurementApp {
      * Handle window resize
      */
     handleResize() {
+        if (this.cameraSession) {
+            this.cameraSession.handleResize();
+            return;
+        }
         if (!this.camera || !this.renderer || !this.elements.container) return;
 
         const width = this.elements.container.clientWidth;
@@ -356,6 +886,14 @@ class MeasurementApp {
             // Stop render loop
             this.stopRenderLoop();
 
+            // The camera session owns its video, overlay canvas and scene
+            if (this.cameraSession) {
+                this.cameraSession.stop();
+                this.cameraSession = null;
+                this.renderer = null;
+                this.scene = null;
+            }
+
             // Remove canvas from container
             if (this.renderer && this.renderer.domElement && this.elements.container) {
                 this.elements.container.removeChild(this.renderer.domElement);
@@ -413,7 +951,36 @@ class MeasurementApp {
         this.updateDistanceDisplay(formattedDistance);
         
         // Update instructions
-        this.updateInstructions(`Measurement complete: ${formattedDistance}. Click "Clear" to measure again.`);
+        if (this.measurementTool.mode === 'polyline') {
+            const stats = this.measurementTool.getStatistics();
+            this.updateInstructions(`Loop closed: perimeter ${formattedDistance}, area ${stats.formattedArea}. Click "Clear" to measure again.`);
+        } else {
+            this.updateInstructions(`Measurement complete: ${formattedDistance}. Click "Clear" to measure again.`);
+        }
+    }
+
+    /**
+     * Show running total, segment count and enclosed area
+     */
+    updateMeasurementStats(stats) {
+        if (!this.elements.measurementStats) return;
+
+        if (!stats || stats.mode !== 'polyline') {
+            this.elements.measurementStats.classList.add('hidden');
+            if (stats && stats.pointCount < 2) this.updateDistanceDisplay('-');
+            else if (stats) this.updateDistanceDisplay(stats.formattedTotalDistance);
+            return;
+        }
+
+        this.elements.measurementStats.classList.remove('hidden');
+        this.updateDistanceDisplay(stats.lineCount > 0 ? stats.formattedTotalDistance : '-');
+
+        if (this.elements.segmentCount) {
+            this.elements.segmentCount.textContent = `${stats.lineCount} segment${stats.lineCount === 1 ? '' : 's'}`;
+        }
+        if (this.elements.enclosedArea) {
+            this.elements.enclosedArea.textContent = stats.isClosed ? `Area: ${stats.formattedArea}` : '';
+        }
     }
 
     /**
@@ -454,6 +1021,27 @@ class MeasurementApp {
         }
     }
 
+    /**
+     * Expose camera troubleshooting helpers on the window object
+     */
+    exposeDebugFunctions() {
+        window.runCameraDiagnostics = () => {
+            const session = this.cameraSession || new CameraSession();
+            return session.debugCameraCapabilities();
+        };
+
+        window.testCameraFallback = async () => {
+            const session = new CameraSession();
+            try {
+                const stream = await session.requestCameraWithFallback();
+                stream.getTracks().forEach(track => track.stop());
+                return { success: true, constraint: session.activeConstraint, attempts: session.attempts };
+            } catch (error) {
+                return { success: false, error: error.message, attempts: session.attempts };
+            }
+        };
+    }
+
     /**
      * Hide loading overlay
      */
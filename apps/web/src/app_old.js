@@ -3,6 +3,7 @@
  * Main application entry point without camera functionality
  */
 
+import { nextUnitSystem, UNIT_SYSTEM_LABELS } from '@ar-speaker/utils';
 import { TriangleCalculator } from './modules/triangle.js';
 import { CameraSession } from './modules/camera-session.js';
 import { MeasurementTool } from './modules/measurement.js';
@@ -1442,7 +1443,7 @@ class ARSpeakerApp {
     }
 
     /**
-     * Toggle between metric and imperial units
+     * Switch to the next unit system: metric, imperial, feet and inches
      */
     toggleMeasurementUnits() {
         if (!this.measurementTool) {
@@ -1455,7 +1456,7 @@ class ARSpeakerApp {
         // Update button text
         if (this.elements.toggleUnitsButton) {
             const units = this.measurementTool.units;
-            this.elements.toggleUnitsButton.textContent = units === 'metric' ? 'Switch to Imperial' : 'Switch to Metric';
+            this.elements.toggleUnitsButton.textContent = `Switch to ${UNIT_SYSTEM_LABELS[nextUnitSystem(units)]}`;
         }
         
         this.debugSuccess(`📏 Units switched to ${this.measurementTool.units}`);
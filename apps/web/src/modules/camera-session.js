@@ -0,0 +1,451 @@
+/**
+ * Camera Session
+ * Opens the device camera with a progressive constraint ladder, reports
+ * capabilities and diagnostics, and composites the video feed behind a
+ * transparent Three.js canvas.
+ *
+ * The mediaDevices implementation is injectable so the session can be driven
+ * by a fake stream outside the browser.
+ */
+
+/**
+ * Constraint ladder tried in order until one succeeds.
+ * See CAMERA_TROUBLESHOOTING.md for why each step exists.
+ */
+export const FALLBACK_CONSTRAINTS = [
+    {
+        label: 'High-quality rear camera',
+        constraints: {
+            video: {
+                facingMode: { ideal: 'environment' },
+                width: { ideal: 1280 },
+                height: { ideal: 720 }
+            },
+            audio: false
+        }
+    },
+    {
+        label: 'Any rear camera',
+        constraints: { video: { facingMode: 'environment' }, audio: false }
+    },
+    {
+        label: 'Front camera',
+        constraints: { video: { facingMode: 'user' }, audio: false }
+    },
+    {
+        label: 'Any camera (flexible)',
+        constraints: { video: { width: { min: 320 }, height: { min: 240 } }, audio: false }
+    },
+    {
+        label: 'Basic camera',
+        constraints: { video: true, audio: false }
+    }
+];
+
+// getUserMedia errors that no other constraint set can fix
+const FATAL_ERRORS = ['NotAllowedError', 'SecurityError', 'AbortError'];
+
+/**
+ * Turn a getUserMedia error into the message the app shows and matches on
+ */
+const describeCameraError = (error) => {
+    switch (error && error.name) {
+        case 'NotAllowedError':
+        case 'SecurityError':
+            return 'Camera access was denied';
+        case 'NotFoundError':
+        case 'OverconstrainedError':
+            return 'No camera found matching the requested constraints';
+        case 'NotReadableError':
+            return 'Camera is already in use by another application';
+        default:
+            return (error && error.message) || 'Unknown camera error';
+    }
+};
+
+/**
+ * Read a numeric {min, max, step} range from a capabilities entry
+ */
+const readRange = (range) => {
+    if (!range || typeof range !== 'object') return null;
+    return {
+        min: typeof range.min === 'number' ? range.min : null,
+        max: typeof range.max === 'number' ? range.max : null,
+        step: typeof range.step === 'number' ? range.step : null
+    };
+};
+
+export class CameraSession {
+    constructor(options = {}) {
+        this.mediaDevices = options.mediaDevices ||
+            (typeof navigator !== 'undefined' ? navigator.mediaDevices : null);
+        this.constraintLadder = options.constraints || FALLBACK_CONSTRAINTS;
+
+        this.container = null;
+        this.video = null;
+        this.stream = null;
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.animationId = null;
+        this.isRunning = false;
+
+        this.activeConstraint = null;
+        this.attempts = [];
+        this.onPermissionGranted = null;
+    }
+
+    /**
+     * Register a callback fired as soon as a stream has been granted
+     */
+    setPermissionGrantedCallback(callback) {
+        this.onPermissionGranted = callback;
+    }
+
+    /**
+     * Whether the getUserMedia API is available at all
+     */
+    isSupported() {
+        return !!(this.mediaDevices && typeof this.mediaDevices.getUserMedia === 'function');
+    }
+
+    /**
+     * Prepare the video element and the Three.js overlay inside the container
+     */
+    async initialize(container) {
+        if (!container) {
+            throw new Error('Camera session needs a container element');
+        }
+        if (!this.isSupported()) {
+            throw new Error('Camera access not supported in this browser');
+        }
+
+        this.container = container;
+        this.container.style.position = this.container.style.position || 'relative';
+
+        this.createVideoElement();
+        this.createOverlay();
+
+        console.log('📷 Camera session initialized');
+    }
+
+    /**
+     * Create the video element that sits behind the Three.js canvas
+     */
+    createVideoElement() {
+        const video = document.createElement('video');
+        video.setAttribute('playsinline', '');
+        video.setAttribute('autoplay', '');
+        video.muted = true;
+        video.className = 'camera-feed';
+        video.style.position = 'absolute';
+        video.style.top = '0';
+        video.style.left = '0';
+        video.style.width = '100%';
+        video.style.height = '100%';
+        video.style.objectFit = 'cover';
+        video.style.zIndex = '1';
+
+        this.video = video;
+        this.container.appendChild(video);
+    }
+
+    /**
+     * Create a transparent Three.js scene layered over the video
+     */
+    createOverlay() {
+        if (!window.THREE) return;
+
+        const width = this.container.clientWidth || 1;
+        const height = this.container.clientHeight || 1;
+
+        this.scene = new window.THREE.Scene();
+
+        this.camera = new window.THREE.PerspectiveCamera(70, width / height, 0.01, 1000);
+        this.camera.position.set(0, 1.6, 0); // Roughly eye height
+
+        this.renderer = new window.THREE.WebGLRenderer({ antialias: true, alpha: true });
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.setSize(width, height);
+        if (this.renderer.setClearColor) {
+            this.renderer.setClearColor(0x000000, 0); // Let the video show through
+        }
+
+        const canvas = this.renderer.domElement;
+        canvas.style.position = 'absolute';
+        canvas.style.top = '0';
+        canvas.style.left = '0';
+        canvas.style.width = '100%';
+        canvas.style.height = '100%';
+        canvas.style.zIndex = '2';
+
+        this.scene.add(new window.THREE.AmbientLight(0xffffff, 0.6));
+        const directionalLight = new window.THREE.DirectionalLight(0xffffff, 0.8);
+        directionalLight.position.set(1, 1, 1);
+        this.scene.add(directionalLight);
+
+        this.container.appendChild(canvas);
+    }
+
+    /**
+     * Request the camera, attach it to the video element and start rendering
+     */
+    async start() {
+        if (!this.container) {
+            throw new Error('Camera session not initialized');
+        }
+
+        this.stream = await this.requestCameraWithFallback();
+
+        if (this.video) {
+            this.video.srcObject = this.stream;
+            try {
+                await this.video.play();
+            } catch (error) {
+                // Autoplay can be blocked until the next user gesture; the feed starts then
+                console.warn(`⚠️ Video playback deferred: ${error.message}`);
+            }
+        }
+
+        this.container.classList.add('camera-active');
+        this.isRunning = true;
+
+        if (this.onPermissionGranted) {
+            this.onPermissionGranted();
+        }
+
+        this.startRenderLoop();
+        console.log(`📷 Camera started using "${this.activeConstraint}"`);
+    }
+
+    /**
+     * Walk the constraint ladder until a stream is granted.
+     * Stops early on errors another constraint set cannot fix (e.g. permission denied).
+     */
+    async requestCameraWithFallback() {
+        if (!this.isSupported()) {
+            throw new Error('Camera access not supported in this browser');
+        }
+
+        this.attempts = [];
+        this.activeConstraint = null;
+        let lastError = null;
+
+        for (const step of this.constraintLadder) {
+            try {
+                const stream = await this.mediaDevices.getUserMedia(step.constraints);
+                this.attempts.push({ label: step.label, success: true, error: null });
+                this.activeConstraint = step.label;
+                return stream;
+            } catch (error) {
+                lastError = error;
+                this.attempts.push({
+                    label: step.label,
+                    success: false,
+                    error: { name: error.name, message: error.message }
+                });
+                console.warn(`⚠️ Camera constraint "${step.label}" failed: ${error.name || error.message}`);
+
+                if (FATAL_ERRORS.includes(error.name)) break;
+            }
+        }
+
+        if (lastError && (lastError.name === 'NotFoundError' || lastError.name === 'OverconstrainedError')) {
+            throw new Error('No camera found on this device');
+        }
+        throw new Error(describeCameraError(lastError));
+    }
+
+    /**
+     * List the video input devices
+     */
+    async enumerateCameras() {
+        if (!this.mediaDevices || typeof this.mediaDevices.enumerateDevices !== 'function') {
+            return [];
+        }
+
+        const devices = await this.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                groupId: device.groupId,
+                // Labels stay empty until permission has been granted once
+                label: device.label || `Camera ${index + 1}`
+            }));
+    }
+
+    /**
+     * The active video track, if any
+     */
+    getVideoTrack() {
+        if (!this.stream || typeof this.stream.getVideoTracks !== 'function') return null;
+        return this.stream.getVideoTracks()[0] || null;
+    }
+
+    /**
+     * Typed capability report for the active track.
+     * Ranges are { min, max, step } with nulls where the browser does not say.
+     */
+    getCapabilities() {
+        const track = this.getVideoTrack();
+        if (!track) return null;
+
+        const capabilities = typeof track.getCapabilities === 'function' ? track.getCapabilities() : {};
+        const settings = typeof track.getSettings === 'function' ? track.getSettings() : {};
+
+        return {
+            label: track.label || null,
+            facingModes: Array.isArray(capabilities.facingMode) ? capabilities.facingMode : [],
+            width: readRange(capabilities.width),
+            height: readRange(capabilities.height),
+            frameRate: readRange(capabilities.frameRate),
+            aspectRatio: readRange(capabilities.aspectRatio),
+            zoom: readRange(capabilities.zoom),
+            focusModes: Array.isArray(capabilities.focusMode) ? capabilities.focusMode : [],
+            torch: capabilities.torch === true,
+            settings: {
+                deviceId: settings.deviceId || null,
+                facingMode: settings.facingMode || null,
+                width: settings.width || null,
+                height: settings.height || null,
+                frameRate: settings.frameRate || null,
+                aspectRatio: settings.aspectRatio || null
+            }
+        };
+    }
+
+    /**
+     * Full diagnostics report: API support, devices, constraint attempts and capabilities
+     */
+    async debugCameraCapabilities() {
+        const report = {
+            supported: this.isSupported(),
+            secureContext: typeof window !== 'undefined' ? window.isSecureContext !== false : true,
+            devices: [],
+            attempts: this.attempts.slice(),
+            activeConstraint: this.activeConstraint,
+            capabilities: this.getCapabilities(),
+            errors: []
+        };
+
+        if (!report.supported) {
+            report.reason = 'Camera access not supported in this browser';
+            console.warn(`⚠️ ${report.reason}`);
+            return report;
+        }
+
+        try {
+            report.devices = await this.enumerateCameras();
+        } catch (error) {
+            report.errors.push(`Device enumeration failed: ${error.message}`);
+        }
+
+        if (report.devices.length === 0) {
+            report.reason = 'No camera found on this device';
+        } else if (!report.secureContext) {
+            report.reason = 'Camera requires a secure (HTTPS) connection';
+        }
+
+        console.log('📷 Camera diagnostics:', report);
+        return report;
+    }
+
+    /**
+     * Render the overlay every frame while the session runs
+     */
+    startRenderLoop() {
+        if (!this.renderer || !this.scene || !this.camera) return;
+
+        const animate = () => {
+            if (!this.isRunning) return;
+            this.animationId = requestAnimationFrame(animate);
+            this.renderer.render(this.scene, this.camera);
+        };
+        animate();
+    }
+
+    /**
+     * Map a normalized point in the video frame to client (page) coordinates,
+     * accounting for the object-fit: cover crop of the video element
+     */
+    videoToClientPoint(normalizedX, normalizedY) {
+        if (!this.video || !this.container) return null;
+
+        const rect = this.container.getBoundingClientRect();
+        const videoWidth = this.video.videoWidth || rect.width;
+        const videoHeight = this.video.videoHeight || rect.height;
+        const scale = Math.max(rect.width / videoWidth, rect.height / videoHeight);
+        const displayedWidth = videoWidth * scale;
+        const displayedHeight = videoHeight * scale;
+
+        return {
+            clientX: rect.left + (rect.width - displayedWidth) / 2 + normalizedX * displayedWidth,
+            clientY: rect.top + (rect.height - displayedHeight) / 2 + normalizedY * displayedHeight
+        };
+    }
+
+    /**
+     * Keep the overlay in step with the container size
+     */
+    handleResize() {
+        if (!this.container || !this.camera || !this.renderer) return;
+
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+    }
+
+    /**
+     * Stop the stream and tear down the video element and overlay
+     */
+    stop() {
+        this.isRunning = false;
+
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+
+        if (this.video) {
+            this.video.srcObject = null;
+            if (this.video.parentNode) this.video.parentNode.removeChild(this.video);
+            this.video = null;
+        }
+
+        if (this.renderer) {
+            const canvas = this.renderer.domElement;
+            if (canvas && canvas.parentNode) canvas.parentNode.removeChild(canvas);
+            this.renderer.dispose();
+            this.renderer = null;
+        }
+
+        if (this.scene) {
+            this.scene.traverse((object) => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) {
+                    if (Array.isArray(object.material)) {
+                        object.material.forEach(material => material.dispose());
+                    } else {
+                        object.material.dispose();
+                    }
+                }
+            });
+            this.scene = null;
+        }
+
+        this.camera = null;
+        if (this.container) {
+            this.container.classList.remove('camera-active');
+        }
+
+        console.log('📷 Camera session stopped');
+    }
+}
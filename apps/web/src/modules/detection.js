@@ -0,0 +1,328 @@
+/**
+ * Speaker Detection
+ * Runs COCO-SSD on video frames or still images and turns its detections into
+ * "speaker candidates". COCO has no speaker class, so objects that commonly get
+ * confused with speakers (tv, laptop, refrigerator, ...) are mapped to speakers
+ * with a per-class weight and a box-shape heuristic.
+ *
+ * The model is loaded from a local path (see models/coco-ssd/README.md) and
+ * the libraries from the npm packages copied into vendor/ on install, so
+ * detection works offline. tf and cocoSsd are taken from the options or the
+ * window globals, which keeps the detector usable on the CPU backend in tests.
+ */
+
+export const DEFAULT_MODEL_URL = 'models/coco-ssd/model.json';
+
+// Browser builds from @tensorflow/tfjs and @tensorflow-models/coco-ssd (see scripts/copy-vendor.js),
+// used only when tf / cocoSsd are not already loaded
+const LIBRARY_URLS = {
+    tf: 'vendor/tf.min.js',
+    cocoSsd: 'vendor/coco-ssd.min.js'
+};
+
+/**
+ * How strongly each COCO class suggests a speaker (0-1)
+ */
+export const SPEAKER_CLASS_WEIGHTS = {
+    tv: 0.7,
+    refrigerator: 0.6,
+    microwave: 0.55,
+    laptop: 0.45,
+    oven: 0.4,
+    suitcase: 0.4,
+    book: 0.25,
+    'cell phone': 0.2
+};
+
+// Box-shape heuristic: speakers are upright boxes, neither slivers nor very wide
+const IDEAL_ASPECT_RANGE = { min: 1.1, max: 3.5 }; // height / width
+const MIN_AREA_RATIO = 0.005; // of the frame
+const MAX_AREA_RATIO = 0.6;
+const OVERLAP_THRESHOLD = 0.5;
+
+/**
+ * Intersection over union of two [x, y, width, height] boxes
+ */
+const intersectionOverUnion = (a, b) => {
+    const x1 = Math.max(a[0], b[0]);
+    const y1 = Math.max(a[1], b[1]);
+    const x2 = Math.min(a[0] + a[2], b[0] + b[2]);
+    const y2 = Math.min(a[1] + a[3], b[1] + b[3]);
+    const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+    const union = a[2] * a[3] + b[2] * b[3] - intersection;
+    return union > 0 ? intersection / union : 0;
+};
+
+/**
+ * Pixel size of a video, image or canvas source
+ */
+const getSourceSize = (source) => ({
+    width: source.videoWidth || source.naturalWidth || source.width || 0,
+    height: source.videoHeight || source.naturalHeight || source.height || 0
+});
+
+/**
+ * Load a classic script once and resolve when it has run
+ */
+const loadScript = (url) => new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = url;
+    script.async = true;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Failed to load ${url}`));
+    document.head.appendChild(script);
+});
+
+export class SpeakerDetector {
+    constructor(options = {}) {
+        this.tf = options.tf || null;
+        this.cocoSsd = options.cocoSsd || null;
+        this.modelUrl = options.modelUrl || DEFAULT_MODEL_URL;
+        this.backend = options.backend || null; // e.g. 'cpu' in tests, 'webgl' on devices
+        this.minScore = options.minScore || 0.2;
+        this.minConfidence = options.minConfidence || 0.3;
+        this.maxDetections = options.maxDetections || 20;
+
+        this.model = null;
+        this.loadingPromise = null;
+    }
+
+    /**
+     * Load the libraries and the local model (once)
+     */
+    load() {
+        if (this.model) return Promise.resolve(this.model);
+        if (!this.loadingPromise) {
+            this.loadingPromise = this.loadModel().catch((error) => {
+                this.loadingPromise = null; // Allow a retry
+                throw error;
+            });
+        }
+        return this.loadingPromise;
+    }
+
+    async loadModel() {
+        await this.ensureLibraries();
+
+        if (this.backend) {
+            await this.tf.setBackend(this.backend);
+        }
+        await this.tf.ready();
+
+        console.log(`🧠 Loading COCO-SSD from ${this.modelUrl} (${this.tf.getBackend()} backend)`);
+        this.model = await this.cocoSsd.load({ base: 'lite_mobilenet_v2', modelUrl: this.modelUrl });
+        console.log('✅ Detection model loaded');
+        return this.model;
+    }
+
+    /**
+     * Resolve tf and cocoSsd from options, window globals or the script fallbacks
+     */
+    async ensureLibraries() {
+        this.tf = this.tf || window.tf || null;
+        this.cocoSsd = this.cocoSsd || window.cocoSsd || null;
+
+        if (!this.tf) {
+            await loadScript(LIBRARY_URLS.tf);
+            this.tf = window.tf;
+        }
+        if (!this.cocoSsd) {
+            await loadScript(LIBRARY_URLS.cocoSsd);
+            this.cocoSsd = window.cocoSsd;
+        }
+
+        if (!this.tf || !this.cocoSsd) {
+            throw new Error('TensorFlow.js or COCO-SSD could not be loaded');
+        }
+    }
+
+    /**
+     * Detect speaker candidates in a video frame, image or canvas.
+     * Returns candidates sorted by confidence, highest first.
+     */
+    async detect(source) {
+        const model = await this.load();
+        const size = getSourceSize(source);
+        if (!size.width || !size.height) {
+            return []; // Video not ready yet
+        }
+
+        const detections = await model.detect(source, this.maxDetections, this.minScore);
+        return this.toSpeakerCandidates(detections, size);
+    }
+
+    /**
+     * Map raw COCO detections to speaker candidates
+     */
+    toSpeakerCandidates(detections, frameSize) {
+        const candidates = detections
+            .map((detection) => this.scoreDetection(detection, frameSize))
+            .filter((candidate) => candidate && candidate.confidence >= this.minConfidence)
+            .sort((a, b) => b.confidence - a.confidence);
+
+        // Drop weaker candidates that overlap a stronger one
+        const kept = [];
+        candidates.forEach((candidate) => {
+            const overlaps = kept.some((other) => intersectionOverUnion(other.bbox, candidate.bbox) > OVERLAP_THRESHOLD);
+            if (!overlaps) kept.push(candidate);
+        });
+
+        return kept.map((candidate, index) => Object.assign(candidate, { id: `candidate_${index + 1}` }));
+    }
+
+    /**
+     * Combine class weight, model score and box shape into a speaker confidence
+     */
+    scoreDetection(detection, frameSize) {
+        const classWeight = SPEAKER_CLASS_WEIGHTS[detection.class];
+        if (!classWeight) return null;
+
+        const [x, y, width, height] = detection.bbox;
+        if (width <= 0 || height <= 0) return null;
+
+        const areaRatio = (width * height) / (frameSize.width * frameSize.height);
+        if (areaRatio < MIN_AREA_RATIO || areaRatio > MAX_AREA_RATIO) return null;
+
+        const shapeFactor = this.getShapeFactor(height / width);
+        const confidence = Math.min(1, detection.score * (0.5 + classWeight * 0.5) * shapeFactor);
+
+        return {
+            bbox: detection.bbox,
+            sourceClass: detection.class,
+            score: detection.score,
+            shapeFactor: shapeFactor,
+            confidence: confidence,
+            // Bottom center is where the speaker meets the floor or stand
+            anchor: {
+                x: (x + width / 2) / frameSize.width,
+                y: (y + height) / frameSize.height
+            }
+        };
+    }
+
+    /**
+     * 1 for upright speaker-like boxes, falling off for wide or very thin ones
+     */
+    getShapeFactor(aspect) {
+        if (aspect >= IDEAL_ASPECT_RANGE.min && aspect <= IDEAL_ASPECT_RANGE.max) {
+            return 1;
+        }
+        if (aspect < IDEAL_ASPECT_RANGE.min) {
+            // Wide boxes (TVs, soundbars) are still plausible, just less so
+            return Math.max(0.4, aspect / IDEAL_ASPECT_RANGE.min);
+        }
+        return Math.max(0.3, IDEAL_ASPECT_RANGE.max / aspect);
+    }
+
+    /**
+     * Release the model's tensors
+     */
+    dispose() {
+        if (this.model && typeof this.model.dispose === 'function') {
+            this.model.dispose();
+        }
+        this.model = null;
+        this.loadingPromise = null;
+    }
+}
+
+/**
+ * Pre-placed speaker markers for detected candidates.
+ * Pending markers are translucent; a tap near one confirms it.
+ */
+export class SpeakerCandidateMarkers {
+    constructor() {
+        this.scene = null;
+        this.markers = [];
+
+        // Visual settings
+        this.pendingColor = 0xff9500; // Orange, awaiting confirmation
+        this.confirmedColor = 0xff6b6b; // Speaker red
+        this.markerSize = { width: 0.2, height: 0.35, depth: 0.2 };
+        this.confirmRadius = 0.4; // Meters from a marker that still count as a tap on it
+    }
+
+    /**
+     * Replace pending markers with new candidates.
+     * projectToGround maps a candidate's normalized anchor to a world position (or null).
+     */
+    place(scene, candidates, projectToGround) {
+        if (!window.THREE || !scene) return [];
+
+        this.scene = scene;
+        this.clearPending();
+
+        candidates.forEach((candidate) => {
+            const position = projectToGround(candidate.anchor);
+            if (!position) return;
+
+            const geometry = new window.THREE.BoxGeometry(this.markerSize.width, this.markerSize.height, this.markerSize.depth);
+            const material = new window.THREE.MeshBasicMaterial({
+                color: this.pendingColor,
+                transparent: true,
+                opacity: 0.35 + candidate.confidence * 0.4
+            });
+            const mesh = new window.THREE.Mesh(geometry, material);
+            mesh.position.copy(position);
+            mesh.position.y += this.markerSize.height / 2;
+            scene.add(mesh);
+
+            this.markers.push({ candidate, position: position.clone(), mesh, confirmed: false });
+        });
+
+        return this.getPending();
+    }
+
+    /**
+     * Confirm the pending marker nearest to a tapped world position
+     */
+    confirmAt(worldPosition) {
+        let nearest = null;
+        let nearestDistance = this.confirmRadius;
+
+        this.getPending().forEach((marker) => {
+            const distance = marker.position.distanceTo(worldPosition);
+            if (distance <= nearestDistance) {
+                nearest = marker;
+                nearestDistance = distance;
+            }
+        });
+
+        if (!nearest) return null;
+
+        nearest.confirmed = true;
+        nearest.mesh.material.color.setHex(this.confirmedColor);
+        nearest.mesh.material.opacity = 0.9;
+        return nearest;
+    }
+
+    getPending() {
+        return this.markers.filter((marker) => !marker.confirmed);
+    }
+
+    getConfirmed() {
+        return this.markers.filter((marker) => marker.confirmed);
+    }
+
+    /**
+     * Remove markers that were never confirmed
+     */
+    clearPending() {
+        this.getPending().forEach((marker) => this.disposeMarker(marker));
+        this.markers = this.getConfirmed();
+    }
+
+    /**
+     * Remove every marker
+     */
+    clear() {
+        this.markers.forEach((marker) => this.disposeMarker(marker));
+        this.markers = [];
+    }
+
+    disposeMarker(marker) {
+        if (this.scene) this.scene.remove(marker.mesh);
+        if (marker.mesh.geometry) marker.mesh.geometry.dispose();
+        if (marker.mesh.material) marker.mesh.material.dispose();
+    }
+}
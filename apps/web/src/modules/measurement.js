@@ -1,26 +1,57 @@
 /**
  * Simple 3D Measurement Tool
- * Places two points in 3D space and measures distance between them
+ * Places points in 3D space and measures distance between them.
+ *
+ * Two modes are supported:
+ * - 'pair': two points, one distance, auto-deactivates when complete
+ * - 'polyline': keeps accepting points, labels every segment, keeps a running
+ *   total and can close the loop to report perimeter and enclosed floor area
+ *
+ * Lengths and areas are shown in the app-wide unit preference (see @ar-speaker/utils).
  */
 
+import { formatArea, formatLength, getUnitPreferences, subscribeUnitPreferences, toggleUnitSystem } from '@ar-speaker/utils';
+
 export class SimpleMeasurementTool {
     constructor() {
         this.points = [];
         this.line = null;
+        this.segments = [];
         this.isActive = false;
+        this.isClosed = false;
+        this.mode = 'pair'; // 'pair' or 'polyline'
         this.scene = null;
         this.camera = null;
         this.container = null;
         this.raycaster = null;
         this.plane = null;
         this.onMeasurementComplete = null;
+        this.onStatsUpdate = null;
         
         // Visual settings
         this.pointSize = 0.05;
         this.pointColor = 0x00ff00; // Green points
         this.lineColor = 0xffff00; // Yellow line
+        this.closingLineColor = 0x00ffff; // Cyan closing segment
+        this.snapDistance = 0.15; // Clicking this close to the first point closes the loop
+
+        // Keep a stable reference so the listener can actually be removed
+        this.handleClick = this.handleClick.bind(this);
         
         this.setupRaycaster();
+
+        // Relabel when the units change here or in the dashboard
+        subscribeUnitPreferences(() => {
+            this.refreshLabels();
+            this.notifyStatsUpdate();
+        });
+    }
+
+    /**
+     * Current unit system: 'metric', 'imperial' or 'feet-inches'
+     */
+    get units() {
+        return getUnitPreferences().system;
     }
 
     /**
@@ -69,16 +100,33 @@ export class SimpleMeasurementTool {
         this.scene.add(this.plane);
     }
 
+    /**
+     * Switch between 'pair' and 'polyline' measurement modes.
+     * Changing mode clears the current measurement.
+     */
+    setMode(mode) {
+        if (mode !== 'pair' && mode !== 'polyline') {
+            throw new Error(`Unknown measurement mode: ${mode}`);
+        }
+        if (mode === this.mode) return;
+
+        this.clear();
+        this.mode = mode;
+        console.log(`📏 Measurement mode set to ${mode}`);
+        this.notifyStatsUpdate();
+    }
+
     /**
      * Activate measurement mode
      */
     activate() {
+        if (this.isActive) return;
         this.isActive = true;
         console.log('📏 Measurement tool activated');
         
         // Add click event listener
         if (this.container) {
-            this.container.addEventListener('click', this.handleClick.bind(this));
+            this.container.addEventListener('click', this.handleClick);
             this.container.style.cursor = 'crosshair';
         }
     }
@@ -92,7 +140,7 @@ export class SimpleMeasurementTool {
         
         // Remove click event listener
         if (this.container) {
-            this.container.removeEventListener('click', this.handleClick.bind(this));
+            this.container.removeEventListener('click', this.handleClick);
             this.container.style.cursor = 'default';
         }
     }
@@ -102,22 +150,18 @@ export class SimpleMeasurementTool {
      */
     handleClick(event) {
         if (!this.isActive || !this.raycaster || !this.camera || !this.plane) return;
-        if (this.points.length >= 2) return; // Only allow 2 points
-        
-        // Calculate mouse position in normalized device coordinates
-        const rect = this.container.getBoundingClientRect();
-        const mouse = new window.THREE.Vector2();
-        mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        if (this.mode === 'pair' && this.points.length >= 2) return; // Only allow 2 points
+        if (this.isClosed) return;
         
-        // Cast ray from camera through mouse position
-        this.raycaster.setFromCamera(mouse, this.camera);
-        
-        // Find intersection with reference plane
-        const intersects = this.raycaster.intersectObject(this.plane);
+        const worldPosition = this.getGroundPoint(event);
         
-        if (intersects.length > 0) {
-            const worldPosition = intersects[0].point;
+        if (worldPosition) {
+
+            if (this.mode === 'polyline') {
+                this.handlePolylinePoint(worldPosition);
+                return;
+            }
+
             this.placePoint(worldPosition);
             
             console.log(`📍 Point ${this.points.length} placed at: (${worldPosition.x.toFixed(2)}, ${worldPosition.y.toFixed(2)}, ${worldPosition.z.toFixed(2)})`);
@@ -128,7 +172,50 @@ export class SimpleMeasurementTool {
                 this.calculateDistance();
                 this.deactivate(); // Auto-deactivate after measurement complete
             }
+            this.notifyStatsUpdate();
+        }
+    }
+
+    /**
+     * Project a click onto the reference plane, returning the world position or null
+     */
+    getGroundPoint(event) {
+        if (!this.raycaster || !this.camera || !this.plane || !this.container) return null;
+        
+        // Calculate mouse position in normalized device coordinates
+        const rect = this.container.getBoundingClientRect();
+        const mouse = new window.THREE.Vector2();
+        mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        
+        // Cast ray from camera through mouse position
+        this.raycaster.setFromCamera(mouse, this.camera);
+        
+        // Find intersection with reference plane
+        const intersects = this.raycaster.intersectObject(this.plane);
+        return intersects.length > 0 ? intersects[0].point : null;
+    }
+
+    /**
+     * Add a point to the polyline, closing the loop when the click lands on the first point
+     */
+    handlePolylinePoint(worldPosition) {
+        if (this.points.length >= 3 &&
+            worldPosition.distanceTo(this.points[0].position) <= this.snapDistance) {
+            this.closeLoop();
+            return;
         }
+
+        this.placePoint(worldPosition);
+
+        if (this.points.length >= 2) {
+            const from = this.points[this.points.length - 2].position;
+            const to = this.points[this.points.length - 1].position;
+            this.addSegment(from, to, this.lineColor);
+        }
+
+        console.log(`📍 Polyline point ${this.points.length} placed, total ${this.formatDistance(this.getTotalDistance())}`);
+        this.notifyStatsUpdate();
     }
 
     /**
@@ -183,6 +270,101 @@ export class SimpleMeasurementTool {
         console.log('📏 Line created between points');
     }
 
+    /**
+     * Draw a polyline segment with its own length label
+     */
+    addSegment(from, to, color) {
+        if (!window.THREE || !this.scene) return;
+
+        const lineGeometry = new window.THREE.BufferGeometry().setFromPoints([from, to]);
+        const lineMaterial = new window.THREE.LineBasicMaterial({
+            color: color,
+            linewidth: 3,
+            transparent: true,
+            opacity: 0.8
+        });
+        const line = new window.THREE.Line(lineGeometry, lineMaterial);
+        this.scene.add(line);
+
+        const length = from.distanceTo(to);
+        const midpoint = new window.THREE.Vector3().addVectors(from, to).multiplyScalar(0.5);
+        const label = this.createLabel(this.formatDistance(length), midpoint);
+
+        this.segments.push({ line, label, length, midpoint });
+    }
+
+    /**
+     * Create a camera-facing text sprite at the given position
+     */
+    createLabel(text, position) {
+        if (!window.THREE.Sprite || !window.THREE.CanvasTexture) return null;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        this.drawLabelText(canvas, text);
+
+        const texture = new window.THREE.CanvasTexture(canvas);
+        const material = new window.THREE.SpriteMaterial({ map: texture, depthTest: false });
+        const sprite = new window.THREE.Sprite(material);
+        sprite.position.copy(position);
+        sprite.position.y += 0.1; // Float just above the segment
+        sprite.scale.set(0.6, 0.15, 1);
+        sprite.userData.canvas = canvas;
+
+        this.scene.add(sprite);
+        return sprite;
+    }
+
+    /**
+     * Render label text onto a sprite canvas
+     */
+    drawLabelText(canvas, text) {
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#ffff00';
+        ctx.font = 'bold 32px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+    }
+
+    /**
+     * Redraw every segment label, e.g. after the unit system changed
+     */
+    refreshLabels() {
+        this.segments.forEach(segment => {
+            if (!segment.label) return;
+            this.drawLabelText(segment.label.userData.canvas, this.formatDistance(segment.length));
+            segment.label.material.map.needsUpdate = true;
+        });
+    }
+
+    /**
+     * Close the polyline back to its first point
+     */
+    closeLoop() {
+        if (this.mode !== 'polyline' || this.isClosed || this.points.length < 3) return false;
+
+        const last = this.points[this.points.length - 1].position;
+        const first = this.points[0].position;
+        this.addSegment(last, first, this.closingLineColor);
+        this.isClosed = true;
+
+        const stats = this.getStatistics();
+        console.log(`🔁 Loop closed: perimeter ${stats.formattedTotalDistance}, area ${stats.formattedArea}`);
+
+        if (this.onMeasurementComplete) {
+            this.onMeasurementComplete(stats.totalDistance);
+        }
+        this.notifyStatsUpdate();
+        return true;
+    }
+
     /**
      * Calculate and return distance between the two points
      */
@@ -204,15 +386,105 @@ export class SimpleMeasurementTool {
         return distance;
     }
 
+    /**
+     * Sum of all segment lengths (the perimeter once the loop is closed)
+     */
+    getTotalDistance() {
+        if (this.mode === 'pair') {
+            return this.points.length === 2 ? this.points[0].position.distanceTo(this.points[1].position) : 0;
+        }
+        return this.segments.reduce((sum, segment) => sum + segment.length, 0);
+    }
+
+    /**
+     * Enclosed floor area of a closed loop, projected onto the ground (XZ) plane
+     */
+    getEnclosedArea() {
+        if (!this.isClosed) return 0;
+
+        // Shoelace formula
+        let twiceArea = 0;
+        for (let i = 0; i < this.points.length; i++) {
+            const a = this.points[i].position;
+            const b = this.points[(i + 1) % this.points.length].position;
+            twiceArea += a.x * b.z - b.x * a.z;
+        }
+        return Math.abs(twiceArea) / 2;
+    }
+
     /**
      * Format distance for display
      */
     formatDistance(distance) {
-        if (distance < 1) {
-            return `${(distance * 100).toFixed(1)} cm`;
-        } else {
-            return `${distance.toFixed(2)} m`;
+        return formatLength(distance);
+    }
+
+    /**
+     * Format an area in square meters for display
+     */
+    formatArea(area) {
+        return formatArea(area);
+    }
+
+    /**
+     * Move to the next unit system; labels follow through the subscription
+     */
+    toggleUnits() {
+        return toggleUnitSystem();
+    }
+
+    /**
+     * Remove the most recently placed point (and the segment leading to it)
+     */
+    undoLastPoint() {
+        if (!this.scene || this.points.length === 0) return false;
+
+        if (this.isClosed) {
+            // Re-open the loop first; the closing segment is the last one
+            this.removeSegment(this.segments.pop());
+            this.isClosed = false;
+            this.notifyStatsUpdate();
+            return true;
+        }
+
+        const pointData = this.points.pop();
+        this.disposeObject(pointData.mesh);
+
+        if (this.mode === 'polyline' && this.segments.length > 0) {
+            this.removeSegment(this.segments.pop());
+        }
+
+        if (this.line) {
+            this.disposeObject(this.line);
+            this.line = null;
         }
+
+        this.notifyStatsUpdate();
+        return true;
+    }
+
+    /**
+     * Remove a polyline segment's line and label from the scene
+     */
+    removeSegment(segment) {
+        if (!segment) return;
+        this.disposeObject(segment.line);
+        if (segment.label) {
+            if (segment.label.material && segment.label.material.map) {
+                segment.label.material.map.dispose();
+            }
+            this.disposeObject(segment.label);
+        }
+    }
+
+    /**
+     * Remove an object from the scene and release its GPU resources
+     */
+    disposeObject(object) {
+        if (!object) return;
+        this.scene.remove(object);
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
     }
 
     /**
@@ -236,8 +508,56 @@ export class SimpleMeasurementTool {
             this.line = null;
         }
         
+        // Remove polyline segments
+        this.segments.forEach(segment => this.removeSegment(segment));
+
         this.points = [];
+        this.segments = [];
+        this.isClosed = false;
         console.log('🧹 Measurement cleared');
+        this.notifyStatsUpdate();
+    }
+
+    /**
+     * Alias kept for callers that clear every measurement at once
+     */
+    clearAll() {
+        this.clear();
+    }
+
+    /**
+     * Get current measurement statistics
+     */
+    getStatistics() {
+        const totalDistance = this.getTotalDistance();
+        const area = this.getEnclosedArea();
+        const lineCount = this.mode === 'polyline' ? this.segments.length : (this.line ? 1 : 0);
+
+        return {
+            mode: this.mode,
+            units: this.units,
+            pointCount: this.points.length,
+            lineCount: lineCount,
+            segments: this.segments.map(segment => ({
+                length: segment.length,
+                formattedLength: this.formatDistance(segment.length)
+            })),
+            totalDistance: totalDistance,
+            formattedTotalDistance: this.formatDistance(totalDistance),
+            isClosed: this.isClosed,
+            perimeter: this.isClosed ? totalDistance : null,
+            area: this.isClosed ? area : null,
+            formattedArea: this.isClosed ? this.formatArea(area) : null
+        };
+    }
+
+    /**
+     * Notify listeners that statistics changed
+     */
+    notifyStatsUpdate() {
+        if (this.onStatsUpdate) {
+            this.onStatsUpdate(this.getStatistics());
+        }
     }
 
     /**
@@ -256,4 +576,6 @@ export class SimpleMeasurementTool {
             formattedDistance: this.formatDistance(distance)
         };
     }
-}
\ No newline at end of file
+}
+
+export { SimpleMeasurementTool as MeasurementTool };
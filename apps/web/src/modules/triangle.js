@@ -0,0 +1,367 @@
+/**
+ * Stereo Triangle Calculator
+ * Works out the ideal 60° equilateral listening position for a stereo pair
+ * and scores how close the measured layout is to it.
+ *
+ * All geometry is done on the floor (XZ) plane with plain {x, y, z} objects,
+ * so the math does not depend on THREE. Only the visualization needs THREE.
+ */
+
+const IDEAL_ANGLE_DEG = 60;
+
+// How far off ideal each part may be before it scores zero
+const ANGLE_TOLERANCE_DEG = 30;
+const DISTANCE_TOLERANCE_RATIO = 0.2;
+const TOE_IN_TOLERANCE_DEG = 30;
+
+// Contribution of each part to the overall score
+const WEIGHTS = {
+    angle: 0.45,
+    distanceSymmetry: 0.35,
+    toeIn: 0.2
+};
+
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Vector from a to b projected onto the floor plane
+ */
+const floorVector = (a, b) => ({ x: b.x - a.x, z: b.z - a.z });
+
+const floorLength = (v) => Math.sqrt(v.x * v.x + v.z * v.z);
+
+/**
+ * Unsigned angle between two floor vectors in degrees
+ */
+const angleBetween = (a, b) => {
+    const lengths = floorLength(a) * floorLength(b);
+    if (lengths === 0) return 0;
+    const cos = Math.min(1, Math.max(-1, (a.x * b.x + a.z * b.z) / lengths));
+    return toDegrees(Math.acos(cos));
+};
+
+/**
+ * Map an error onto a 0-100 score that reaches zero at the tolerance
+ */
+const scoreFromError = (error, tolerance) => Math.max(0, 1 - error / tolerance) * 100;
+
+export class TriangleCalculator {
+    constructor() {
+        this.speakers = [];
+        this.listenerPosition = null;
+        this.scene = null;
+        this.visualization = null;
+
+        // Visual settings
+        this.idealColor = 0x10b981; // Green ideal triangle
+        this.measuredColor = 0xffff00; // Yellow measured triangle
+        this.axisColor = 0xff6b6b; // On-axis rays
+        this.markerSize = 0.06;
+    }
+
+    /**
+     * Set the stereo pair.
+     * Each entry may be a position ({x, y, z}) or { position, facing } where
+     * facing is the direction the speaker's baffle points (used for toe-in).
+     */
+    setSpeakers(speakers) {
+        if (!Array.isArray(speakers) || speakers.length !== 2) {
+            throw new Error('Stereo triangle requires exactly 2 speakers');
+        }
+
+        this.speakers = speakers.map(speaker => {
+            const position = speaker.position || speaker;
+            return {
+                position: { x: position.x, y: position.y || 0, z: position.z },
+                facing: speaker.facing ? { x: speaker.facing.x, y: speaker.facing.y || 0, z: speaker.facing.z } : null
+            };
+        });
+    }
+
+    /**
+     * Set the direction one speaker faces (0 = left, 1 = right).
+     * Only the floor component is used; returns false for a zero-length direction.
+     */
+    setSpeakerFacing(index, facing) {
+        const speaker = this.speakers[index];
+        if (!speaker || !facing) return false;
+
+        const length = floorLength(facing);
+        if (length === 0) return false;
+
+        speaker.facing = { x: facing.x / length, y: 0, z: facing.z / length };
+        return true;
+    }
+
+    /**
+     * Index of the speaker within maxDistance of a floor point, or -1
+     */
+    findSpeakerNear(point, maxDistance) {
+        let nearest = -1;
+        let nearestDistance = maxDistance;
+        this.speakers.forEach((speaker, index) => {
+            const distance = floorLength(floorVector(speaker.position, point));
+            if (distance <= nearestDistance) {
+                nearest = index;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Set the measured listening position
+     */
+    setListenerPosition(position) {
+        this.listenerPosition = position ? { x: position.x, y: position.y || 0, z: position.z } : null;
+    }
+
+    /**
+     * Whether enough data is available to evaluate the triangle
+     */
+    isReady() {
+        return this.speakers.length === 2 && this.listenerPosition !== null;
+    }
+
+    /**
+     * Apex of the equilateral triangle built on the speaker baseline, on the
+     * listener's side of the speakers (towards +z when no listener is set).
+     */
+    getIdealListeningPoint() {
+        if (this.speakers.length !== 2) return null;
+
+        const left = this.speakers[0].position;
+        const right = this.speakers[1].position;
+        const baseline = floorVector(left, right);
+        const baseLength = floorLength(baseline);
+        if (baseLength === 0) return null;
+
+        const midpoint = {
+            x: (left.x + right.x) / 2,
+            y: (left.y + right.y) / 2,
+            z: (left.z + right.z) / 2
+        };
+
+        // Perpendicular to the baseline on the floor plane
+        let normal = { x: -baseline.z / baseLength, z: baseline.x / baseLength };
+        const reference = this.listenerPosition ?
+            floorVector(midpoint, this.listenerPosition) :
+            { x: 0, z: 1 };
+        if (normal.x * reference.x + normal.z * reference.z < 0) {
+            normal = { x: -normal.x, z: -normal.z };
+        }
+
+        const height = baseLength * Math.sqrt(3) / 2;
+        return {
+            x: midpoint.x + normal.x * height,
+            y: this.listenerPosition ? this.listenerPosition.y : midpoint.y,
+            z: midpoint.z + normal.z * height
+        };
+    }
+
+    /**
+     * Angle subtended by the speakers at the listener, in degrees
+     */
+    getListeningAngle() {
+        if (!this.isReady()) return null;
+
+        return angleBetween(
+            floorVector(this.listenerPosition, this.speakers[0].position),
+            floorVector(this.listenerPosition, this.speakers[1].position)
+        );
+    }
+
+    /**
+     * Toe-in error of each speaker: angle between its facing and the direction to the listener.
+     * Returns null for speakers without a known facing.
+     */
+    getToeInErrors() {
+        if (!this.isReady()) return [];
+
+        return this.speakers.map(speaker => {
+            if (!speaker.facing) return null;
+            return angleBetween(speaker.facing, floorVector(speaker.position, this.listenerPosition));
+        });
+    }
+
+    /**
+     * How far each speaker's on-axis line passes from the listener, in meters.
+     * null for speakers without a facing or with the listener behind them.
+     */
+    getOnAxisMisses() {
+        if (!this.isReady()) return [];
+
+        return this.speakers.map(speaker => {
+            if (!speaker.facing) return null;
+            const toListener = floorVector(speaker.position, this.listenerPosition);
+            const along = toListener.x * speaker.facing.x + toListener.z * speaker.facing.z;
+            if (along <= 0) return null;
+            return Math.abs(speaker.facing.z * toListener.x - speaker.facing.x * toListener.z);
+        });
+    }
+
+    /**
+     * Quality score broken down into its angle, distance-symmetry and toe-in parts.
+     * toeIn is null when neither speaker has a facing direction; its weight is then
+     * spread over the other parts.
+     */
+    getQualityBreakdown() {
+        if (!this.isReady()) return null;
+
+        const angle = this.getListeningAngle();
+        const angleScore = scoreFromError(Math.abs(angle - IDEAL_ANGLE_DEG), ANGLE_TOLERANCE_DEG);
+
+        const leftDistance = floorLength(floorVector(this.listenerPosition, this.speakers[0].position));
+        const rightDistance = floorLength(floorVector(this.listenerPosition, this.speakers[1].position));
+        const longest = Math.max(leftDistance, rightDistance);
+        const asymmetry = longest > 0 ? Math.abs(leftDistance - rightDistance) / longest : 0;
+        const symmetryScore = scoreFromError(asymmetry, DISTANCE_TOLERANCE_RATIO);
+
+        const toeInErrors = this.getToeInErrors().filter(error => error !== null);
+        const toeInScore = toeInErrors.length > 0 ?
+            toeInErrors.reduce((sum, error) => sum + scoreFromError(error, TOE_IN_TOLERANCE_DEG), 0) / toeInErrors.length :
+            null;
+
+        let weightedSum = WEIGHTS.angle * angleScore + WEIGHTS.distanceSymmetry * symmetryScore;
+        let totalWeight = WEIGHTS.angle + WEIGHTS.distanceSymmetry;
+        if (toeInScore !== null) {
+            weightedSum += WEIGHTS.toeIn * toeInScore;
+            totalWeight += WEIGHTS.toeIn;
+        }
+
+        return {
+            total: Math.round(weightedSum / totalWeight),
+            angle: Math.round(angleScore),
+            distanceSymmetry: Math.round(symmetryScore),
+            toeIn: toeInScore === null ? null : Math.round(toeInScore),
+            details: {
+                listeningAngle: angle,
+                leftDistance: leftDistance,
+                rightDistance: rightDistance,
+                toeInErrors: this.getToeInErrors(),
+                onAxisMisses: this.getOnAxisMisses()
+            }
+        };
+    }
+
+    /**
+     * Overall 0-100 triangle quality
+     */
+    getTriangleQuality() {
+        const breakdown = this.getQualityBreakdown();
+        return breakdown ? breakdown.total : 0;
+    }
+
+    /**
+     * Draw the ideal triangle and, when a listener is set, the measured one
+     */
+    drawTriangles(scene) {
+        if (!window.THREE || !scene || this.speakers.length !== 2) return;
+
+        this.clearVisualization();
+        this.scene = scene;
+        this.visualization = new window.THREE.Group();
+
+        const left = this.speakers[0].position;
+        const right = this.speakers[1].position;
+        const ideal = this.getIdealListeningPoint();
+        if (!ideal) return;
+
+        this.visualization.add(this.createTriangleLine([left, right, ideal], this.idealColor, 0.9));
+        this.visualization.add(this.createMarker(ideal, this.idealColor));
+        this.visualization.add(this.createMarker(left, this.measuredColor));
+        this.visualization.add(this.createMarker(right, this.measuredColor));
+
+        if (this.listenerPosition) {
+            this.visualization.add(this.createTriangleLine([left, right, this.listenerPosition], this.measuredColor, 0.6));
+        }
+
+        this.speakers.forEach(speaker => {
+            if (speaker.facing) {
+                this.visualization.add(this.createOnAxisRay(speaker));
+            }
+        });
+
+        scene.add(this.visualization);
+    }
+
+    /**
+     * Closed line loop through the given points
+     */
+    createTriangleLine(points, color, opacity) {
+        const vectors = points.map(point => new window.THREE.Vector3(point.x, point.y, point.z));
+        vectors.push(vectors[0].clone());
+
+        const geometry = new window.THREE.BufferGeometry().setFromPoints(vectors);
+        const material = new window.THREE.LineBasicMaterial({
+            color: color,
+            linewidth: 2,
+            transparent: true,
+            opacity: opacity
+        });
+        return new window.THREE.Line(geometry, material);
+    }
+
+    /**
+     * Line along a speaker's facing, reaching just past the listener
+     */
+    createOnAxisRay(speaker) {
+        const length = this.listenerPosition ?
+            floorLength(floorVector(speaker.position, this.listenerPosition)) + 0.5 :
+            3;
+        const start = new window.THREE.Vector3(speaker.position.x, speaker.position.y, speaker.position.z);
+        const end = new window.THREE.Vector3(
+            speaker.position.x + speaker.facing.x * length,
+            speaker.position.y,
+            speaker.position.z + speaker.facing.z * length
+        );
+
+        const geometry = new window.THREE.BufferGeometry().setFromPoints([start, end]);
+        const material = new window.THREE.LineBasicMaterial({
+            color: this.axisColor,
+            transparent: true,
+            opacity: 0.8
+        });
+        return new window.THREE.Line(geometry, material);
+    }
+
+    /**
+     * Small sphere marking a point of interest
+     */
+    createMarker(point, color) {
+        const geometry = new window.THREE.SphereGeometry(this.markerSize, 16, 16);
+        const material = new window.THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.8
+        });
+        const marker = new window.THREE.Mesh(geometry, material);
+        marker.position.set(point.x, point.y, point.z);
+        return marker;
+    }
+
+    /**
+     * Remove the triangle visualization from the scene
+     */
+    clearVisualization() {
+        if (!this.visualization) return;
+
+        if (this.scene) {
+            this.scene.remove(this.visualization);
+        }
+        this.visualization.traverse((object) => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        this.visualization = null;
+    }
+
+    /**
+     * Forget speakers and listener and remove the visualization
+     */
+    reset() {
+        this.clearVisualization();
+        this.speakers = [];
+        this.listenerPosition = null;
+    }
+}
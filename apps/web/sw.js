@@ -24,13 +24,14 @@ const STATIC_FILES = [
 // Network-first resources (always try network first)
 const NETWORK_FIRST = [
   '/src/',
-  'https://unpkg.com/three@',
-  'https://cdn.jsdelivr.net/@tensorflow'
+  'https://unpkg.com/three@'
 ];
 
 // Cache-first resources (use cache if available)
 const CACHE_FIRST = [
   '/icons/',
+  '/models/',
+  '/vendor/',
   '/screenshots/',
   '.png',
   '.jpg',
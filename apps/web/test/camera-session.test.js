@@ -0,0 +1,191 @@
+/**
+ * Camera session driven by a fake getUserMedia: the constraint fallback
+ * ladder, capability reads and stop() teardown.
+ */
+
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CameraSession, FALLBACK_CONSTRAINTS } from '../src/modules/camera-session.js';
+
+const cameraError = (name) => Object.assign(new Error(`${name} from fake camera`), { name });
+
+const fakeTrack = (capabilities = {}, settings = {}) => ({
+    label: 'Fake rear camera',
+    stopped: false,
+    stop() { this.stopped = true; },
+    getCapabilities: () => capabilities,
+    getSettings: () => settings
+});
+
+const fakeStream = (track) => ({
+    getTracks: () => [track],
+    getVideoTracks: () => [track]
+});
+
+/**
+ * getUserMedia that answers each call with the next outcome: an error name
+ * to reject with, or a stream to resolve with. Records the constraints it was given.
+ */
+const fakeMediaDevices = (outcomes, devices = []) => {
+    const calls = [];
+    return {
+        calls,
+        getUserMedia: async (constraints) => {
+            calls.push(constraints);
+            const outcome = outcomes[calls.length - 1];
+            if (typeof outcome === 'string') throw cameraError(outcome);
+            return outcome;
+        },
+        enumerateDevices: async () => devices
+    };
+};
+
+// Just enough DOM for createVideoElement and the container bookkeeping
+const fakeElement = () => ({
+    style: {},
+    children: [],
+    parentNode: null,
+    setAttribute() {},
+    play: async () => {},
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+    },
+    removeChild(child) {
+        child.parentNode = null;
+        this.children = this.children.filter(other => other !== child);
+    }
+});
+
+const fakeContainer = () => {
+    const classes = new Set();
+    return Object.assign(fakeElement(), {
+        clientWidth: 640,
+        clientHeight: 480,
+        classList: {
+            add: (name) => classes.add(name),
+            remove: (name) => classes.delete(name),
+            contains: (name) => classes.has(name)
+        }
+    });
+};
+
+describe('CameraSession with a fake stream', () => {
+    beforeEach(() => {
+        globalThis.window = {}; // No THREE, so no overlay
+        globalThis.document = { createElement: fakeElement };
+    });
+
+    afterEach(() => {
+        delete globalThis.window;
+        delete globalThis.document;
+    });
+
+    test('takes the first constraint set that is granted', async () => {
+        const stream = fakeStream(fakeTrack());
+        const mediaDevices = fakeMediaDevices([stream]);
+        const session = new CameraSession({ mediaDevices });
+
+        assert.equal(await session.requestCameraWithFallback(), stream);
+        assert.equal(mediaDevices.calls.length, 1);
+        assert.equal(session.activeConstraint, FALLBACK_CONSTRAINTS[0].label);
+    });
+
+    test('walks down the ladder past constraints the camera cannot meet', async () => {
+        const stream = fakeStream(fakeTrack());
+        const mediaDevices = fakeMediaDevices(['OverconstrainedError', 'NotFoundError', 'NotReadableError', stream]);
+        const session = new CameraSession({ mediaDevices });
+
+        assert.equal(await session.requestCameraWithFallback(), stream);
+        assert.deepEqual(mediaDevices.calls, FALLBACK_CONSTRAINTS.slice(0, 4).map(step => step.constraints));
+        assert.equal(session.activeConstraint, FALLBACK_CONSTRAINTS[3].label);
+        assert.deepEqual(session.attempts.map(attempt => attempt.success), [false, false, false, true]);
+        assert.equal(session.attempts[0].error.name, 'OverconstrainedError');
+    });
+
+    test('stops at a denied permission instead of trying the other cameras', async () => {
+        const mediaDevices = fakeMediaDevices(['NotAllowedError']);
+        const session = new CameraSession({ mediaDevices });
+
+        await assert.rejects(session.requestCameraWithFallback(), { message: 'Camera access was denied' });
+        assert.equal(mediaDevices.calls.length, 1);
+        assert.equal(session.activeConstraint, null);
+    });
+
+    test('reports no camera once every constraint set is exhausted', async () => {
+        const mediaDevices = fakeMediaDevices(FALLBACK_CONSTRAINTS.map(() => 'NotFoundError'));
+        const session = new CameraSession({ mediaDevices });
+
+        await assert.rejects(session.requestCameraWithFallback(), { message: 'No camera found on this device' });
+        assert.equal(mediaDevices.calls.length, FALLBACK_CONSTRAINTS.length);
+    });
+
+    test('reads capabilities and settings of the granted track', async () => {
+        const track = fakeTrack(
+            {
+                facingMode: ['environment'],
+                width: { min: 320, max: 1920, step: 1 },
+                zoom: { min: 1, max: 8 },
+                torch: true
+            },
+            { deviceId: 'rear', facingMode: 'environment', width: 1280, height: 720 }
+        );
+        const session = new CameraSession({ mediaDevices: fakeMediaDevices([fakeStream(track)]) });
+
+        assert.equal(session.getCapabilities(), null); // Nothing granted yet
+
+        await session.initialize(fakeContainer());
+        await session.start();
+        const capabilities = session.getCapabilities();
+
+        assert.equal(capabilities.label, 'Fake rear camera');
+        assert.deepEqual(capabilities.facingModes, ['environment']);
+        assert.deepEqual(capabilities.width, { min: 320, max: 1920, step: 1 });
+        assert.deepEqual(capabilities.zoom, { min: 1, max: 8, step: null });
+        assert.equal(capabilities.height, null);
+        assert.deepEqual(capabilities.focusModes, []);
+        assert.equal(capabilities.torch, true);
+        assert.equal(capabilities.settings.width, 1280);
+        assert.equal(capabilities.settings.frameRate, null);
+        session.stop();
+    });
+
+    test('lists video inputs with fallback labels in diagnostics', async () => {
+        const devices = [
+            { kind: 'audioinput', deviceId: 'mic', groupId: 'a', label: 'Mic' },
+            { kind: 'videoinput', deviceId: 'rear', groupId: 'b', label: '' }
+        ];
+        const session = new CameraSession({ mediaDevices: fakeMediaDevices([], devices) });
+
+        const report = await session.debugCameraCapabilities();
+        assert.equal(report.supported, true);
+        assert.deepEqual(report.devices, [{ deviceId: 'rear', groupId: 'b', label: 'Camera 1' }]);
+    });
+
+    test('stop() ends every track and removes the video feed', async () => {
+        const track = fakeTrack();
+        const container = fakeContainer();
+        let granted = false;
+        const session = new CameraSession({ mediaDevices: fakeMediaDevices([fakeStream(track)]) });
+        session.setPermissionGrantedCallback(() => { granted = true; });
+
+        await session.initialize(container);
+        await session.start();
+        const video = session.video;
+
+        assert.ok(granted);
+        assert.ok(session.isRunning);
+        assert.ok(container.classList.contains('camera-active'));
+        assert.equal(video.srcObject, session.stream);
+
+        session.stop();
+
+        assert.ok(track.stopped);
+        assert.equal(session.isRunning, false);
+        assert.equal(session.stream, null);
+        assert.equal(session.video, null);
+        assert.equal(video.srcObject, null);
+        assert.deepEqual(container.children, []);
+        assert.ok(!container.classList.contains('camera-active'));
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Speaker detection on the TensorFlow.js CPU backend, with the bundled
+ * COCO-SSD model served over HTTP the way the app loads it.
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReadStream, existsSync, readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as tf from '@tensorflow/tfjs';
+import * as cocoSsd from '@tensorflow-models/coco-ssd';
+import { DEFAULT_MODEL_URL, SPEAKER_CLASS_WEIGHTS, SpeakerDetector } from '../src/modules/detection.js';
+
+const appRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Serves the app directory, like http-server in `npm run dev`
+const serveAppRoot = () => new Promise((resolve) => {
+    const server = createServer((request, response) => {
+        const path = join(appRoot, decodeURIComponent(new URL(request.url, 'http://localhost').pathname));
+        if (!path.startsWith(appRoot) || !existsSync(path)) {
+            response.writeHead(404).end();
+            return;
+        }
+        response.writeHead(200);
+        createReadStream(path).pipe(response);
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+// Mid-grey RGBA frame in the { data, width, height } shape tf.browser.fromPixels accepts
+const greyFrame = (width, height) => ({
+    data: new Uint8Array(width * height * 4).fill(128),
+    width,
+    height
+});
+
+const detection = (className, bbox, score = 0.8) => ({ class: className, bbox, score });
+
+const FRAME = { width: 640, height: 480 };
+
+describe('bundled model files', () => {
+    test('model.json and every weight shard it lists are committed', () => {
+        const modelPath = join(appRoot, DEFAULT_MODEL_URL);
+        assert.ok(existsSync(modelPath), `${DEFAULT_MODEL_URL} is missing`);
+
+        const model = JSON.parse(readFileSync(modelPath, 'utf8'));
+        const shards = model.weightsManifest.flatMap(group => group.paths);
+        assert.ok(shards.length > 0);
+        shards.forEach(shard => assert.ok(existsSync(join(dirname(modelPath), shard)), `${shard} is missing`));
+    });
+});
+
+describe('SpeakerDetector on the CPU backend', () => {
+    let server;
+    let detector;
+
+    before(async () => {
+        server = await serveAppRoot();
+        detector = new SpeakerDetector({
+            tf,
+            cocoSsd,
+            backend: 'cpu',
+            modelUrl: `http://127.0.0.1:${server.address().port}/${DEFAULT_MODEL_URL}`
+        });
+    });
+
+    after(() => {
+        detector.dispose();
+        server.close();
+    });
+
+    test('loads the local model once', async () => {
+        const model = await detector.load();
+        assert.equal(tf.getBackend(), 'cpu');
+        assert.equal(await detector.load(), model);
+    });
+
+    test('runs on a frame and returns speaker candidates only', async () => {
+        const candidates = await detector.detect(greyFrame(300, 300));
+        assert.ok(Array.isArray(candidates));
+        candidates.forEach(candidate => assert.ok(candidate.sourceClass in SPEAKER_CLASS_WEIGHTS));
+    });
+
+    test('skips sources that have no size yet', async () => {
+        assert.deepEqual(await detector.detect({ videoWidth: 0, videoHeight: 0 }), []);
+    });
+});
+
+describe('speaker candidates', () => {
+    const detector = new SpeakerDetector();
+
+    test('ignores classes that are not speaker-like', () => {
+        assert.equal(detector.scoreDetection(detection('person', [100, 100, 100, 200]), FRAME), null);
+    });
+
+    test('rejects boxes too small or too large for the frame', () => {
+        assert.equal(detector.scoreDetection(detection('tv', [0, 0, 10, 10]), FRAME), null);
+        assert.equal(detector.scoreDetection(detection('tv', [0, 0, 640, 480]), FRAME), null);
+    });
+
+    test('prefers upright boxes and anchors them at the bottom center', () => {
+        const upright = detector.scoreDetection(detection('tv', [100, 100, 100, 200]), FRAME);
+        const wide = detector.scoreDetection(detection('tv', [100, 100, 200, 100]), FRAME);
+
+        assert.equal(upright.shapeFactor, 1);
+        assert.ok(wide.shapeFactor < 1);
+        assert.ok(upright.confidence > wide.confidence);
+        assert.deepEqual(upright.anchor, { x: 150 / 640, y: 300 / 480 });
+    });
+
+    test('drops weaker candidates that overlap a stronger one', () => {
+        const candidates = detector.toSpeakerCandidates([
+            detection('refrigerator', [100, 100, 100, 200], 0.6),
+            detection('tv', [105, 100, 100, 200], 0.9),
+            detection('laptop', [400, 100, 100, 200], 0.9)
+        ], FRAME);
+
+        assert.deepEqual(candidates.map(candidate => candidate.sourceClass), ['tv', 'laptop']);
+        assert.deepEqual(candidates.map(candidate => candidate.id), ['candidate_1', 'candidate_2']);
+    });
+});
@@ -1,5 +1,18 @@
 import { useState, useEffect } from 'react';
 import MyUI from './components/MyUI';
+import RoomPicker from './components/RoomPicker';
+import SurroundPlanner from './components/SurroundPlanner';
+import FloorPlanEditor from './components/FloorPlanEditor';
+import MeasurementHistoryPanel from './components/MeasurementHistoryPanel';
+import ListeningAreaPanel from './components/ListeningAreaPanel';
+import CalibrationPanel from './components/CalibrationPanel';
+import RoomModesPanel from './components/RoomModesPanel';
+import SbirPanel from './components/SbirPanel';
+import FirstReflectionsPanel from './components/FirstReflectionsPanel';
+import SubwooferPanel from './components/SubwooferPanel';
+import SceneExchangePanel from './components/SceneExchangePanel';
+import { useUndoRedoShortcuts } from './components/UndoRedoControls';
+import UnitSettings, { useUnits } from './components/UnitSettings';
 import { useResourceInstances } from './components/models/ResourceInstances';
 import './App.css';
 
@@ -22,6 +35,10 @@ function App() {
     getListeners,
     calculateDistance
   } = useResourceInstances();
+  const { formatLength } = useUnits();
+
+  // Desktop keyboard undo/redo for the whole app
+  useUndoRedoShortcuts();
 
   // Check for AR/camera support and permissions
   useEffect(() => {
@@ -113,6 +130,7 @@ function App() {
         {/* Statistics Panel */}
         <div className="stats-panel">
           <h3>Current Setup</h3>
+          <RoomPicker compact />
           <div className="stats-grid">
             <div className="stat-item">
               <span className="stat-value">{stats.speakerCount}</span>
@@ -128,11 +146,63 @@ function App() {
             </div>
             <div className="stat-item">
               <span className="stat-value">
-                {stats.averageDistance > 0 ? `${(stats.averageDistance * 100).toFixed(0)}cm` : '-'}
+                {stats.averageDistance > 0 ? formatLength(stats.averageDistance) : '-'}
               </span>
               <span className="stat-label">Avg Distance</span>
             </div>
           </div>
+          <SurroundPlanner style={{ marginTop: '15px' }} />
+        </div>
+
+        <div className="stats-panel">
+          <h3>Units</h3>
+          <UnitSettings />
+        </div>
+
+        <div className="stats-panel">
+          <h3>Floor Plan</h3>
+          <FloorPlanEditor />
+        </div>
+
+        <div className="stats-panel">
+          <h3>Measurements</h3>
+          <MeasurementHistoryPanel />
+        </div>
+
+        <div className="stats-panel">
+          <h3>Listening Area</h3>
+          <ListeningAreaPanel />
+        </div>
+
+        <div className="stats-panel">
+          <h3>Receiver Calibration</h3>
+          <CalibrationPanel />
+        </div>
+
+        {/* Room Acoustics */}
+        <div className="stats-panel">
+          <h3>Room Modes</h3>
+          <RoomModesPanel />
+        </div>
+
+        <div className="stats-panel">
+          <h3>Speaker Boundary Interference</h3>
+          <SbirPanel />
+        </div>
+
+        <div className="stats-panel">
+          <h3>First Reflections</h3>
+          <FirstReflectionsPanel />
+        </div>
+
+        <div className="stats-panel">
+          <h3>Subwoofer Placement</h3>
+          <SubwooferPanel />
+        </div>
+
+        <div className="stats-panel">
+          <h3>Import / Export</h3>
+          <SceneExchangePanel />
         </div>
 
         {/* Main UI Component */}
@@ -1,5 +1,43 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react';
-// import * as THREE from 'three'; // Will be used for 3D calculations
+import { Vector3 } from 'three';
+import UndoRedoControls from './UndoRedoControls';
+import { LengthInput, useUnits } from './UnitSettings';
+import { useARStore } from './ARStore';
+import { formatSpeakerTag } from './models/SurroundLayouts';
+import {
+  calibrateScale,
+  DEFAULT_TAP_DEPTH,
+  measurementUncertainty,
+  REFERENCE_OBJECTS,
+  ReferenceObjectId,
+  ScaleCalibration,
+  TapRay
+} from './models/CameraScale';
+import {
+  CameraIntrinsics,
+  displayToPixel,
+  focalFromRectangle,
+  horizontalFov,
+  intrinsicsForTrack,
+  IntrinsicsSource,
+  pixelToDisplay,
+  pixelToRay,
+  pointToPixel,
+  rescaleIntrinsics,
+  withFocalLength
+} from './models/CameraIntrinsics';
+import {
+  averageUp,
+  cameraPitch,
+  DEFAULT_CAMERA_HEIGHT,
+  deviceOrientationSource,
+  floorDistanceUncertainty,
+  intersectFloor,
+  ORIENTATION_WINDOW,
+  OrientationSample,
+  OrientationSource,
+  requestOrientationPermission
+} from './models/FloorPlane';
 
 interface Point3D {
   x: number;
@@ -13,12 +51,41 @@ interface MeasurementPoint {
   screenPosition: { x: number; y: number };
 }
 
+type TapMode = 'measure' | 'speaker' | 'listener' | 'calibrate' | 'lens';
+
+const TAP_MODE_LABELS: Record<TapMode, string> = {
+  measure: '📏 Measure',
+  speaker: '🔊 Speaker',
+  listener: '👤 Listener',
+  calibrate: '📐 Calibrate',
+  lens: '🎯 Lens'
+};
+
+const INTRINSICS_SOURCE_LABELS: Record<IntrinsicsSource, string> = {
+  checkerboard: 'calibrated from target',
+  profile: 'device profile',
+  default: 'generic phone camera'
+};
+
+const LENS_CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+// Lens model for the playing stream, from the track settings and the device table
+const intrinsicsForVideo = (video: HTMLVideoElement): CameraIntrinsics => {
+  const track = video.srcObject instanceof MediaStream ? video.srcObject.getVideoTracks()[0] : undefined;
+  const settings: MediaTrackSettings & { zoom?: number } = track?.getSettings() ?? {};
+  // Not every browser has getCapabilities (Firefox)
+  const capabilities = typeof track?.getCapabilities === 'function' ? track.getCapabilities() : {};
+  return intrinsicsForTrack(settings, navigator.userAgent, { width: video.videoWidth, height: video.videoHeight }, capabilities);
+};
+
 interface ARSpeakerHelperProps {
   onClose: () => void;
   onMeasurement?: (distance: number, points: MeasurementPoint[]) => void;
+  // Where floor taps get the phone's tilt; defaults to the device sensor
+  orientationSource?: OrientationSource;
 }
 
-export const ARSpeakerHelper: React.FC<ARSpeakerHelperProps> = ({ onClose, onMeasurement }) => {
+export const ARSpeakerHelper: React.FC<ARSpeakerHelperProps> = ({ onClose, onMeasurement, orientationSource = deviceOrientationSource }) => {
   const videoRef = useRef<HTMLVideoElement>(null);
   const canvasRef = useRef<HTMLCanvasElement>(null);
   const [isActive, setIsActive] = useState(false);
@@ -26,6 +93,53 @@ export const ARSpeakerHelper: React.FC<ARSpeakerHelperProps> = ({ onClose, onMea
   const [measurementPoints, setMeasurementPoints] = useState<MeasurementPoint[]>([]);
   const [currentDistance, setCurrentDistance] = useState<number | null>(null);
   const [error, setError] = useState<string | null>(null);
+  const [tapMode, setTapMode] = useState<TapMode>('measure');
+  
+  // Scale from a reference of known length; until then taps sit at a guessed depth
+  const [calibration, setCalibration] = useState<ScaleCalibration | null>(null);
+  const [referenceId, setReferenceId] = useState<ReferenceObjectId>('a4-long');
+  const [typedLength, setTypedLength] = useState<number | null>(null);
+  const [calibrationTaps, setCalibrationTaps] = useState<{ ray: TapRay; screen: { x: number; y: number } }[]>([]);
+  const tapDepth = calibration?.depth ?? DEFAULT_TAP_DEPTH;
+  const reference = REFERENCE_OBJECTS.find(candidate => candidate.id === referenceId) ?? REFERENCE_OBJECTS[0];
+  const referenceLength = reference.length ?? (typedLength !== null && typedLength > 0 ? typedLength : null);
+  
+  // Floor taps: tilt from the orientation sensor plus how high the phone is held
+  const [floorMode, setFloorMode] = useState(false);
+  const [cameraHeight, setCameraHeight] = useState<number | null>(DEFAULT_CAMERA_HEIGHT);
+  const [pitch, setPitch] = useState<number | null>(null);
+  const [floorMissed, setFloorMissed] = useState(false);
+  const orientationSamples = useRef<OrientationSample[]>([]);
+  const floorHeight = cameraHeight !== null && cameraHeight > 0 ? cameraHeight : null;
+  
+  const measuredPixels = measurementPoints.length === 2
+    ? Math.hypot(
+      measurementPoints[0].screenPosition.x - measurementPoints[1].screenPosition.x,
+      measurementPoints[0].screenPosition.y - measurementPoints[1].screenPosition.y
+    )
+    : 0;
+  const floorUp = floorMode ? averageUp(orientationSamples.current) : null;
+  const uncertainty = currentDistance === null ? 0
+    : floorMode && floorUp && floorHeight !== null && measurementPoints.length === 2
+      ? floorDistanceUncertainty(
+        new Vector3(measurementPoints[0].position.x, measurementPoints[0].position.y, measurementPoints[0].position.z),
+        new Vector3(measurementPoints[1].position.x, measurementPoints[1].position.y, measurementPoints[1].position.z),
+        floorUp,
+        floorHeight
+      )
+      : measurementUncertainty(currentDistance, measuredPixels, calibration);
+  
+  // Lens model; a target photographed at an angle replaces the device estimate
+  const [intrinsics, setIntrinsics] = useState<CameraIntrinsics | null>(null);
+  const [lensCorners, setLensCorners] = useState<{ x: number; y: number }[]>([]);
+  const [lensFailed, setLensFailed] = useState(false);
+  const [targetWidth, setTargetWidth] = useState<number | null>(0.297);
+  const [targetHeight, setTargetHeight] = useState<number | null>(0.21);
+  const targetAspect = targetWidth !== null && targetHeight !== null ? targetWidth / targetHeight : NaN;
+  
+  // Speakers and listeners live in the shared scene model, same as in the XR view
+  const { speakers, listeners, addSpeaker, addListener } = useARStore();
+  const { formatLength, formatAngle, lengthSymbol } = useUnits();
 
   // Initialize camera
   const initializeCamera = useCallback(async () => {
@@ -68,26 +182,46 @@ export const ARSpeakerHelper: React.FC<ARSpeakerHelperProps> = ({ onClose, onMea
     return Math.sqrt(dx * dx + dy * dy + dz * dz);
   };
 
+  // Until the video reports its size, assume a generic camera filling the overlay
+  const currentIntrinsics = (canvas: HTMLCanvasElement): CameraIntrinsics =>
+    intrinsics ?? intrinsicsForTrack({}, navigator.userAgent, { width: canvas.clientWidth, height: canvas.clientHeight });
+
   // Convert screen coordinates to estimated 3D position
   const screenTo3D = (screenX: number, screenY: number, estimatedDepth = 1.0): Point3D => {
     if (!canvasRef.current) return { x: 0, y: 0, z: 0 };
     
-    const rect = canvasRef.current.getBoundingClientRect();
-    const normalizedX = (screenX - rect.width / 2) / (rect.width / 2);
-    const normalizedY = -(screenY - rect.height / 2) / (rect.height / 2);
-    
-    // Simple perspective projection approximation
-    const fov = Math.PI / 4; // 45 degrees
-    const aspect = rect.width / rect.height;
+    const canvas = canvasRef.current;
+    const lens = currentIntrinsics(canvas);
+    const pixel = displayToPixel(lens, canvas.clientWidth, canvas.clientHeight, { x: screenX, y: screenY });
+    const ray = pixelToRay(lens, pixel.x, pixel.y);
     
     return {
-      x: normalizedX * estimatedDepth * Math.tan(fov / 2) * aspect,
-      y: normalizedY * estimatedDepth * Math.tan(fov / 2),
+      x: ray.x * estimatedDepth,
+      y: ray.y * estimatedDepth,
       z: -estimatedDepth
     };
   };
 
-  // Handle tap/click to add measurement points
+  // Inverse of screenTo3D, for drawing scene entities on the overlay
+  const project3DToScreen = (point: Point3D): { x: number; y: number } | null => {
+    if (!canvasRef.current) return null;
+    
+    const canvas = canvasRef.current;
+    const lens = currentIntrinsics(canvas);
+    const pixel = pointToPixel(lens, point);
+    return pixel && pixelToDisplay(lens, canvas.clientWidth, canvas.clientHeight, pixel);
+  };
+
+  // Where a tap lands: on the floor in floor mode, otherwise on the calibrated tap plane
+  const tapPoint = (screenX: number, screenY: number): Point3D | null => {
+    if (!floorMode) return screenTo3D(screenX, screenY, tapDepth);
+    
+    const up = averageUp(orientationSamples.current);
+    if (!up || floorHeight === null) return null;
+    return intersectFloor(screenTo3D(screenX, screenY, 1), up, floorHeight);
+  };
+
+  // Handle tap/click to add measurement points or place speakers and listeners
   const handleCanvasClick = useCallback((event: React.MouseEvent<HTMLCanvasElement>) => {
     if (!isActive || !canvasRef.current) return;
 
@@ -95,9 +229,73 @@ export const ARSpeakerHelper: React.FC<ARSpeakerHelperProps> = ({ onClose, onMea
     const x = event.clientX - rect.left;
     const y = event.clientY - rect.top;
 
+    if (tapMode === 'lens') {
+      if (!(targetAspect > 0 && Number.isFinite(targetAspect))) return;
+      const corners = [...lensCorners, { x, y }];
+      setLensFailed(false);
+      if (corners.length < 4) {
+        setLensCorners(corners);
+        return;
+      }
+      
+      const canvas = canvasRef.current;
+      const lens = currentIntrinsics(canvas);
+      const pixels = corners.map(corner => displayToPixel(lens, canvas.clientWidth, canvas.clientHeight, corner));
+      const focal = focalFromRectangle(lens, pixels, targetAspect);
+      setLensCorners([]);
+      if (focal === null) {
+        setLensFailed(true);
+        return;
+      }
+      setIntrinsics(withFocalLength(lens, focal));
+      // Rays spread less with a longer lens, so the reference sits proportionally farther away
+      setCalibration(prev => prev && { ...prev, depth: prev.depth * focal / lens.fx });
+      setMeasurementPoints([]);
+      setCurrentDistance(null);
+      setTapMode('measure');
+      return;
+    }
+
+    if (tapMode === 'calibrate') {
+      if (referenceLength === null) return;
+      const { x: rayX, y: rayY } = screenTo3D(x, y, 1);
+      const taps = [...calibrationTaps, { ray: { x: rayX, y: rayY }, screen: { x, y } }];
+      if (taps.length < 2) {
+        setCalibrationTaps(taps);
+        return;
+      }
+      
+      const [a, b] = taps;
+      const pixels = Math.hypot(a.screen.x - b.screen.x, a.screen.y - b.screen.y);
+      const solved = calibrateScale(reference, referenceLength, a.ray, b.ray, pixels);
+      setCalibrationTaps([]);
+      if (solved) {
+        setCalibration(solved);
+        // Earlier points were placed at the old depth
+        setMeasurementPoints([]);
+        setCurrentDistance(null);
+        setTapMode('measure');
+      }
+      return;
+    }
+
+    const point = tapPoint(x, y);
+    setFloorMissed(point === null);
+    if (!point) return;
+
+    if (tapMode !== 'measure') {
+      const position = new Vector3(point.x, point.y, point.z);
+      if (tapMode === 'speaker') {
+        addSpeaker(position);
+      } else {
+        addListener(position);
+      }
+      return;
+    }
+
     const newPoint: MeasurementPoint = {
       id: `point_${Date.now()}`,
-      position: screenTo3D(x, y, 1.5), // Estimate 1.5m depth
+      position: point,
       screenPosition: { x, y }
     };
 
@@ -118,7 +316,7 @@ export const ARSpeakerHelper: React.FC<ARSpeakerHelperProps> = ({ onClose, onMea
       
       return newPoints;
     });
-  }, [isActive, onMeasurement]);
+  }, [isActive, onMeasurement, tapMode, addSpeaker, addListener, tapDepth, calibrationTaps, reference, referenceLength, intrinsics, lensCorners, targetAspect, floorMode, floorHeight]);
 
   // Draw overlay on canvas
   const drawOverlay = useCallback(() => {
@@ -128,8 +326,27 @@ export const ARSpeakerHelper: React.FC<ARSpeakerHelperProps> = ({ onClose, onMea
     const ctx = canvas.getContext('2d');
     if (!ctx) return;
 
+    // Draw in CSS pixels, the same space taps arrive in
+    if (canvas.width !== canvas.clientWidth || canvas.height !== canvas.clientHeight) {
+      canvas.width = canvas.clientWidth;
+      canvas.height = canvas.clientHeight;
+    }
+
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
+    // Draw placed speakers and listeners
+    [...speakers, ...listeners].forEach((entity) => {
+      const screen = project3DToScreen(entity.position);
+      if (!screen) return;
+
+      ctx.fillStyle = entity.type === 'speaker' ? '#ff6b6b' : '#4ecdc4';
+      ctx.fillRect(screen.x - 8, screen.y - 8, 16, 16);
+      ctx.fillStyle = '#ffffff';
+      ctx.font = '12px Arial';
+      ctx.textAlign = 'left';
+      ctx.fillText(entity.type === 'speaker' ? formatSpeakerTag(entity) : entity.metadata.name, screen.x + 12, screen.y + 4);
+    });
+
     // Draw measurement points
     measurementPoints.forEach((point, index) => {
       ctx.fillStyle = '#00ff00';
@@ -161,10 +378,33 @@ export const ARSpeakerHelper: React.FC<ARSpeakerHelperProps> = ({ onClose, onMea
         ctx.fillStyle = '#ffff00';
         ctx.font = 'bold 16px Arial';
         ctx.textAlign = 'center';
-        ctx.fillText(`${(currentDistance * 100).toFixed(1)} cm`, midX, midY - 10);
+        ctx.fillText(`${formatLength(currentDistance)} ± ${formatLength(uncertainty)}`, midX, midY - 10);
       }
     }
 
+    // Draw reference taps while calibrating
+    calibrationTaps.forEach(({ screen }) => {
+      ctx.fillStyle = '#ff9500';
+      ctx.beginPath();
+      ctx.arc(screen.x, screen.y, 8, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+
+    // Draw target corners while calibrating the lens, joined in tap order
+    if (lensCorners.length > 0) {
+      ctx.strokeStyle = '#ff9500';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      lensCorners.forEach(({ x, y }, index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+      ctx.stroke();
+      lensCorners.forEach(({ x, y }) => {
+        ctx.fillStyle = '#ff9500';
+        ctx.beginPath();
+        ctx.arc(x, y, 8, 0, 2 * Math.PI);
+        ctx.fill();
+      });
+    }
+
     // Draw crosshair in center
     const centerX = canvas.width / 2;
     const centerY = canvas.height / 2;
@@ -181,43 +421,105 @@ export const ARSpeakerHelper: React.FC<ARSpeakerHelperProps> = ({ onClose, onMea
     ctx.fillStyle = '#ffffff';
     ctx.font = '16px Arial';
     ctx.textAlign = 'center';
-    ctx.fillText('Tap to measure distance between two points', canvas.width / 2, 40);
+    if (tapMode === 'lens') {
+      ctx.fillText('Hold the target flat, tilted well away from face-on', canvas.width / 2, 40);
+      ctx.fillText(
+        lensFailed
+          ? 'Could not solve the lens; tilt the target more and tap again'
+          : `Tap its ${LENS_CORNERS[lensCorners.length]} corner`,
+        canvas.width / 2,
+        canvas.height - 40
+      );
+      return;
+    }
+    if (tapMode === 'calibrate') {
+      ctx.fillText(`Tap both ends of the ${reference.name.toLowerCase()}`, canvas.width / 2, 40);
+      ctx.fillText(
+        referenceLength === null
+          ? 'Enter the length above first'
+          : calibrationTaps.length === 0 ? 'Tap the first end' : 'Tap the other end',
+        canvas.width / 2,
+        canvas.height - 40
+      );
+      return;
+    }
+    ctx.fillText(floorMode ? 'Tap two spots on the floor' : 'Tap to measure distance between two points', canvas.width / 2, 40);
     
-    if (measurementPoints.length === 1) {
+    if (floorMissed) {
+      ctx.fillText(
+        averageUp(orientationSamples.current) ? 'That tap misses the floor; aim lower' : 'Waiting for the orientation sensor',
+        canvas.width / 2,
+        canvas.height - 40
+      );
+    } else if (measurementPoints.length === 1) {
       ctx.fillText('Tap second point to complete measurement', canvas.width / 2, canvas.height - 40);
     } else if (measurementPoints.length === 0) {
       ctx.fillText('Tap first point to start measuring', canvas.width / 2, canvas.height - 40);
     }
-  }, [measurementPoints, currentDistance]);
+  }, [measurementPoints, currentDistance, uncertainty, speakers, listeners, tapMode, calibrationTaps, reference, referenceLength, intrinsics, lensCorners, lensFailed, floorMode, floorMissed, formatLength]);
 
   // Animation loop
   useEffect(() => {
     if (!isActive) return;
 
+    let frame = 0;
     const animate = () => {
       drawOverlay();
-      requestAnimationFrame(animate);
+      frame = requestAnimationFrame(animate);
     };
 
     animate();
+    return () => cancelAnimationFrame(frame);
   }, [isActive, drawOverlay]);
 
-  // Set canvas size when video loads
+  // Read the lens model when video loads, and follow the frame size through rotations
   useEffect(() => {
     const video = videoRef.current;
-    const canvas = canvasRef.current;
 
-    if (video && canvas) {
-      const handleLoadedMetadata = () => {
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
+    if (video) {
+      const handleVideoSize = () => {
+        if (!video.videoWidth || !video.videoHeight) return;
+        setIntrinsics(current => current?.source === 'checkerboard'
+          ? rescaleIntrinsics(current, video.videoWidth, video.videoHeight)
+          : intrinsicsForVideo(video));
       };
 
-      video.addEventListener('loadedmetadata', handleLoadedMetadata);
-      return () => video.removeEventListener('loadedmetadata', handleLoadedMetadata);
+      video.addEventListener('loadedmetadata', handleVideoSize);
+      video.addEventListener('resize', handleVideoSize);
+      return () => {
+        video.removeEventListener('loadedmetadata', handleVideoSize);
+        video.removeEventListener('resize', handleVideoSize);
+      };
     }
   }, []);
 
+  // Keep a short run of orientation samples while floor taps are on
+  useEffect(() => {
+    if (!floorMode) return;
+
+    orientationSamples.current = [];
+    const unsubscribe = orientationSource((sample) => {
+      orientationSamples.current = [...orientationSamples.current, sample].slice(-ORIENTATION_WINDOW);
+      const up = averageUp(orientationSamples.current);
+      if (up) setPitch(Math.round(cameraPitch(up)));
+    });
+    return () => {
+      unsubscribe();
+      setPitch(null);
+    };
+  }, [floorMode, orientationSource]);
+
+  const toggleFloorMode = async () => {
+    if (!floorMode && !(await requestOrientationPermission())) {
+      setError('Floor taps need motion sensor access. Please allow it and try again.');
+      return;
+    }
+    // Points on the floor and on the tap plane don't mix
+    setFloorMode(!floorMode);
+    setFloorMissed(false);
+    clearMeasurements();
+  };
+
   // Initialize camera on mount
   useEffect(() => {
     initializeCamera();
@@ -257,6 +559,29 @@ export const ARSpeakerHelper: React.FC<ARSpeakerHelperProps> = ({ onClose, onMea
       }}>
         <h2 style={{ margin: 0, fontSize: '18px' }}>AR Speaker Position Helper</h2>
         <div>
+          {(Object.keys(TAP_MODE_LABELS) as TapMode[]).map(mode => (
+            <button
+              key={mode}
+              onClick={() => {
+                setTapMode(mode);
+                setCalibrationTaps([]);
+                setLensCorners([]);
+                setLensFailed(false);
+              }}
+              style={{
+                padding: '8px 12px',
+                marginRight: '6px',
+                backgroundColor: tapMode === mode ? '#007bff' : '#444',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              {TAP_MODE_LABELS[mode]}
+            </button>
+          ))}
+          <UndoRedoControls buttonStyle={{ padding: '8px 16px', marginRight: '10px', borderRadius: '4px' }} />
           <button
             onClick={clearMeasurements}
             style={{
@@ -287,6 +612,67 @@ export const ARSpeakerHelper: React.FC<ARSpeakerHelperProps> = ({ onClose, onMea
         </div>
       </div>
 
+      {/* Reference picker while calibrating */}
+      {tapMode === 'calibrate' && (
+        <div style={{ padding: '8px 10px', backgroundColor: 'rgba(0, 0, 0, 0.8)', color: 'white', fontSize: '14px' }}>
+          <select
+            value={referenceId}
+            onChange={(event) => {
+              setReferenceId(event.target.value as ReferenceObjectId);
+              setCalibrationTaps([]);
+            }}
+            style={{ padding: '4px', marginRight: '8px' }}
+          >
+            {REFERENCE_OBJECTS.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+          {reference.length === null ? (
+            <label>
+              {reference.id === 'speaker' ? 'Width' : 'Length'} ({lengthSymbol('small')}){' '}
+              <LengthInput
+                meters={typedLength}
+                onChange={setTypedLength}
+                scale="small"
+                style={{ width: '70px', padding: '4px' }}
+              />
+            </label>
+          ) : (
+            <span>{formatLength(reference.length)}</span>
+          )}
+          <span style={{ marginLeft: '10px', opacity: 0.8 }}>
+            Hold the reference at the same distance as what you will measure.
+          </span>
+        </div>
+      )}
+
+      {/* Target size while calibrating the lens */}
+      {tapMode === 'lens' && (
+        <div style={{ padding: '8px 10px', backgroundColor: 'rgba(0, 0, 0, 0.8)', color: 'white', fontSize: '14px' }}>
+          <label>
+            Target width ({lengthSymbol('small')}){' '}
+            <LengthInput
+              meters={targetWidth}
+              onChange={setTargetWidth}
+              scale="small"
+              style={{ width: '70px', padding: '4px', marginRight: '8px' }}
+            />
+          </label>
+          <label>
+            height ({lengthSymbol('small')}){' '}
+            <LengthInput
+              meters={targetHeight}
+              onChange={setTargetHeight}
+              scale="small"
+              style={{ width: '70px', padding: '4px' }}
+            />
+          </label>
+          <span style={{ marginLeft: '10px', opacity: 0.8 }}>
+            A printed checkerboard's outer corners or a sheet of A4 ({formatLength(0.297)} × {formatLength(0.21)}) held landscape.
+          </span>
+        </div>
+      )}
+
       {/* Video and Canvas Container */}
       <div style={{
         position: 'relative',
@@ -353,11 +739,69 @@ export const ARSpeakerHelper: React.FC<ARSpeakerHelperProps> = ({ onClose, onMea
       }}>
         {currentDistance !== null && (
           <p style={{ margin: 0, fontSize: '16px', fontWeight: 'bold' }}>
-            Distance: {(currentDistance * 100).toFixed(1)} cm ({(currentDistance * 39.37).toFixed(1)} inches)
+            Distance: {formatLength(currentDistance)} ± {formatLength(uncertainty)}
+          </p>
+        )}
+        <p style={{ margin: 0, fontSize: '12px', opacity: 0.8 }}>
+          <label style={{ marginRight: '8px' }}>
+            <input type="checkbox" checked={floorMode} onChange={toggleFloorMode} /> Floor taps
+          </label>
+          {floorMode && (
+            <>
+              <label>
+                phone height ({lengthSymbol('small')}){' '}
+                <LengthInput
+                  meters={cameraHeight}
+                  onChange={setCameraHeight}
+                  scale="small"
+                  style={{ width: '60px', padding: '2px' }}
+                />
+              </label>
+              <span style={{ marginLeft: '8px' }}>
+                {pitch === null
+                  ? 'Waiting for the orientation sensor'
+                  : `Camera ${formatAngle(Math.abs(pitch))} ${pitch >= 0 ? 'below' : 'above'} horizontal`}
+              </span>
+            </>
+          )}
+        </p>
+        {!floorMode && (
+          <p style={{ margin: 0, fontSize: '12px', opacity: 0.8 }}>
+            {calibration
+              ? `Scale: ${calibration.referenceName} (${formatLength(calibration.referenceLength)}), tap plane ${formatLength(calibration.depth)} away`
+              : `Not calibrated: taps assumed ${formatLength(DEFAULT_TAP_DEPTH)} away`}
+            {calibration && (
+              <button
+                onClick={() => {
+                  setCalibration(null);
+                  clearMeasurements();
+                }}
+                style={{ marginLeft: '8px', padding: '2px 8px', backgroundColor: '#666', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+              >
+                Reset
+              </button>
+            )}
+          </p>
+        )}
+        {intrinsics && (
+          <p style={{ margin: 0, fontSize: '12px', opacity: 0.8 }}>
+            Lens: {INTRINSICS_SOURCE_LABELS[intrinsics.source]}, {formatAngle(horizontalFov(intrinsics))} horizontal field of view
+            {intrinsics.source === 'checkerboard' && (
+              <button
+                onClick={() => {
+                  if (videoRef.current) setIntrinsics(intrinsicsForVideo(videoRef.current));
+                  setCalibration(null);
+                  clearMeasurements();
+                }}
+                style={{ marginLeft: '8px', padding: '2px 8px', backgroundColor: '#666', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+              >
+                Reset
+              </button>
+            )}
           </p>
         )}
         <p style={{ margin: 0, fontSize: '12px', opacity: 0.8 }}>
-          Points: {measurementPoints.length}/2
+          Points: {measurementPoints.length}/2 | Speakers: {speakers.length} | Listeners: {listeners.length}
         </p>
       </div>
     </div>
@@ -1,37 +1,299 @@
-import React, { useRef, useState } from 'react';
-import { Canvas } from '@react-three/fiber';
+import React, { useMemo, useRef, useState } from 'react';
+import { Canvas, useThree } from '@react-three/fiber';
 import { XR, ARButton, Interactive, useXR, useXRHitTest, createXRStore } from '@react-three/xr';
-import { Box, Sphere, Text, Line } from '@react-three/drei';
-import { Vector3, Mesh } from 'three';
-import { useARStore, SpeakerPosition } from './ARStore';
+import { Billboard, Box, Sphere, Text, Line } from '@react-three/drei';
+import { Vector3, Mesh, Quaternion, Matrix4, Group, DoubleSide, BufferGeometry, Float32BufferAttribute, Color } from 'three';
+import { useARStore, SpeakerPosition, RoomDimensions, ROOM_CAPTURE_STEPS } from './ARStore';
+import { createMeasurePoint, ObstacleResource, SpeakerResource } from './models/SceneEntities';
+import {
+  analyzeToeIn,
+  facingFromDevice,
+  facingFromFrontPoint,
+  getFacingDirection,
+  hasCapturedFacing,
+  rotationFromSurfaceNormal
+} from './models/SpeakerOrientation';
+import {
+  analyzeSurroundLayout,
+  bandCenter,
+  ChannelCheck,
+  directionFromAngles,
+  DEFAULT_EAR_HEIGHT,
+  formatSpeakerTag,
+  getEarPosition,
+  getListeningFrame,
+  ListeningFrame,
+  validateChannelAssignments
+} from './models/SurroundLayouts';
+import SurroundPlanner from './SurroundPlanner';
+import {
+  computeRoomModes,
+  formatModeOrder,
+  ModeOrder,
+  modePressure,
+  RoomPlacement,
+  roomToWorld,
+  worldToRoom
+} from './models/RoomModes';
+import { findFirstReflections, ReflectionPoint } from './models/FirstReflections';
+import { rankSceneSubPlacements } from './models/SubwooferOptimizer';
+import { getMainListener } from './models/ListeningArea';
+import { visibleMeasurements } from './models/MeasurementHistory';
+import UndoRedoControls from './UndoRedoControls';
+import { useUnits } from './UnitSettings';
+
+// Rooms bundled with the IWER emulator; pick one with ?xr-room=<name> on localhost
+const EMULATOR_ROOMS = ['living_room', 'music_room', 'meeting_room', 'office_small', 'office_large'];
+
+const getEmulatorOptions = (): NonNullable<Parameters<typeof createXRStore>[0]>['emulate'] => {
+  const room = new URLSearchParams(window.location.search).get('xr-room');
+  return {
+    type: 'metaQuest3',
+    syntheticEnvironment: room && EMULATOR_ROOMS.includes(room) ? room : 'living_room'
+  };
+};
+
+// Measure taps this close to a speaker or listener snap to it
+const SNAP_DISTANCE = 0.25;
+
+const RETICLE_COLORS = {
+  speaker: '#ff6b6b',
+  listener: '#4ecdc4',
+  measure: '#ffd93d',
+  orient: '#a29bfe',
+  room: '#74b9ff',
+  wall: '#b2bec3',
+  sub: '#fdcb6e'
+};
+
+// Heat map resolution, cells per side
+const HEAT_MAP_CELLS = 40;
+
+// Lowest modes offered for the floor heat map
+const HEAT_MAP_MODE_CHOICES = 20;
+
+const CHANNEL_STATUS_COLORS = {
+  pass: '#2ecc71',
+  fail: '#ff4757',
+  missing: '#aaaaaa'
+};
+
+// Latest hit-test result on a detected plane, in world space
+interface SurfaceHit {
+  position: Vector3;
+  normal: Vector3;
+}
 
 // Speaker component that can be placed in AR
-const SpeakerObject: React.FC<{ position: SpeakerPosition; onSelect?: () => void }> = ({ position, onSelect }) => {
+const SpeakerObject: React.FC<{
+  position: SpeakerPosition;
+  highlighted?: boolean;
+  warning?: boolean;
+  onSelect?: (point: Vector3 | null) => void;
+}> = ({ position, highlighted = false, warning = false, onSelect }) => {
   const meshRef = useRef<Mesh>(null);
+  const baseColor = position.type === 'speaker' ? '#ff6b6b' : '#4ecdc4';
+  const tag = position.type === 'speaker'
+    ? formatSpeakerTag(position)
+    : `${position.metadata.name}${position.type === 'listener' && position.metadata.main_seat ? ' (MLP)' : ''}`;
   
   return (
-    <Interactive onSelect={onSelect}>
-      <mesh ref={meshRef} position={position.position}>
-        <Box args={[0.15, 0.2, 0.1]}>
-          <meshStandardMaterial color={position.type === 'speaker' ? '#ff6b6b' : '#4ecdc4'} />
-        </Box>
+    <>
+      <Interactive onSelect={(event) => onSelect?.(event.intersection?.point ?? null)}>
+        <mesh ref={meshRef} position={position.position} rotation={position.rotation}>
+          <Box args={[0.15, 0.2, 0.1]}>
+            <meshStandardMaterial color={highlighted ? '#ffd93d' : baseColor} />
+          </Box>
+        </mesh>
+      </Interactive>
+      
+      {/* Floating tag, kept upright and facing the viewer whatever the speaker's rotation */}
+      <Billboard position={position.position.clone().add(new Vector3(0, 0.18, 0))}>
         <Text
-          position={[0, 0.15, 0]}
           fontSize={0.05}
-          color="white"
+          color={warning ? '#ff9500' : 'white'}
+          outlineWidth={0.004}
+          outlineColor="black"
           anchorX="center"
           anchorY="middle"
         >
-          {position.type === 'speaker' ? '🔊' : '👤'}
+          {`${position.type === 'speaker' ? '🔊' : '👤'} ${tag}${warning ? ' ⚠️' : ''}`}
+        </Text>
+      </Billboard>
+    </>
+  );
+};
+
+// Obstacles are shown as translucent boxes, walls as flat panels; they cannot be selected for measuring
+const ObstacleObject: React.FC<{ obstacle: ObstacleResource }> = ({ obstacle }) => (
+  <mesh position={obstacle.position} rotation={obstacle.rotation} scale={obstacle.scale}>
+    <Box args={obstacle.metadata.material === 'wall' ? [0.6, 0.6, 0.02] : [0.3, 0.3, 0.3]}>
+      <meshStandardMaterial
+        color={obstacle.metadata.material === 'wall' ? RETICLE_COLORS.wall : '#888888'}
+        transparent
+        opacity={0.5}
+      />
+    </Box>
+  </mesh>
+);
+
+// On-axis ray from a speaker's baffle, with a marker where it passes closest to the listener
+const OnAxisRay: React.FC<{ speaker: SpeakerResource; listenerPosition: Vector3 | null }> = ({ speaker, listenerPosition }) => {
+  const facing = getFacingDirection(speaker);
+  const report = listenerPosition ? analyzeToeIn(speaker, listenerPosition) : null;
+  const length = listenerPosition
+    ? Math.max(1, speaker.position.distanceTo(listenerPosition) + 0.5)
+    : 3;
+  const end = speaker.position.clone().addScaledVector(facing, length);
+  
+  return (
+    <>
+      <Line points={[speaker.position, end]} color="#ff6b6b" lineWidth={2} dashed dashSize={0.05} gapSize={0.03} />
+      {report?.closestPoint && (
+        <mesh position={report.closestPoint}>
+          <Sphere args={[0.015]}>
+            <meshBasicMaterial color="#ff6b6b" />
+          </Sphere>
+        </mesh>
+      )}
+    </>
+  );
+};
+
+// Translucent cone from the listener's ear covering one channel's target band
+const TargetCone: React.FC<{ check: ChannelCheck; frame: ListeningFrame }> = ({ check, frame }) => {
+  const { azimuth, elevation } = check.target;
+  if (!azimuth || !elevation) return null;
+  
+  const direction = directionFromAngles(bandCenter(azimuth), bandCenter(elevation), frame);
+  const length = check.angles?.distance ?? 2;
+  const halfAngle = Math.max(azimuth.max - azimuth.min, elevation.max - elevation.min, 8) / 2 * Math.PI / 180;
+  const color = CHANNEL_STATUS_COLORS[check.status];
+  
+  // ConeGeometry has its apex at +Y; flip it so the apex sits at the ear
+  const quaternion = new Quaternion().setFromUnitVectors(new Vector3(0, -1, 0), direction);
+  const center = frame.ear.clone().addScaledVector(direction, length / 2);
+  const tip = frame.ear.clone().addScaledVector(direction, length + 0.1);
+  
+  return (
+    <>
+      <mesh position={center} quaternion={quaternion}>
+        <coneGeometry args={[Math.tan(halfAngle) * length, length, 24, 1, true]} />
+        <meshBasicMaterial color={color} transparent opacity={0.15} side={DoubleSide} depthWrite={false} />
+      </mesh>
+      <Text position={tip} fontSize={0.06} color={color} anchorX="center" anchorY="middle">
+        {check.target.role}
+      </Text>
+    </>
+  );
+};
+
+// Outline of the captured room on the floor
+const RoomOutline: React.FC<{ dimensions: RoomDimensions; placement: RoomPlacement }> = ({ dimensions, placement }) => {
+  const { length, width } = dimensions;
+  const corners = [[0, 0], [length, 0], [length, width], [0, width], [0, 0]]
+    .map(([x, y]) => roomToWorld(new Vector3(x, y, 0.005), placement));
+  return <Line points={corners} color={RETICLE_COLORS.room} lineWidth={2} />;
+};
+
+// Floor map of one mode's pressure at ear height: red at peaks, blue at nulls
+const RoomHeatMap: React.FC<{
+  dimensions: RoomDimensions;
+  placement: RoomPlacement;
+  order: ModeOrder;
+  earHeight: number;
+}> = ({ dimensions, placement, order, earHeight }) => {
+  const geometry = useMemo(() => {
+    const positions: number[] = [];
+    const colors: number[] = [];
+    const indices: number[] = [];
+    const color = new Color();
+    
+    for (let i = 0; i <= HEAT_MAP_CELLS; i++) {
+      for (let j = 0; j <= HEAT_MAP_CELLS; j++) {
+        const x = dimensions.length * i / HEAT_MAP_CELLS;
+        const y = dimensions.width * j / HEAT_MAP_CELLS;
+        const level = Math.abs(modePressure({ order }, dimensions, new Vector3(x, y, earHeight)));
+        positions.push(...roomToWorld(new Vector3(x, y, 0.01), placement).toArray());
+        color.setHSL((1 - level) * 0.66, 1, 0.5);
+        colors.push(color.r, color.g, color.b);
+        
+        if (i < HEAT_MAP_CELLS && j < HEAT_MAP_CELLS) {
+          const a = i * (HEAT_MAP_CELLS + 1) + j;
+          const b = a + HEAT_MAP_CELLS + 1;
+          indices.push(a, b, a + 1, b, b + 1, a + 1);
+        }
+      }
+    }
+    
+    const buffer = new BufferGeometry();
+    buffer.setAttribute('position', new Float32BufferAttribute(positions, 3));
+    buffer.setAttribute('color', new Float32BufferAttribute(colors, 3));
+    buffer.setIndex(indices);
+    return buffer;
+  }, [dimensions, placement, order, earHeight]);
+  
+  React.useEffect(() => () => geometry.dispose(), [geometry]);
+  
+  return (
+    <mesh geometry={geometry}>
+      <meshBasicMaterial vertexColors transparent opacity={0.45} side={DoubleSide} depthWrite={false} />
+    </mesh>
+  );
+};
+
+// Mirror-trick marker where a first reflection lands, lying flat on its boundary
+const ReflectionMarker: React.FC<{ reflection: ReflectionPoint }> = ({ reflection }) => {
+  const quaternion = new Quaternion().setFromUnitVectors(new Vector3(0, 0, 1), reflection.normal);
+  const labelPosition = reflection.point.clone().addScaledVector(reflection.normal, 0.08);
+  const { formatLength } = useUnits();
+  
+  return (
+    <>
+      <mesh position={reflection.point.clone().addScaledVector(reflection.normal, 0.005)} quaternion={quaternion}>
+        <ringGeometry args={[0.03, 0.05, 24]} />
+        <meshBasicMaterial color="#e056fd" side={DoubleSide} />
+      </mesh>
+      <Billboard position={labelPosition}>
+        <Text fontSize={0.035} color="#e056fd" outlineWidth={0.003} outlineColor="black" anchorX="center" anchorY="middle">
+          {`${reflection.speakerTag} · +${(reflection.arrivalDelay * 1000).toFixed(1)} ms · +${formatLength(reflection.pathDifference)}`}
         </Text>
+      </Billboard>
+    </>
+  );
+};
+
+// Subwoofer candidate on the floor, green for the best ranked through red for the worst
+const SubCandidateMarker: React.FC<{ position: Vector3; index: number; rank: number | null; total: number; best: boolean }> = ({
+  position,
+  index,
+  rank,
+  total,
+  best
+}) => {
+  const color = rank === null
+    ? '#aaaaaa'
+    : new Color().setHSL(0.33 * (1 - rank / Math.max(1, total - 1)), 0.9, 0.5).getStyle();
+  
+  return (
+    <>
+      <mesh position={position} rotation={[-Math.PI / 2, 0, 0]}>
+        <circleGeometry args={[best ? 0.12 : 0.08, 24]} />
+        <meshBasicMaterial color={color} transparent opacity={0.8} side={DoubleSide} />
       </mesh>
-    </Interactive>
+      <Billboard position={position.clone().add(new Vector3(0, 0.1, 0))}>
+        <Text fontSize={0.05} color={color} outlineWidth={0.004} outlineColor="black" anchorX="center" anchorY="middle">
+          {rank === null ? `${index + 1}` : `${index + 1} · #${rank + 1}`}
+        </Text>
+      </Billboard>
+    </>
   );
 };
 
 // Component for visualizing measurements
 const MeasurementLine: React.FC<{ start: Vector3; end: Vector3; distance: number }> = ({ start, end, distance }) => {
   const midPoint = start.clone().add(end).multiplyScalar(0.5);
+  const { formatLength } = useUnits();
   
   return (
     <>
@@ -46,78 +308,175 @@ const MeasurementLine: React.FC<{ start: Vector3; end: Vector3; distance: number
         anchorX="center"
         anchorY="middle"
       >
-        {`${(distance * 100).toFixed(1)}cm`}
+        {formatLength(distance)}
       </Text>
     </>
   );
 };
 
-// Placement indicator for where next object will be placed
-const PlacementIndicator: React.FC = () => {
+// Reticle that follows hit-test results from the center of the view
+const Reticle: React.FC<{ hitRef: React.MutableRefObject<SurfaceHit | null> }> = ({ hitRef }) => {
   const { placementMode } = useARStore();
+  const reticleRef = useRef<Group>(null);
+  const matrix = useMemo(() => new Matrix4(), []);
+  
+  useXRHitTest((results, getWorldMatrix) => {
+    const reticle = reticleRef.current;
+    if (!reticle) return;
+    
+    if (results.length === 0 || !getWorldMatrix(matrix, results[0])) {
+      reticle.visible = false;
+      hitRef.current = null;
+      return;
+    }
+    
+    // Hit poses have +Y along the surface normal
+    matrix.decompose(reticle.position, reticle.quaternion, reticle.scale);
+    reticle.visible = true;
+    hitRef.current = {
+      position: reticle.position.clone(),
+      normal: new Vector3(0, 1, 0).applyQuaternion(reticle.quaternion)
+    };
+  }, 'viewer', 'plane');
   
   return (
-    <mesh position={[0, 0, -1]}>
-      <Sphere args={[0.02]}>
-        <meshBasicMaterial 
-          color={placementMode === 'speaker' ? '#ff6b6b' : '#4ecdc4'} 
-          transparent 
-          opacity={0.7}
-        />
-      </Sphere>
-    </mesh>
+    <group ref={reticleRef} visible={false}>
+      <mesh rotation={[-Math.PI / 2, 0, 0]}>
+        <ringGeometry args={[0.04, 0.055, 32]} />
+        <meshBasicMaterial color={RETICLE_COLORS[placementMode]} transparent opacity={0.85} />
+      </mesh>
+      <mesh rotation={[-Math.PI / 2, 0, 0]}>
+        <circleGeometry args={[0.008, 16]} />
+        <meshBasicMaterial color={RETICLE_COLORS[placementMode]} />
+      </mesh>
+    </group>
   );
 };
 
 // Main AR Scene component
-const ARScene: React.FC = () => {
+const ARScene: React.FC<{ alignRequest: number; showReflections: boolean }> = ({ alignRequest, showReflections }) => {
   const { 
     speakers, 
     listeners, 
+    obstacles,
     measurements, 
     placementMode, 
     selectedPoints,
-    addSpeaker, 
-    addListener, 
-    selectPoint,
-    setARActive
+    orientTargetId,
+    setOrientTarget,
+    setSpeakerFacing,
+    setARActive,
+    surroundLayout,
+    roomDimensions,
+    roomCapturePoints,
+    heatMapMode,
+    subwooferCandidates,
+    subwooferCount
   } = useARStore();
   
   const { session } = useXR();
-  const [placementCount, setPlacementCount] = useState(0);
+  const { camera } = useThree();
+  const hitRef = useRef<SurfaceHit | null>(null);
   
   // Handle AR session state changes
   React.useEffect(() => {
     setARActive(!!session);
   }, [session, setARActive]);
   
-  // Simple placement system - place objects at predefined positions for demo
-  const handlePlacement = () => {
-    const positions = [
-      new Vector3(-0.5, 0, -1),
-      new Vector3(0.5, 0, -1),
-      new Vector3(0, 0, -1.5),
-      new Vector3(-0.3, 0, -0.8),
-      new Vector3(0.3, 0, -0.8)
-    ];
-    
-    const position = positions[placementCount % positions.length];
+  // Target bands of the chosen surround layout, checked from the main seat
+  const listener = getMainListener(listeners);
+  const frame = surroundLayout && listener ? getListeningFrame(listener, speakers) : null;
+  const channelChecks = surroundLayout && listener ? analyzeSurroundLayout(surroundLayout, speakers, listener) : [];
+  const flagged = new Set(
+    validateChannelAssignments(speakers, listener ?? null, surroundLayout).flatMap(warning => warning.speakerIds)
+  );
+  
+  const reflections = showReflections && listener
+    ? findFirstReflections(speakers, listener, obstacles, roomDimensions)
+    : [];
+  
+  // Singles always color the markers; in dual mode the best pair is also linked
+  const placement = roomDimensions?.placement;
+  const singleRanks = useMemo(() => {
+    if (!roomDimensions || !placement) return null;
+    const ranks = new Map<number, number>();
+    rankSceneSubPlacements(roomDimensions, placement, subwooferCandidates, listeners, 1)
+      .forEach((result, rank) => ranks.set(result.candidates[0], rank));
+    return ranks;
+  }, [roomDimensions, placement, subwooferCandidates, listeners]);
+  const bestPair = useMemo(() => subwooferCount === 2 && roomDimensions && placement
+    ? rankSceneSubPlacements(roomDimensions, placement, subwooferCandidates, listeners, 2)[0]?.candidates ?? null
+    : null,
+  [roomDimensions, placement, subwooferCandidates, listeners, subwooferCount]);
+  
+  // Modes are drawn at the listener's ear height, or a seated height without a listener
+  const earHeight = placement && listener
+    ? worldToRoom(getEarPosition(listener), placement).z
+    : DEFAULT_EAR_HEIGHT;
+  
+  // Phone held against the target speaker's baffle: take its facing from the camera
+  React.useEffect(() => {
+    if (alignRequest === 0) return;
+    const { orientTargetId: targetId, setSpeakerFacing: applyFacing, setOrientTarget: clearTarget } = useARStore.getState();
+    if (!targetId) return;
     
-    if (placementMode === 'speaker') {
-      addSpeaker(position);
-    } else if (placementMode === 'listener') {
-      addListener(position);
+    const facing = facingFromDevice(camera.getWorldQuaternion(new Quaternion()));
+    if (facing && applyFacing(targetId, facing)) {
+      clearTarget(null);
+    }
+  }, [alignRequest, camera]);
+  
+  // Orient mode: first tap picks a speaker, a second tap on its front sets the facing
+  const handleOrientSelect = (speaker: SpeakerResource, point: Vector3 | null) => {
+    if (orientTargetId !== speaker.id) {
+      setOrientTarget(speaker.id);
+      return;
+    }
+    const facing = point ? facingFromFrontPoint(speaker.position, point) : null;
+    if (facing && setSpeakerFacing(speaker.id, facing)) {
+      setOrientTarget(null);
     }
-    
-    setPlacementCount(prev => prev + 1);
   };
   
-  // Use hit test for object placement - simplified for demo
-  useXRHitTest((results: any[]) => {
-    if (results.length > 0) {
-      handlePlacement();
+  // Place the active type at the reticle; reads the store directly since this runs from a session event
+  const placeAtReticle = React.useCallback(() => {
+    const hit = hitRef.current;
+    if (!hit) return;
+    
+    const state = useARStore.getState();
+    const rotation = rotationFromSurfaceNormal(hit.normal);
+    
+    if (state.placementMode === 'speaker') {
+      state.addSpeaker(hit.position, undefined, rotation);
+    } else if (state.placementMode === 'listener') {
+      state.addListener(hit.position, undefined, rotation);
+    } else if (state.placementMode === 'measure') {
+      const nearest = [...state.speakers, ...state.listeners]
+        .map(entity => ({ entity, distance: entity.position.distanceTo(hit.position) }))
+        .filter(({ distance }) => distance <= SNAP_DISTANCE)
+        .sort((a, b) => a.distance - b.distance)[0];
+      
+      state.selectPoint(nearest
+        ? nearest.entity
+        : createMeasurePoint(hit.position, `Point ${state.selectedPoints.length + 1}`)
+      );
+    } else if (state.placementMode === 'sub') {
+      state.addSubCandidate(hit.position);
+    } else if (state.placementMode === 'wall') {
+      state.addObstacle(hit.position, 'wall', rotation);
+    } else if (state.placementMode === 'room') {
+      if (!state.addRoomCapturePoint(hit.position)) {
+        console.warn('Room capture taps did not form a room, starting over');
+      }
     }
-  }, { current: null }, 'plane');
+  }, []);
+  
+  // A screen tap or controller trigger fires 'select' on the session
+  React.useEffect(() => {
+    if (!session) return;
+    session.addEventListener('select', placeAtReticle);
+    return () => session.removeEventListener('select', placeAtReticle);
+  }, [session, placeAtReticle]);
   
   return (
     <>
@@ -125,37 +484,103 @@ const ARScene: React.FC = () => {
       <ambientLight intensity={0.6} />
       <directionalLight position={[10, 10, 5]} intensity={0.8} />
       
-      {/* Placement indicator */}
-      <PlacementIndicator />
+      {/* Placement reticle */}
+      <Reticle hitRef={hitRef} />
       
       {/* Render all speakers */}
       {speakers.map((speaker) => (
         <SpeakerObject
           key={speaker.id}
           position={speaker}
-          onSelect={() => placementMode === 'measure' && selectPoint(speaker)}
+          highlighted={speaker.id === orientTargetId}
+          warning={flagged.has(speaker.id)}
+          onSelect={(point) => {
+            if (placementMode === 'orient') handleOrientSelect(speaker, point);
+          }}
+        />
+      ))}
+      
+      {/* On-axis rays for speakers with a known facing */}
+      {speakers.filter(hasCapturedFacing).map((speaker) => (
+        <OnAxisRay
+          key={`axis_${speaker.id}`}
+          speaker={speaker}
+          listenerPosition={listener?.position ?? null}
         />
       ))}
       
+      {/* Surround target cones */}
+      {frame && channelChecks.map((check) => (
+        <TargetCone key={`cone_${check.target.role}`} check={check} frame={frame} />
+      ))}
+      
       {/* Render all listeners */}
       {listeners.map((listener) => (
         <SpeakerObject
           key={listener.id}
           position={listener}
-          onSelect={() => placementMode === 'measure' && selectPoint(listener)}
         />
       ))}
       
-      {/* Render measurement lines */}
-      {measurements.map((measurement, index) => (
+      {/* Render all obstacles */}
+      {obstacles.map((obstacle) => (
+        <ObstacleObject key={obstacle.id} obstacle={obstacle} />
+      ))}
+      
+      {/* Captured room and the chosen mode's heat map */}
+      {roomDimensions && placement && (
+        <RoomOutline dimensions={roomDimensions} placement={placement} />
+      )}
+      {roomDimensions && placement && heatMapMode && (
+        <RoomHeatMap dimensions={roomDimensions} placement={placement} order={heatMapMode} earHeight={earHeight} />
+      )}
+      {/* First-reflection points */}
+      {reflections.map((reflection) => (
+        <ReflectionMarker key={`reflection_${reflection.speakerId}_${reflection.boundaryId}`} reflection={reflection} />
+      ))}
+      
+      {/* Ranked subwoofer candidates */}
+      {subwooferCandidates.map((candidate, index) => (
+        <SubCandidateMarker
+          key={`sub_${index}`}
+          position={candidate}
+          index={index}
+          rank={singleRanks?.get(index) ?? null}
+          total={subwooferCandidates.length}
+          best={bestPair ? bestPair.includes(index) : singleRanks?.get(index) === 0}
+        />
+      ))}
+      {bestPair && (
+        <Line points={bestPair.map(index => subwooferCandidates[index])} color={RETICLE_COLORS.sub} lineWidth={3} dashed dashSize={0.1} gapSize={0.05} />
+      )}
+      
+      {roomCapturePoints.map((point, index) => (
+        <mesh key={`room_${index}`} position={point}>
+          <Sphere args={[0.025]}>
+            <meshBasicMaterial color={RETICLE_COLORS.room} />
+          </Sphere>
+        </mesh>
+      ))}
+      
+      {/* Pinned measurement lines and the latest one */}
+      {visibleMeasurements(measurements).map(measurement => (
         <MeasurementLine
-          key={index}
+          key={measurement.id}
           start={measurement.points[0].position}
           end={measurement.points[1].position}
           distance={measurement.distance}
         />
       ))}
       
+      {/* Free measurement points waiting for their partner */}
+      {selectedPoints.filter(point => point.type === 'point').map(point => (
+        <mesh key={point.id} position={point.position}>
+          <Sphere args={[0.02]}>
+            <meshBasicMaterial color="orange" />
+          </Sphere>
+        </mesh>
+      ))}
+      
       {/* Show line for currently selected points */}
       {selectedPoints.length === 2 && (
         <Line 
@@ -169,7 +594,11 @@ const ARScene: React.FC = () => {
 };
 
 // AR Controls component
-const ARControls: React.FC = () => {
+const ARControls: React.FC<{
+  onAlignToPhone: () => void;
+  showReflections: boolean;
+  onToggleReflections: () => void;
+}> = ({ onAlignToPhone, showReflections, onToggleReflections }) => {
   const { 
     placementMode, 
     setPlacementMode, 
@@ -178,8 +607,28 @@ const ARControls: React.FC = () => {
     listeners, 
     measurements,
     selectedPoints,
-    clearSelectedPoints
+    orientTargetId,
+    clearSelectedPoints,
+    roomDimensions,
+    roomCapturePoints,
+    heatMapMode,
+    setHeatMapMode
   } = useARStore();
+  const { formatLength, formatAngle } = useUnits();
+  
+  const heatMapChoices = roomDimensions?.placement
+    ? computeRoomModes(roomDimensions).slice(0, HEAT_MAP_MODE_CHOICES)
+    : [];
+  
+  // Toe-in of every aimed speaker relative to the main seat
+  const mainListener = getMainListener(listeners);
+  const toeInReports = mainListener
+    ? speakers.filter(hasCapturedFacing).map(speaker => ({
+      id: speaker.id,
+      name: speaker.metadata.name,
+      report: analyzeToeIn(speaker, mainListener.position)
+    }))
+    : [];
   
   return (
     <div style={{
@@ -236,6 +685,113 @@ const ARControls: React.FC = () => {
         📏 Measure
       </button>
       
+      <button
+        onClick={() => setPlacementMode('orient')}
+        style={{
+          padding: '10px 15px',
+          backgroundColor: placementMode === 'orient' ? '#a29bfe' : '#666',
+          color: 'white',
+          border: 'none',
+          borderRadius: '5px',
+          cursor: 'pointer'
+        }}
+      >
+        🧭 Aim
+      </button>
+      
+      <button
+        onClick={() => setPlacementMode('room')}
+        style={{
+          padding: '10px 15px',
+          backgroundColor: placementMode === 'room' ? RETICLE_COLORS.room : '#666',
+          color: 'white',
+          border: 'none',
+          borderRadius: '5px',
+          cursor: 'pointer'
+        }}
+      >
+        📐 Room
+      </button>
+      
+      <button
+        onClick={() => setPlacementMode('wall')}
+        style={{
+          padding: '10px 15px',
+          backgroundColor: placementMode === 'wall' ? RETICLE_COLORS.wall : '#666',
+          color: 'white',
+          border: 'none',
+          borderRadius: '5px',
+          cursor: 'pointer'
+        }}
+      >
+        🧱 Wall
+      </button>
+      
+      <button
+        onClick={() => setPlacementMode('sub')}
+        style={{
+          padding: '10px 15px',
+          backgroundColor: placementMode === 'sub' ? RETICLE_COLORS.sub : '#666',
+          color: 'white',
+          border: 'none',
+          borderRadius: '5px',
+          cursor: 'pointer'
+        }}
+      >
+        🔉 Sub
+      </button>
+      
+      <button
+        onClick={onToggleReflections}
+        style={{
+          padding: '10px 15px',
+          backgroundColor: showReflections ? '#e056fd' : '#666',
+          color: 'white',
+          border: 'none',
+          borderRadius: '5px',
+          cursor: 'pointer'
+        }}
+      >
+        🪞 Reflections
+      </button>
+      
+      {heatMapChoices.length > 0 && (
+        <select
+          value={heatMapMode ? formatModeOrder(heatMapMode) : ''}
+          onChange={(event) => {
+            const mode = heatMapChoices.find(choice => formatModeOrder(choice.order) === event.target.value);
+            setHeatMapMode(mode ? mode.order : null);
+          }}
+          style={{ padding: '10px', borderRadius: '5px' }}
+        >
+          <option value="">🌊 No mode map</option>
+          {heatMapChoices.map(mode => (
+            <option key={formatModeOrder(mode.order)} value={formatModeOrder(mode.order)}>
+              {formatModeOrder(mode.order)} {mode.frequency.toFixed(0)} Hz
+            </option>
+          ))}
+        </select>
+      )}
+      
+      {placementMode === 'orient' && orientTargetId && (
+        <button
+          onClick={onAlignToPhone}
+          style={{
+            padding: '10px 15px',
+            backgroundColor: '#a29bfe',
+            color: 'white',
+            border: 'none',
+            borderRadius: '5px',
+            cursor: 'pointer'
+          }}
+        >
+          📱 Align to Phone
+        </button>
+      )}
+      
+      {/* History */}
+      <UndoRedoControls />
+      
       {/* Clear buttons */}
       {selectedPoints.length > 0 && (
         <button
@@ -276,6 +832,37 @@ const ARControls: React.FC = () => {
         fontSize: '12px'
       }}>
         Speakers: {speakers.length} | Listeners: {listeners.length} | Measurements: {measurements.length}
+        {placementMode === 'orient' && (
+          <div>
+            {orientTargetId
+              ? 'Tap the front of the speaker, or hold the phone flat on its baffle and press Align to Phone'
+              : 'Tap a speaker to set which way it faces'}
+          </div>
+        )}
+        {placementMode === 'sub' && (
+          <div>
+            Tap the floor where a subwoofer could go
+            {!roomDimensions?.placement && ' (capture the room first to rank positions)'}
+          </div>
+        )}
+        {placementMode === 'wall' && (
+          <div>Aim at a wall and tap to mark it for boundary interference</div>
+        )}
+        {placementMode === 'room' && (
+          <div>
+            Tap {ROOM_CAPTURE_STEPS[roomCapturePoints.length]} ({roomCapturePoints.length + 1}/{ROOM_CAPTURE_STEPS.length})
+            {roomDimensions && ` · ${[roomDimensions.length, roomDimensions.width, roomDimensions.height].map(formatLength).join(' × ')}`}
+          </div>
+        )}
+        {toeInReports.map(({ id, name, report }) => report && (
+          <div key={id}>
+            {name}: toe-in {formatAngle(report.toeInAngle)}
+            {report.side !== 'on-axis' && ` (listener ${report.side} of axis)`}
+            {report.missDistance !== null
+              ? `, axis misses listener by ${formatLength(report.missDistance)}`
+              : ', listener is behind the speaker'}
+          </div>
+        ))}
       </div>
     </div>
   );
@@ -286,8 +873,10 @@ export const ARSpeakerHelperXR: React.FC<{ onClose: () => void }> = ({ onClose }
   const { isARSupported, setARSupported } = useARStore();
   const [error, setError] = useState<string | null>(null);
   
-  // Create XR store
-  const store = createXRStore();
+  // Create the XR store once; off-device it emulates a headset in one of the bundled rooms
+  const store = useMemo(() => createXRStore({ emulate: getEmulatorOptions() }), []);
+  const [alignRequest, setAlignRequest] = useState(0);
+  const [showReflections, setShowReflections] = useState(false);
   
   // Check AR support on mount
   React.useEffect(() => {
@@ -395,13 +984,34 @@ export const ARSpeakerHelperXR: React.FC<{ onClose: () => void }> = ({ onClose }
         }}
       />
       
+      {/* Surround layout and channel checks */}
+      <SurroundPlanner
+        dark
+        style={{
+          position: 'absolute',
+          top: '10px',
+          left: '10px',
+          maxWidth: '45%',
+          maxHeight: '50%',
+          overflowY: 'auto',
+          padding: '10px',
+          backgroundColor: 'rgba(0, 0, 0, 0.7)',
+          borderRadius: '5px',
+          zIndex: 1001
+        }}
+      />
+      
       {/* AR Controls */}
-      <ARControls />
+      <ARControls
+        onAlignToPhone={() => setAlignRequest(count => count + 1)}
+        showReflections={showReflections}
+        onToggleReflections={() => setShowReflections(shown => !shown)}
+      />
       
       {/* Canvas with XR */}
       <Canvas>
         <XR store={store}>
-          <ARScene />
+          <ARScene alignRequest={alignRequest} showReflections={showReflections} />
         </XR>
       </Canvas>
     </div>
@@ -1,133 +1,747 @@
 import { create } from 'zustand';
-import { Vector3 } from 'three';
+import { persist } from 'zustand/middleware';
+import { Euler, Vector3 } from 'three';
+import {
+  arStorage,
+  deserializeARState,
+  migrateARState,
+  serializeARState,
+  PersistedARState,
+  SCHEMA_VERSION,
+  STORAGE_KEY
+} from './models/ARPersistence';
+import {
+  cloneSceneEntity,
+  createId,
+  createListener,
+  createObstacle,
+  createSpeaker,
+  ListenerResource,
+  MeasurePointResource,
+  ObstacleMaterial,
+  ObstacleResource,
+  ResourceInstance,
+  SceneEntity,
+  SpeakerResource
+} from './models/SceneEntities';
+import { rotationFromFacing } from './models/SpeakerOrientation';
+import { getListeningFrame } from './models/SurroundLayouts';
+import type { ChannelRole, SurroundLayoutId } from './models/SurroundLayouts';
+import { getMainListener } from './models/ListeningArea';
+import { ModeOrder, placementFromCorners, RoomPlacement, roomToWorld } from './models/RoomModes';
+import { standardSubCandidates, SubwooferCount } from './models/SubwooferOptimizer';
+import { isWall, wallsFromRoom } from './models/SpeakerBoundary';
 
-export interface SpeakerPosition {
-  id: string;
-  position: Vector3;
-  type: 'speaker' | 'listener';
-  timestamp: Date;
-}
+// Anything that can be selected as a measurement endpoint
+export type SpeakerPosition = SpeakerResource | ListenerResource | MeasurePointResource;
+
+// What a tap in the AR view does; 'orient' sets a speaker's facing direction, 'room' captures the room's corners
+export type PlacementMode = 'speaker' | 'listener' | 'measure' | 'orient' | 'room' | 'wall' | 'sub';
 
 export interface MeasurementData {
+  id: string;
   distance: number;
   points: SpeakerPosition[];
   timestamp: Date;
+  label?: string;
+  note?: string;
+  pinned?: boolean; // kept on show in AR after newer measurements are taken
 }
 
+export type MeasurementUpdate = Partial<Pick<MeasurementData, 'label' | 'note' | 'pinned'>>;
+
+const MEASUREMENT_FIELDS = ['label', 'note', 'pinned'] as const;
+
+// Text is trimmed and dropped when blank; unpinned leaves no flag behind
+const applyMeasurementUpdate = (measurement: MeasurementData, updates: MeasurementUpdate): MeasurementData => {
+  const updated = { ...measurement, ...updates };
+  (['label', 'note'] as const).forEach(key => {
+    const text = updated[key]?.trim();
+    if (text) {
+      updated[key] = text;
+    } else {
+      delete updated[key];
+    }
+  });
+  if (!updated.pinned) delete updated.pinned;
+  return updated;
+};
+
+// Room size in meters
+export interface RoomDimensions {
+  length: number;
+  width: number;
+  height: number;
+  placement?: RoomPlacement; // only known when captured in AR
+}
+
+// Corner, length wall, width wall, ceiling
+export const ROOM_CAPTURE_STEPS = ['a floor corner', 'the next corner along the length', 'the corner across the width', 'the ceiling'];
+
+// Everything placed or measured in one room
+export interface RoomSetup {
+  speakers: SpeakerResource[];
+  listeners: ListenerResource[];
+  obstacles: ObstacleResource[];
+  measurements: MeasurementData[];
+  roomDimensions: RoomDimensions | null;
+  surroundLayout: SurroundLayoutId | null; // null for a plain stereo setup
+  subwooferCandidates: Vector3[]; // floor positions to try a subwoofer at
+}
+
+export interface RoomProfile {
+  id: string;
+  name: string;
+  createdAt: Date;
+  updatedAt: Date;
+  // Stale for the active room; its live setup is held in the top-level store fields
+  setup: RoomSetup;
+}
+
+export const DEFAULT_ROOM_ID = 'room_default';
+
+export const createEmptySetup = (): RoomSetup => ({
+  speakers: [],
+  listeners: [],
+  obstacles: [],
+  measurements: [],
+  roomDimensions: null,
+  surroundLayout: null,
+  subwooferCandidates: []
+});
+
+export const createRoomProfile = (name: string, id = `room_${Date.now()}`): RoomProfile => ({
+  id,
+  name,
+  createdAt: new Date(),
+  updatedAt: new Date(),
+  setup: createEmptySetup()
+});
+
+const cloneDimensions = (dimensions: RoomDimensions): RoomDimensions => ({
+  ...dimensions,
+  placement: dimensions.placement
+    ? { corner: dimensions.placement.corner.clone(), yaw: dimensions.placement.yaw }
+    : undefined
+});
+
+// A duplicated room gets its own measurement ids so each copy can be edited on its own
+const cloneSetup = (setup: RoomSetup, newMeasurementIds = false): RoomSetup => ({
+  speakers: setup.speakers.map(cloneSceneEntity),
+  listeners: setup.listeners.map(cloneSceneEntity),
+  obstacles: setup.obstacles.map(cloneSceneEntity),
+  measurements: setup.measurements.map(measurement => ({
+    ...measurement,
+    id: newMeasurementIds ? createId('measurement') : measurement.id,
+    points: measurement.points.map(cloneSceneEntity),
+    timestamp: new Date(measurement.timestamp)
+  })),
+  roomDimensions: setup.roomDimensions ? cloneDimensions(setup.roomDimensions) : null,
+  surroundLayout: setup.surroundLayout,
+  subwooferCandidates: setup.subwooferCandidates.map(candidate => candidate.clone())
+});
+
+const pickSetup = (state: RoomSetup): RoomSetup => ({
+  speakers: state.speakers,
+  listeners: state.listeners,
+  obstacles: state.obstacles,
+  measurements: state.measurements,
+  roomDimensions: state.roomDimensions,
+  surroundLayout: state.surroundLayout,
+  subwooferCandidates: state.subwooferCandidates
+});
+
+/**
+ * Room list with the live setup written back into the active room
+ */
+export const snapshotRooms = (state: Pick<ARStore, 'rooms' | 'activeRoomId'> & RoomSetup): RoomProfile[] =>
+  state.rooms.map(room => room.id === state.activeRoomId
+    ? { ...room, setup: pickSetup(state) }
+    : room
+  );
+
+/**
+ * Every entity of the active room, speakers first
+ */
+export const selectEntities = (state: RoomSetup): SceneEntity[] => [
+  ...state.speakers,
+  ...state.listeners,
+  ...state.obstacles
+];
+
+const groupEntities = (entities: SceneEntity[]): Pick<RoomSetup, 'speakers' | 'listeners' | 'obstacles'> => ({
+  speakers: entities.filter((entity): entity is SpeakerResource => entity.type === 'speaker'),
+  listeners: entities.filter((entity): entity is ListenerResource => entity.type === 'listener'),
+  obstacles: entities.filter((entity): entity is ObstacleResource => entity.type === 'obstacle')
+});
+
+export type EntityUpdate = Partial<Omit<ResourceInstance, 'id' | 'type'>>;
+
+// Undo history depth; older steps are dropped
+export const HISTORY_LIMIT = 50;
+
+// Document state captured for undo/redo. Session flags and placement mode are not recorded.
+export type HistorySnapshot = Pick<ARStore,
+  'rooms' | 'activeRoomId' | 'speakers' | 'listeners' | 'obstacles' |
+  'roomDimensions' | 'surroundLayout' | 'subwooferCandidates' | 'measurements' | 'selectedPoints'
+>;
+
+// State is never mutated in place, so a shallow copy of the references is enough
+const takeSnapshot = (state: ARStore): HistorySnapshot => ({
+  rooms: state.rooms,
+  activeRoomId: state.activeRoomId,
+  speakers: state.speakers,
+  listeners: state.listeners,
+  obstacles: state.obstacles,
+  roomDimensions: state.roomDimensions,
+  surroundLayout: state.surroundLayout,
+  subwooferCandidates: state.subwooferCandidates,
+  measurements: state.measurements,
+  selectedPoints: state.selectedPoints
+});
+
 interface ARStore {
   // AR Session State
   isARActive: boolean;
   isARSupported: boolean;
+  restoreError: string | null; // why the saved setup could not be loaded
+  
+  // Room profiles
+  rooms: RoomProfile[];
+  activeRoomId: string;
   
   // Speaker Positions
-  speakers: SpeakerPosition[];
-  listeners: SpeakerPosition[];
+  speakers: SpeakerResource[];
+  listeners: ListenerResource[];
+  obstacles: ObstacleResource[];
+  roomDimensions: RoomDimensions | null;
+  surroundLayout: SurroundLayoutId | null;
+  subwooferCandidates: Vector3[];
   
   // Measurements
   measurements: MeasurementData[];
   
   // Current interaction state
-  placementMode: 'speaker' | 'listener' | 'measure';
+  placementMode: PlacementMode;
   selectedPoints: SpeakerPosition[];
+  orientTargetId: string | null; // speaker awaiting a facing direction
+  roomCapturePoints: Vector3[]; // taps so far in 'room' mode, see ROOM_CAPTURE_STEPS
+  heatMapMode: ModeOrder | null; // room mode drawn on the floor in AR
+  subwooferCount: SubwooferCount; // rank single positions or dual-sub pairs
+  
+  // Undo/redo history (in memory only)
+  past: HistorySnapshot[];
+  future: HistorySnapshot[];
   
   // Actions
   setARActive: (active: boolean) => void;
   setARSupported: (supported: boolean) => void;
-  addSpeaker: (position: Vector3) => void;
-  addListener: (position: Vector3) => void;
+  dismissRestoreError: () => void;
+  addSpeaker: (position: Vector3, metadata?: Partial<SpeakerResource['metadata']>, rotation?: Euler) => SpeakerResource;
+  addListener: (position: Vector3, metadata?: Partial<ListenerResource['metadata']>, rotation?: Euler) => ListenerResource;
   removeSpeaker: (id: string) => void;
   removeListener: (id: string) => void;
+  setMainListener: (id: string) => boolean;
+  addSeatGrid: (rows: number, seatsPerRow: number, seatSpacing: number, rowSpacing: number) => number;
+  addObstacle: (position: Vector3, material?: ObstacleMaterial, rotation?: Euler) => ObstacleResource;
+  addRoomWalls: () => number;
+  removeObstacle: (id: string) => void;
+  addEntity: (entity: SceneEntity) => void;
+  updateEntity: (id: string, updates: EntityUpdate) => boolean;
+  removeEntity: (id: string) => boolean;
+  replaceEntities: (entities: SceneEntity[], roomDimensions?: RoomDimensions) => void; // dimensions in the same undo step
+  setRoomDimensions: (dimensions: RoomDimensions | null) => void;
+  addRoomCapturePoint: (point: Vector3) => boolean;
+  setHeatMapMode: (order: ModeOrder | null) => void;
+  addSubCandidate: (position: Vector3) => void;
+  addStandardSubCandidates: () => number;
+  clearSubCandidates: () => void;
+  setSubwooferCount: (count: SubwooferCount) => void;
   addMeasurement: (measurement: MeasurementData) => void;
-  setPlacementMode: (mode: 'speaker' | 'listener' | 'measure') => void;
+  updateMeasurement: (roomId: string, id: string, updates: MeasurementUpdate) => boolean;
+  removeMeasurement: (roomId: string, id: string) => boolean;
+  setPlacementMode: (mode: PlacementMode) => void;
+  setOrientTarget: (id: string | null) => void;
+  setSpeakerFacing: (id: string, direction: Vector3) => boolean;
+  setSurroundLayout: (layout: SurroundLayoutId | null) => void;
+  setChannelRole: (id: string, role: ChannelRole | null) => boolean;
+  setSpeakerLabel: (id: string, label: string) => boolean;
   selectPoint: (point: SpeakerPosition) => void;
   clearSelectedPoints: () => void;
   clearAll: () => void;
+  createRoom: (name: string) => string;
+  renameRoom: (id: string, name: string) => void;
+  duplicateRoom: (id: string, name?: string) => string | null;
+  deleteRoom: (id: string) => void;
+  switchRoom: (id: string) => void;
+  undo: () => void;
+  redo: () => void;
 }
 
-export const useARStore = create<ARStore>((set, get) => ({
-  // Initial state
-  isARActive: false,
-  isARSupported: false,
-  speakers: [],
-  listeners: [],
-  measurements: [],
-  placementMode: 'speaker',
-  selectedPoints: [],
-  
-  // Actions
-  setARActive: (active) => set({ isARActive: active }),
-  setARSupported: (supported) => set({ isARSupported: supported }),
-  
-  addSpeaker: (position) => {
-    const newSpeaker: SpeakerPosition = {
-      id: `speaker_${Date.now()}`,
-      position: position.clone(),
-      type: 'speaker',
-      timestamp: new Date()
-    };
-    set((state) => ({ speakers: [...state.speakers, newSpeaker] }));
-  },
-  
-  addListener: (position) => {
-    const newListener: SpeakerPosition = {
-      id: `listener_${Date.now()}`,
-      position: position.clone(),
-      type: 'listener',
-      timestamp: new Date()
-    };
-    set((state) => ({ listeners: [...state.listeners, newListener] }));
-  },
-  
-  removeSpeaker: (id) => {
-    set((state) => ({
-      speakers: state.speakers.filter(speaker => speaker.id !== id)
-    }));
-  },
-  
-  removeListener: (id) => {
+export const useARStore = create<ARStore>()(persist((set, get) => {
+  // Apply a change that can be undone: the current state goes on the undo stack and redo is cleared
+  const commit = (update: Partial<ARStore> | ((state: ARStore) => Partial<ARStore>)) => {
     set((state) => ({
-      listeners: state.listeners.filter(listener => listener.id !== id)
+      ...(typeof update === 'function' ? update(state) : update),
+      past: [...state.past, takeSnapshot(state)].slice(-HISTORY_LIMIT),
+      future: []
     }));
-  },
+  };
   
-  addMeasurement: (measurement) => {
-    set((state) => ({
-      measurements: [...state.measurements, measurement]
-    }));
-  },
+  // Measurements of a room: the live setup for the active room, the stored one otherwise
+  const roomMeasurements = (state: ARStore, roomId: string) => roomId === state.activeRoomId
+    ? state.measurements
+    : state.rooms.find(room => room.id === roomId)?.setup.measurements ?? [];
   
-  setPlacementMode: (mode) => {
-    set({ placementMode: mode, selectedPoints: [] });
-  },
-  
-  selectPoint: (point) => {
+  // Change one measurement of one room. Rooms duplicated before ids were renewed share ids, so the room is part of the key.
+  const editMeasurements = (roomId: string, id: string, edit: (measurements: MeasurementData[]) => MeasurementData[]) => {
     const state = get();
-    const newSelectedPoints = [...state.selectedPoints, point];
-    
-    // Auto-measure when we have 2 points selected
-    if (newSelectedPoints.length === 2) {
-      const distance = newSelectedPoints[0].position.distanceTo(newSelectedPoints[1].position);
-      const measurement: MeasurementData = {
-        distance,
-        points: newSelectedPoints,
-        timestamp: new Date()
-      };
-      
-      set({
-        selectedPoints: [],
-        measurements: [...state.measurements, measurement]
-      });
+    if (!roomMeasurements(state, roomId).some(measurement => measurement.id === id)) return false;
+    
+    if (roomId === state.activeRoomId) {
+      commit((current) => ({ measurements: edit(current.measurements) }));
     } else {
-      set({ selectedPoints: newSelectedPoints });
+      commit((current) => ({
+        rooms: current.rooms.map(room => room.id === roomId
+          ? { ...room, setup: { ...room.setup, measurements: edit(room.setup.measurements) } }
+          : room
+        )
+      }));
     }
-  },
+    return true;
+  };
   
-  clearSelectedPoints: () => set({ selectedPoints: [] }),
-  
-  clearAll: () => set({
+  return {
+    // Initial state
+    isARActive: false,
+    isARSupported: false,
+    restoreError: null,
+    rooms: [createRoomProfile('My Room', DEFAULT_ROOM_ID)],
+    activeRoomId: DEFAULT_ROOM_ID,
     speakers: [],
     listeners: [],
+    obstacles: [],
+    roomDimensions: null,
+    surroundLayout: null,
+    subwooferCandidates: [],
     measurements: [],
-    selectedPoints: []
-  })
+    placementMode: 'speaker',
+    selectedPoints: [],
+    orientTargetId: null,
+    roomCapturePoints: [],
+    heatMapMode: null,
+    subwooferCount: 1,
+    past: [],
+    future: [],
+    
+    // Actions
+    setARActive: (active) => set({ isARActive: active }),
+    setARSupported: (supported) => set({ isARSupported: supported }),
+    dismissRestoreError: () => set({ restoreError: null }),
+    
+    addSpeaker: (position, metadata, rotation) => {
+      const newSpeaker = createSpeaker(position, {
+        name: `Speaker ${get().speakers.length + 1}`,
+        ...metadata
+      });
+      if (rotation) newSpeaker.rotation.copy(rotation);
+      commit((state) => ({ speakers: [...state.speakers, newSpeaker] }));
+      return newSpeaker;
+    },
+    
+    addListener: (position, metadata, rotation) => {
+      const newListener = createListener(position, {
+        name: `Listener ${get().listeners.length + 1}`,
+        ...metadata
+      });
+      if (rotation) newListener.rotation.copy(rotation);
+      commit((state) => ({ listeners: [...state.listeners, newListener] }));
+      return newListener;
+    },
+    
+    removeSpeaker: (id) => {
+      commit((state) => ({
+        speakers: state.speakers.filter(speaker => speaker.id !== id)
+      }));
+    },
+    
+    removeListener: (id) => {
+      commit((state) => ({
+        listeners: state.listeners.filter(listener => listener.id !== id)
+      }));
+    },
+    
+    setMainListener: (id) => {
+      const seat = get().listeners.find(listener => listener.id === id);
+      if (!seat) return false;
+      if (seat.metadata.main_seat) return true;
+      
+      commit((state) => ({
+        listeners: state.listeners.map(listener => {
+          const { main_seat: _previous, ...metadata } = listener.metadata;
+          return { ...listener, metadata: listener.id === id ? { ...metadata, main_seat: true } : metadata };
+        })
+      }));
+      return true;
+    },
+    
+    // Replace the listeners with rows of seats centered on the main seat, all facing the front; returns the seat count
+    addSeatGrid: (rows, seatsPerRow, seatSpacing, rowSpacing) => {
+      const { listeners, speakers } = get();
+      const main = getMainListener(listeners);
+      if (!main || rows < 1 || seatsPerRow < 1) return 0;
+      
+      const { forward } = getListeningFrame(main, speakers);
+      const right = forward.clone().cross(new Vector3(0, 1, 0));
+      const rotation = rotationFromFacing(forward) ?? main.rotation;
+      const middle = new Vector3((seatsPerRow - 1) / 2, 0, (rows - 1) / 2);
+      
+      const seats = Array.from({ length: rows * seatsPerRow }, (_value, index) => {
+        const row = Math.floor(index / seatsPerRow);
+        const column = index % seatsPerRow;
+        const position = main.position.clone()
+          .addScaledVector(right, (column - middle.x) * seatSpacing)
+          .addScaledVector(forward, (middle.z - row) * rowSpacing);
+        const seat = createListener(position, {
+          name: `Row ${row + 1} Seat ${column + 1}`,
+          ...(main.metadata.height !== undefined && { height: main.metadata.height })
+        });
+        seat.rotation.copy(rotation);
+        return seat;
+      });
+      
+      // The seat nearest the old main seat takes over as the MLP
+      const closest = seats.reduce((best, seat) =>
+        seat.position.distanceTo(main.position) < best.position.distanceTo(main.position) ? seat : best
+      );
+      closest.metadata.main_seat = true;
+      commit({ listeners: seats });
+      return seats.length;
+    },
+    
+    addObstacle: (position, material = 'other', rotation) => {
+      const newObstacle = createObstacle(position, {
+        name: material === 'wall'
+          ? `Wall ${get().obstacles.filter(isWall).length + 1}`
+          : `Obstacle ${get().obstacles.length + 1}`,
+        material
+      });
+      if (rotation) newObstacle.rotation.copy(rotation);
+      commit((state) => ({ obstacles: [...state.obstacles, newObstacle] }));
+      return newObstacle;
+    },
+    
+    // Replace every wall with the four walls of the captured room; returns how many were added
+    addRoomWalls: () => {
+      const { roomDimensions } = get();
+      if (!roomDimensions?.placement) return 0;
+      
+      const walls = wallsFromRoom(roomDimensions, roomDimensions.placement).map(({ position, rotation }, index) => {
+        const wall = createObstacle(position, { name: `Wall ${index + 1}`, material: 'wall' });
+        wall.rotation.copy(rotation);
+        return wall;
+      });
+      commit((state) => ({ obstacles: [...state.obstacles.filter(obstacle => !isWall(obstacle)), ...walls] }));
+      return walls.length;
+    },
+    
+    removeObstacle: (id) => {
+      commit((state) => ({
+        obstacles: state.obstacles.filter(obstacle => obstacle.id !== id)
+      }));
+    },
+    
+    addEntity: (entity) => {
+      commit((state) => groupEntities([...selectEntities(state), entity]));
+    },
+    
+    updateEntity: (id, updates) => {
+      if (!selectEntities(get()).some(entity => entity.id === id)) return false;
+      
+      const update = <T extends SceneEntity>(entities: T[]): T[] =>
+        entities.map(entity => entity.id === id ? { ...entity, ...updates } as T : entity);
+      commit((state) => ({
+        speakers: update(state.speakers),
+        listeners: update(state.listeners),
+        obstacles: update(state.obstacles)
+      }));
+      return true;
+    },
+    
+    removeEntity: (id) => {
+      if (!selectEntities(get()).some(entity => entity.id === id)) return false;
+      
+      commit((state) => groupEntities(selectEntities(state).filter(entity => entity.id !== id)));
+      return true;
+    },
+    
+    replaceEntities: (entities, roomDimensions) => {
+      commit({
+        ...groupEntities(entities.map(cloneSceneEntity)),
+        ...(roomDimensions && { roomDimensions: cloneDimensions(roomDimensions) }),
+        selectedPoints: []
+      });
+    },
+    
+    setRoomDimensions: (dimensions) => commit({ roomDimensions: dimensions ? cloneDimensions(dimensions) : null }),
+    
+    // Collects the room capture taps; the fourth one sets size and placement. False if the taps don't form a room.
+    addRoomCapturePoint: (point) => {
+      const points = [...get().roomCapturePoints, point.clone()];
+      if (points.length < ROOM_CAPTURE_STEPS.length) {
+        set({ roomCapturePoints: points });
+        return true;
+      }
+      
+      const captured = placementFromCorners(points[0], points[1], points[2], points[3]);
+      set({ roomCapturePoints: [] });
+      if (!captured) return false;
+      
+      commit({ roomDimensions: { ...captured.size, placement: captured.placement } });
+      return true;
+    },
+    
+    setHeatMapMode: (order) => set({ heatMapMode: order }),
+    
+    addSubCandidate: (position) => {
+      commit((state) => ({ subwooferCandidates: [...state.subwooferCandidates, position.clone()] }));
+    },
+    
+    // Corners, wall midpoints and quarter points of the captured room; returns how many were added
+    addStandardSubCandidates: () => {
+      const { roomDimensions } = get();
+      if (!roomDimensions?.placement) return 0;
+      
+      const { placement } = roomDimensions;
+      const candidates = standardSubCandidates(roomDimensions).map(point => roomToWorld(point, placement));
+      commit((state) => ({ subwooferCandidates: [...state.subwooferCandidates, ...candidates] }));
+      return candidates.length;
+    },
+    
+    clearSubCandidates: () => {
+      if (get().subwooferCandidates.length > 0) {
+        commit({ subwooferCandidates: [] });
+      }
+    },
+    
+    setSubwooferCount: (count) => set({ subwooferCount: count }),
+    
+    addMeasurement: (measurement) => {
+      commit((state) => ({
+        measurements: [...state.measurements, measurement]
+      }));
+    },
+    
+    // A blank label or note removes it
+    updateMeasurement: (roomId, id, updates) => {
+      const current = roomMeasurements(get(), roomId).find(measurement => measurement.id === id);
+      if (!current) return false;
+      
+      const updated = applyMeasurementUpdate(current, updates);
+      if (MEASUREMENT_FIELDS.every(key => updated[key] === current[key])) return true;
+      return editMeasurements(roomId, id, (measurements) => measurements.map(measurement => measurement.id === id ? updated : measurement));
+    },
+    
+    removeMeasurement: (roomId, id) => editMeasurements(roomId, id, (measurements) => measurements.filter(measurement => measurement.id !== id)),
+    
+    setPlacementMode: (mode) => {
+      set({ placementMode: mode, selectedPoints: [], orientTargetId: null, roomCapturePoints: [] });
+    },
+    
+    setOrientTarget: (id) => set({ orientTargetId: id }),
+    
+    setSpeakerFacing: (id, direction) => {
+      const rotation = rotationFromFacing(direction);
+      if (!rotation || !get().speakers.some(speaker => speaker.id === id)) return false;
+      
+      commit((state) => ({
+        speakers: state.speakers.map(speaker => speaker.id === id
+          ? { ...speaker, rotation, metadata: { ...speaker.metadata, facing_captured: true } }
+          : speaker
+        )
+      }));
+      return true;
+    },
+    
+    setSurroundLayout: (layout) => commit({ surroundLayout: layout }),
+    
+    setChannelRole: (id, role) => {
+      if (!get().speakers.some(speaker => speaker.id === id)) return false;
+      
+      commit((state) => ({
+        speakers: state.speakers.map(speaker => {
+          if (speaker.id !== id) return speaker;
+          const { channel_role: _previous, ...metadata } = speaker.metadata;
+          return { ...speaker, metadata: role ? { ...metadata, channel_role: role } : metadata };
+        })
+      }));
+      return true;
+    },
+    
+    // A blank label removes it
+    setSpeakerLabel: (id, label) => {
+      const current = get().speakers.find(speaker => speaker.id === id);
+      if (!current) return false;
+      
+      const trimmed = label.trim();
+      if ((current.metadata.label ?? '') === trimmed) return true;
+      
+      commit((state) => ({
+        speakers: state.speakers.map(speaker => {
+          if (speaker.id !== id) return speaker;
+          const { label: _previous, ...metadata } = speaker.metadata;
+          return { ...speaker, metadata: trimmed ? { ...metadata, label: trimmed } : metadata };
+        })
+      }));
+      return true;
+    },
+    
+    selectPoint: (point) => {
+      const state = get();
+      const newSelectedPoints = [...state.selectedPoints, point];
+      
+      // Auto-measure when we have 2 points selected
+      if (newSelectedPoints.length === 2) {
+        const distance = newSelectedPoints[0].position.distanceTo(newSelectedPoints[1].position);
+        const measurement: MeasurementData = {
+          id: createId('measurement'),
+          distance,
+          points: newSelectedPoints,
+          timestamp: new Date()
+        };
+        
+        commit({
+          selectedPoints: [],
+          measurements: [...state.measurements, measurement]
+        });
+      } else {
+        commit({ selectedPoints: newSelectedPoints });
+      }
+    },
+    
+    clearSelectedPoints: () => {
+      if (get().selectedPoints.length > 0) {
+        commit({ selectedPoints: [] });
+      }
+    },
+    
+    clearAll: () => commit({
+      speakers: [],
+      listeners: [],
+      obstacles: [],
+      subwooferCandidates: [],
+      measurements: [],
+      selectedPoints: []
+    }),
+    
+    createRoom: (name) => {
+      const room = createRoomProfile(name);
+      const state = get();
+      commit({
+        rooms: [...snapshotRooms(state), room],
+        activeRoomId: room.id,
+        ...cloneSetup(room.setup),
+        selectedPoints: []
+      });
+      return room.id;
+    },
+    
+    renameRoom: (id, name) => {
+      commit((state) => ({
+        rooms: state.rooms.map(room => room.id === id
+          ? { ...room, name, updatedAt: new Date() }
+          : room
+        )
+      }));
+    },
+    
+    duplicateRoom: (id, name) => {
+      const state = get();
+      const rooms = snapshotRooms(state);
+      const source = rooms.find(room => room.id === id);
+      if (!source) return null;
+      
+      const copy: RoomProfile = {
+        ...createRoomProfile(name ?? `${source.name} (copy)`),
+        setup: cloneSetup(source.setup, true)
+      };
+      commit({ rooms: [...rooms, copy] });
+      return copy.id;
+    },
+    
+    deleteRoom: (id) => {
+      const state = get();
+      const remaining = state.rooms.filter(room => room.id !== id);
+      if (remaining.length === state.rooms.length || remaining.length === 0) return; // Keep at least one room
+      
+      if (id === state.activeRoomId) {
+        const next = remaining[0];
+        commit({
+          rooms: remaining,
+          activeRoomId: next.id,
+          ...cloneSetup(next.setup),
+          selectedPoints: []
+        });
+      } else {
+        commit({ rooms: remaining });
+      }
+    },
+    
+    switchRoom: (id) => {
+      const state = get();
+      if (id === state.activeRoomId) return;
+      
+      const rooms = snapshotRooms(state);
+      const target = rooms.find(room => room.id === id);
+      if (!target) return;
+      
+      commit({
+        rooms,
+        activeRoomId: id,
+        ...cloneSetup(target.setup),
+        selectedPoints: []
+      });
+    },
+    
+    undo: () => {
+      const { past, future } = get();
+      if (past.length === 0) return;
+      
+      const previous = past[past.length - 1];
+      set((state) => ({
+        ...previous,
+        past: past.slice(0, -1),
+        future: [takeSnapshot(state), ...future].slice(0, HISTORY_LIMIT)
+      }));
+    },
+    
+    redo: () => {
+      const { past, future } = get();
+      if (future.length === 0) return;
+      
+      const next = future[0];
+      set((state) => ({
+        ...next,
+        past: [...past, takeSnapshot(state)].slice(-HISTORY_LIMIT),
+        future: future.slice(1)
+      }));
+    }
+  };
+}, {
+  // Persist the room setup across reloads; session flags and selection stay in memory
+  name: STORAGE_KEY,
+  version: SCHEMA_VERSION,
+  storage: arStorage,
+  partialize: (state): PersistedARState => serializeARState({ ...state, rooms: snapshotRooms(state) }),
+  migrate: (persistedState, version) => migrateARState(persistedState, version),
+  merge: (persistedState, currentState) => ({
+    ...currentState,
+    ...deserializeARState(persistedState)
+  }),
+  onRehydrateStorage: () => (_state, error) => {
+    if (error) {
+      console.error('Failed to restore AR setup, starting fresh:', error);
+      useARStore.setState({ restoreError: error instanceof Error ? error.message : String(error) });
+    }
+  }
 }));
\ No newline at end of file
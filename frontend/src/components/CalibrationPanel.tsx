@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { useARStore } from './ARStore';
+import {
+  AVR_PRESETS,
+  AvrPresetId,
+  calibrateSpeakers,
+  formatCalibrationValue,
+  formatLevelTrim
+} from './models/Calibration';
+import { getMainListener } from './models/ListeningArea';
+import { useUnits } from './UnitSettings';
+
+interface CalibrationPanelProps {
+  className?: string;
+}
+
+export const CalibrationPanel: React.FC<CalibrationPanelProps> = ({ className }) => {
+  const { speakers, listeners } = useARStore();
+  const [presetId, setPresetId] = useState<AvrPresetId>('m-0.01');
+  const { formatLength } = useUnits();
+
+  const preset = AVR_PRESETS.find(candidate => candidate.id === presetId) ?? AVR_PRESETS[0];
+  const listener = getMainListener(listeners);
+
+  if (!listener || speakers.length === 0) {
+    return (
+      <p className={className} style={{ fontSize: '12px', color: '#666', margin: 0 }}>
+        Place speakers and a listener to get receiver distance, delay and level settings.
+      </p>
+    );
+  }
+
+  const channels = calibrateSpeakers(speakers, listener);
+
+  return (
+    <div className={className} style={{ fontSize: '14px', color: '#333' }}>
+      <div style={{ marginBottom: '10px' }}>
+        <label style={{ fontSize: '13px' }}>
+          Receiver menu{' '}
+          <select
+            value={preset.id}
+            onChange={(event) => setPresetId(event.target.value as AvrPresetId)}
+            style={{ padding: '5px', borderRadius: '4px' }}
+          >
+            {AVR_PRESETS.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <p style={{ fontSize: '12px', color: '#666', margin: '0 0 6px' }}>
+        Calibrated for {listener.metadata.name}. Delays and trims are relative to the farthest speaker.
+      </p>
+      <table style={{ fontSize: '12px', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ textAlign: 'left' }}>
+            <th style={{ paddingRight: '10px' }}>Speaker</th>
+            <th style={{ paddingRight: '10px' }}>Distance</th>
+            <th style={{ paddingRight: '10px' }}>Delay</th>
+            <th style={{ paddingRight: '10px' }}>Level trim</th>
+            <th>Enter</th>
+          </tr>
+        </thead>
+        <tbody>
+          {channels.map(channel => (
+            <tr key={channel.speakerId}>
+              <td style={{ paddingRight: '10px' }}>{channel.speakerTag}</td>
+              <td style={{ paddingRight: '10px' }}>{formatLength(channel.distance)}</td>
+              <td style={{ paddingRight: '10px' }}>{(channel.delay * 1000).toFixed(2)} ms</td>
+              <td style={{ paddingRight: '10px' }}>{formatLevelTrim(channel.levelTrim)}</td>
+              <td style={{ fontWeight: 'bold' }}>{formatCalibrationValue(channel, preset)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: '12px', color: '#666', margin: '6px 0 0' }}>
+        Level trims assume free-field inverse-square falloff; confirm subwoofer levels with a meter.
+      </p>
+    </div>
+  );
+};
+
+export default CalibrationPanel;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { useARStore } from './ARStore';
+import { findFirstReflections, reflectionPointsToCSV } from './models/FirstReflections';
+import { getMainListener } from './models/ListeningArea';
+import { downloadFile } from './SceneExchangePanel';
+import { useUnits } from './UnitSettings';
+
+interface FirstReflectionsPanelProps {
+  className?: string;
+}
+
+const buttonStyle: React.CSSProperties = {
+  padding: '6px 10px',
+  fontSize: '13px',
+  backgroundColor: '#007bff',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+export const FirstReflectionsPanel: React.FC<FirstReflectionsPanelProps> = ({ className }) => {
+  const { speakers, listeners, obstacles, roomDimensions, rooms, activeRoomId } = useARStore();
+  const { formatLength } = useUnits();
+
+  const listener = getMainListener(listeners);
+  const points = listener ? findFirstReflections(speakers, listener, obstacles, roomDimensions) : [];
+  const roomName = rooms.find(room => room.id === activeRoomId)?.name ?? 'room';
+
+  if (!listener || speakers.length === 0) {
+    return (
+      <p className={className} style={{ fontSize: '12px', color: '#666', margin: 0 }}>
+        Place speakers and a listener to find where their first reflections land.
+      </p>
+    );
+  }
+
+  return (
+    <div className={className} style={{ fontSize: '14px', color: '#333' }}>
+      <button
+        onClick={() => downloadFile(`${roomName} - reflection points.csv`, reflectionPointsToCSV(points), 'text/csv')}
+        disabled={points.length === 0}
+        style={{ ...buttonStyle, marginBottom: '10px' }}
+      >
+        ⬇️ Export CSV
+      </button>
+      {!roomDimensions?.placement && (
+        <p style={{ fontSize: '12px', color: '#666', margin: '0 0 6px' }}>
+          Capture the room in AR to get ceiling reflections and positions measured from the room corner.
+        </p>
+      )}
+      <table style={{ fontSize: '12px', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ textAlign: 'left' }}>
+            <th style={{ paddingRight: '10px' }}>Speaker</th>
+            <th style={{ paddingRight: '10px' }}>Boundary</th>
+            <th style={{ paddingRight: '10px' }}>Position</th>
+            <th style={{ paddingRight: '10px' }}>Extra path</th>
+            <th>Delay</th>
+          </tr>
+        </thead>
+        <tbody>
+          {points.map(point => (
+            <tr key={`${point.speakerId}_${point.boundaryId}`}>
+              <td style={{ paddingRight: '10px' }}>{point.speakerTag}</td>
+              <td style={{ paddingRight: '10px' }}>{point.boundaryName}</td>
+              <td style={{ paddingRight: '10px' }}>
+                {point.roomPoint
+                  ? `${formatLength(point.roomPoint.x)} / ${formatLength(point.roomPoint.y)}, ${formatLength(point.roomPoint.z)} up`
+                  : `${point.point.x.toFixed(2)}, ${point.point.y.toFixed(2)}, ${point.point.z.toFixed(2)}`}
+              </td>
+              <td style={{ paddingRight: '10px' }}>{formatLength(point.pathDifference)}</td>
+              <td>{(point.arrivalDelay * 1000).toFixed(2)} ms</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default FirstReflectionsPanel;
@@ -0,0 +1,396 @@
+import React, { useRef, useState } from 'react';
+import { Euler, Vector3 } from 'three';
+import { useARStore } from './ARStore';
+import type { SceneEntity } from './models/SceneEntities';
+import { getFacingDirection, hasCapturedFacing } from './models/SpeakerOrientation';
+import { findChannelSpeaker, formatSpeakerTag, getEarPosition } from './models/SurroundLayouts';
+import { getMainListener } from './models/ListeningArea';
+import { isWall } from './models/SpeakerBoundary';
+import { roomToWorld, worldToRoom } from './models/RoomModes';
+import {
+  PlanBounds,
+  planBounds,
+  roomOutline,
+  SNAP_STEPS,
+  snapToGrid,
+  snapYaw,
+  wallClearances,
+  YAW_SNAP
+} from './models/FloorPlan';
+import { useUnits } from './UnitSettings';
+
+interface FloorPlanEditorProps {
+  className?: string;
+}
+
+// Rotation handle distance from the entity's center, meters
+const HANDLE_DISTANCE = 0.4;
+
+const COLORS = {
+  speaker: '#ff6b6b',
+  listener: '#4ecdc4',
+  obstacle: '#888888',
+  wall: '#636e72',
+  selected: '#ffd93d',
+  room: '#74b9ff',
+  measurement: '#45b7d1',
+  triangle: '#a29bfe',
+  dimension: '#2d3436'
+};
+
+// A pointer drag in progress; the view stays put until it ends
+interface DragState {
+  id: string;
+  kind: 'move' | 'rotate';
+  offset: Vector3; // entity center minus the grab point
+  position: Vector3;
+  yaw: number;
+  bounds: PlanBounds;
+}
+
+const yawOf = (direction: Vector3) => Math.atan2(direction.x, direction.z);
+
+const fromYaw = (yaw: number) => new Vector3(Math.sin(yaw), 0, Math.cos(yaw));
+
+const midpoint = (a: Vector3, b: Vector3) => a.clone().add(b).multiplyScalar(0.5);
+
+const inputStyle: React.CSSProperties = { width: '64px', padding: '3px', marginRight: '8px' };
+
+export const FloorPlanEditor: React.FC<FloorPlanEditorProps> = ({ className }) => {
+  const {
+    speakers,
+    listeners,
+    obstacles,
+    measurements,
+    roomDimensions,
+    updateEntity,
+    setSpeakerFacing
+  } = useARStore();
+  const { preferences, formatLength, formatAngle, lengthSymbol, toLengthInput, parseLength, angleSymbol, toAngleInput, parseAngle } = useUnits();
+
+  const svgRef = useRef<SVGSVGElement>(null);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [drag, setDrag] = useState<DragState | null>(null);
+  const [snapStep, setSnapStep] = useState(0.05);
+  const [showDimensions, setShowDimensions] = useState(true);
+
+  const entities: SceneEntity[] = [...speakers, ...listeners, ...obstacles];
+  const selected = entities.find(entity => entity.id === selectedId) ?? null;
+  const outline = roomDimensions ? roomOutline(roomDimensions) : [];
+
+  const positionOf = (entity: SceneEntity) =>
+    drag?.id === entity.id && drag.kind === 'move' ? drag.position : entity.position;
+  const facingOf = (entity: SceneEntity) =>
+    drag?.id === entity.id && drag.kind === 'rotate' ? fromYaw(drag.yaw) : getFacingDirection(entity);
+
+  const bounds = drag?.bounds ?? planBounds([
+    ...entities.map(entity => entity.position),
+    ...outline,
+    ...measurements.flatMap(measurement => measurement.points.map(point => point.position))
+  ]);
+  // One plan unit: sizes text and strokes so they read the same whatever the room size
+  const unit = Math.max(bounds.width, bounds.height) / 100;
+
+  // Pointer position on the floor, world space
+  const toFloor = (event: React.PointerEvent): Vector3 | null => {
+    const svg = svgRef.current;
+    const matrix = svg?.getScreenCTM();
+    if (!svg || !matrix) return null;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const plan = point.matrixTransform(matrix.inverse());
+    return new Vector3(plan.x, 0, plan.y);
+  };
+
+  const startDrag = (event: React.PointerEvent, entity: SceneEntity, kind: DragState['kind']) => {
+    const floor = toFloor(event);
+    if (!floor) return;
+    event.stopPropagation();
+    svgRef.current?.setPointerCapture(event.pointerId);
+    setSelectedId(entity.id);
+    setDrag({
+      id: entity.id,
+      kind,
+      offset: entity.position.clone().sub(floor).setY(0),
+      position: entity.position.clone(),
+      yaw: yawOf(getFacingDirection(entity)),
+      bounds
+    });
+  };
+
+  const moveDrag = (event: React.PointerEvent) => {
+    if (!drag) return;
+    const floor = toFloor(event);
+    const entity = entities.find(candidate => candidate.id === drag.id);
+    if (!floor || !entity) return;
+
+    if (drag.kind === 'move') {
+      const position = floor.add(drag.offset).setY(entity.position.y);
+      setDrag({ ...drag, position: snapToGrid(position, snapStep, roomDimensions) });
+    } else {
+      const yaw = yawOf(floor.sub(entity.position));
+      setDrag({ ...drag, yaw: snapStep > 0 ? snapYaw(yaw, YAW_SNAP) : yaw });
+    }
+  };
+
+  const setYaw = (entity: SceneEntity, yaw: number) => {
+    if (entity.type === 'speaker') {
+      setSpeakerFacing(entity.id, fromYaw(yaw));
+    } else {
+      updateEntity(entity.id, { rotation: new Euler(0, yaw, 0) });
+    }
+  };
+
+  // One undo step per drag
+  const endDrag = () => {
+    if (!drag) return;
+    const entity = entities.find(candidate => candidate.id === drag.id);
+    if (entity && drag.kind === 'move' && !drag.position.equals(entity.position)) {
+      updateEntity(entity.id, { position: drag.position.clone() });
+    } else if (entity && drag.kind === 'rotate' && Math.abs(drag.yaw - yawOf(getFacingDirection(entity))) > 1e-6) {
+      setYaw(entity, drag.yaw);
+    }
+    setDrag(null);
+  };
+
+  // Numeric fields use room coordinates once the room is captured, world ones otherwise
+  const placement = roomDimensions?.placement;
+  const numericPosition = (position: Vector3): [number, number, number] => {
+    if (!placement) return [position.x, position.z, position.y];
+    const local = worldToRoom(position, placement);
+    return [local.x, local.y, local.z];
+  };
+  const fromNumeric = ([a, b, c]: [number, number, number]) =>
+    placement ? roomToWorld(new Vector3(a, b, c), placement) : new Vector3(a, c, b);
+  const fieldLabels = placement ? ['Along length', 'Along width', 'Height'] : ['X', 'Z', 'Y'];
+
+  const commitField = (entity: SceneEntity, index: number, raw: string) => {
+    const value = index === 3 ? parseAngle(raw) : parseLength(raw);
+    if (!Number.isFinite(value)) return;
+    if (index === 3) {
+      const yaw = value * Math.PI / 180;
+      if (Math.abs(yaw - yawOf(getFacingDirection(entity))) > 1e-6) setYaw(entity, yaw);
+      return;
+    }
+    const values = numericPosition(entity.position);
+    if (Math.abs(values[index] - value) < 1e-6) return;
+    values[index] = value;
+    updateEntity(entity.id, { position: fromNumeric(values) });
+  };
+
+  // Stereo triangle: L and R, else the first two speakers, with the main seat
+  const main = getMainListener(listeners);
+  const assignedLeft = findChannelSpeaker(speakers, 'L');
+  const assignedRight = findChannelSpeaker(speakers, 'R');
+  const [left, right] = assignedLeft && assignedRight ? [assignedLeft, assignedRight] : [speakers[0], speakers[1]];
+  const triangle = main && left && right ? [positionOf(left), positionOf(right), positionOf(main)] : null;
+  const triangleAngle = triangle
+    ? triangle[0].clone().sub(triangle[2]).setY(0).angleTo(triangle[1].clone().sub(triangle[2]).setY(0)) * 180 / Math.PI
+    : null;
+
+  const label = (entity: SceneEntity) => entity.type === 'speaker'
+    ? formatSpeakerTag(entity)
+    : `${entity.metadata.name}${entity.type === 'listener' && entity.metadata.main_seat ? ' (MLP)' : ''}`;
+
+  const dimensionText = (at: Vector3, text: string) => (
+    <text x={at.x} y={at.z - unit} fontSize={unit * 2.2} textAnchor="middle" fill={COLORS.dimension}>{text}</text>
+  );
+
+  const dimensionLine = (key: string, from: Vector3, to: Vector3, text: string) => (
+    <g key={key}>
+      <line
+        x1={from.x} y1={from.z} x2={to.x} y2={to.z}
+        stroke={COLORS.dimension} strokeWidth={unit * 0.2} strokeDasharray={`${unit} ${unit * 0.6}`}
+      />
+      {dimensionText(midpoint(from, to), text)}
+    </g>
+  );
+
+  const renderEntity = (entity: SceneEntity) => {
+    const position = positionOf(entity);
+    const facing = facingOf(entity);
+    const isSelected = entity.id === selectedId;
+    const stroke = isSelected ? COLORS.selected : 'white';
+    const yawDegrees = yawOf(facing) * 180 / Math.PI;
+
+    let body: React.ReactNode;
+    if (entity.type === 'listener') {
+      body = <circle r={Math.max(0.15, unit * 1.5)} fill={COLORS.listener} stroke={stroke} strokeWidth={unit * 0.4} />;
+    } else if (entity.type === 'obstacle' && isWall(entity)) {
+      body = <rect x={-0.3} y={-0.02} width={0.6} height={0.04} fill={COLORS.wall} stroke={stroke} strokeWidth={unit * 0.3} />;
+    } else {
+      const [w, d] = entity.type === 'speaker' ? [0.2, 0.15] : [0.3, 0.3];
+      body = (
+        <rect
+          x={-w / 2} y={-d / 2} width={w} height={d}
+          fill={entity.type === 'speaker' ? COLORS.speaker : COLORS.obstacle}
+          stroke={stroke} strokeWidth={unit * 0.4}
+        />
+      );
+    }
+
+    const arrowEnd = position.clone().addScaledVector(facing, HANDLE_DISTANCE);
+    const aimed = entity.type !== 'speaker' || hasCapturedFacing(entity);
+
+    return (
+      <g key={entity.id}>
+        {/* Facing arrow; dashed until a speaker's facing has been set */}
+        {(entity.type === 'speaker' || isSelected) && (
+          <line
+            x1={position.x} y1={position.z} x2={arrowEnd.x} y2={arrowEnd.z}
+            stroke={entity.type === 'speaker' ? COLORS.speaker : COLORS.dimension}
+            strokeWidth={unit * 0.4}
+            strokeDasharray={aimed ? undefined : `${unit} ${unit}`}
+            markerEnd="url(#floor-plan-arrow)"
+          />
+        )}
+        <g
+          transform={`translate(${position.x} ${position.z}) rotate(${-yawDegrees})`}
+          onPointerDown={(event) => startDrag(event, entity, 'move')}
+          style={{ cursor: 'move' }}
+        >
+          {body}
+        </g>
+        <text
+          x={position.x} y={position.z + Math.max(0.15, unit * 1.5) + unit * 2.5}
+          fontSize={unit * 2.5} textAnchor="middle" fill="#333"
+          style={{ pointerEvents: 'none', userSelect: 'none' }}
+        >
+          {label(entity)}
+        </text>
+        {/* Rotate handle */}
+        {isSelected && (
+          <circle
+            cx={arrowEnd.x} cy={arrowEnd.z} r={unit * 1.4}
+            fill={COLORS.selected} stroke="#333" strokeWidth={unit * 0.2}
+            onPointerDown={(event) => startDrag(event, entity, 'rotate')}
+            style={{ cursor: 'grab' }}
+          />
+        )}
+      </g>
+    );
+  };
+
+  const dimensionSubject = selected ? positionOf(selected) : null;
+
+  return (
+    <div className={className} style={{ fontSize: '14px', color: '#333' }}>
+      <div style={{ marginBottom: '8px', fontSize: '13px' }}>
+        <label style={{ marginRight: '12px' }}>
+          Snap{' '}
+          <select value={snapStep} onChange={(event) => setSnapStep(Number(event.target.value))} style={{ padding: '4px' }}>
+            {SNAP_STEPS.map(step => (
+              <option key={step} value={step}>{step === 0 ? 'Off' : formatLength(step)}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={showDimensions} onChange={(event) => setShowDimensions(event.target.checked)} />
+          {' '}Dimensions
+        </label>
+      </div>
+
+      <svg
+        ref={svgRef}
+        viewBox={`${bounds.minX} ${bounds.minZ} ${bounds.width} ${bounds.height}`}
+        style={{ width: '100%', maxWidth: '560px', aspectRatio: `${bounds.width} / ${bounds.height}`, background: '#f8f9fa', touchAction: 'none' }}
+        onPointerMove={moveDrag}
+        onPointerUp={endDrag}
+        onPointerCancel={() => setDrag(null)}
+        onPointerDown={() => setSelectedId(null)}
+      >
+        <defs>
+          <marker id="floor-plan-arrow" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="4" markerHeight="4" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill={COLORS.dimension} />
+          </marker>
+        </defs>
+
+        {/* Room outline */}
+        {outline.length > 0 && (
+          <polygon
+            points={outline.map(corner => `${corner.x},${corner.z}`).join(' ')}
+            fill="none" stroke={COLORS.room} strokeWidth={unit * 0.6}
+          />
+        )}
+        {showDimensions && roomDimensions && outline.length > 0 && (
+          <>
+            {dimensionText(midpoint(outline[0], outline[1]), formatLength(roomDimensions.length))}
+            {dimensionText(midpoint(outline[1], outline[2]), formatLength(roomDimensions.width))}
+          </>
+        )}
+
+        {/* Stereo triangle */}
+        {triangle && (
+          <>
+            <polygon
+              points={triangle.map(point => `${point.x},${point.z}`).join(' ')}
+              fill={COLORS.triangle} fillOpacity={0.12} stroke={COLORS.triangle}
+              strokeWidth={unit * 0.3} strokeDasharray={`${unit * 1.5} ${unit}`}
+            />
+            {triangleAngle !== null && dimensionText(
+              triangle[2].clone().lerp(midpoint(triangle[0], triangle[1]), 0.25),
+              formatAngle(triangleAngle)
+            )}
+          </>
+        )}
+
+        {/* Measurement lines */}
+        {measurements.map(measurement => {
+          const [from, to] = measurement.points.map(point => point.position);
+          return (
+            <g key={measurement.id}>
+              <line x1={from.x} y1={from.z} x2={to.x} y2={to.z} stroke={COLORS.measurement} strokeWidth={unit * 0.4} />
+              {dimensionText(midpoint(from, to), formatLength(measurement.distance))}
+            </g>
+          );
+        })}
+
+        {/* Dimensioning layer for the selected entity */}
+        {showDimensions && selected && dimensionSubject && (
+          <>
+            {roomDimensions && wallClearances(dimensionSubject, roomDimensions).slice(0, 2).map((clearance, index) =>
+              dimensionLine(`wall_${index}`, clearance.from, clearance.to, formatLength(clearance.distance))
+            )}
+            {main && main.id !== selected.id &&
+              dimensionLine('mlp', dimensionSubject, positionOf(main), formatLength(dimensionSubject.distanceTo(getEarPosition(main))))}
+          </>
+        )}
+
+        {obstacles.map(renderEntity)}
+        {listeners.map(renderEntity)}
+        {speakers.map(renderEntity)}
+      </svg>
+
+      {selected ? (
+        <div style={{ marginTop: '8px', fontSize: '12px' }} key={`${selected.id}_${selected.position.toArray().join()}_${selected.rotation.y}_${JSON.stringify(preferences)}`}>
+          <strong>{label(selected)}</strong>
+          <div style={{ marginTop: '4px' }}>
+            {[...numericPosition(selected.position), yawOf(getFacingDirection(selected)) * 180 / Math.PI].map((value, index) => (
+              <label key={index}>
+                {index === 3 ? `Yaw (${angleSymbol})` : `${fieldLabels[index]} (${lengthSymbol()})`}{' '}
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  defaultValue={index === 3 ? toAngleInput(value) : toLengthInput(value)}
+                  onBlur={(event) => commitField(selected, index, event.target.value)}
+                  onKeyDown={(event) => {
+                    if (event.key === 'Enter') event.currentTarget.blur();
+                  }}
+                  style={inputStyle}
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <p style={{ fontSize: '12px', color: '#666', margin: '8px 0 0' }}>
+          Drag to move, select to rotate with the yellow handle or type exact values.
+          {!placement && ' Capture the room in AR to see its outline and wall distances.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default FloorPlanEditor;
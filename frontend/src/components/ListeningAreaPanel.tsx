@@ -0,0 +1,207 @@
+import React, { useMemo, useState } from 'react';
+import { useARStore } from './ARStore';
+import {
+  analyzeSeats,
+  getMainListener,
+  suggestMainListeningPosition,
+  suggestSpeakerAdjustments
+} from './models/ListeningArea';
+import { LengthInput, useUnits } from './UnitSettings';
+
+interface ListeningAreaPanelProps {
+  className?: string;
+}
+
+const buttonStyle: React.CSSProperties = {
+  padding: '6px 10px',
+  fontSize: '13px',
+  backgroundColor: '#6c757d',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  marginRight: '6px'
+};
+
+const smallButtonStyle: React.CSSProperties = { ...buttonStyle, padding: '2px 6px', fontSize: '12px', marginLeft: '8px' };
+
+const inputStyle: React.CSSProperties = { width: '52px', padding: '4px', marginRight: '8px' };
+
+const scoreColor = (score: number) => score >= 80 ? '#28a745' : score >= 50 ? '#e67e22' : '#dc3545';
+
+export const ListeningAreaPanel: React.FC<ListeningAreaPanelProps> = ({ className }) => {
+  const {
+    speakers,
+    listeners,
+    surroundLayout,
+    setMainListener,
+    addListener,
+    addSeatGrid,
+    updateEntity
+  } = useARStore();
+  const { formatLength, formatAngle, lengthSymbol } = useUnits();
+
+  const [grid, setGrid] = useState({ rows: '2', seatsPerRow: '3' });
+  const [spacing, setSpacing] = useState<{ seat: number | null; row: number | null }>({ seat: 0.6, row: 1.2 });
+
+  const seats = useMemo(() => analyzeSeats(speakers, listeners, surroundLayout), [speakers, listeners, surroundLayout]);
+  const mlp = useMemo(() => suggestMainListeningPosition(speakers, listeners), [speakers, listeners]);
+  const adjustments = useMemo(
+    () => suggestSpeakerAdjustments(speakers, listeners, surroundLayout),
+    [speakers, listeners, surroundLayout]
+  );
+
+  const main = getMainListener(listeners);
+  const nearestSeat = mlp ? listeners.find(listener => listener.id === mlp.nearestSeatId) : undefined;
+
+  const createGrid = () => {
+    const [rows, seatsPerRow] = [grid.rows, grid.seatsPerRow].map(value => Math.round(Number(value)));
+    const { seat: seatSpacing, row: rowSpacing } = spacing;
+    if (seatSpacing === null || rowSpacing === null) return;
+    if (![rows, seatsPerRow, seatSpacing, rowSpacing].every(value => Number.isFinite(value) && value > 0)) return;
+    addSeatGrid(rows, seatsPerRow, seatSpacing, rowSpacing);
+  };
+
+  const addMlpListener = () => {
+    if (!mlp || !main) return;
+    const listener = addListener(mlp.position, {
+      name: 'MLP',
+      ...(main.metadata.height !== undefined && { height: main.metadata.height })
+    }, main.rotation);
+    setMainListener(listener.id);
+  };
+
+  if (!main) {
+    return (
+      <p className={className} style={{ fontSize: '12px', color: '#666', margin: 0 }}>
+        Place a listener, then lay out a row or grid of seats around it.
+      </p>
+    );
+  }
+
+  const gridField = (key: keyof typeof grid, label: string) => (
+    <label style={{ fontSize: '12px' }}>
+      {label}{' '}
+      <input
+        type="number"
+        min={0}
+        step={1}
+        value={grid[key]}
+        onChange={(event) => setGrid(previous => ({ ...previous, [key]: event.target.value }))}
+        style={inputStyle}
+      />
+    </label>
+  );
+
+  const spacingField = (key: keyof typeof spacing, label: string) => (
+    <label style={{ fontSize: '12px' }}>
+      {label} ({lengthSymbol()}){' '}
+      <LengthInput
+        meters={spacing[key]}
+        onChange={(meters) => setSpacing(previous => ({ ...previous, [key]: meters }))}
+        style={inputStyle}
+      />
+    </label>
+  );
+
+  return (
+    <div className={className} style={{ fontSize: '14px', color: '#333' }}>
+      <div style={{ marginBottom: '10px' }}>
+        {gridField('rows', 'Rows')}
+        {gridField('seatsPerRow', 'Seats/row')}
+        {spacingField('seat', 'Seat spacing')}
+        {spacingField('row', 'Row spacing')}
+        <button onClick={createGrid} style={{ ...buttonStyle, backgroundColor: '#28a745' }}>
+          🪑 Seat Grid
+        </button>
+      </div>
+      <p style={{ fontSize: '12px', color: '#666', margin: '0 0 8px' }}>
+        The grid replaces every listener and is centered on {main.metadata.name}, facing the front speakers.
+      </p>
+
+      {mlp && nearestSeat && listeners.length > 1 && (
+        <div style={{ fontSize: '13px', marginBottom: '10px' }}>
+          Suggested MLP: {formatLength(mlp.position.distanceTo(nearestSeat.position))} from {nearestSeat.metadata.name},
+          {' '}worst seat {(mlp.worstResidualSpread * 1000).toFixed(2)} ms after calibration
+          {nearestSeat.id !== main.id && (
+            <button onClick={() => setMainListener(nearestSeat.id)} style={smallButtonStyle}>
+              Use {nearestSeat.metadata.name}
+            </button>
+          )}
+          <button onClick={addMlpListener} style={smallButtonStyle}>
+            Add Listener There
+          </button>
+        </div>
+      )}
+
+      {seats.length === 0 ? (
+        <p style={{ fontSize: '12px', color: '#666', margin: 0 }}>Place speakers to score the seats.</p>
+      ) : (
+        <table style={{ fontSize: '12px', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left' }}>
+              <th style={{ paddingRight: '10px' }}>Seat</th>
+              <th style={{ paddingRight: '10px' }}>Distance</th>
+              <th style={{ paddingRight: '10px' }}>Arrival spread</th>
+              <th style={{ paddingRight: '10px' }}>After calibration</th>
+              <th style={{ paddingRight: '10px' }}>Worst angle</th>
+              <th>Score</th>
+            </tr>
+          </thead>
+          <tbody>
+            {seats.map(seat => (
+              <tr key={seat.listenerId}>
+                <td style={{ paddingRight: '10px' }}>
+                  <button
+                    onClick={() => setMainListener(seat.listenerId)}
+                    title={seat.isMain ? 'Main listening position' : 'Make this the main listening position'}
+                    style={{ background: 'none', border: 'none', cursor: 'pointer', padding: 0, marginRight: '4px' }}
+                  >
+                    {seat.isMain ? '★' : '☆'}
+                  </button>
+                  {seat.name}
+                </td>
+                <td style={{ paddingRight: '10px' }}>{formatLength(seat.minDistance)}–{formatLength(seat.maxDistance)}</td>
+                <td style={{ paddingRight: '10px' }}>{(seat.arrivalSpread * 1000).toFixed(2)} ms</td>
+                <td style={{ paddingRight: '10px' }}>{(seat.residualSpread * 1000).toFixed(2)} ms</td>
+                <td style={{ paddingRight: '10px' }}>
+                  {surroundLayout
+                    ? seat.worstChannel ? `${formatAngle(seat.worstAngleError)} (${seat.worstChannel})` : 'in band'
+                    : '-'}
+                </td>
+                <td style={{ color: scoreColor(seat.score), fontWeight: 'bold' }}>{seat.score.toFixed(0)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {!surroundLayout && seats.length > 0 && (
+        <p style={{ fontSize: '12px', color: '#666', margin: '6px 0 0' }}>
+          Choose a surround layout to score channel angles at every seat.
+        </p>
+      )}
+
+      {adjustments.length > 0 && (
+        <div style={{ marginTop: '10px' }}>
+          <strong style={{ fontSize: '13px' }}>Speaker adjustments for the worst seat</strong>
+          <ul style={{ margin: '4px 0 0', paddingLeft: '20px', fontSize: '12px' }}>
+            {adjustments.map(adjustment => (
+              <li key={adjustment.speakerId} style={{ marginBottom: '4px' }}>
+                Move {adjustment.role} {formatLength(adjustment.shift)}:
+                {' '}worst error {formatAngle(adjustment.currentWorstError)} → {formatAngle(adjustment.suggestedWorstError)}
+                <button
+                  onClick={() => updateEntity(adjustment.speakerId, { position: adjustment.position.clone() })}
+                  style={smallButtonStyle}
+                >
+                  Move
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ListeningAreaPanel;
@@ -0,0 +1,136 @@
+import React, { useMemo, useState } from 'react';
+import { selectEntities, snapshotRooms, useARStore } from './ARStore';
+import type { MeasurementData } from './ARStore';
+import {
+  collectMeasurements,
+  endpointName,
+  filterMeasurements,
+  measuredEndpoints,
+  measurementTitle
+} from './models/MeasurementHistory';
+import { useUnits } from './UnitSettings';
+
+interface MeasurementHistoryPanelProps {
+  className?: string;
+}
+
+const smallButtonStyle: React.CSSProperties = {
+  padding: '2px 6px',
+  fontSize: '12px',
+  backgroundColor: '#6c757d',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  marginLeft: '4px'
+};
+
+const selectStyle: React.CSSProperties = { padding: '4px', marginRight: '8px', maxWidth: '160px' };
+
+export const MeasurementHistoryPanel: React.FC<MeasurementHistoryPanelProps> = ({ className }) => {
+  const state = useARStore();
+  const { rooms, activeRoomId, updateMeasurement, removeMeasurement } = state;
+
+  const [roomFilter, setRoomFilter] = useState<string | null>(null);
+  const [entityFilter, setEntityFilter] = useState<string | null>(null);
+  const { formatLength } = useUnits();
+
+  const formatPosition = (measurement: MeasurementData, index: number) =>
+    measurement.points[index].position.toArray().map(formatLength).join(', ');
+
+  // Stored rooms plus the live setup of the active one
+  const allRooms = useMemo(() => snapshotRooms(state), [state]);
+  const entries = useMemo(() => collectMeasurements(allRooms), [allRooms]);
+  const roomEntries = filterMeasurements(entries, { roomId: roomFilter, entityId: null });
+  const endpoints = measuredEndpoints(roomEntries);
+  const shown = filterMeasurements(roomEntries, { roomId: null, entityId: entityFilter });
+  const liveEntities = selectEntities(state);
+
+  const handleRename = (roomId: string, measurement: MeasurementData, title: string) => {
+    const label = window.prompt('Measurement name (leave empty to name it after its endpoints):', measurement.label ?? title);
+    if (label !== null) updateMeasurement(roomId, measurement.id, { label });
+  };
+
+  if (entries.length === 0) {
+    return (
+      <div className={className} style={{ fontSize: '14px', color: '#666' }}>
+        No measurements yet. Select two points in 📏 Measure mode in AR.
+      </div>
+    );
+  }
+
+  return (
+    <div className={className} style={{ fontSize: '14px', color: '#333' }}>
+      <div style={{ marginBottom: '8px' }}>
+        <select
+          value={roomFilter ?? ''}
+          onChange={(event) => {
+            setRoomFilter(event.target.value || null);
+            setEntityFilter(null);
+          }}
+          style={selectStyle}
+        >
+          <option value="">All rooms</option>
+          {rooms.map(room => (
+            <option key={room.id} value={room.id}>{room.name}{room.id === activeRoomId ? ' (current)' : ''}</option>
+          ))}
+        </select>
+        <select value={entityFilter ?? ''} onChange={(event) => setEntityFilter(event.target.value || null)} style={selectStyle}>
+          <option value="">Any endpoint</option>
+          {endpoints.map(point => (
+            <option key={point.id} value={point.id}>{endpointName(point, liveEntities)}</option>
+          ))}
+        </select>
+      </div>
+
+      {shown.length === 0 && <div style={{ color: '#666' }}>No measurements match these filters.</div>}
+
+      {shown.map(({ measurement, roomId, roomName }) => {
+        const title = measurementTitle(measurement, liveEntities);
+        return (
+          <div key={`${roomId}_${measurement.id}`} style={{ padding: '6px 0', borderBottom: '1px solid #eee' }}>
+            <div>
+              <strong>{formatLength(measurement.distance)}</strong> {title}
+              <button onClick={() => handleRename(roomId, measurement, title)} style={smallButtonStyle}>Rename</button>
+              <button
+                onClick={() => updateMeasurement(roomId, measurement.id, { pinned: !measurement.pinned })}
+                style={{ ...smallButtonStyle, backgroundColor: measurement.pinned ? '#007bff' : smallButtonStyle.backgroundColor }}
+                title="Keep this measurement drawn in AR"
+              >
+                📌 {measurement.pinned ? 'Pinned' : 'Pin'}
+              </button>
+              <button onClick={() => removeMeasurement(roomId, measurement.id)} style={{ ...smallButtonStyle, backgroundColor: '#dc3545' }}>
+                Delete
+              </button>
+            </div>
+            <div style={{ fontSize: '12px', color: '#666' }}>
+              {measurement.points.map((point, index) => (
+                <span key={index}>
+                  {index > 0 && ' → '}
+                  {endpointName(point, liveEntities)} ({formatPosition(measurement, index)})
+                </span>
+              ))}
+            </div>
+            <div style={{ fontSize: '12px', color: '#666' }}>
+              {measurement.timestamp.toLocaleString()}
+              {roomFilter === null && ` · ${roomName}${roomId === activeRoomId ? ' (current)' : ''}`}
+            </div>
+            {/* Committed on blur so typing is one undo step */}
+            <input
+              key={`${roomId}_${measurement.id}_${measurement.note ?? ''}`}
+              defaultValue={measurement.note ?? ''}
+              placeholder="Note"
+              onBlur={(event) => updateMeasurement(roomId, measurement.id, { note: event.target.value })}
+              onKeyDown={(event) => {
+                if (event.key === 'Enter') event.currentTarget.blur();
+              }}
+              style={{ marginTop: '4px', padding: '2px 4px', borderRadius: '4px', width: '100%', boxSizing: 'border-box' }}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MeasurementHistoryPanel;
@@ -2,6 +2,8 @@ import React, { useState } from 'react';
 import ARSpeakerHelper from './ARSpeakerHelper';
 import ARSpeakerHelperXR from './ARSpeakerHelperXR';
 import { useARStore } from './ARStore';
+import RoomPicker from './RoomPicker';
+import { useUnits } from './UnitSettings';
 
 interface MyUIProps {
   className?: string;
@@ -16,6 +18,7 @@ export const MyUI: React.FC<MyUIProps> = ({ className }) => {
   } | null>(null);
   
   const { measurements, isARSupported } = useARStore();
+  const { formatLength } = useUnits();
 
   const handleOpenARHelper = () => {
     setShowARHelper(true);
@@ -51,6 +54,8 @@ export const MyUI: React.FC<MyUIProps> = ({ className }) => {
       }}>
         <h3 style={{ margin: '0 0 15px 0', color: '#333' }}>Speaker Position Tools</h3>
         
+        <RoomPicker />
+        
         {/* WebXR AR Button */}
         <button
           onClick={handleOpenXRHelper}
@@ -108,8 +113,7 @@ export const MyUI: React.FC<MyUIProps> = ({ className }) => {
                   Last Camera Measurement:
                 </p>
                 <p style={{ margin: '0', color: '#2d5a2d' }}>
-                  {(lastMeasurement.distance * 100).toFixed(1)} cm 
-                  ({(lastMeasurement.distance * 39.37).toFixed(1)} inches)
+                  {formatLength(lastMeasurement.distance)}
                 </p>
                 <p style={{ margin: '5px 0 0 0', fontSize: '12px', color: '#666' }}>
                   Measured at {lastMeasurement.timestamp.toLocaleTimeString()}
@@ -122,11 +126,17 @@ export const MyUI: React.FC<MyUIProps> = ({ className }) => {
                 <p style={{ margin: '10px 0 5px 0', fontWeight: 'bold', color: '#2d5a2d' }}>
                   AR Measurements ({measurements.length}):
                 </p>
-                {measurements.slice(-3).map((measurement, index) => (
-                  <p key={index} style={{ margin: '0', color: '#2d5a2d', fontSize: '14px' }}>
-                    {(measurement.distance * 100).toFixed(1)} cm at {measurement.timestamp.toLocaleTimeString()}
+                {measurements.slice(-3).map(measurement => (
+                  <p key={measurement.id} style={{ margin: '0', color: '#2d5a2d', fontSize: '14px' }}>
+                    {measurement.label ? `${measurement.label}: ` : ''}
+                    {formatLength(measurement.distance)} at {measurement.timestamp.toLocaleTimeString()}
                   </p>
                 ))}
+                {measurements.length > 3 && (
+                  <p style={{ margin: '5px 0 0 0', fontSize: '12px', color: '#666' }}>
+                    All of them are under Measurements.
+                  </p>
+                )}
               </>
             )}
           </div>
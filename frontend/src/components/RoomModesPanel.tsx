@@ -0,0 +1,247 @@
+import React, { useEffect, useState } from 'react';
+import { useARStore } from './ARStore';
+import {
+  assessRoomRatios,
+  computeRoomModes,
+  countModesPerBand,
+  formatModeOrder,
+  modePressure,
+  RoomMode,
+  worldToRoom
+} from './models/RoomModes';
+import { getEarPosition } from './models/SurroundLayouts';
+import { getMainListener } from './models/ListeningArea';
+import { useUnits } from './UnitSettings';
+
+interface RoomModesPanelProps {
+  className?: string;
+}
+
+type Dimension = 'length' | 'width' | 'height';
+
+const DIMENSIONS: Dimension[] = ['length', 'width', 'height'];
+
+const MODE_COLORS = {
+  axial: '#dc3545',
+  tangential: '#fd7e14',
+  oblique: '#6c757d'
+};
+
+// Modes listed with their level at the listener
+const LISTED_MODES = 15;
+
+const buttonStyle: React.CSSProperties = {
+  padding: '6px 10px',
+  fontSize: '13px',
+  backgroundColor: '#007bff',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+// Modes drawn at their frequency on a log axis, with the 1/3-octave counts behind them
+const ModalDensityChart: React.FC<{ modes: RoomMode[] }> = ({ modes }) => {
+  const width = 320;
+  const height = 120;
+  const minFrequency = 16;
+  const maxFrequency = 320;
+  const x = (frequency: number) =>
+    Math.log(frequency / minFrequency) / Math.log(maxFrequency / minFrequency) * width;
+
+  const bands = countModesPerBand(modes);
+  const maxCount = Math.max(1, ...bands.map(band => band.count));
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height + 14}`} style={{ width: '100%', maxWidth: '480px', background: '#f8f9fa' }}>
+      {bands.map(band => (
+        <g key={band.center}>
+          <rect
+            x={x(band.low)}
+            y={height - band.count / maxCount * (height - 10)}
+            width={x(band.high) - x(band.low) - 1}
+            height={band.count / maxCount * (height - 10)}
+            fill={band.coincident ? '#ffc9c9' : '#cfe2ff'}
+          />
+          <text x={x(band.center)} y={height + 11} fontSize="7" textAnchor="middle" fill="#666">
+            {band.center}
+          </text>
+        </g>
+      ))}
+      {modes.map(mode => (
+        <line
+          key={formatModeOrder(mode.order)}
+          x1={x(mode.frequency)}
+          x2={x(mode.frequency)}
+          y1={height}
+          y2={mode.type === 'axial' ? 10 : mode.type === 'tangential' ? 40 : 70}
+          stroke={MODE_COLORS[mode.type]}
+          strokeWidth={1}
+        />
+      ))}
+    </svg>
+  );
+};
+
+export const RoomModesPanel: React.FC<RoomModesPanelProps> = ({ className }) => {
+  const {
+    roomDimensions,
+    measurements,
+    listeners,
+    heatMapMode,
+    setRoomDimensions,
+    setHeatMapMode
+  } = useARStore();
+
+  const { formatLength, lengthSymbol, toLengthInput, parseLength } = useUnits();
+  const [draft, setDraft] = useState<Record<Dimension, string>>({ length: '', width: '', height: '' });
+
+  // Follow the stored size, e.g. after capturing the room in AR, switching rooms or changing units
+  useEffect(() => {
+    setDraft({
+      length: roomDimensions ? toLengthInput(roomDimensions.length) : '',
+      width: roomDimensions ? toLengthInput(roomDimensions.width) : '',
+      height: roomDimensions ? toLengthInput(roomDimensions.height) : ''
+    });
+  }, [roomDimensions, toLengthInput]);
+
+  const parsed = DIMENSIONS.map(dimension => parseLength(draft[dimension]));
+  const draftValid = parsed.every(value => Number.isFinite(value) && value > 0);
+
+  const handleSave = () => {
+    if (!draftValid) return;
+    const [length, width, height] = parsed;
+    // A typed-in size keeps the AR anchoring from an earlier capture
+    setRoomDimensions({ length, width, height, placement: roomDimensions?.placement });
+  };
+
+  const modes = roomDimensions ? computeRoomModes(roomDimensions) : [];
+  const report = roomDimensions ? assessRoomRatios(roomDimensions, modes) : null;
+  const mainListener = getMainListener(listeners);
+  const listenerPoint = roomDimensions?.placement && mainListener
+    ? worldToRoom(getEarPosition(mainListener), roomDimensions.placement)
+    : null;
+  const heatMapKey = heatMapMode ? formatModeOrder(heatMapMode) : null;
+
+  return (
+    <div className={className} style={{ fontSize: '14px', color: '#333' }}>
+      {/* Size capture */}
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'flex-end' }}>
+        {DIMENSIONS.map(dimension => (
+          <label key={dimension} style={{ display: 'flex', flexDirection: 'column', fontSize: '13px' }}>
+            {dimension[0].toUpperCase() + dimension.slice(1)} ({lengthSymbol()})
+            <input
+              type="text"
+              inputMode="decimal"
+              value={draft[dimension]}
+              onChange={(event) => setDraft(prev => ({ ...prev, [dimension]: event.target.value }))}
+              style={{ width: '80px', padding: '4px' }}
+            />
+            {measurements.length > 0 && (
+              <select
+                value=""
+                onChange={(event) => {
+                  const measurement = measurements[Number(event.target.value)];
+                  if (measurement) setDraft(prev => ({ ...prev, [dimension]: toLengthInput(measurement.distance) }));
+                }}
+                style={{ width: '88px', marginTop: '4px', fontSize: '12px' }}
+              >
+                <option value="">From…</option>
+                {measurements.map((measurement, index) => (
+                  <option key={index} value={index}>
+                    #{index + 1}: {formatLength(measurement.distance)}
+                  </option>
+                ))}
+              </select>
+            )}
+          </label>
+        ))}
+        <button
+          onClick={handleSave}
+          disabled={!draftValid}
+          style={{ ...buttonStyle, opacity: draftValid ? 1 : 0.5, cursor: draftValid ? 'pointer' : 'not-allowed' }}
+        >
+          Save Size
+        </button>
+      </div>
+      <p style={{ fontSize: '12px', color: '#666', margin: '6px 0 0' }}>
+        Enter the size, fill it from measurements, or use 📐 Room in WebXR AR to tap the corners and ceiling.
+      </p>
+
+      {roomDimensions && report && (
+        <>
+          {/* Proportions */}
+          <div style={{ marginTop: '12px' }}>
+            <strong>Ratio</strong> {report.ratios.map(ratio => ratio.toFixed(2)).join(' : ')}
+            {' · '}{report.inBoltArea ? '✅' : '❌'} Bolt area
+            {' · '}{report.bonelloPass ? '✅' : '❌'} Bonello
+            {report.bonelloIssues.length > 0 && (
+              <ul style={{ margin: '4px 0', paddingLeft: '18px', fontSize: '12px', color: '#b35c00' }}>
+                {report.bonelloIssues.map(issue => <li key={issue}>{issue}</li>)}
+              </ul>
+            )}
+          </div>
+
+          {/* Modal density */}
+          <div style={{ marginTop: '10px' }}>
+            <strong>{modes.length} modes below 300 Hz</strong>
+            <span style={{ fontSize: '12px', marginLeft: '8px' }}>
+              {(['axial', 'tangential', 'oblique'] as const).map(type => (
+                <span key={type} style={{ color: MODE_COLORS[type], marginRight: '8px' }}>
+                  ■ {modes.filter(mode => mode.type === type).length} {type}
+                </span>
+              ))}
+            </span>
+            <ModalDensityChart modes={modes} />
+          </div>
+
+          {/* Lowest modes at the listening position */}
+          <table style={{ marginTop: '10px', fontSize: '12px', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left' }}>
+                <th style={{ paddingRight: '10px' }}>Mode</th>
+                <th style={{ paddingRight: '10px' }}>Hz</th>
+                <th style={{ paddingRight: '10px' }}>Type</th>
+                <th style={{ paddingRight: '10px' }}>At listener</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {modes.slice(0, LISTED_MODES).map(mode => {
+                const key = formatModeOrder(mode.order);
+                const level = listenerPoint ? Math.abs(modePressure(mode, roomDimensions, listenerPoint)) : null;
+                return (
+                  <tr key={key}>
+                    <td style={{ paddingRight: '10px' }}>{key}</td>
+                    <td style={{ paddingRight: '10px' }}>{mode.frequency.toFixed(1)}</td>
+                    <td style={{ paddingRight: '10px', color: MODE_COLORS[mode.type] }}>{mode.type}</td>
+                    <td style={{ paddingRight: '10px' }}>
+                      {level === null ? '-' : `${(level * 100).toFixed(0)}%${level < 0.2 ? ' null' : level > 0.8 ? ' peak' : ''}`}
+                    </td>
+                    <td>
+                      <button
+                        onClick={() => setHeatMapMode(heatMapKey === key ? null : mode.order)}
+                        disabled={!roomDimensions.placement}
+                        title={roomDimensions.placement ? 'Show this mode on the floor in AR' : 'Capture the room in AR first'}
+                        style={{ ...buttonStyle, padding: '2px 6px', fontSize: '12px', backgroundColor: heatMapKey === key ? '#28a745' : '#6c757d' }}
+                      >
+                        🌊
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {!listenerPoint && (
+            <p style={{ fontSize: '12px', color: '#666' }}>
+              Capture the room and place a listener in WebXR AR to see nulls and peaks at the seat.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RoomModesPanel;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { useARStore } from './ARStore';
+
+interface RoomPickerProps {
+  className?: string;
+  compact?: boolean;
+}
+
+const buttonStyle: React.CSSProperties = {
+  padding: '6px 10px',
+  fontSize: '13px',
+  backgroundColor: '#6c757d',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  marginRight: '6px',
+  marginTop: '6px'
+};
+
+export const RoomPicker: React.FC<RoomPickerProps> = ({ className, compact = false }) => {
+  const {
+    rooms,
+    activeRoomId,
+    createRoom,
+    renameRoom,
+    duplicateRoom,
+    deleteRoom,
+    switchRoom,
+    restoreError,
+    dismissRestoreError
+  } = useARStore();
+
+  const activeRoom = rooms.find(room => room.id === activeRoomId);
+
+  const handleCreate = () => {
+    const name = window.prompt('Name for the new room:', `Room ${rooms.length + 1}`);
+    if (name && name.trim()) {
+      createRoom(name.trim());
+    }
+  };
+
+  const handleRename = () => {
+    if (!activeRoom) return;
+    const name = window.prompt('Rename room:', activeRoom.name);
+    if (name && name.trim()) {
+      renameRoom(activeRoom.id, name.trim());
+    }
+  };
+
+  const handleDuplicate = () => {
+    if (!activeRoom) return;
+    const copyId = duplicateRoom(activeRoom.id);
+    if (copyId) {
+      switchRoom(copyId);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!activeRoom || rooms.length < 2) return;
+    if (window.confirm(`Delete "${activeRoom.name}" and everything placed in it?`)) {
+      deleteRoom(activeRoom.id);
+    }
+  };
+
+  return (
+    <div className={className} style={{ marginBottom: '15px' }}>
+      {restoreError && (
+        <p role="alert" style={{ fontSize: '13px', color: '#721c24', backgroundColor: '#f8d7da', padding: '6px 8px', borderRadius: '4px', margin: '0 0 8px' }}>
+          ⚠️ Couldn't restore your saved setup: {restoreError}{' '}
+          <button onClick={dismissRestoreError} style={{ ...buttonStyle, marginTop: 0 }}>Dismiss</button>
+        </p>
+      )}
+      <label style={{ fontSize: '14px', color: '#333', marginRight: '8px' }}>
+        🏠 Room:
+      </label>
+      <select
+        value={activeRoomId}
+        onChange={(event) => switchRoom(event.target.value)}
+        style={{ padding: '6px', fontSize: '14px', borderRadius: '4px' }}
+      >
+        {rooms.map(room => (
+          <option key={room.id} value={room.id}>{room.name}</option>
+        ))}
+      </select>
+
+      {!compact && (
+        <div>
+          <button onClick={handleCreate} style={{ ...buttonStyle, backgroundColor: '#28a745' }}>
+            ➕ New
+          </button>
+          <button onClick={handleRename} style={buttonStyle}>
+            ✏️ Rename
+          </button>
+          <button onClick={handleDuplicate} style={buttonStyle}>
+            📋 Duplicate
+          </button>
+          <button
+            onClick={handleDelete}
+            disabled={rooms.length < 2}
+            style={{
+              ...buttonStyle,
+              backgroundColor: rooms.length < 2 ? '#ccc' : '#dc3545',
+              cursor: rooms.length < 2 ? 'not-allowed' : 'pointer'
+            }}
+          >
+            🗑️ Delete
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoomPicker;
@@ -0,0 +1,133 @@
+import React from 'react';
+import { useARStore } from './ARStore';
+import { getMainListener } from './models/ListeningArea';
+import {
+  analyzeSbir,
+  BoundaryReflection,
+  CRITICAL_BAND,
+  isWall,
+  logFrequencies,
+  predictSbirResponse
+} from './models/SpeakerBoundary';
+import { formatSpeakerTag, getEarPosition } from './models/SurroundLayouts';
+import { useUnits } from './UnitSettings';
+
+interface SbirPanelProps {
+  className?: string;
+}
+
+const PLOT_FREQUENCIES = logFrequencies(20, 500, 120);
+const PLOT_RANGE_DB = { min: -24, max: 9 };
+
+const buttonStyle: React.CSSProperties = {
+  padding: '6px 10px',
+  fontSize: '13px',
+  backgroundColor: '#6c757d',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+// Predicted level at the listener, 20–500 Hz, with the critical band shaded
+const ResponsePlot: React.FC<{ reflections: BoundaryReflection[] }> = ({ reflections }) => {
+  const width = 320;
+  const height = 90;
+  const x = (frequency: number) =>
+    Math.log(frequency / PLOT_FREQUENCIES[0]) / Math.log(PLOT_FREQUENCIES[PLOT_FREQUENCIES.length - 1] / PLOT_FREQUENCIES[0]) * width;
+  const y = (db: number) => {
+    const clamped = Math.min(PLOT_RANGE_DB.max, Math.max(PLOT_RANGE_DB.min, db));
+    return (PLOT_RANGE_DB.max - clamped) / (PLOT_RANGE_DB.max - PLOT_RANGE_DB.min) * height;
+  };
+
+  const levels = predictSbirResponse(reflections, PLOT_FREQUENCIES);
+  const path = levels.map((db, index) => `${index === 0 ? 'M' : 'L'}${x(PLOT_FREQUENCIES[index]).toFixed(1)},${y(db).toFixed(1)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height + 12}`} style={{ width: '100%', maxWidth: '480px', background: '#f8f9fa' }}>
+      <rect x={x(CRITICAL_BAND.min)} y={0} width={x(CRITICAL_BAND.max) - x(CRITICAL_BAND.min)} height={height} fill="#fff3cd" />
+      <line x1={0} x2={width} y1={y(0)} y2={y(0)} stroke="#adb5bd" strokeDasharray="3,3" />
+      <path d={path} fill="none" stroke="#007bff" strokeWidth={1.5} />
+      {[20, 50, 100, 200, 500].map(frequency => (
+        <text key={frequency} x={x(frequency)} y={height + 10} fontSize="8" textAnchor="middle" fill="#666">
+          {frequency}
+        </text>
+      ))}
+    </svg>
+  );
+};
+
+export const SbirPanel: React.FC<SbirPanelProps> = ({ className }) => {
+  const { speakers, listeners, obstacles, roomDimensions, addRoomWalls } = useARStore();
+  const { formatLength } = useUnits();
+
+  const walls = obstacles.filter(isWall);
+  const listener = getMainListener(listeners);
+  const ear = listener ? getEarPosition(listener) : null;
+
+  return (
+    <div className={className} style={{ fontSize: '14px', color: '#333' }}>
+      <div style={{ marginBottom: '10px' }}>
+        {walls.length} wall{walls.length === 1 ? '' : 's'} placed
+        {roomDimensions?.placement && (
+          <button
+            onClick={addRoomWalls}
+            title="Replace the walls with the four walls of the captured room"
+            style={{ ...buttonStyle, marginLeft: '10px' }}
+          >
+            🧱 Walls from Room
+          </button>
+        )}
+      </div>
+
+      {walls.length === 0 || !ear ? (
+        <p style={{ fontSize: '12px', color: '#666', margin: 0 }}>
+          Place a listener and mark walls (🧱 Wall in WebXR AR, or capture the room) to predict boundary notches.
+        </p>
+      ) : speakers.map(speaker => {
+        const report = analyzeSbir(speaker, ear, obstacles);
+        return (
+          <div key={speaker.id} style={{ marginBottom: '15px' }}>
+            <strong>🔊 {formatSpeakerTag(speaker)}</strong>
+            <table style={{ fontSize: '12px', borderCollapse: 'collapse', marginTop: '4px' }}>
+              <thead>
+                <tr style={{ textAlign: 'left' }}>
+                  <th style={{ paddingRight: '10px' }}>Wall</th>
+                  <th style={{ paddingRight: '10px' }}>Distance</th>
+                  <th style={{ paddingRight: '10px' }}>Delay</th>
+                  <th style={{ paddingRight: '10px' }}>1st notch</th>
+                  <th>Depth</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.reflections.map(reflection => (
+                  <tr key={reflection.wallId} style={{ color: reflection.inCriticalBand ? '#dc3545' : undefined }}>
+                    <td style={{ paddingRight: '10px' }}>{reflection.wallName}</td>
+                    <td style={{ paddingRight: '10px' }}>{formatLength(reflection.wallDistance)}</td>
+                    <td style={{ paddingRight: '10px' }}>{(reflection.delay * 1000).toFixed(2)} ms</td>
+                    <td style={{ paddingRight: '10px' }}>
+                      {Number.isFinite(reflection.firstNotch) ? `${reflection.firstNotch.toFixed(0)} Hz` : '-'}
+                    </td>
+                    <td>{reflection.notchDepth.toFixed(1)} dB</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <ResponsePlot reflections={report.reflections} />
+            {report.suggestions.map(suggestion => (
+              <div key={suggestion.wallId} style={{ fontSize: '12px', color: '#b35c00' }}>
+                ⚠️ {suggestion.wallName}: notch falls in {CRITICAL_BAND.min}–{CRITICAL_BAND.max} Hz.
+                {suggestion.closer !== null && ` Move to ${formatLength(suggestion.closer)} or closer`}
+                {suggestion.closer !== null && suggestion.farther !== null && ','}
+                {suggestion.farther !== null && ` ${suggestion.closer !== null ? 'or' : 'Move to'} ${formatLength(suggestion.farther)} or farther`}
+                {(suggestion.closer !== null || suggestion.farther !== null) && ' from this wall.'}
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SbirPanel;
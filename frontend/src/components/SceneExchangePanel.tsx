@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { useARStore } from './ARStore';
+import { useResourceInstances } from './models/ResourceInstances';
+
+interface SceneExchangePanelProps {
+  className?: string;
+}
+
+const buttonStyle: React.CSSProperties = {
+  padding: '6px 10px',
+  fontSize: '13px',
+  backgroundColor: '#007bff',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  marginRight: '6px',
+  marginTop: '6px'
+};
+
+export const downloadFile = (filename: string, contents: string, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Picks a text file and hands its contents over
+const ImportButton: React.FC<{ label: string; accept: string; disabled?: boolean; onLoad: (text: string) => void }> = ({
+  label,
+  accept,
+  disabled = false,
+  onLoad
+}) => (
+  <label style={{ ...buttonStyle, backgroundColor: disabled ? '#adb5bd' : '#6c757d', display: 'inline-block', cursor: disabled ? 'default' : 'pointer' }}>
+    {label}
+    <input
+      type="file"
+      accept={accept}
+      disabled={disabled}
+      style={{ display: 'none' }}
+      onChange={(event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        file?.text().then(onLoad);
+      }}
+    />
+  </label>
+);
+
+export const SceneExchangePanel: React.FC<SceneExchangePanelProps> = ({ className }) => {
+  const { rooms, activeRoomId, roomDimensions } = useARStore();
+  const { exportToCSV, importFromCSV, exportToREW, importFromREW, exportInstallerReport } = useResourceInstances();
+  const [status, setStatus] = useState<string | null>(null);
+
+  const roomName = rooms.find(room => room.id === activeRoomId)?.name ?? 'room';
+  const captured = !!roomDimensions?.placement;
+
+  const handleREWExport = () => {
+    const settings = exportToREW();
+    if (settings) downloadFile(`${roomName} - REW room simulation.txt`, settings);
+  };
+
+  const handleCSVImport = (text: string) => {
+    if (!window.confirm(`Replace everything placed in "${roomName}" with the CSV contents?`)) return;
+    setStatus(importFromCSV(text) ? 'CSV imported.' : 'Could not read that CSV; check the Type, X, Y and Z columns.');
+  };
+
+  const handleREWImport = (text: string) => {
+    setStatus(importFromREW(text)
+      ? 'Room size and positions updated from the REW settings.'
+      : 'Could not read those REW settings.');
+  };
+
+  return (
+    <div className={className} style={{ fontSize: '14px', color: '#333' }}>
+      <div>
+        <button onClick={() => downloadFile(`${roomName}.csv`, exportToCSV(), 'text/csv')} style={buttonStyle}>
+          ⬇️ CSV
+        </button>
+        <button
+          onClick={handleREWExport}
+          disabled={!captured}
+          style={{ ...buttonStyle, backgroundColor: captured ? buttonStyle.backgroundColor : '#adb5bd' }}
+        >
+          ⬇️ REW Settings
+        </button>
+        <button onClick={() => downloadFile(`${roomName} - installer report.txt`, exportInstallerReport())} style={buttonStyle}>
+          ⬇️ Installer Report
+        </button>
+      </div>
+      <div>
+        <ImportButton label="⬆️ Import CSV" accept=".csv,text/csv" onLoad={handleCSVImport} />
+        <ImportButton label="⬆️ Import REW Settings" accept=".txt,text/plain" disabled={!captured} onLoad={handleREWImport} />
+      </div>
+      <p style={{ fontSize: '12px', color: '#666', margin: '6px 0 0' }}>
+        {status ?? (captured
+          ? 'REW settings give positions from the front and left walls as seen from the main seat.'
+          : 'Capture the room with 📐 Room in WebXR AR to exchange REW room simulation settings.')}
+      </p>
+    </div>
+  );
+};
+
+export default SceneExchangePanel;
@@ -0,0 +1,109 @@
+import React, { useMemo } from 'react';
+import { useARStore } from './ARStore';
+import { rankSceneSubPlacements, SUB_BAND } from './models/SubwooferOptimizer';
+
+interface SubwooferPanelProps {
+  className?: string;
+}
+
+// Rankings listed in the panel
+const LISTED_PLACEMENTS = 8;
+
+const buttonStyle: React.CSSProperties = {
+  padding: '6px 10px',
+  fontSize: '13px',
+  backgroundColor: '#6c757d',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  marginRight: '6px'
+};
+
+export const SubwooferPanel: React.FC<SubwooferPanelProps> = ({ className }) => {
+  const {
+    roomDimensions,
+    listeners,
+    speakers,
+    subwooferCandidates,
+    subwooferCount,
+    addStandardSubCandidates,
+    clearSubCandidates,
+    setSubwooferCount,
+    addSpeaker
+  } = useARStore();
+
+  const placement = roomDimensions?.placement;
+  const ranking = useMemo(
+    () => roomDimensions && placement
+      ? rankSceneSubPlacements(roomDimensions, placement, subwooferCandidates, listeners, subwooferCount)
+      : [],
+    [roomDimensions, placement, subwooferCandidates, listeners, subwooferCount]
+  );
+
+  if (!roomDimensions || !placement) {
+    return (
+      <p className={className} style={{ fontSize: '12px', color: '#666', margin: 0 }}>
+        Capture the room with 📐 Room in WebXR AR to rank subwoofer positions.
+      </p>
+    );
+  }
+
+  const placeSubs = (candidates: number[]) => {
+    const existing = speakers.filter(speaker => speaker.metadata.channel_role === 'LFE').length;
+    candidates.forEach((candidate, index) => {
+      addSpeaker(subwooferCandidates[candidate], {
+        name: `Subwoofer ${existing + index + 1}`,
+        channel_role: 'LFE'
+      });
+    });
+  };
+
+  return (
+    <div className={className} style={{ fontSize: '14px', color: '#333' }}>
+      <div style={{ marginBottom: '10px' }}>
+        <button onClick={addStandardSubCandidates} style={{ ...buttonStyle, backgroundColor: '#28a745' }}>
+          ➕ Corners &amp; Wall Points
+        </button>
+        <button onClick={clearSubCandidates} disabled={subwooferCandidates.length === 0} style={buttonStyle}>
+          Clear Candidates
+        </button>
+        <select
+          value={subwooferCount}
+          onChange={(event) => setSubwooferCount(Number(event.target.value) === 2 ? 2 : 1)}
+          style={{ padding: '5px', borderRadius: '4px' }}
+        >
+          <option value={1}>Single sub</option>
+          <option value={2}>Dual subs</option>
+        </select>
+      </div>
+
+      <p style={{ fontSize: '12px', color: '#666', margin: '0 0 6px' }}>
+        {subwooferCandidates.length} candidate{subwooferCandidates.length === 1 ? '' : 's'} (add more with 🔉 Sub in WebXR AR),
+        {' '}{listeners.length} seat{listeners.length === 1 ? '' : 's'}.
+        {' '}Ranked by {listeners.length > 1 ? 'seat-to-seat spread' : 'response flatness'}, {SUB_BAND.min}–{SUB_BAND.max} Hz.
+      </p>
+
+      {listeners.length === 0 ? (
+        <p style={{ fontSize: '12px', color: '#666', margin: 0 }}>Place at least one listener as a seat.</p>
+      ) : (
+        <ol style={{ margin: 0, paddingLeft: '22px', fontSize: '13px' }}>
+          {ranking.slice(0, LISTED_PLACEMENTS).map(result => (
+            <li key={result.candidates.join('+')} style={{ marginBottom: '4px' }}>
+              Candidate {result.candidates.map(candidate => candidate + 1).join(' + ')}:
+              {' '}spread {result.seatDeviation.toFixed(1)} dB, flatness {result.flatness.toFixed(1)} dB
+              <button
+                onClick={() => placeSubs(result.candidates)}
+                style={{ ...buttonStyle, padding: '2px 6px', fontSize: '12px', marginLeft: '8px' }}
+              >
+                Place
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default SubwooferPanel;
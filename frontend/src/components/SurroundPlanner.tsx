@@ -0,0 +1,159 @@
+import React from 'react';
+import { useARStore } from './ARStore';
+import { getMainListener } from './models/ListeningArea';
+import {
+  analyzeSurroundLayout,
+  CHANNEL_NAMES,
+  CHANNEL_ROLES,
+  ChannelRole,
+  ChannelTarget,
+  formatAzimuth,
+  formatSpeakerTag,
+  SURROUND_LAYOUT_IDS,
+  SURROUND_LAYOUTS,
+  SurroundLayoutId,
+  validateChannelAssignments
+} from './models/SurroundLayouts';
+import { useUnits } from './UnitSettings';
+
+interface SurroundPlannerProps {
+  className?: string;
+  style?: React.CSSProperties;
+  dark?: boolean; // light text for the AR overlay
+}
+
+const STATUS_ICONS = {
+  pass: '✅',
+  fail: '❌',
+  missing: '⬜'
+};
+
+const describeTarget = (target: ChannelTarget, formatAngle: (degrees: number) => string) => {
+  if (!target.azimuth || !target.elevation) return 'anywhere';
+  const azimuth = `${formatAngle(Math.abs(target.azimuth.min))}–${formatAngle(Math.abs(target.azimuth.max))}`;
+  return target.elevation.min > 0
+    ? `${azimuth}, ${formatAngle(target.elevation.min)}–${formatAngle(target.elevation.max)} up`
+    : azimuth;
+};
+
+// Keep a role from another layout selectable so the select still shows it
+const withCurrentRole = (roles: ChannelRole[], current?: ChannelRole) =>
+  current && !roles.includes(current) ? [...roles, current] : roles;
+
+export const SurroundPlanner: React.FC<SurroundPlannerProps> = ({ className, style, dark = false }) => {
+  const {
+    speakers,
+    listeners,
+    surroundLayout,
+    setSurroundLayout,
+    setChannelRole,
+    setSpeakerLabel
+  } = useARStore();
+  const { formatAngle } = useUnits();
+
+  const layout = surroundLayout ? SURROUND_LAYOUTS[surroundLayout] : null;
+  const listener = getMainListener(listeners);
+  const checks = layout && listener ? analyzeSurroundLayout(layout.id, speakers, listener) : [];
+  const warnings = validateChannelAssignments(speakers, listener ?? null, surroundLayout, formatAngle);
+  const flagged = new Set(warnings.flatMap(warning => warning.speakerIds));
+  const mutedColor = dark ? '#ccc' : '#666';
+
+  // A layout offers its own channels; stereo setups can still pick any role
+  const roleOptions = layout ? layout.channels.map(channel => channel.role) : CHANNEL_ROLES;
+
+  return (
+    <div className={className} style={{ fontSize: '13px', color: dark ? 'white' : '#333', ...style }}>
+      <label style={{ marginRight: '8px' }}>🎬 Layout:</label>
+      <select
+        value={surroundLayout ?? ''}
+        onChange={(event) => setSurroundLayout((event.target.value || null) as SurroundLayoutId | null)}
+        style={{ padding: '4px', borderRadius: '4px' }}
+      >
+        <option value="">Stereo</option>
+        {SURROUND_LAYOUT_IDS.map(id => (
+          <option key={id} value={id}>{SURROUND_LAYOUTS[id].name}</option>
+        ))}
+      </select>
+      {layout && <span style={{ marginLeft: '8px', color: mutedColor }}>{layout.reference}</span>}
+
+      {/* Channel assignment, with the tag shown in AR */}
+      {speakers.map(speaker => (
+        <div key={speaker.id} style={{ marginTop: '6px' }}>
+          <span
+            style={{
+              display: 'inline-block',
+              minWidth: '90px',
+              marginRight: '6px',
+              padding: '1px 6px',
+              borderRadius: '10px',
+              backgroundColor: flagged.has(speaker.id) ? '#ff9500' : '#ff6b6b',
+              color: 'white'
+            }}
+            title={speaker.metadata.name}
+          >
+            🔊 {formatSpeakerTag(speaker)}
+          </span>
+          <select
+            value={speaker.metadata.channel_role ?? ''}
+            onChange={(event) => setChannelRole(speaker.id, (event.target.value || null) as ChannelRole | null)}
+            style={{ padding: '2px', borderRadius: '4px', marginRight: '6px' }}
+          >
+            <option value="">No channel</option>
+            {withCurrentRole(roleOptions, speaker.metadata.channel_role).map(role => (
+              <option key={role} value={role}>{role} – {CHANNEL_NAMES[role]}</option>
+            ))}
+          </select>
+          {/* Committed on blur so typing is one undo step */}
+          <input
+            key={`${speaker.id}_${speaker.metadata.label ?? ''}`}
+            defaultValue={speaker.metadata.label ?? ''}
+            placeholder="Label"
+            onBlur={(event) => setSpeakerLabel(speaker.id, event.target.value)}
+            onKeyDown={(event) => {
+              if (event.key === 'Enter') event.currentTarget.blur();
+            }}
+            style={{ padding: '2px 4px', borderRadius: '4px', width: '90px' }}
+          />
+        </div>
+      ))}
+
+      {/* Assignment problems */}
+      {warnings.length > 0 && (
+        <ul style={{ margin: '8px 0 0', paddingLeft: '18px', color: dark ? '#ffd93d' : '#b35c00' }}>
+          {warnings.map((warning, index) => (
+            <li key={index}>⚠️ {warning.message}</li>
+          ))}
+        </ul>
+      )}
+
+      {layout && (
+        <>
+          {/* Pass/fail against the target bands */}
+          {listener ? (
+            <div style={{ marginTop: '8px' }}>
+              {checks.map(check => (
+                <div key={check.target.role}>
+                  {STATUS_ICONS[check.status]} <strong>{check.target.role}</strong>{' '}
+                  <span style={{ color: mutedColor }}>target {describeTarget(check.target, formatAngle)}</span>
+                  {check.angles && check.target.azimuth && (
+                    <span>
+                      {' '}· at {formatAzimuth(check.angles.azimuth, formatAngle)}, {formatAngle(check.angles.elevation)} up
+                      {!check.azimuthOk && ' (azimuth off)'}
+                      {!check.elevationOk && ' (height off)'}
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div style={{ marginTop: '8px', color: mutedColor }}>
+              Place a listener to check the layout
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SurroundPlanner;
@@ -0,0 +1,65 @@
+import React, { useEffect } from 'react';
+import { useARStore } from './ARStore';
+
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), plus Ctrl+Y for redo
+export const useUndoRedoShortcuts = () => {
+  const undo = useARStore(state => state.undo);
+  const redo = useARStore(state => state.redo);
+
+  useEffect(() => {
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+      // Leave text fields their own undo
+      const target = event.target as HTMLElement | null;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+};
+
+interface UndoRedoControlsProps {
+  buttonStyle?: React.CSSProperties;
+}
+
+export const UndoRedoControls: React.FC<UndoRedoControlsProps> = ({ buttonStyle }) => {
+  const undo = useARStore(state => state.undo);
+  const redo = useARStore(state => state.redo);
+  const canUndo = useARStore(state => state.past.length > 0);
+  const canRedo = useARStore(state => state.future.length > 0);
+
+  const style = (enabled: boolean): React.CSSProperties => ({
+    padding: '10px 15px',
+    backgroundColor: '#666',
+    color: 'white',
+    border: 'none',
+    borderRadius: '5px',
+    ...buttonStyle,
+    opacity: enabled ? 1 : 0.4,
+    cursor: enabled ? 'pointer' : 'not-allowed'
+  });
+
+  return (
+    <>
+      <button onClick={undo} disabled={!canUndo} title="Undo (Ctrl+Z)" style={style(canUndo)}>
+        ↶ Undo
+      </button>
+      <button onClick={redo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)" style={style(canRedo)}>
+        ↷ Redo
+      </button>
+    </>
+  );
+};
+
+export default UndoRedoControls;
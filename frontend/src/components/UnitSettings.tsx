@@ -0,0 +1,136 @@
+import React, { useEffect, useMemo, useState, useSyncExternalStore } from 'react';
+import {
+  angleInputSymbol,
+  ANGLE_UNITS,
+  formatAngle,
+  formatArea,
+  formatLength,
+  getUnitPreferences,
+  INCH_FRACTIONS,
+  lengthInputSymbol,
+  parseAngle,
+  parseLength,
+  setUnitPreferences,
+  subscribeUnitPreferences,
+  toAngleInput,
+  toLengthInput,
+  UNIT_SYSTEM_LABELS,
+  UNIT_SYSTEMS
+} from '@ar-speaker/utils';
+import type { AngleUnit, LengthInputScale, UnitSystem } from '@ar-speaker/utils';
+
+// App-wide unit preference, shared with the measurement app, and formatters
+// bound to it. Input fields show and parse values in the same units.
+export const useUnits = () => {
+  const preferences = useSyncExternalStore(subscribeUnitPreferences, getUnitPreferences);
+  return useMemo(() => ({
+    preferences,
+    formatLength: (meters: number) => formatLength(meters, preferences),
+    formatArea: (squareMeters: number) => formatArea(squareMeters, preferences),
+    formatAngle: (degrees: number) => formatAngle(degrees, preferences),
+    lengthSymbol: (scale: LengthInputScale = 'large') => lengthInputSymbol(scale, preferences),
+    toLengthInput: (meters: number, scale: LengthInputScale = 'large') => toLengthInput(meters, scale, preferences),
+    parseLength: (text: string, scale: LengthInputScale = 'large') => parseLength(text, scale, preferences),
+    angleSymbol: angleInputSymbol(preferences),
+    toAngleInput: (degrees: number) => toAngleInput(degrees, preferences),
+    parseAngle: (text: string) => parseAngle(text, preferences)
+  }), [preferences]);
+};
+
+interface LengthInputProps {
+  meters: number | null;
+  onChange: (meters: number | null) => void;
+  scale?: LengthInputScale;
+  style?: React.CSSProperties;
+}
+
+// Length field in the chosen units. Reports meters, or null while the text isn't a length.
+export const LengthInput: React.FC<LengthInputProps> = ({ meters, onChange, scale = 'large', style }) => {
+  const { toLengthInput: toInput, parseLength: parse } = useUnits();
+  const [text, setText] = useState(meters === null ? '' : toInput(meters, scale));
+
+  // Retype the value when the units change or it is set from outside
+  useEffect(() => {
+    setText(current => meters === null || Math.abs(parse(current, scale) - meters) < 1e-6 ? current : toInput(meters, scale));
+  }, [meters, scale, parse, toInput]);
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      value={text}
+      onChange={(event) => {
+        const value = parse(event.target.value, scale);
+        setText(event.target.value);
+        onChange(Number.isFinite(value) ? value : null);
+      }}
+      style={style}
+    />
+  );
+};
+
+interface UnitSettingsProps {
+  className?: string;
+}
+
+const selectStyle: React.CSSProperties = { padding: '4px', marginRight: '8px' };
+
+const labelStyle: React.CSSProperties = { marginRight: '4px' };
+
+export const UnitSettings: React.FC<UnitSettingsProps> = ({ className }) => {
+  const { preferences, formatLength: format, formatAngle: angle } = useUnits();
+
+  return (
+    <div className={className} style={{ fontSize: '14px', color: '#333' }}>
+      <label style={labelStyle}>Lengths</label>
+      <select
+        value={preferences.system}
+        onChange={(event) => setUnitPreferences({ system: event.target.value as UnitSystem })}
+        style={selectStyle}
+      >
+        {UNIT_SYSTEMS.map(system => (
+          <option key={system} value={system}>{UNIT_SYSTEM_LABELS[system]}</option>
+        ))}
+      </select>
+      {preferences.system === 'feet-inches' && (
+        <>
+          <label style={labelStyle}>to the nearest</label>
+          <select
+            value={preferences.fraction}
+            onChange={(event) => setUnitPreferences({ fraction: Number(event.target.value) })}
+            style={selectStyle}
+          >
+            {INCH_FRACTIONS.map(fraction => (
+              <option key={fraction} value={fraction}>{fraction === 1 ? '1' : `1/${fraction}`}″</option>
+            ))}
+          </select>
+        </>
+      )}
+      <label style={labelStyle}>Decimals</label>
+      <select
+        value={preferences.precision}
+        onChange={(event) => setUnitPreferences({ precision: Number(event.target.value) })}
+        style={selectStyle}
+      >
+        {[0, 1, 2, 3, 4].map(precision => (
+          <option key={precision} value={precision}>{precision}</option>
+        ))}
+      </select>
+      <label style={labelStyle}>Angles</label>
+      <select
+        value={preferences.angle}
+        onChange={(event) => setUnitPreferences({ angle: event.target.value as AngleUnit })}
+        style={selectStyle}
+      >
+        {ANGLE_UNITS.map(unit => (
+          <option key={unit} value={unit}>{unit === 'degrees' ? 'Degrees' : 'Radians'}</option>
+        ))}
+      </select>
+      <p style={{ fontSize: '12px', color: '#666', margin: '6px 0 0' }}>
+        e.g. {format(0.254)}, {format(3.2)}, {angle(30)}. Also used by the measurement app and in AR.
+      </p>
+    </div>
+  );
+};
+
+export default UnitSettings;
@@ -0,0 +1,206 @@
+import { Euler, Vector3 } from 'three';
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import type { StateStorage } from 'zustand/middleware';
+import type { HydratedARState } from './ARPersistence';
+import {
+  createResilientStorage,
+  deserializeARState,
+  migrateARState,
+  SCHEMA_VERSION,
+  serializeARState
+} from './ARPersistence';
+import { createListener, createMeasurePoint, createObstacle, createSpeaker } from './SceneEntities';
+
+// A snapshot as schema version 1 wrote it: bare positions, one setup
+const V1_SNAPSHOT = {
+  speakers: [
+    { id: 'speaker_1', position: [1, 0, 2], type: 'speaker', timestamp: '2024-03-01T10:00:00.000Z' },
+    { id: 'speaker_2', position: [3, 0, 2], type: 'speaker', timestamp: '2024-03-01T10:01:00.000Z' }
+  ],
+  listeners: [{ id: 'listener_1', position: [2, 0, 4], type: 'listener', timestamp: '2024-03-01T10:02:00.000Z' }],
+  measurements: [{
+    distance: 2,
+    points: [
+      { id: 'speaker_1', position: [1, 0, 2], type: 'speaker', timestamp: '2024-03-01T10:00:00.000Z' },
+      { id: 'speaker_2', position: [3, 0, 2], type: 'speaker', timestamp: '2024-03-01T10:01:00.000Z' }
+    ],
+    timestamp: '2024-03-01T10:03:00.000Z'
+  }],
+  placementMode: 'measure'
+};
+
+const setup = (): HydratedARState => {
+  const left = createSpeaker(new Vector3(1, 0, 0.5), { name: 'Left', channel_role: 'L' });
+  left.rotation.copy(new Euler(0, Math.PI / 6, 0));
+  const room = {
+    speakers: [left, createSpeaker(new Vector3(4, 0, 0.5), { name: 'Right', channel_role: 'R' })],
+    listeners: [createListener(new Vector3(2.5, 0, 3), { name: 'Sofa', main_seat: true })],
+    obstacles: [createObstacle(new Vector3(0, 0, 2), { name: 'Window', material: 'curtain' })],
+    measurements: [{
+      id: 'measurement_1',
+      distance: 3,
+      points: [createMeasurePoint(new Vector3(1, 0, 0.5)), createMeasurePoint(new Vector3(4, 0, 0.5))],
+      timestamp: new Date('2024-03-01T10:00:00.000Z'),
+      label: 'Speaker spacing',
+      pinned: true
+    }],
+    roomDimensions: { length: 5, width: 4, height: 2.5, placement: { corner: new Vector3(-1, 0, -1), yaw: 0.2 } },
+    surroundLayout: null,
+    subwooferCandidates: [new Vector3(0.5, 0, 0.5)]
+  };
+  const now = new Date('2024-03-02T09:00:00.000Z');
+  return {
+    ...room,
+    activeRoomId: 'room_default',
+    rooms: [{ id: 'room_default', name: 'Lounge', createdAt: now, updatedAt: now, setup: room }],
+    placementMode: 'speaker'
+  };
+};
+
+// JSON round trip, as the store writes it
+const roundTrip = (state: HydratedARState) => JSON.parse(JSON.stringify(serializeARState(state)));
+
+const mapStorage = (entries: Record<string, string> = {}) => {
+  const values = new Map(Object.entries(entries));
+  const storage: StateStorage = {
+    getItem: (name) => values.get(name) ?? null,
+    setItem: (name, value) => { values.set(name, value); },
+    removeItem: (name) => { values.delete(name); }
+  };
+  return { values, storage };
+};
+
+describe('migrateARState', () => {
+  test('brings a version 1 snapshot up to the current schema', () => {
+    const migrated = migrateARState(JSON.parse(JSON.stringify(V1_SNAPSHOT)), 1);
+    const state = deserializeARState(migrated);
+
+    expect(state.rooms).toHaveLength(1);
+    expect(state.rooms![0].name).toBe('My Room');
+    expect(state.activeRoomId).toBe('room_default');
+    expect(state.placementMode).toBe('measure');
+    expect(state.speakers!.map(speaker => speaker.metadata.name)).toEqual(['Speaker 1', 'Speaker 2']);
+    expect(state.speakers![1].position.toArray()).toEqual([3, 0, 2]);
+    expect(state.speakers![0].rotation.toArray()).toEqual([0, 0, 0, 'XYZ']);
+    expect(state.listeners![0].metadata.name).toBe('Listener 1');
+    expect(state.measurements).toHaveLength(1);
+    expect(state.measurements![0].points.map(point => point.id)).toEqual(['speaker_1', 'speaker_2']);
+  });
+
+  test('moves a version 2 obstacle material into its metadata', () => {
+    const v2 = {
+      activeRoomId: 'room_a',
+      rooms: [{
+        id: 'room_a',
+        name: 'Studio',
+        obstacles: [{ id: 'obstacle_1', type: 'obstacle', position: [0, 0, 1], material: 'furniture', timestamp: '2024-03-01T10:00:00.000Z' }]
+      }],
+      placementMode: 'room'
+    };
+    const state = deserializeARState(migrateARState(v2, 2));
+
+    expect(state.rooms![0].name).toBe('Studio');
+    expect(state.obstacles![0].metadata).toEqual({ name: 'Obstacle 1', material: 'furniture' });
+    expect(state.measurements).toEqual([]);
+  });
+
+  test('throws when a migration step is missing', () => {
+    expect(() => migrateARState({}, -1)).toThrow(/No migration from schema version -1 to 0/);
+    expect(migrateARState({ rooms: [] }, SCHEMA_VERSION)).toEqual({ rooms: [] });
+  });
+});
+
+describe('deserializeARState', () => {
+  test('restores what serializeARState wrote', () => {
+    const original = setup();
+    const state = deserializeARState(roundTrip(original));
+
+    expect(state.rooms![0].name).toBe('Lounge');
+    expect(state.speakers!.map(speaker => speaker.metadata)).toEqual(original.speakers.map(speaker => speaker.metadata));
+    expect(state.speakers![0].rotation.y).toBeCloseTo(Math.PI / 6);
+    expect(state.listeners![0].metadata.main_seat).toBe(true);
+    expect(state.obstacles![0].metadata.material).toBe('curtain');
+    expect(state.measurements![0]).toMatchObject({ id: 'measurement_1', label: 'Speaker spacing', pinned: true, distance: 3 });
+    expect(state.measurements![0].points.every(point => point.type === 'point')).toBe(true);
+    expect(state.roomDimensions!.placement!.corner.toArray()).toEqual([-1, 0, -1]);
+    expect(state.subwooferCandidates![0].toArray()).toEqual([0.5, 0, 0.5]);
+  });
+
+  test('drops damaged entries and keeps the rest', () => {
+    const snapshot = roundTrip(setup());
+    const room = snapshot.rooms[0];
+    room.speakers[0].position = [1, 'x', 0];
+    room.speakers[1].metadata.channel_role = 'XL';
+    room.obstacles[0].metadata.material = 'lava';
+    room.measurements.push({ distance: 1, points: [room.measurements[0].points[0]], timestamp: 'never' });
+    room.roomDimensions.placement.yaw = null;
+    room.subwooferCandidates.push([1, 2]);
+    snapshot.placementMode = 'fly';
+
+    const state = deserializeARState(snapshot);
+
+    expect(state.speakers!.map(speaker => speaker.metadata.name)).toEqual(['Right']);
+    expect(state.speakers![0].metadata).not.toHaveProperty('channel_role');
+    expect(state.obstacles![0].metadata.material).toBe('other');
+    expect(state.measurements).toHaveLength(1);
+    expect(state.roomDimensions).toEqual({ length: 5, width: 4, height: 2.5 });
+    expect(state.subwooferCandidates).toHaveLength(1);
+    expect(state).not.toHaveProperty('placementMode');
+  });
+
+  test('keeps the default room when no room survives', () => {
+    expect(deserializeARState(null)).toEqual({});
+    expect(deserializeARState({ rooms: [{ name: 'No id' }] })).toEqual({});
+  });
+
+  test('gives measurements saved without ids one', () => {
+    const snapshot = roundTrip(setup());
+    delete snapshot.rooms[0].measurements[0].id;
+
+    const [measurement] = deserializeARState(snapshot).measurements!;
+    expect(measurement.id).toBe(`measurement_${Date.parse('2024-03-01T10:00:00.000Z')}_0`);
+  });
+});
+
+describe('createResilientStorage', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('passes readable snapshots through', async () => {
+    const { storage: backend } = mapStorage({ store: '{"state":{},"version":3}' });
+    const storage = createResilientStorage(null, backend);
+
+    expect(await storage.getItem('store')).toBe('{"state":{},"version":3}');
+    expect(await storage.getItem('missing')).toBeNull();
+  });
+
+  test('moves a corrupt snapshot to a backup key and reports it', async () => {
+    const truncated = '{"state":{"rooms":[{"id":"room_default","na';
+    const { values, storage: backend } = mapStorage({ store: truncated });
+    vi.spyOn(console, 'error').mockImplementation(() => undefined);
+    const storage = createResilientStorage(null, backend);
+
+    await expect(storage.getItem('store')).rejects.toThrow(/could not be read.*store-unreadable-/);
+
+    const backups = [...values.keys()].filter(key => key.startsWith('store-unreadable-'));
+    expect(backups).toHaveLength(1);
+    expect(values.get(backups[0])).toBe(truncated);
+    expect(values.has('store')).toBe(false);
+  });
+
+  test('falls back when the primary backend fails', async () => {
+    const failing: StateStorage = {
+      getItem: () => { throw new Error('IndexedDB blocked'); },
+      setItem: () => { throw new Error('IndexedDB blocked'); },
+      removeItem: () => { throw new Error('IndexedDB blocked'); }
+    };
+    const { values, storage: fallback } = mapStorage();
+    vi.spyOn(console, 'warn').mockImplementation(() => undefined);
+    const storage = createResilientStorage(failing, fallback);
+
+    await storage.setItem('store', '{}');
+    expect(values.get('store')).toBe('{}');
+    expect(await storage.getItem('store')).toBe('{}');
+  });
+});
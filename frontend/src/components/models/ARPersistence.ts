@@ -0,0 +1,454 @@
+import { Euler, EulerOrder, Vector3 } from 'three';
+import { createJSONStorage, StateStorage } from 'zustand/middleware';
+import type {
+  PlacementMode,
+  SpeakerPosition,
+  MeasurementData,
+  RoomDimensions,
+  RoomSetup,
+  RoomProfile
+} from '../ARStore';
+import type {
+  EntityType,
+  ListenerResource,
+  MeasurePointResource,
+  ObstacleResource,
+  SceneEntity,
+  SpeakerResource
+} from './SceneEntities';
+import { OBSTACLE_MATERIALS } from './SceneEntities';
+import { CHANNEL_ROLES, SURROUND_LAYOUT_IDS, SurroundLayoutId } from './SurroundLayouts';
+
+// Bump when the persisted shape changes and add a matching entry to `migrations`
+export const SCHEMA_VERSION = 3;
+
+export const STORAGE_KEY = 'ar-speaker-store';
+
+const DB_NAME = 'ar-speaker-helper';
+const DB_STORE = 'keyval';
+
+// Persisted shapes: plain JSON, no class instances
+type SerializedVector3 = [number, number, number];
+type SerializedEuler = [number, number, number, EulerOrder];
+
+interface SerializedEntity {
+  id: string;
+  type: EntityType | 'point';
+  position: SerializedVector3;
+  rotation: SerializedEuler;
+  scale: SerializedVector3;
+  timestamp: string;
+  metadata: SceneEntity['metadata'];
+}
+
+interface SerializedMeasurement {
+  id?: string; // absent in snapshots saved before measurements could be edited
+  distance: number;
+  points: SerializedEntity[];
+  timestamp: string;
+  label?: string;
+  note?: string;
+  pinned?: boolean;
+}
+
+interface SerializedDimensions {
+  length: number;
+  width: number;
+  height: number;
+  placement?: { corner: SerializedVector3; yaw: number };
+}
+
+interface SerializedRoom {
+  id: string;
+  name: string;
+  createdAt: string;
+  updatedAt: string;
+  speakers: SerializedEntity[];
+  listeners: SerializedEntity[];
+  obstacles: SerializedEntity[];
+  measurements: SerializedMeasurement[];
+  roomDimensions: SerializedDimensions | null;
+  surroundLayout?: SurroundLayoutId | null; // absent in snapshots saved before layouts existed
+  subwooferCandidates?: SerializedVector3[];
+}
+
+export interface PersistedARState {
+  activeRoomId: string;
+  rooms: SerializedRoom[];
+  placementMode: PlacementMode;
+}
+
+// `rooms` must already hold the live setup of the active room
+export interface HydratedARState extends RoomSetup {
+  activeRoomId: string;
+  rooms: RoomProfile[];
+  placementMode: PlacementMode;
+}
+
+type Migration = (state: any) => any;
+
+// migrations[n] upgrades a snapshot from version n - 1 to version n
+const migrations: Record<number, Migration> = {
+  // v2: the single setup becomes the first room profile
+  2: (state) => {
+    const now = new Date().toISOString();
+    return {
+      activeRoomId: 'room_default',
+      rooms: [{
+        id: 'room_default',
+        name: 'My Room',
+        createdAt: now,
+        updatedAt: now,
+        speakers: state?.speakers ?? [],
+        listeners: state?.listeners ?? [],
+        obstacles: [],
+        measurements: state?.measurements ?? [],
+        roomDimensions: null
+      }],
+      placementMode: state?.placementMode
+    };
+  },
+  // v3: positions become full entities with rotation, scale and metadata
+  3: (state) => {
+    const upgradeEntity = (label: string) => (entity: any, index: number) => {
+      if (!entity || typeof entity !== 'object') return entity;
+      const { material, ...rest } = entity;
+      return {
+        ...rest,
+        rotation: [0, 0, 0, 'XYZ'],
+        scale: [1, 1, 1],
+        metadata: entity.type === 'obstacle'
+          ? { name: `${label} ${index + 1}`, material }
+          : { name: `${label} ${index + 1}` }
+      };
+    };
+    const upgradeList = (list: unknown, label: string) =>
+      Array.isArray(list) ? list.map(upgradeEntity(label)) : [];
+
+    return {
+      ...state,
+      rooms: Array.isArray(state?.rooms)
+        ? state.rooms.map((room: any) => ({
+          ...room,
+          speakers: upgradeList(room?.speakers, 'Speaker'),
+          listeners: upgradeList(room?.listeners, 'Listener'),
+          obstacles: upgradeList(room?.obstacles, 'Obstacle'),
+          measurements: Array.isArray(room?.measurements)
+            ? room.measurements.map((measurement: any) => ({
+              ...measurement,
+              points: upgradeList(measurement?.points, 'Point')
+            }))
+            : []
+        }))
+        : []
+    };
+  }
+};
+
+// Serialization
+const serializeEntity = (entity: SceneEntity | MeasurePointResource): SerializedEntity => ({
+  id: entity.id,
+  type: entity.type,
+  position: entity.position.toArray() as SerializedVector3,
+  rotation: [entity.rotation.x, entity.rotation.y, entity.rotation.z, entity.rotation.order],
+  scale: entity.scale.toArray() as SerializedVector3,
+  timestamp: entity.timestamp.toISOString(),
+  metadata: entity.metadata
+});
+
+const serializeDimensions = ({ length, width, height, placement }: RoomDimensions): SerializedDimensions => ({
+  length,
+  width,
+  height,
+  ...(placement && {
+    placement: { corner: placement.corner.toArray() as SerializedVector3, yaw: placement.yaw }
+  })
+});
+
+const serializeRoom = (room: RoomProfile): SerializedRoom => ({
+  id: room.id,
+  name: room.name,
+  createdAt: room.createdAt.toISOString(),
+  updatedAt: room.updatedAt.toISOString(),
+  speakers: room.setup.speakers.map(serializeEntity),
+  listeners: room.setup.listeners.map(serializeEntity),
+  obstacles: room.setup.obstacles.map(serializeEntity),
+  measurements: room.setup.measurements.map(measurement => ({
+    id: measurement.id,
+    distance: measurement.distance,
+    points: measurement.points.map(serializeEntity),
+    timestamp: measurement.timestamp.toISOString(),
+    label: measurement.label,
+    note: measurement.note,
+    pinned: measurement.pinned
+  })),
+  roomDimensions: room.setup.roomDimensions ? serializeDimensions(room.setup.roomDimensions) : null,
+  surroundLayout: room.setup.surroundLayout,
+  subwooferCandidates: room.setup.subwooferCandidates.map(candidate => candidate.toArray() as SerializedVector3)
+});
+
+export const serializeARState = (state: HydratedARState): PersistedARState => ({
+  activeRoomId: state.activeRoomId,
+  rooms: state.rooms.map(serializeRoom),
+  placementMode: state.placementMode
+});
+
+// Deserialization - every reviver returns null for entries it cannot trust
+const isFiniteNumber = (value: unknown): value is number =>
+  typeof value === 'number' && Number.isFinite(value);
+
+const reviveVector3 = (value: unknown): Vector3 | null => {
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(isFiniteNumber)) return null;
+  return new Vector3(value[0], value[1], value[2]);
+};
+
+const reviveDate = (value: unknown): Date | null => {
+  if (typeof value !== 'string') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const EULER_ORDERS: EulerOrder[] = ['XYZ', 'YXZ', 'ZXY', 'ZYX', 'YZX', 'XZY'];
+
+const reviveEuler = (value: unknown): Euler | null => {
+  if (!Array.isArray(value) || value.length !== 4 || !value.slice(0, 3).every(isFiniteNumber)) return null;
+  if (!EULER_ORDERS.includes(value[3])) return null;
+  return new Euler(value[0], value[1], value[2], value[3]);
+};
+
+// Missing rotation, scale or name fall back to defaults; a missing position drops the entity
+const reviveEntity = (value: any): SceneEntity | null => {
+  if (!value || typeof value.id !== 'string') return null;
+  if (value.type !== 'speaker' && value.type !== 'listener' && value.type !== 'obstacle') return null;
+
+  const position = reviveVector3(value.position);
+  if (!position) return null;
+
+  const metadata = value.metadata && typeof value.metadata === 'object' ? { ...value.metadata } : {};
+  if (typeof metadata.name !== 'string') metadata.name = '';
+  if (value.type === 'obstacle' && !OBSTACLE_MATERIALS.includes(metadata.material)) metadata.material = 'other';
+  if ('channel_role' in metadata && !CHANNEL_ROLES.includes(metadata.channel_role)) delete metadata.channel_role;
+  if ('label' in metadata && typeof metadata.label !== 'string') delete metadata.label;
+  if ('main_seat' in metadata && typeof metadata.main_seat !== 'boolean') delete metadata.main_seat;
+
+  return {
+    id: value.id,
+    type: value.type,
+    position,
+    rotation: reviveEuler(value.rotation) ?? new Euler(0, 0, 0),
+    scale: reviveVector3(value.scale) ?? new Vector3(1, 1, 1),
+    timestamp: reviveDate(value.timestamp) ?? new Date(),
+    metadata
+  } as SceneEntity;
+};
+
+const reviveEntityOfType = <T extends SceneEntity>(type: T['type']) => (value: any): T | null => {
+  const entity = reviveEntity(value);
+  return entity && entity.type === type ? entity as T : null;
+};
+
+const revivePosition = (value: any): SpeakerPosition | null => {
+  if (value?.type === 'point') {
+    const point = reviveEntity({ ...value, type: 'speaker' });
+    return point ? { ...point, type: 'point', metadata: { name: point.metadata.name } } : null;
+  }
+  const entity = reviveEntity(value);
+  return entity && entity.type !== 'obstacle' ? entity : null;
+};
+
+const reviveMeasurement = (value: any, index: number): MeasurementData | null => {
+  if (!value || !isFiniteNumber(value.distance) || !Array.isArray(value.points)) return null;
+
+  const points = value.points.map(revivePosition);
+  if (points.length !== 2 || points.includes(null)) return null;
+
+  const timestamp = reviveDate(value.timestamp) ?? new Date();
+  const text = (field: unknown) => typeof field === 'string' && field.trim() ? field : undefined;
+  const label = text(value.label);
+  const note = text(value.note);
+  return {
+    id: typeof value.id === 'string' ? value.id : `measurement_${timestamp.getTime()}_${index}`,
+    distance: value.distance,
+    points: points as SpeakerPosition[],
+    timestamp,
+    ...(label && { label }),
+    ...(note && { note }),
+    ...(value.pinned === true && { pinned: true })
+  };
+};
+
+const PLACEMENT_MODES: PlacementMode[] = ['speaker', 'listener', 'measure', 'orient', 'room', 'wall', 'sub'];
+
+const reviveList = <T>(value: unknown, revive: (item: any, index: number) => T | null): T[] =>
+  Array.isArray(value)
+    ? value.map(revive).filter((item): item is T => item !== null)
+    : [];
+
+const reviveDimensions = (value: any): RoomDimensions | null => {
+  if (!value) return null;
+  const { length, width, height } = value;
+  if (![length, width, height].every(dimension => isFiniteNumber(dimension) && dimension > 0)) return null;
+
+  // A damaged placement only loses the AR anchoring, not the size
+  const corner = reviveVector3(value.placement?.corner);
+  const yaw = value.placement?.yaw;
+  return corner && isFiniteNumber(yaw)
+    ? { length, width, height, placement: { corner, yaw } }
+    : { length, width, height };
+};
+
+const reviveRoom = (value: any): RoomProfile | null => {
+  if (!value || typeof value.id !== 'string') return null;
+
+  return {
+    id: value.id,
+    name: typeof value.name === 'string' && value.name.trim() ? value.name : 'Untitled Room',
+    createdAt: reviveDate(value.createdAt) ?? new Date(),
+    updatedAt: reviveDate(value.updatedAt) ?? new Date(),
+    setup: {
+      speakers: reviveList(value.speakers, reviveEntityOfType<SpeakerResource>('speaker')),
+      listeners: reviveList(value.listeners, reviveEntityOfType<ListenerResource>('listener')),
+      obstacles: reviveList(value.obstacles, reviveEntityOfType<ObstacleResource>('obstacle')),
+      measurements: reviveList(value.measurements, reviveMeasurement),
+      roomDimensions: reviveDimensions(value.roomDimensions),
+      surroundLayout: SURROUND_LAYOUT_IDS.includes(value.surroundLayout) ? value.surroundLayout : null,
+      subwooferCandidates: reviveList(value.subwooferCandidates, reviveVector3)
+    }
+  };
+};
+
+/**
+ * Turn a persisted snapshot back into store state.
+ * Damaged entries are dropped individually so one bad record does not lose the rest.
+ * The active room's setup is also spread into the top-level fields.
+ */
+export const deserializeARState = (persisted: unknown): Partial<HydratedARState> => {
+  if (!persisted || typeof persisted !== 'object') return {};
+  const state = persisted as Partial<PersistedARState>;
+
+  const rooms = reviveList(state.rooms, reviveRoom);
+  if (rooms.length === 0) return {}; // Keep the default room
+  const activeRoom = rooms.find(room => room.id === state.activeRoomId) ?? rooms[0];
+
+  const hydrated: Partial<HydratedARState> = {
+    rooms,
+    activeRoomId: activeRoom.id,
+    ...activeRoom.setup
+  };
+
+  if (PLACEMENT_MODES.includes(state.placementMode as PlacementMode)) {
+    hydrated.placementMode = state.placementMode;
+  }
+
+  return hydrated;
+};
+
+/**
+ * Upgrade a snapshot written by an older schema version.
+ * Throws when a step is missing so the caller can start fresh instead.
+ */
+export const migrateARState = (persisted: unknown, fromVersion: number): PersistedARState => {
+  let state: any = persisted;
+  for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+    const migration = migrations[version];
+    if (!migration) {
+      throw new Error(`No migration from schema version ${version - 1} to ${version}`);
+    }
+    state = migration(state);
+  }
+  return state as PersistedARState;
+};
+
+// Storage backends
+const openDatabase = (): Promise<IDBDatabase> =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(DB_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const runTransaction = <T>(
+  mode: IDBTransactionMode,
+  operation: (store: IDBObjectStore) => IDBRequest
+): Promise<T> =>
+  openDatabase().then(db => new Promise<T>((resolve, reject) => {
+    const transaction = db.transaction(DB_STORE, mode);
+    const request = operation(transaction.objectStore(DB_STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result as T);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  }));
+
+const indexedDBStorage: StateStorage = {
+  getItem: async (name) => {
+    const value = await runTransaction<unknown>('readonly', store => store.get(name));
+    return typeof value === 'string' ? value : null;
+  },
+  setItem: (name, value) => runTransaction<void>('readwrite', store => store.put(value, name)),
+  removeItem: (name) => runTransaction<void>('readwrite', store => store.delete(name))
+};
+
+const memoryStorage = (): StateStorage => {
+  const values = new Map<string, string>();
+  return {
+    getItem: (name) => values.get(name) ?? null,
+    setItem: (name, value) => { values.set(name, value); },
+    removeItem: (name) => { values.delete(name); }
+  };
+};
+
+// Where an unreadable snapshot is moved, so a fresh save cannot overwrite it
+export const unreadableSnapshotKey = (name: string, at: Date) => `${name}-unreadable-${at.toISOString()}`;
+
+/**
+ * IndexedDB when available, localStorage when not (e.g. some private modes),
+ * in-memory as a last resort. An unreadable or truncated snapshot is moved to
+ * a backup key and reported as an error, so the app still boots with a fresh
+ * setup and the old one can be recovered by hand.
+ */
+export const createResilientStorage = (
+  primary: StateStorage | null = typeof indexedDB !== 'undefined' ? indexedDBStorage : null,
+  fallback: StateStorage = typeof localStorage !== 'undefined' ? localStorage : memoryStorage()
+): StateStorage => {
+  let backend: StateStorage = primary ?? fallback;
+
+  const withFallback = async <T>(operation: (storage: StateStorage) => T | Promise<T>): Promise<T> => {
+    try {
+      return await operation(backend);
+    } catch (error) {
+      if (backend === fallback) throw error;
+      console.warn('IndexedDB unavailable, persisting to localStorage instead:', error);
+      backend = fallback;
+      return operation(backend);
+    }
+  };
+
+  return {
+    getItem: async (name) => {
+      const raw = await withFallback(storage => storage.getItem(name));
+      if (raw === null) return null;
+      try {
+        JSON.parse(raw); // Catch truncated or corrupt snapshots before the store does
+        return raw;
+      } catch (error) {
+        console.error('Unreadable AR store snapshot:', error);
+        const backup = unreadableSnapshotKey(name, new Date());
+        await withFallback(storage => storage.setItem(backup, raw));
+        await withFallback(storage => storage.removeItem(name));
+        throw new Error(`The saved rooms were damaged and could not be read. They were kept in browser storage as "${backup}".`);
+      }
+    },
+    setItem: (name, value) => withFallback(storage => storage.setItem(name, value)),
+    removeItem: (name) => withFallback(storage => storage.removeItem(name))
+  };
+};
+
+export const arStorage = createJSONStorage<PersistedARState>(() => createResilientStorage());
@@ -0,0 +1,77 @@
+import type { ListenerResource, SpeakerResource } from './SceneEntities';
+import { SPEED_OF_SOUND } from './RoomModes';
+import { formatSpeakerTag, getEarPosition } from './SurroundLayouts';
+
+export const METERS_PER_FOOT = 0.3048;
+
+// Receivers trim channel levels in half-decibel steps
+const LEVEL_STEP = 0.5;
+
+export type AvrPresetId = 'm-0.01' | 'm-0.1' | 'ft-0.1' | 'ft-0.01' | 'ms-0.1';
+
+/**
+ * How a receiver's speaker setup menu takes distances: as a distance in
+ * meters or feet at a fixed step, or directly as a delay in milliseconds
+ */
+export interface AvrPreset {
+  id: AvrPresetId;
+  name: string;
+  unit: 'm' | 'ft' | 'ms';
+  step: number;
+}
+
+export const AVR_PRESETS: AvrPreset[] = [
+  { id: 'm-0.01', name: 'Distance, 0.01 m', unit: 'm', step: 0.01 },
+  { id: 'm-0.1', name: 'Distance, 0.1 m', unit: 'm', step: 0.1 },
+  { id: 'ft-0.1', name: 'Distance, 0.1 ft', unit: 'ft', step: 0.1 },
+  { id: 'ft-0.01', name: 'Distance, 0.01 ft', unit: 'ft', step: 0.01 },
+  { id: 'ms-0.1', name: 'Delay, 0.1 ms', unit: 'ms', step: 0.1 }
+];
+
+export interface ChannelCalibration {
+  speakerId: string;
+  speakerTag: string;
+  distance: number; // meters from the listener's ear
+  delay: number; // seconds added so the speaker arrives with the farthest one
+  levelTrim: number; // dB so the speaker plays as loud as the farthest one (inverse-square)
+}
+
+const roundToStep = (value: number, step: number) => Math.round(value / step) * step;
+
+// Digits needed to print a value rounded to the step
+const stepDecimals = (step: number) => Math.max(0, Math.ceil(-Math.log10(step) - 1e-9));
+
+/**
+ * Distance, delay and level trim of every speaker for one listener.
+ * Everything is relative to the farthest speaker: it gets no delay and no
+ * trim, nearer speakers are delayed and turned down to match it.
+ */
+export const calibrateSpeakers = (speakers: SpeakerResource[], listener: ListenerResource): ChannelCalibration[] => {
+  const ear = getEarPosition(listener);
+  const distances = speakers.map(speaker => speaker.position.distanceTo(ear));
+  const farthest = Math.max(...distances);
+
+  return speakers.map((speaker, index) => ({
+    speakerId: speaker.id,
+    speakerTag: formatSpeakerTag(speaker),
+    distance: distances[index],
+    delay: (farthest - distances[index]) / SPEED_OF_SOUND,
+    levelTrim: distances[index] > 0 ? 20 * Math.log10(distances[index] / farthest) : 0
+  }));
+};
+
+/**
+ * The value to dial in, as the preset's menu shows it: "3.45 m", "11.3 ft" or "2.4 ms"
+ */
+export const formatCalibrationValue = (channel: ChannelCalibration, preset: AvrPreset): string => {
+  const value = preset.unit === 'ms'
+    ? channel.delay * 1000
+    : preset.unit === 'ft' ? channel.distance / METERS_PER_FOOT : channel.distance;
+  return `${roundToStep(value, preset.step).toFixed(stepDecimals(preset.step))} ${preset.unit}`;
+};
+
+// Level trim rounded to the receiver's step: "-1.5 dB", "0.0 dB"
+export const formatLevelTrim = (trim: number): string => {
+  const rounded = roundToStep(trim, LEVEL_STEP);
+  return `${rounded > 0 ? '+' : ''}${(rounded === 0 ? 0 : rounded).toFixed(1)} dB`;
+};
@@ -0,0 +1,238 @@
+// Pinhole camera model for the camera fallback. Pixel coordinates are in the
+// video frame (videoWidth × videoHeight), origin top-left, y down. Rays are in
+// camera space as three.js uses it: x right, y up, looking down −Z. Lens
+// distortion is not modelled; phone main cameras correct most of it on-chip.
+
+export type IntrinsicsSource = 'checkerboard' | 'profile' | 'default';
+
+export interface CameraIntrinsics {
+  width: number; // video frame, pixels
+  height: number;
+  fx: number; // focal length, pixels
+  fy: number;
+  cx: number; // principal point, pixels
+  cy: number;
+  source: IntrinsicsSource;
+}
+
+// Where a tap points: the point it hits at unit depth in front of the camera
+export interface CameraRay {
+  x: number;
+  y: number;
+}
+
+// Full-frame diagonal, mm; a 35 mm-equivalent focal length is relative to it
+const FULL_FRAME_DIAGONAL = 43.27;
+
+// Sensor shape when the track doesn't report its largest frame
+const DEFAULT_SENSOR_ASPECT = 4 / 3;
+
+/**
+ * Approximate 35 mm-equivalent focal lengths of phone main (rear) and selfie
+ * (front) cameras, matched on the user agent. Phones crop the 4:3 sensor for
+ * 16:9 video, which keeps the long-side field of view.
+ */
+interface DeviceProfile {
+  pattern: RegExp;
+  rear: number;
+  front: number;
+}
+
+const DEVICE_PROFILES: DeviceProfile[] = [
+  { pattern: /iPhone/, rear: 26, front: 23 },
+  { pattern: /iPad/, rear: 29, front: 29 },
+  { pattern: /Pixel [6-9]/, rear: 25, front: 20 },
+  { pattern: /Pixel/, rear: 27, front: 22 }
+];
+
+// When nothing matches: a typical phone main camera
+const DEFAULT_PROFILE: DeviceProfile = { pattern: /.*/, rear: 26, front: 24 };
+
+// The parts of MediaStreamTrack.getCapabilities() the model reads
+export interface TrackCapabilities {
+  width?: { max?: number };
+  height?: { max?: number };
+  facingMode?: string[];
+}
+
+const fromEquivalentFocalLength = (
+  width: number,
+  height: number,
+  equivalent: number,
+  zoom: number,
+  sensorAspect: number,
+  source: IntrinsicsSource
+): CameraIntrinsics => {
+  // Width of a sensor of this shape with the full-frame diagonal
+  const sensorWidth = FULL_FRAME_DIAGONAL * sensorAspect / Math.hypot(sensorAspect, 1);
+  const focal = equivalent / sensorWidth * Math.max(width, height) * zoom;
+  return { width, height, fx: focal, fy: focal, cx: width / 2, cy: height / 2, source };
+};
+
+/**
+ * Intrinsics for a video track. Browsers report the stream resolution, facing
+ * and zoom but not the lens, so the focal length comes from the device table.
+ * The capabilities' largest frame gives the sensor's shape, which sets how the
+ * equivalent focal length spreads over the long side, and their facing modes
+ * stand in when the settings leave facing out.
+ */
+export const intrinsicsForTrack = (
+  settings: Pick<MediaTrackSettings, 'width' | 'height' | 'facingMode'> & { zoom?: number },
+  userAgent: string,
+  videoSize?: { width: number; height: number },
+  capabilities: TrackCapabilities = {}
+): CameraIntrinsics => {
+  // The element's size is what gets drawn; it can differ from the settings after rotation
+  const width = videoSize?.width || settings.width || 1280;
+  const height = videoSize?.height || settings.height || 720;
+  const profile = DEVICE_PROFILES.find(candidate => candidate.pattern.test(userAgent));
+  const facing = settings.facingMode ?? (capabilities.facingMode?.length === 1 ? capabilities.facingMode[0] : undefined);
+  const equivalent = (profile ?? DEFAULT_PROFILE)[facing === 'user' ? 'front' : 'rear'];
+  const maxWidth = capabilities.width?.max;
+  const maxHeight = capabilities.height?.max;
+  const sensorAspect = maxWidth && maxHeight
+    ? Math.max(maxWidth, maxHeight) / Math.min(maxWidth, maxHeight)
+    : DEFAULT_SENSOR_ASPECT;
+  return fromEquivalentFocalLength(
+    width,
+    height,
+    equivalent,
+    settings.zoom && settings.zoom > 0 ? settings.zoom : 1,
+    sensorAspect,
+    profile ? 'profile' : 'default'
+  );
+};
+
+// Same lens at a different resolution or orientation (focal length scales with the long side)
+export const rescaleIntrinsics = (intrinsics: CameraIntrinsics, width: number, height: number): CameraIntrinsics => {
+  if (width === intrinsics.width && height === intrinsics.height) return intrinsics;
+  const scale = Math.max(width, height) / Math.max(intrinsics.width, intrinsics.height);
+  return { ...intrinsics, width, height, fx: intrinsics.fx * scale, fy: intrinsics.fy * scale, cx: width / 2, cy: height / 2 };
+};
+
+/**
+ * The video element shows the frame with `object-fit: cover`: scaled to fill
+ * the element and cropped evenly on the side that overflows.
+ */
+const coverTransform = (intrinsics: CameraIntrinsics, displayWidth: number, displayHeight: number) => {
+  const scale = Math.max(displayWidth / intrinsics.width, displayHeight / intrinsics.height);
+  return {
+    scale,
+    offsetX: (displayWidth - intrinsics.width * scale) / 2,
+    offsetY: (displayHeight - intrinsics.height * scale) / 2
+  };
+};
+
+// Position on the element, CSS pixels, to video pixel
+export const displayToPixel = (
+  intrinsics: CameraIntrinsics,
+  displayWidth: number,
+  displayHeight: number,
+  point: { x: number; y: number }
+) => {
+  const { scale, offsetX, offsetY } = coverTransform(intrinsics, displayWidth, displayHeight);
+  return { x: (point.x - offsetX) / scale, y: (point.y - offsetY) / scale };
+};
+
+export const pixelToDisplay = (
+  intrinsics: CameraIntrinsics,
+  displayWidth: number,
+  displayHeight: number,
+  point: { x: number; y: number }
+) => {
+  const { scale, offsetX, offsetY } = coverTransform(intrinsics, displayWidth, displayHeight);
+  return { x: point.x * scale + offsetX, y: point.y * scale + offsetY };
+};
+
+/**
+ * Video pixel to the point it looks at, at unit depth
+ */
+export const pixelToRay = (intrinsics: CameraIntrinsics, px: number, py: number): CameraRay => ({
+  x: (px - intrinsics.cx) / intrinsics.fx,
+  y: -(py - intrinsics.cy) / intrinsics.fy
+});
+
+/**
+ * Camera-space point to video pixel; null for points behind the camera
+ */
+export const pointToPixel = (intrinsics: CameraIntrinsics, point: { x: number; y: number; z: number }) => {
+  if (point.z >= 0) return null;
+  const x = point.x / -point.z;
+  const y = -point.y / -point.z;
+  return { x: intrinsics.cx + intrinsics.fx * x, y: intrinsics.cy + intrinsics.fy * y };
+};
+
+/**
+ * Focal length from one photo of a flat rectangle of known aspect ratio (a
+ * checkerboard's outer corners, an A4 sheet) held at an angle to the camera.
+ * Corners in video pixels, in order around the rectangle starting top-left.
+ * Assumes square pixels and a centered principal point. Null when the view is
+ * too straight-on to tell focal length from distance.
+ */
+export const focalFromRectangle = (
+  intrinsics: CameraIntrinsics,
+  corners: { x: number; y: number }[],
+  aspect: number
+): number | null => {
+  if (corners.length !== 4 || aspect <= 0) return null;
+
+  // Homography from the rectangle (0,0)-(aspect,1) to centered pixel coordinates
+  const source = [[0, 0], [aspect, 0], [aspect, 1], [0, 1]];
+  const target = corners.map(corner => [corner.x - intrinsics.cx, corner.y - intrinsics.cy]);
+  const h = solveHomography(source, target);
+  if (!h) return null;
+
+  const [h11, h12, , h21, h22, , h31, h32] = h;
+  // Columns 1 and 2 of K⁻¹H are orthogonal and of equal length; with K = diag(f, f, 1):
+  const estimates = [
+    -(h11 * h12 + h21 * h22) / (h31 * h32),
+    -(h11 * h11 + h21 * h21 - h12 * h12 - h22 * h22) / (h31 * h31 - h32 * h32)
+  ].filter(value => Number.isFinite(value) && value > 0);
+  if (estimates.length === 0) return null;
+
+  const focal = Math.sqrt(estimates.reduce((sum, value) => sum + value, 0) / estimates.length);
+  // Beyond ~170° or under ~5° of view the solve has gone degenerate
+  const longSide = Math.max(intrinsics.width, intrinsics.height);
+  return focal > longSide * 0.05 && focal < longSide * 12 ? focal : null;
+};
+
+export const withFocalLength = (intrinsics: CameraIntrinsics, focal: number): CameraIntrinsics => ({
+  ...intrinsics,
+  fx: focal,
+  fy: focal,
+  source: 'checkerboard'
+});
+
+// Horizontal field of view, degrees, for display
+export const horizontalFov = (intrinsics: CameraIntrinsics) =>
+  2 * Math.atan(intrinsics.width / 2 / intrinsics.fx) * 180 / Math.PI;
+
+/**
+ * Direct linear transform with h33 = 1: eight unknowns from four point pairs.
+ * Returns h11…h32 row-major, or null when the points are degenerate.
+ */
+const solveHomography = (source: number[][], target: number[][]): number[] | null => {
+  const rows: number[][] = [];
+  source.forEach(([x, y], index) => {
+    const [u, v] = target[index];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  });
+
+  // Gaussian elimination with partial pivoting on the 8×9 augmented matrix
+  for (let column = 0; column < 8; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < 8; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-12) return null;
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+    for (let row = 0; row < 8; row++) {
+      if (row === column) continue;
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k < 9; k++) rows[row][k] -= factor * rows[column][k];
+    }
+  }
+  return rows.map((row, index) => row[8] / row[index]);
+};
@@ -0,0 +1,75 @@
+// Scale calibration for the camera fallback, which has no depth sensing.
+// Every tap is assumed to lie on one plane facing the camera; a reference of
+// known length tapped end to end tells how far away that plane is.
+
+export type ReferenceObjectId = 'a4-long' | 'a4-short' | 'credit-card' | 'speaker' | 'custom';
+
+export interface ReferenceObject {
+  id: ReferenceObjectId;
+  name: string;
+  length: number | null; // meters; null when the user types it in
+}
+
+export const REFERENCE_OBJECTS: ReferenceObject[] = [
+  { id: 'a4-long', name: 'A4 sheet, long edge', length: 0.297 },
+  { id: 'a4-short', name: 'A4 sheet, short edge', length: 0.21 },
+  { id: 'credit-card', name: 'Credit card, long edge', length: 0.0856 },
+  { id: 'speaker', name: 'Speaker of known width', length: null },
+  { id: 'custom', name: 'Other length', length: null }
+];
+
+// Depth assumed before calibrating, meters
+export const DEFAULT_TAP_DEPTH = 1.5;
+
+// How far off a tap typically lands, screen pixels
+const TAP_ERROR_PX = 4;
+
+// Relative error from points that are not quite in the reference's plane
+const PLANE_TOLERANCE = 0.1;
+
+// Relative error of an uncalibrated readout: the depth is a guess
+const UNCALIBRATED_TOLERANCE = 0.5;
+
+export interface ScaleCalibration {
+  referenceName: string;
+  referenceLength: number; // meters
+  referencePixels: number; // on-screen length of the tapped reference
+  depth: number; // meters from the camera to the tap plane
+}
+
+// Direction of a tap as the point it hits at unit depth
+export interface TapRay {
+  x: number;
+  y: number;
+}
+
+/**
+ * Depth of the plane on which two taps are `length` meters apart.
+ * Null when the taps coincide.
+ */
+export const solveTapDepth = (a: TapRay, b: TapRay, length: number): number | null => {
+  const separation = Math.hypot(a.x - b.x, a.y - b.y);
+  return separation > 1e-9 && length > 0 ? length / separation : null;
+};
+
+export const calibrateScale = (
+  reference: ReferenceObject,
+  length: number,
+  a: TapRay,
+  b: TapRay,
+  pixels: number
+): ScaleCalibration | null => {
+  const depth = solveTapDepth(a, b, length);
+  return depth === null ? null : { referenceName: reference.name, referenceLength: length, referencePixels: pixels, depth };
+};
+
+/**
+ * ± meters on a distance measured between two taps `pixels` apart on screen.
+ * Tap placement on the reference and on the measurement both count, plus the
+ * assumption that the measured points sit in the reference's plane.
+ */
+export const measurementUncertainty = (distance: number, pixels: number, calibration: ScaleCalibration | null): number => {
+  if (!calibration) return distance * UNCALIBRATED_TOLERANCE;
+  const tap = (length: number) => length > 0 ? Math.SQRT2 * TAP_ERROR_PX / length : 1;
+  return distance * Math.hypot(tap(calibration.referencePixels), tap(pixels), PLANE_TOLERANCE);
+};
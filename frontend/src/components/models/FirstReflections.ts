@@ -0,0 +1,138 @@
+import { Vector3 } from 'three';
+import type { ListenerResource, ObstacleResource, SpeakerResource } from './SceneEntities';
+import type { RoomDimensions } from '../ARStore';
+import { SPEED_OF_SOUND, worldToRoom } from './RoomModes';
+import { BoundaryPlane, getWallPlane, isWall, mirrorInPlane } from './SpeakerBoundary';
+import { formatSpeakerTag, getEarPosition } from './SurroundLayouts';
+import { csvField } from './SceneExchange';
+
+// Floor and ceiling reflect a little less than bare walls on average (carpet, acoustic tile)
+const FLOOR_REFLECTION = 0.8;
+const CEILING_REFLECTION = 0.85;
+
+export interface ReflectionPoint {
+  speakerId: string;
+  speakerTag: string;
+  boundaryId: string;
+  boundaryName: string;
+  boundaryKind: BoundaryPlane['kind'];
+  point: Vector3; // where the specular reflection hits, world space
+  normal: Vector3; // boundary normal, into the room
+  roomPoint: Vector3 | null; // the same point in room coordinates when the room has been captured
+  pathLength: number; // meters, speaker → boundary → listener
+  pathDifference: number; // meters more than the direct path
+  arrivalDelay: number; // seconds after the direct sound
+}
+
+/**
+ * Every reflecting surface known for the room: wall obstacles, plus the floor
+ * and ceiling of a captured room. Without a capture the floor is taken at the
+ * listener's feet and the ceiling is unknown.
+ */
+export const getBoundaryPlanes = (
+  obstacles: ObstacleResource[],
+  roomDimensions: RoomDimensions | null,
+  listener: ListenerResource
+): BoundaryPlane[] => {
+  const floorY = roomDimensions?.placement ? roomDimensions.placement.corner.y : listener.position.y;
+  const planes: BoundaryPlane[] = [
+    ...obstacles.filter(isWall).map(getWallPlane),
+    {
+      id: 'floor',
+      name: 'Floor',
+      kind: 'floor',
+      point: new Vector3(0, floorY, 0),
+      normal: new Vector3(0, 1, 0),
+      reflection: FLOOR_REFLECTION
+    }
+  ];
+
+  if (roomDimensions?.placement) {
+    planes.push({
+      id: 'ceiling',
+      name: 'Ceiling',
+      kind: 'ceiling',
+      point: new Vector3(0, floorY + roomDimensions.height, 0),
+      normal: new Vector3(0, -1, 0),
+      reflection: CEILING_REFLECTION
+    });
+  }
+
+  return planes;
+};
+
+/**
+ * The mirror trick: the line from the listener to the speaker's image behind
+ * the boundary crosses the boundary at the reflection point. Null when the
+ * speaker and listener are on opposite sides of it.
+ */
+export const findReflectionPoint = (source: Vector3, listener: Vector3, plane: BoundaryPlane): Vector3 | null => {
+  const sourceSide = source.clone().sub(plane.point).dot(plane.normal);
+  const listenerSide = listener.clone().sub(plane.point).dot(plane.normal);
+  if (sourceSide <= 0 || listenerSide <= 0) return null;
+
+  const image = mirrorInPlane(source, plane);
+  const toListener = listener.clone().sub(image);
+  const t = plane.point.clone().sub(image).dot(plane.normal) / toListener.dot(plane.normal);
+  return image.addScaledVector(toListener, t);
+};
+
+/**
+ * First-order reflection points of every speaker off every boundary, for one listener
+ */
+export const findFirstReflections = (
+  speakers: SpeakerResource[],
+  listener: ListenerResource,
+  obstacles: ObstacleResource[],
+  roomDimensions: RoomDimensions | null
+): ReflectionPoint[] => {
+  const ear = getEarPosition(listener);
+  const planes = getBoundaryPlanes(obstacles, roomDimensions, listener);
+  const placement = roomDimensions?.placement;
+
+  return speakers.flatMap(speaker => planes.flatMap(plane => {
+    const point = findReflectionPoint(speaker.position, ear, plane);
+    if (!point) return [];
+
+    const pathLength = speaker.position.distanceTo(point) + point.distanceTo(ear);
+    const pathDifference = pathLength - speaker.position.distanceTo(ear);
+    return [{
+      speakerId: speaker.id,
+      speakerTag: formatSpeakerTag(speaker),
+      boundaryId: plane.id,
+      boundaryName: plane.name,
+      boundaryKind: plane.kind,
+      point,
+      normal: plane.normal.clone(),
+      roomPoint: placement ? worldToRoom(point, placement) : null,
+      pathLength,
+      pathDifference,
+      arrivalDelay: pathDifference / SPEED_OF_SOUND
+    }];
+  }));
+};
+
+/**
+ * Panel placement sheet. Room coordinates (from the captured corner) are
+ * what an installer measures on site; world coordinates are kept for reimport.
+ */
+export const reflectionPointsToCSV = (points: ReflectionPoint[]): string => {
+  const header = [
+    'Speaker', 'Boundary', 'Along length (m)', 'Along width (m)', 'Height (m)',
+    'World X', 'World Y', 'World Z', 'Path length (m)', 'Path difference (m)', 'Delay (ms)'
+  ];
+  const rows = points.map(point => [
+    csvField(point.speakerTag),
+    csvField(point.boundaryName),
+    point.roomPoint ? point.roomPoint.x.toFixed(3) : '',
+    point.roomPoint ? point.roomPoint.y.toFixed(3) : '',
+    point.roomPoint ? point.roomPoint.z.toFixed(3) : '',
+    point.point.x.toFixed(3),
+    point.point.y.toFixed(3),
+    point.point.z.toFixed(3),
+    point.pathLength.toFixed(3),
+    point.pathDifference.toFixed(3),
+    (point.arrivalDelay * 1000).toFixed(2)
+  ].join(','));
+  return [header.join(','), ...rows].join('\n');
+};
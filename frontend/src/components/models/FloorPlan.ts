@@ -0,0 +1,91 @@
+import { Vector3 } from 'three';
+import type { RoomDimensions } from '../ARStore';
+import { roomToWorld, worldToRoom } from './RoomModes';
+
+// Grid steps offered for snapping, meters; 0 turns snapping off
+export const SNAP_STEPS = [0, 0.01, 0.05, 0.1];
+
+// Rotation handles snap to this many degrees while grid snapping is on
+export const YAW_SNAP = 5;
+
+// Smallest area the plan shows, meters, so a lone speaker isn't blown up to fill the view
+const MIN_PLAN_SIZE = 2;
+
+// Top-down view box in world meters: plan x is world X, plan y is world Z
+export interface PlanBounds {
+  minX: number;
+  minZ: number;
+  width: number;
+  height: number;
+}
+
+export interface WallClearance {
+  distance: number; // meters, perpendicular to the wall
+  from: Vector3; // the point
+  to: Vector3; // its foot on the wall, world space
+}
+
+/**
+ * Snap a floor position to the grid. With a captured room the grid follows
+ * the room's walls; otherwise the AR session's world axes. Height is kept.
+ */
+export const snapToGrid = (point: Vector3, step: number, room: RoomDimensions | null): Vector3 => {
+  if (step <= 0) return point.clone();
+  const snap = (value: number) => Math.round(value / step) * step;
+
+  if (room?.placement) {
+    const local = worldToRoom(point, room.placement);
+    return roomToWorld(new Vector3(snap(local.x), snap(local.y), local.z), room.placement);
+  }
+  return new Vector3(snap(point.x), point.y, snap(point.z));
+};
+
+export const snapYaw = (yaw: number, stepDegrees: number) => {
+  const step = stepDegrees * Math.PI / 180;
+  return step > 0 ? Math.round(yaw / step) * step : yaw;
+};
+
+// The captured room's floor corners, in order around the outline
+export const roomOutline = (room: RoomDimensions): Vector3[] => {
+  if (!room.placement) return [];
+  return [[0, 0], [room.length, 0], [room.length, room.width], [0, room.width]]
+    .map(([x, y]) => roomToWorld(new Vector3(x, y, 0), room.placement!));
+};
+
+/**
+ * View box around everything on the plan with a margin, never smaller than MIN_PLAN_SIZE
+ */
+export const planBounds = (points: Vector3[], margin = 0.5): PlanBounds => {
+  if (points.length === 0) {
+    return { minX: -MIN_PLAN_SIZE / 2, minZ: -MIN_PLAN_SIZE / 2, width: MIN_PLAN_SIZE, height: MIN_PLAN_SIZE };
+  }
+  const xs = points.map(point => point.x);
+  const zs = points.map(point => point.z);
+  const [minX, maxX, minZ, maxZ] = [Math.min(...xs), Math.max(...xs), Math.min(...zs), Math.max(...zs)];
+  const width = Math.max(maxX - minX + 2 * margin, MIN_PLAN_SIZE);
+  const height = Math.max(maxZ - minZ + 2 * margin, MIN_PLAN_SIZE);
+  return {
+    minX: (minX + maxX) / 2 - width / 2,
+    minZ: (minZ + maxZ) / 2 - height / 2,
+    width,
+    height
+  };
+};
+
+/**
+ * Perpendicular distance from a point to each wall of the captured room, nearest first
+ */
+export const wallClearances = (point: Vector3, room: RoomDimensions): WallClearance[] => {
+  if (!room.placement) return [];
+  const local = worldToRoom(point, room.placement);
+  const foot = (x: number, y: number) => roomToWorld(new Vector3(x, y, 0), room.placement!);
+  const from = foot(local.x, local.y);
+
+  const clearances: WallClearance[] = [
+    { distance: local.x, from, to: foot(0, local.y) },
+    { distance: room.length - local.x, from, to: foot(room.length, local.y) },
+    { distance: local.y, from, to: foot(local.x, 0) },
+    { distance: room.width - local.y, from, to: foot(local.x, room.width) }
+  ];
+  return clearances.sort((a, b) => a.distance - b.distance);
+};
@@ -0,0 +1,115 @@
+import { Vector3 } from 'three';
+import { describe, expect, test } from 'vitest';
+import type { CameraRay } from './CameraIntrinsics';
+import { averageUp, cameraPitch, cameraUp, intersectFloor } from './FloorPlane';
+import type { OrientationSample } from './FloorPlane';
+
+const DEG = Math.PI / 180;
+const HEIGHT = 1.3;
+
+// Portrait, aimed 30° below the horizon, hand-held: beta around 60 with a
+// degree or so of shake on both axes
+const PORTRAIT_TRACE: OrientationSample[] = [
+  [60.8, -0.4], [59.4, 0.6], [61.2, 0.1], [58.9, -0.3], [60.3, 0.5],
+  [59.6, -0.2], [59.1, 0.2], [60.7, -0.6], [60.5, 0.3], [59.5, -0.2]
+].map(([beta, gamma]) => ({ beta, gamma, screenAngle: 0 }));
+
+// Landscape, aimed at the horizon. Gamma stops at ±90, so the sensor flips
+// between beta ≈ 0 and beta ≈ 180 while the phone barely moves.
+const LANDSCAPE_HORIZON_TRACE: OrientationSample[] = [
+  [0.3, -89.6], [179.6, 89.7], [-0.2, -89.8], [-179.8, 89.5], [0.4, -89.4],
+  [179.9, 89.8], [0.1, -89.7], [-179.7, 89.6]
+].map(([beta, gamma]) => ({ beta, gamma, screenAngle: 90 }));
+
+/**
+ * Ray through the floor point `forward` meters ahead and `lateral` meters to
+ * the right of the phone, for a camera pitched `pitch` degrees down at `height`
+ */
+const rayToFloor = (forward: number, lateral: number, pitch: number, height: number): CameraRay => {
+  const depth = forward * Math.cos(pitch * DEG) + height * Math.sin(pitch * DEG);
+  return {
+    x: lateral / depth,
+    y: (forward * Math.sin(pitch * DEG) - height * Math.cos(pitch * DEG)) / depth
+  };
+};
+
+const expectVector = (actual: Vector3, expected: Vector3, tolerance = 1e-9) => {
+  expect(actual.distanceTo(expected)).toBeLessThan(tolerance);
+};
+
+describe('cameraUp', () => {
+  test('upright portrait phone: up is up the screen', () => {
+    expectVector(cameraUp({ beta: 90, gamma: 0, screenAngle: 0 }), new Vector3(0, 1, 0));
+  });
+
+  test('phone flat on its back: the camera looks straight down', () => {
+    const up = cameraUp({ beta: 0, gamma: 0, screenAngle: 0 });
+    expectVector(up, new Vector3(0, 0, 1));
+    expect(cameraPitch(up)).toBeCloseTo(90);
+  });
+
+  test('portrait and landscape poses at the same pitch agree on screen', () => {
+    const portrait = cameraUp({ beta: 60, gamma: 0, screenAngle: 0 });
+    const landscape = cameraUp({ beta: 0, gamma: -60, screenAngle: 90 });
+    expectVector(portrait, new Vector3(0, Math.cos(30 * DEG), Math.sin(30 * DEG)));
+    expectVector(landscape, portrait);
+  });
+});
+
+describe('averageUp', () => {
+  test('is null without samples', () => {
+    expect(averageUp([])).toBeNull();
+  });
+
+  test('averages hand shake out of a portrait trace', () => {
+    const up = averageUp(PORTRAIT_TRACE);
+    expect(up).not.toBeNull();
+    expect(cameraPitch(up!)).toBeCloseTo(30, 1);
+    expect(Math.abs(up!.x)).toBeLessThan(0.002);
+  });
+
+  test('stays steady through the landscape beta flip', () => {
+    const up = averageUp(LANDSCAPE_HORIZON_TRACE);
+    expect(up!.angleTo(new Vector3(0, 1, 0))).toBeLessThan(1 * DEG);
+
+    // Averaging the angles instead would lay the phone flat, looking at the floor
+    const mean = (key: 'beta' | 'gamma') =>
+      LANDSCAPE_HORIZON_TRACE.reduce((sum, sample) => sum + sample[key], 0) / LANDSCAPE_HORIZON_TRACE.length;
+    const naive = cameraUp({ beta: mean('beta'), gamma: mean('gamma'), screenAngle: 90 });
+    expect(cameraPitch(naive)).toBeGreaterThan(80);
+  });
+});
+
+describe('intersectFloor', () => {
+  const up = averageUp(PORTRAIT_TRACE)!;
+
+  test('puts the screen center at height / tan(pitch) on the floor', () => {
+    const point = intersectFloor({ x: 0, y: 0 }, up, HEIGHT)!;
+    expect(point.dot(up)).toBeCloseTo(-HEIGHT, 6);
+    expect(Math.sqrt(point.lengthSq() - HEIGHT * HEIGHT)).toBeCloseTo(HEIGHT / Math.tan(30 * DEG), 1);
+  });
+
+  test.each([
+    { from: [1.5, 0], to: [3, 0], distance: 1.5 },
+    { from: [1, -0.5], to: [2, 0.5], distance: Math.SQRT2 },
+    { from: [2, -1], to: [2, 1], distance: 2 }
+  ])('measures $distance m between floor points from the trace', ({ from, to, distance }) => {
+    const a = intersectFloor(rayToFloor(from[0], from[1], 30, HEIGHT), up, HEIGHT)!;
+    const b = intersectFloor(rayToFloor(to[0], to[1], 30, HEIGHT), up, HEIGHT)!;
+    expect(Math.abs(a.distanceTo(b) - distance)).toBeLessThan(0.02);
+  });
+
+  test('scales with the phone height', () => {
+    const ray = rayToFloor(2, 0, 30, HEIGHT);
+    const low = intersectFloor(ray, up, HEIGHT)!;
+    const high = intersectFloor(ray, up, HEIGHT * 2)!;
+    expect(high.length() / low.length()).toBeCloseTo(2, 6);
+  });
+
+  test('rejects taps at or above the horizon and too far out', () => {
+    expect(intersectFloor({ x: 0, y: Math.tan(30 * DEG) }, up, HEIGHT)).toBeNull();
+    expect(intersectFloor({ x: 0, y: 1 }, up, HEIGHT)).toBeNull();
+    expect(intersectFloor(rayToFloor(20, 0, 30, HEIGHT), up, HEIGHT)).toBeNull();
+    expect(intersectFloor({ x: 0, y: 0 }, up, 0)).toBeNull();
+  });
+});
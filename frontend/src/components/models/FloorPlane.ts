@@ -0,0 +1,125 @@
+import { Vector3 } from 'three';
+import type { CameraRay } from './CameraIntrinsics';
+
+// Floor taps for the camera fallback. The orientation sensor tells which way
+// is up relative to the camera and the user says how high the phone is held,
+// which puts the floor plane in camera space; tap rays are intersected with it
+// like the measurement tool's ground plane in the Three.js view.
+
+export interface OrientationSample {
+  beta: number; // degrees, DeviceOrientationEvent front-to-back tilt
+  gamma: number; // degrees, DeviceOrientationEvent left-to-right tilt
+  screenAngle: number; // degrees, screen.orientation.angle when sampled
+}
+
+export type OrientationListener = (sample: OrientationSample) => void;
+
+/**
+ * Subscribes to orientation samples and returns the unsubscribe. The camera
+ * helper takes one as a prop so recorded sensor traces can stand in for a phone.
+ */
+export type OrientationSource = (listener: OrientationListener) => () => void;
+
+// How high a phone is usually held to aim at the floor, meters
+export const DEFAULT_CAMERA_HEIGHT = 1.3;
+
+// Samples averaged to steady hand shake and sensor noise
+export const ORIENTATION_WINDOW = 10;
+
+// Taps this far out or farther are too close to the horizon to trust, meters
+const MAX_FLOOR_DISTANCE = 15;
+
+// How far off the sensor tilt and the typed-in height typically are
+const TILT_TOLERANCE = 1 * Math.PI / 180;
+const HEIGHT_TOLERANCE = 0.05;
+
+const currentScreenAngle = () => window.screen.orientation?.angle ?? 0;
+
+export const deviceOrientationSource: OrientationSource = (listener) => {
+  const handleOrientation = (event: DeviceOrientationEvent) => {
+    if (event.beta === null || event.gamma === null) return;
+    listener({ beta: event.beta, gamma: event.gamma, screenAngle: currentScreenAngle() });
+  };
+  window.addEventListener('deviceorientation', handleOrientation);
+  return () => window.removeEventListener('deviceorientation', handleOrientation);
+};
+
+/**
+ * iOS only delivers orientation events after the user grants access from a tap.
+ * Elsewhere there is nothing to ask.
+ */
+export const requestOrientationPermission = async (): Promise<boolean> => {
+  const request = (DeviceOrientationEvent as unknown as { requestPermission?: () => Promise<string> }).requestPermission;
+  if (typeof request !== 'function') return true;
+  try {
+    return await request() === 'granted';
+  } catch (error) {
+    console.error('Orientation permission error:', error);
+    return false;
+  }
+};
+
+/**
+ * World up in camera space (x right, y up on screen, looking down −Z) for one
+ * sample. beta and gamma are the W3C Z-X'-Y'' Euler angles, so up in device
+ * coordinates is (−cos β sin γ, sin β, cos β cos γ); the screen angle turns
+ * device axes into the on-screen axes the video is shown in.
+ */
+export const cameraUp = (sample: OrientationSample): Vector3 => {
+  const beta = sample.beta * Math.PI / 180;
+  const gamma = sample.gamma * Math.PI / 180;
+  const screen = sample.screenAngle * Math.PI / 180;
+  const x = -Math.cos(beta) * Math.sin(gamma);
+  const y = Math.sin(beta);
+  return new Vector3(
+    x * Math.cos(screen) - y * Math.sin(screen),
+    x * Math.sin(screen) + y * Math.cos(screen),
+    Math.cos(beta) * Math.cos(gamma)
+  );
+};
+
+/**
+ * Mean up vector over a run of samples. Averaging vectors rather than angles
+ * stays smooth through the gimbal flip of a phone held in landscape.
+ */
+export const averageUp = (samples: OrientationSample[]): Vector3 | null => {
+  if (samples.length === 0) return null;
+  const sum = samples.reduce((total, sample) => total.add(cameraUp(sample)), new Vector3());
+  return sum.lengthSq() > 1e-12 ? sum.normalize() : null;
+};
+
+// Degrees the camera looks below horizontal, for display
+export const cameraPitch = (up: Vector3) => Math.asin(Math.max(-1, Math.min(1, up.z))) * 180 / Math.PI;
+
+/**
+ * Where a tap ray meets the floor, in camera space. Null for rays at or above
+ * the horizon, or hitting the floor too far out to be meaningful.
+ */
+export const intersectFloor = (ray: CameraRay, up: Vector3, cameraHeight: number): Vector3 | null => {
+  const direction = new Vector3(ray.x, ray.y, -1);
+  const descent = direction.dot(up);
+  if (descent >= 0 || cameraHeight <= 0) return null;
+  const point = direction.multiplyScalar(-cameraHeight / descent);
+  return point.length() < MAX_FLOOR_DISTANCE ? point : null;
+};
+
+// Camera-space point back to the ray through it
+const rayThrough = (point: Vector3): CameraRay => ({ x: point.x / -point.z, y: point.y / -point.z });
+
+/**
+ * ± meters on the floor distance between two floor points, from a degree of
+ * tilt error about either screen axis and a few centimeters of height error.
+ */
+export const floorDistanceUncertainty = (a: Vector3, b: Vector3, up: Vector3, cameraHeight: number): number => {
+  const distance = a.distanceTo(b);
+  const rays = [rayThrough(a), rayThrough(b)];
+  const deviation = (perturbedUp: Vector3, height: number) => {
+    const [pa, pb] = rays.map(ray => intersectFloor(ray, perturbedUp, height));
+    return pa && pb ? pa.distanceTo(pb) - distance : distance;
+  };
+  return Math.hypot(
+    deviation(up.clone().applyAxisAngle(new Vector3(1, 0, 0), TILT_TOLERANCE), cameraHeight),
+    deviation(up.clone().applyAxisAngle(new Vector3(0, 0, 1), TILT_TOLERANCE), cameraHeight),
+    deviation(up, cameraHeight + HEIGHT_TOLERANCE)
+  );
+};
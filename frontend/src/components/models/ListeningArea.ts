@@ -0,0 +1,237 @@
+import { Vector3 } from 'three';
+import type { ListenerResource, SpeakerResource } from './SceneEntities';
+import { SPEED_OF_SOUND } from './RoomModes';
+import {
+  AngleBand,
+  ChannelRole,
+  ListeningFrame,
+  SURROUND_LAYOUTS,
+  SurroundLayoutId,
+  findChannelSpeaker,
+  getEarPosition,
+  getListeningFrame,
+  measureSpeakerAngles
+} from './SurroundLayouts';
+
+// Score penalties: points per millisecond of residual arrival spread and per degree of angle error
+const TIMING_PENALTY = 10;
+const ANGLE_PENALTY = 2;
+
+// Grid step of the main listening position search, meters
+const MLP_SEARCH_STEP = 0.05;
+
+// Smallest worst-seat improvement, in degrees, worth suggesting a speaker move for
+const MIN_ANGLE_GAIN = 2;
+
+export interface SeatMetrics {
+  listenerId: string;
+  name: string;
+  isMain: boolean;
+  minDistance: number; // meters, nearest speaker
+  maxDistance: number; // meters, farthest speaker
+  arrivalSpread: number; // seconds between the first and last channel to arrive
+  residualSpread: number; // seconds left once delays are set for the main listening position
+  worstAngleError: number; // degrees outside the channel's target band
+  worstChannel: ChannelRole | null;
+  score: number; // 0-100, higher is better
+}
+
+export interface MlpSuggestion {
+  position: Vector3; // floor point, like a listener's position
+  nearestSeatId: string;
+  worstResidualSpread: number; // seconds at the worst seat
+}
+
+export interface SpeakerAdjustment {
+  speakerId: string;
+  role: ChannelRole;
+  position: Vector3;
+  shift: number; // meters the speaker moves
+  currentWorstError: number; // degrees
+  suggestedWorstError: number; // degrees
+}
+
+/**
+ * The seat delays and levels are calibrated for: the one marked as the main
+ * seat, else the first listener
+ */
+export const getMainListener = (listeners: ListenerResource[]): ListenerResource | undefined =>
+  listeners.find(listener => listener.metadata.main_seat) ?? listeners[0];
+
+// Degrees the value lies outside the band, 0 inside it
+const bandExcess = (value: number, band: AngleBand | null) =>
+  band === null ? 0 : Math.max(band.min - value, value - band.max, 0);
+
+/**
+ * Seats in a theater face the screen, not the center speaker, so every seat
+ * shares the main seat's forward direction
+ */
+const seatFrame = (listener: ListenerResource, forward: Vector3): ListeningFrame => ({
+  ear: getEarPosition(listener),
+  forward
+});
+
+// Channels of the layout that have a speaker and a direction to check
+const placedChannels = (layoutId: SurroundLayoutId | null, speakers: SpeakerResource[]) =>
+  (layoutId ? SURROUND_LAYOUTS[layoutId].channels : []).flatMap(target => {
+    const speaker = findChannelSpeaker(speakers, target.role);
+    return speaker && target.azimuth ? [{ target, speaker }] : [];
+  });
+
+const channelError = (position: Vector3, azimuth: AngleBand | null, elevation: AngleBand | null, frame: ListeningFrame) => {
+  const angles = measureSpeakerAngles(position, frame);
+  return Math.max(bandExcess(angles.azimuth, azimuth), bandExcess(angles.elevation, elevation));
+};
+
+// Spread of arrival times in seconds; offsets are the delays already dialled in per speaker
+const arrivalSpread = (ear: Vector3, speakers: SpeakerResource[], offsets?: number[]) => {
+  const arrivals = speakers.map((speaker, index) =>
+    (speaker.position.distanceTo(ear) - (offsets?.[index] ?? 0)) / SPEED_OF_SOUND
+  );
+  return Math.max(...arrivals) - Math.min(...arrivals);
+};
+
+// Path lengths from a point; delays calibrated there equalize exactly these
+const calibrationOffsets = (ear: Vector3, speakers: SpeakerResource[]) =>
+  speakers.map(speaker => speaker.position.distanceTo(ear));
+
+/**
+ * Per-seat distance, timing and angle metrics. Angle errors need a surround
+ * layout; without one only timing counts toward the score.
+ */
+export const analyzeSeats = (
+  speakers: SpeakerResource[],
+  listeners: ListenerResource[],
+  layoutId: SurroundLayoutId | null
+): SeatMetrics[] => {
+  const main = getMainListener(listeners);
+  if (!main || speakers.length === 0) return [];
+
+  const { forward } = getListeningFrame(main, speakers);
+  const offsets = calibrationOffsets(getEarPosition(main), speakers);
+  const channels = placedChannels(layoutId, speakers);
+
+  return listeners.map(listener => {
+    const frame = seatFrame(listener, forward);
+    const distances = speakers.map(speaker => speaker.position.distanceTo(frame.ear));
+
+    let worstAngleError = 0;
+    let worstChannel: ChannelRole | null = null;
+    channels.forEach(({ target, speaker }) => {
+      const error = channelError(speaker.position, target.azimuth, target.elevation, frame);
+      if (error > worstAngleError) {
+        worstAngleError = error;
+        worstChannel = target.role;
+      }
+    });
+
+    const residualSpread = arrivalSpread(frame.ear, speakers, offsets);
+    return {
+      listenerId: listener.id,
+      name: listener.metadata.name,
+      isMain: listener.id === main.id,
+      minDistance: Math.min(...distances),
+      maxDistance: Math.max(...distances),
+      arrivalSpread: arrivalSpread(frame.ear, speakers),
+      residualSpread,
+      worstAngleError,
+      worstChannel,
+      score: Math.max(0, 100 - TIMING_PENALTY * residualSpread * 1000 - ANGLE_PENALTY * worstAngleError)
+    };
+  });
+};
+
+/**
+ * Where to calibrate delays so the worst seat is left with the smallest
+ * timing spread. Searches the floor area the seats cover.
+ */
+export const suggestMainListeningPosition = (
+  speakers: SpeakerResource[],
+  listeners: ListenerResource[]
+): MlpSuggestion | null => {
+  if (speakers.length < 2 || listeners.length === 0) return null;
+
+  const ears = listeners.map(getEarPosition);
+  const min = ears.reduce((bound, ear) => bound.min(ear), ears[0].clone());
+  const max = ears.reduce((bound, ear) => bound.max(ear), ears[0].clone());
+  const earHeight = ears.reduce((sum, ear) => sum + ear.y, 0) / ears.length;
+
+  let best: { ear: Vector3; worst: number } | null = null;
+  for (let x = min.x; x <= max.x + 1e-9; x += MLP_SEARCH_STEP) {
+    for (let z = min.z; z <= max.z + 1e-9; z += MLP_SEARCH_STEP) {
+      const ear = new Vector3(x, earHeight, z);
+      const offsets = calibrationOffsets(ear, speakers);
+      const worst = Math.max(...ears.map(seat => arrivalSpread(seat, speakers, offsets)));
+      if (!best || worst < best.worst) best = { ear, worst };
+    }
+  }
+  if (!best) return null;
+
+  const { ear, worst } = best;
+  const nearest = listeners.reduce((closest, listener, index) =>
+    ears[index].distanceTo(ear) < getEarPosition(closest).distanceTo(ear) ? listener : closest
+  );
+  const heights = listeners.map(listener => listener.position.y);
+  return {
+    position: new Vector3(ear.x, heights.reduce((sum, y) => sum + y, 0) / heights.length, ear.z),
+    nearestSeatId: nearest.id,
+    worstResidualSpread: worst
+  };
+};
+
+/**
+ * For each channel, swing the speaker around the middle of the seating area
+ * (same radius and height) to the azimuth that minimizes the worst seat's
+ * angle error. Only moves that gain at least MIN_ANGLE_GAIN are returned.
+ */
+export const suggestSpeakerAdjustments = (
+  speakers: SpeakerResource[],
+  listeners: ListenerResource[],
+  layoutId: SurroundLayoutId | null
+): SpeakerAdjustment[] => {
+  const main = getMainListener(listeners);
+  if (!main || !layoutId) return [];
+
+  const { forward } = getListeningFrame(main, speakers);
+  const frames = listeners.map(listener => seatFrame(listener, forward));
+  const center = frames.reduce((sum, frame) => sum.add(frame.ear), new Vector3()).divideScalar(frames.length);
+  const left = new Vector3(0, 1, 0).cross(forward);
+
+  const hasCenter = !!findChannelSpeaker(speakers, 'C');
+  return placedChannels(layoutId, speakers).flatMap(({ target, speaker }) => {
+    // C (or L/R without a C) defines forward, so moving it would move the targets too
+    if (target.role === 'C' || (!hasCenter && (target.role === 'L' || target.role === 'R'))) return [];
+
+    const worstError = (position: Vector3) =>
+      Math.max(...frames.map(frame => channelError(position, target.azimuth, target.elevation, frame)));
+
+    const offset = speaker.position.clone().sub(center);
+    const radius = Math.hypot(offset.dot(forward), offset.dot(left));
+    const currentWorstError = worstError(speaker.position);
+
+    // Of equally good spots, keep the one closest to where the speaker is now
+    let best = { position: speaker.position, error: currentWorstError, shift: 0 };
+    for (let azimuth = -180; azimuth < 180; azimuth += 1) {
+      const radians = azimuth * Math.PI / 180;
+      const position = center.clone()
+        .addScaledVector(forward, radius * Math.cos(radians))
+        .addScaledVector(left, radius * Math.sin(radians))
+        .setY(speaker.position.y);
+      const error = worstError(position);
+      const shift = position.distanceTo(speaker.position);
+      if (error < best.error - 1e-6 || (error < best.error + 1e-6 && shift < best.shift)) {
+        best = { position, error, shift };
+      }
+    }
+
+    if (currentWorstError - best.error < MIN_ANGLE_GAIN) return [];
+    return [{
+      speakerId: speaker.id,
+      role: target.role,
+      position: best.position,
+      shift: best.shift,
+      currentWorstError,
+      suggestedWorstError: best.error
+    }];
+  });
+};
@@ -0,0 +1,61 @@
+import type { MeasurementData, RoomProfile, SpeakerPosition } from '../ARStore';
+import type { SceneEntity } from './SceneEntities';
+import { formatSpeakerTag } from './SurroundLayouts';
+
+export interface MeasurementEntry {
+  measurement: MeasurementData;
+  roomId: string;
+  roomName: string;
+}
+
+export interface MeasurementFilter {
+  roomId: string | null; // null for every room
+  entityId: string | null; // null for any endpoint
+}
+
+/**
+ * Every measurement across rooms, newest first. Pass rooms from snapshotRooms
+ * so the active room's live measurements are included.
+ */
+export const collectMeasurements = (rooms: RoomProfile[]): MeasurementEntry[] =>
+  rooms
+    .flatMap(room => room.setup.measurements.map(measurement => ({ measurement, roomId: room.id, roomName: room.name })))
+    .sort((a, b) => b.measurement.timestamp.getTime() - a.measurement.timestamp.getTime());
+
+export const filterMeasurements = (entries: MeasurementEntry[], filter: MeasurementFilter): MeasurementEntry[] =>
+  entries.filter(({ measurement, roomId }) =>
+    (filter.roomId === null || roomId === filter.roomId) &&
+    (filter.entityId === null || measurement.points.some(point => point.id === filter.entityId))
+  );
+
+/**
+ * Name of a measurement endpoint. Endpoints are copies taken when measuring,
+ * so a speaker or listener still in the scene is named as it is now.
+ */
+export const endpointName = (point: SpeakerPosition, entities: SceneEntity[]): string => {
+  const current = entities.find(entity => entity.id === point.id) ?? point;
+  return current.type === 'speaker' ? formatSpeakerTag(current) : current.metadata.name;
+};
+
+// The user's label, or the two endpoint names
+export const measurementTitle = (measurement: MeasurementData, entities: SceneEntity[]): string =>
+  measurement.label ?? measurement.points.map(point => endpointName(point, entities)).join(' → ');
+
+/**
+ * Endpoints that can be filtered on: every speaker and listener used by a
+ * measurement, once each. Surface points belong to a single measurement.
+ */
+export const measuredEndpoints = (entries: MeasurementEntry[]): SpeakerPosition[] => {
+  const seen = new Map<string, SpeakerPosition>();
+  entries.forEach(({ measurement }) => measurement.points.forEach(point => {
+    if (point.type !== 'point' && !seen.has(point.id)) seen.set(point.id, point);
+  }));
+  return [...seen.values()];
+};
+
+/**
+ * What the AR view draws: pinned measurements plus the latest, so a fresh
+ * result shows without pinning it
+ */
+export const visibleMeasurements = (measurements: MeasurementData[]): MeasurementData[] =>
+  measurements.filter((measurement, index) => measurement.pinned || index === measurements.length - 1);
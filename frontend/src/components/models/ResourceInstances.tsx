@@ -1,146 +1,79 @@
 import React from 'react';
 import * as THREE from 'three';
-
-// Fixed import syntax - using proper ES module imports
-export interface ResourceInstance {
-  id: string;
-  type: 'speaker' | 'listener' | 'obstacle';
-  position: THREE.Vector3;
-  rotation: THREE.Euler;
-  scale: THREE.Vector3;
-  metadata?: {
-    name?: string;
-    brand?: string;
-    model?: string;
-    frequency_response?: string;
-    power?: number;
-  };
-}
-
-export interface SpeakerResource extends ResourceInstance {
-  type: 'speaker';
-  metadata: {
-    name: string;
-    brand: string;
-    model: string;
-    frequency_response: string;
-    power: number;
-    directivity_pattern?: 'omnidirectional' | 'cardioid' | 'figure-8' | 'shotgun';
-    optimal_distance?: number; // in meters
-  };
-}
-
-export interface ListenerResource extends ResourceInstance {
-  type: 'listener';
-  metadata: {
-    name: string;
-    height?: number; // listening height in meters
-    preferred_volume?: number; // 0-100
-  };
-}
-
-export interface ObstacleResource extends ResourceInstance {
-  type: 'obstacle';
-  metadata: {
-    name: string;
-    material?: 'wall' | 'furniture' | 'curtain' | 'other';
-    acoustic_properties?: {
-      absorption_coefficient?: number;
-      reflection_coefficient?: number;
-    };
-  };
-}
-
+import { useARStore, selectEntities, EntityUpdate } from '../ARStore';
+import type {
+  ResourceInstance,
+  SceneEntity,
+  SpeakerResource,
+  ListenerResource,
+  ObstacleResource
+} from './SceneEntities';
+import { getFacingDirection, hasCapturedFacing } from './SpeakerOrientation';
+import { calibrateSpeakers, ChannelCalibration } from './Calibration';
+import {
+  applyRewPositions,
+  rewToScene,
+  sceneFromCSV,
+  SceneSnapshot,
+  sceneToCSV,
+  sceneToInstallerReport,
+  sceneToRew
+} from './SceneExchange';
+
+export type {
+  ResourceInstance,
+  SceneEntity,
+  SpeakerResource,
+  ListenerResource,
+  ObstacleResource
+} from './SceneEntities';
+
+type ChangeListener = (instances: ResourceInstance[]) => void;
+
+/**
+ * Entity-level view of the scene model in `useARStore`.
+ * Reads and writes go straight to the store's active room, so the dashboard,
+ * the XR scene and the camera helper all see the same entities.
+ */
 export class ResourceInstanceManager {
-  private instances: Map<string, ResourceInstance> = new Map();
-  private changeListeners: Set<(instances: ResourceInstance[]) => void> = new Set();
+  private changeListeners: Map<ChangeListener, () => void> = new Map();
 
-  constructor() {
-    // Initialize with some default speaker configurations
-    this.addDefaultInstances();
-  }
-
-  private addDefaultInstances() {
-    // Add default speaker configurations
-    const defaultSpeaker: SpeakerResource = {
-      id: 'speaker-1',
-      type: 'speaker',
-      position: new THREE.Vector3(0, 1, -2),
-      rotation: new THREE.Euler(0, 0, 0),
-      scale: new THREE.Vector3(1, 1, 1),
-      metadata: {
-        name: 'Main Speaker',
-        brand: 'Generic',
-        model: 'Studio Monitor',
-        frequency_response: '20Hz - 20kHz',
-        power: 100,
-        directivity_pattern: 'cardioid',
-        optimal_distance: 2.0
-      }
-    };
-
-    const defaultListener: ListenerResource = {
-      id: 'listener-1',
-      type: 'listener',
-      position: new THREE.Vector3(0, 1.7, 0),
-      rotation: new THREE.Euler(0, 0, 0),
-      scale: new THREE.Vector3(1, 1, 1),
-      metadata: {
-        name: 'Listener Position',
-        height: 1.7,
-        preferred_volume: 75
-      }
-    };
-
-    this.instances.set(defaultSpeaker.id, defaultSpeaker);
-    this.instances.set(defaultListener.id, defaultListener);
-  }
+  constructor(private store: typeof useARStore = useARStore) {}
 
   addInstance(instance: ResourceInstance): void {
-    this.instances.set(instance.id, instance);
-    this.notifyListeners();
+    this.store.getState().addEntity(instance as SceneEntity);
   }
 
   removeInstance(id: string): boolean {
-    const removed = this.instances.delete(id);
-    if (removed) {
-      this.notifyListeners();
-    }
-    return removed;
+    return this.store.getState().removeEntity(id);
   }
 
-  updateInstance(id: string, updates: Partial<ResourceInstance>): boolean {
-    const instance = this.instances.get(id);
-    if (!instance) return false;
-
-    const updatedInstance = { ...instance, ...updates };
-    this.instances.set(id, updatedInstance);
-    this.notifyListeners();
-    return true;
+  updateInstance(id: string, updates: EntityUpdate): boolean {
+    return this.store.getState().updateEntity(id, updates);
   }
 
-  getInstance(id: string): ResourceInstance | undefined {
-    return this.instances.get(id);
+  getInstance(id: string): SceneEntity | undefined {
+    return this.getAllInstances().find(instance => instance.id === id);
   }
 
-  getAllInstances(): ResourceInstance[] {
-    return Array.from(this.instances.values());
+  getAllInstances(): SceneEntity[] {
+    return selectEntities(this.store.getState());
   }
 
-  getInstancesByType(type: ResourceInstance['type']): ResourceInstance[] {
+  getInstancesByType(type: ResourceInstance['type']): SceneEntity[] {
     return this.getAllInstances().filter(instance => instance.type === type);
   }
 
   getSpeakers(): SpeakerResource[] {
-    return this.getInstancesByType('speaker') as SpeakerResource[];
+    return this.store.getState().speakers;
   }
 
   getListeners(): ListenerResource[] {
-    return this.getInstancesByType('listener') as ListenerResource[];
+    return this.store.getState().listeners;
   }
 
   getObstacles(): ObstacleResource[] {
-    return this.getInstancesByType('obstacle') as ObstacleResource[];
+    return this.store.getState().obstacles;
   }
 
   // Calculate distance between two instances
@@ -153,7 +86,15 @@ export class ResourceInstanceManager {
     return instance1.position.distanceTo(instance2.position);
   }
 
-  // Find optimal speaker placement for a listener
+  // Distance, delay and level trim of every speaker as seen from one listener
+  getCalibrationReport(listenerId: string): ChannelCalibration[] | null {
+    const listener = this.getInstance(listenerId);
+    if (!listener || listener.type !== 'listener') return null;
+    
+    return calibrateSpeakers(this.getSpeakers(), listener);
+  }
+
+  // Find optimal speaker placement for a listener: on the speaker's axis, at its optimal distance
   findOptimalSpeakerPlacement(listenerId: string, speakerId: string): THREE.Vector3 | null {
     const listener = this.getInstance(listenerId) as ListenerResource;
     const speaker = this.getInstance(speakerId) as SpeakerResource;
@@ -161,7 +102,15 @@ export class ResourceInstanceManager {
     if (!listener || !speaker) return null;
     
     const optimalDistance = speaker.metadata.optimal_distance || 2.0;
-    const direction = new THREE.Vector3(0, 0, -1); // Default forward direction
+    
+    // Back along the speaker's facing if known, else keep its current bearing from the listener
+    const toSpeaker = speaker.position.clone().sub(listener.position).setY(0);
+    let direction = new THREE.Vector3(0, 0, -1);
+    if (hasCapturedFacing(speaker)) {
+      direction = getFacingDirection(speaker).negate();
+    } else if (toSpeaker.lengthSq() > 0) {
+      direction = toSpeaker.normalize();
+    }
     
     // Calculate optimal position based on listener position and optimal distance
     const optimalPosition = listener.position.clone().add(
@@ -171,49 +120,109 @@ export class ResourceInstanceManager {
     return optimalPosition;
   }
 
-  // Add listener for changes
-  addChangeListener(listener: (instances: ResourceInstance[]) => void): void {
-    this.changeListeners.add(listener);
+  // Add listener for changes; fires when any entity of the active room changes
+  addChangeListener(listener: ChangeListener): void {
+    if (this.changeListeners.has(listener)) return;
+
+    const unsubscribe = this.store.subscribe((state, previous) => {
+      if (
+        state.speakers !== previous.speakers ||
+        state.listeners !== previous.listeners ||
+        state.obstacles !== previous.obstacles
+      ) {
+        listener(selectEntities(state));
+      }
+    });
+    this.changeListeners.set(listener, unsubscribe);
   }
 
-  removeChangeListener(listener: (instances: ResourceInstance[]) => void): void {
+  removeChangeListener(listener: ChangeListener): void {
+    this.changeListeners.get(listener)?.();
     this.changeListeners.delete(listener);
   }
 
-  private notifyListeners(): void {
-    const instances = this.getAllInstances();
-    this.changeListeners.forEach(listener => listener(instances));
-  }
-
   // Export/Import functionality
   exportToJSON(): string {
     const exportData = {
-      instances: Array.from(this.instances.entries()).map(([, instance]) => ({
+      instances: this.getAllInstances().map(instance => ({
         ...instance,
         position: instance.position.toArray(),
         rotation: instance.rotation.toArray(),
-        scale: instance.scale.toArray()
+        scale: instance.scale.toArray(),
+        timestamp: instance.timestamp.toISOString()
       }))
     };
     return JSON.stringify(exportData, null, 2);
   }
 
+  // Active room as the exporters see it
+  private getSnapshot(): SceneSnapshot {
+    const state = this.store.getState();
+    return {
+      roomName: state.rooms.find(room => room.id === state.activeRoomId)?.name ?? 'Room',
+      speakers: state.speakers,
+      listeners: state.listeners,
+      obstacles: state.obstacles,
+      roomDimensions: state.roomDimensions,
+      surroundLayout: state.surroundLayout
+    };
+  }
+
+  exportToCSV(): string {
+    return sceneToCSV(this.getSnapshot());
+  }
+
+  // Replaces the room's entities, like importFromJSON
+  importFromCSV(csv: string): boolean {
+    try {
+      this.store.getState().replaceEntities(sceneFromCSV(csv));
+      return true;
+    } catch (error) {
+      console.error('Failed to import CSV:', error);
+      return false;
+    }
+  }
+
+  // Null until the room has been captured in AR
+  exportToREW(): string | null {
+    return sceneToRew(this.getSnapshot());
+  }
+
+  // Applies room size and moves speakers and listeners matched by name and role, as one undo step; needs a captured room
+  importFromREW(text: string): boolean {
+    const state = this.store.getState();
+    const placement = state.roomDimensions?.placement;
+    if (!placement) return false;
+
+    try {
+      const { dimensions, positions } = rewToScene(text, placement);
+      const { speakers, listeners } = applyRewPositions(positions, state.speakers, state.listeners);
+      state.replaceEntities([...speakers, ...listeners, ...state.obstacles], dimensions);
+      return true;
+    } catch (error) {
+      console.error('Failed to import REW settings:', error);
+      return false;
+    }
+  }
+
+  // Plain text only; there is nothing to import back
+  exportInstallerReport(): string {
+    return sceneToInstallerReport(this.getSnapshot());
+  }
+
   importFromJSON(jsonData: string): boolean {
     try {
       const data = JSON.parse(jsonData);
-      this.instances.clear();
-      
-      data.instances.forEach((instanceData: any) => {
-        const instance: ResourceInstance = {
-          ...instanceData,
-          position: new THREE.Vector3().fromArray(instanceData.position),
-          rotation: new THREE.Euler().fromArray(instanceData.rotation),
-          scale: new THREE.Vector3().fromArray(instanceData.scale)
-        };
-        this.instances.set(instance.id, instance);
-      });
-      
-      this.notifyListeners();
+      const instances: SceneEntity[] = data.instances.map((instanceData: any) => ({
+        ...instanceData,
+        position: new THREE.Vector3().fromArray(instanceData.position),
+        rotation: new THREE.Euler().fromArray(instanceData.rotation),
+        scale: new THREE.Vector3().fromArray(instanceData.scale),
+        timestamp: instanceData.timestamp ? new Date(instanceData.timestamp) : new Date(),
+        metadata: instanceData.metadata ?? { name: '' }
+      }));
+
+      this.store.getState().replaceEntities(instances);
       return true;
     } catch (error) {
       console.error('Failed to import resource instances:', error);
@@ -222,7 +231,7 @@ export class ResourceInstanceManager {
   }
 }
 
-// Create a singleton instance
+// Shared instance bound to the app store
 export const resourceInstanceManager = new ResourceInstanceManager();
 
 // React hook for using resource instances
@@ -253,9 +262,15 @@ export const useResourceInstances = () => {
     getListeners: resourceInstanceManager.getListeners.bind(resourceInstanceManager),
     getObstacles: resourceInstanceManager.getObstacles.bind(resourceInstanceManager),
     calculateDistance: resourceInstanceManager.calculateDistance.bind(resourceInstanceManager),
+    getCalibrationReport: resourceInstanceManager.getCalibrationReport.bind(resourceInstanceManager),
     findOptimalSpeakerPlacement: resourceInstanceManager.findOptimalSpeakerPlacement.bind(resourceInstanceManager),
     exportToJSON: resourceInstanceManager.exportToJSON.bind(resourceInstanceManager),
-    importFromJSON: resourceInstanceManager.importFromJSON.bind(resourceInstanceManager)
+    importFromJSON: resourceInstanceManager.importFromJSON.bind(resourceInstanceManager),
+    exportToCSV: resourceInstanceManager.exportToCSV.bind(resourceInstanceManager),
+    importFromCSV: resourceInstanceManager.importFromCSV.bind(resourceInstanceManager),
+    exportToREW: resourceInstanceManager.exportToREW.bind(resourceInstanceManager),
+    importFromREW: resourceInstanceManager.importFromREW.bind(resourceInstanceManager),
+    exportInstallerReport: resourceInstanceManager.exportInstallerReport.bind(resourceInstanceManager)
   };
 };
 
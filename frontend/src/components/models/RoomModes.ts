@@ -0,0 +1,198 @@
+import { Vector3 } from 'three';
+
+// Speed of sound in air at about 20 °C, m/s
+export const SPEED_OF_SOUND = 343;
+
+// Modes above this are dense enough that the room behaves statistically
+export const DEFAULT_MAX_MODE_FREQUENCY = 300;
+
+export interface RoomSize {
+  length: number;
+  width: number;
+  height: number;
+}
+
+export type RoomModeType = 'axial' | 'tangential' | 'oblique';
+
+// Half-wavelength counts along length, width and height
+export type ModeOrder = [number, number, number];
+
+export interface RoomMode {
+  order: ModeOrder;
+  frequency: number; // Hz
+  type: RoomModeType;
+}
+
+const MODE_TYPES: RoomModeType[] = ['axial', 'axial', 'tangential', 'oblique'];
+
+export const formatModeOrder = (order: ModeOrder) => `(${order.join(',')})`;
+
+/**
+ * Rigid-wall rectangular room modes up to `maxFrequency`, lowest first:
+ * f = c/2 · √((nx/L)² + (ny/W)² + (nz/H)²)
+ */
+export const computeRoomModes = (room: RoomSize, maxFrequency = DEFAULT_MAX_MODE_FREQUENCY): RoomMode[] => {
+  const { length, width, height } = room;
+  if (!(length > 0 && width > 0 && height > 0)) return [];
+
+  const maxOrder = (dimension: number) => Math.floor(2 * maxFrequency * dimension / SPEED_OF_SOUND);
+  const modes: RoomMode[] = [];
+
+  for (let nx = 0; nx <= maxOrder(length); nx++) {
+    for (let ny = 0; ny <= maxOrder(width); ny++) {
+      for (let nz = 0; nz <= maxOrder(height); nz++) {
+        if (nx + ny + nz === 0) continue;
+
+        const frequency = SPEED_OF_SOUND / 2 * Math.hypot(nx / length, ny / width, nz / height);
+        if (frequency > maxFrequency) continue;
+
+        const nonZero = [nx, ny, nz].filter(n => n > 0).length;
+        modes.push({ order: [nx, ny, nz], frequency, type: MODE_TYPES[nonZero] });
+      }
+    }
+  }
+
+  return modes.sort((a, b) => a.frequency - b.frequency);
+};
+
+export interface ModeBand {
+  center: number; // nominal 1/3-octave center, Hz
+  low: number;
+  high: number;
+  count: number;
+  coincident: boolean; // two modes within COINCIDENCE_TOLERANCE of each other
+}
+
+// Nominal 1/3-octave centers covering the modal region
+const THIRD_OCTAVE_CENTERS = [20, 25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250];
+
+// Relative spacing under which two modes count as coincident
+const COINCIDENCE_TOLERANCE = 0.01;
+
+/**
+ * Modal density: how many modes fall in each 1/3-octave band
+ */
+export const countModesPerBand = (modes: RoomMode[]): ModeBand[] =>
+  THIRD_OCTAVE_CENTERS.map(center => {
+    const low = center / Math.pow(2, 1 / 6);
+    const high = center * Math.pow(2, 1 / 6);
+    const inBand = modes.filter(mode => mode.frequency >= low && mode.frequency < high);
+    const coincident = inBand.some((mode, index) =>
+      index > 0 && mode.frequency - inBand[index - 1].frequency < mode.frequency * COINCIDENCE_TOLERANCE
+    );
+    return { center, low, high, count: inBand.length, coincident };
+  });
+
+export interface RoomRatioReport {
+  ratios: [number, number, number]; // height : width : length, normalized to the height
+  bonelloPass: boolean;
+  bonelloIssues: string[];
+  inBoltArea: boolean;
+}
+
+/**
+ * Room proportion quality.
+ * Bonello: mode counts per 1/3-octave band never drop as frequency rises, and
+ * bands with fewer than five modes hold no coincident pair.
+ * Bolt area: 1.1·W/H ≤ L/H ≤ 4.5·W/H − 4, with L/H < 3 and W/H < 2.
+ */
+export const assessRoomRatios = (room: RoomSize, modes = computeRoomModes(room)): RoomRatioReport => {
+  // Judge from the band holding the first mode; the empty bands below it say nothing
+  const allBands = countModesPerBand(modes);
+  const bands = allBands.slice(Math.max(0, allBands.findIndex(band => band.count > 0)));
+  const bonelloIssues: string[] = [];
+
+  bands.forEach((band, index) => {
+    const previous = bands[index - 1];
+    if (previous && band.count < previous.count) {
+      bonelloIssues.push(`${band.center} Hz band has fewer modes (${band.count}) than ${previous.center} Hz (${previous.count})`);
+    }
+    if (band.coincident && band.count < 5) {
+      bonelloIssues.push(`Coincident modes in the ${band.center} Hz band`);
+    }
+  });
+
+  // Ratios are taken with the dimensions sorted, so a room entered "sideways" is judged the same
+  const [h, w, l] = [room.height, room.width, room.length].sort((a, b) => a - b);
+  const widthRatio = w / h;
+  const lengthRatio = l / h;
+
+  return {
+    ratios: [1, widthRatio, lengthRatio],
+    bonelloPass: bonelloIssues.length === 0,
+    bonelloIssues,
+    inBoltArea: lengthRatio >= 1.1 * widthRatio && lengthRatio <= 4.5 * widthRatio - 4 && lengthRatio < 3 && widthRatio < 2
+  };
+};
+
+/**
+ * Relative sound pressure of a mode at a point in room coordinates
+ * (meters from the origin corner along length, width and height): -1..1.
+ * 0 is a null; ±1 is a pressure maximum.
+ */
+export const modePressure = (mode: Pick<RoomMode, 'order'>, room: RoomSize, point: Vector3): number => {
+  const [nx, ny, nz] = mode.order;
+  return Math.cos(nx * Math.PI * point.x / room.length)
+    * Math.cos(ny * Math.PI * point.y / room.width)
+    * Math.cos(nz * Math.PI * point.z / room.height);
+};
+
+// Where a room sits in the AR world: the floor corner the length and width are measured from
+export interface RoomPlacement {
+  corner: Vector3;
+  yaw: number; // radians; the length runs along (sin yaw, 0, cos yaw) and the width 90° to its left
+}
+
+export const getRoomAxes = (yaw: number) => ({
+  length: new Vector3(Math.sin(yaw), 0, Math.cos(yaw)),
+  width: new Vector3(Math.cos(yaw), 0, -Math.sin(yaw)),
+  height: new Vector3(0, 1, 0)
+});
+
+/**
+ * World point to room coordinates (x along the length, y along the width, z up)
+ */
+export const worldToRoom = (point: Vector3, placement: RoomPlacement): Vector3 => {
+  const axes = getRoomAxes(placement.yaw);
+  const offset = point.clone().sub(placement.corner);
+  return new Vector3(offset.dot(axes.length), offset.dot(axes.width), offset.dot(axes.height));
+};
+
+export const roomToWorld = (point: Vector3, placement: RoomPlacement): Vector3 => {
+  const axes = getRoomAxes(placement.yaw);
+  return placement.corner.clone()
+    .addScaledVector(axes.length, point.x)
+    .addScaledVector(axes.width, point.y)
+    .addScaledVector(axes.height, point.z);
+};
+
+/**
+ * Room placement and size from three floor taps and one ceiling tap:
+ * a corner, the next corner along the length wall, the corner across the
+ * width and any point on the ceiling. If the width was tapped to the right of the
+ * length direction, the corner moves to the far end so the width stays on the left.
+ */
+export const placementFromCorners = (
+  corner: Vector3,
+  alongLength: Vector3,
+  alongWidth: Vector3,
+  ceiling: Vector3
+): { placement: RoomPlacement; size: RoomSize } | null => {
+  const lengthVector = alongLength.clone().sub(corner).setY(0);
+  const length = lengthVector.length();
+  if (length < 0.1) return null;
+
+  let yaw = Math.atan2(lengthVector.x, lengthVector.z);
+  const widthOffset = alongWidth.clone().sub(corner).setY(0).dot(getRoomAxes(yaw).width);
+  const width = Math.abs(widthOffset);
+  const height = ceiling.y - corner.y;
+  if (width < 0.1 || height < 0.1) return null;
+
+  let origin = corner.clone();
+  if (widthOffset < 0) {
+    origin = corner.clone().addScaledVector(getRoomAxes(yaw).length, length);
+    yaw += Math.PI;
+  }
+
+  return { placement: { corner: origin, yaw }, size: { length, width, height } };
+};
@@ -0,0 +1,123 @@
+import { Euler, Vector3 } from 'three';
+import type { ChannelRole } from './SurroundLayouts';
+
+// Typed entities of the scene model. Held by `useARStore`; `ResourceInstanceManager` is a view over it.
+export type EntityType = 'speaker' | 'listener' | 'obstacle';
+
+export interface ResourceInstance {
+  id: string;
+  type: EntityType;
+  position: Vector3;
+  rotation: Euler;
+  scale: Vector3;
+  timestamp: Date;
+  metadata?: {
+    name?: string;
+    brand?: string;
+    model?: string;
+    frequency_response?: string;
+    power?: number;
+  };
+}
+
+export interface SpeakerResource extends ResourceInstance {
+  type: 'speaker';
+  metadata: {
+    name: string;
+    brand?: string;
+    model?: string;
+    frequency_response?: string;
+    power?: number;
+    directivity_pattern?: 'omnidirectional' | 'cardioid' | 'figure-8' | 'shotgun';
+    optimal_distance?: number; // in meters
+    facing_captured?: boolean; // rotation was set by the user rather than defaulted
+    channel_role?: ChannelRole; // surround channel this speaker plays
+    label?: string; // short user tag shown next to the role, e.g. "Bookshelf"
+  };
+}
+
+export interface ListenerResource extends ResourceInstance {
+  type: 'listener';
+  metadata: {
+    name: string;
+    height?: number; // listening height in meters
+    preferred_volume?: number; // 0-100
+    main_seat?: boolean; // main listening position (MLP) that delays and levels are set for
+  };
+}
+
+export interface ObstacleResource extends ResourceInstance {
+  type: 'obstacle';
+  metadata: {
+    name: string;
+    material?: 'wall' | 'furniture' | 'curtain' | 'other';
+    acoustic_properties?: {
+      absorption_coefficient?: number;
+      reflection_coefficient?: number;
+    };
+  };
+}
+
+export type SceneEntity = SpeakerResource | ListenerResource | ObstacleResource;
+
+// Free measurement endpoint placed on a surface; only ever stored inside measurements
+export interface MeasurePointResource extends Omit<ResourceInstance, 'type'> {
+  type: 'point';
+  metadata: {
+    name: string;
+  };
+}
+
+export type ObstacleMaterial = NonNullable<ObstacleResource['metadata']['material']>;
+
+export const OBSTACLE_MATERIALS: ObstacleMaterial[] = ['wall', 'furniture', 'curtain', 'other'];
+
+let idCounter = 0;
+
+/**
+ * Unique id with a readable prefix. The counter keeps ids apart when several
+ * are made in the same millisecond, e.g. a pair of subwoofers or a seat grid.
+ */
+export const createId = (prefix: string): string => `${prefix}_${Date.now()}_${idCounter++}`;
+
+const baseEntity = (type: EntityType | 'point', position: Vector3) => ({
+  id: createId(type),
+  position: position.clone(),
+  rotation: new Euler(0, 0, 0),
+  scale: new Vector3(1, 1, 1),
+  timestamp: new Date()
+});
+
+export const createSpeaker = (position: Vector3, metadata: SpeakerResource['metadata']): SpeakerResource => ({
+  ...baseEntity('speaker', position),
+  type: 'speaker',
+  metadata: { ...metadata }
+});
+
+export const createListener = (position: Vector3, metadata: ListenerResource['metadata']): ListenerResource => ({
+  ...baseEntity('listener', position),
+  type: 'listener',
+  metadata: { ...metadata }
+});
+
+export const createObstacle = (position: Vector3, metadata: ObstacleResource['metadata']): ObstacleResource => ({
+  ...baseEntity('obstacle', position),
+  type: 'obstacle',
+  metadata: { ...metadata }
+});
+
+export const createMeasurePoint = (position: Vector3, name = 'Point'): MeasurePointResource => ({
+  ...baseEntity('point', position),
+  type: 'point',
+  metadata: { name }
+});
+
+// Deep copy so room duplicates and history snapshots never share mutable three.js objects
+export const cloneSceneEntity = <T extends Omit<ResourceInstance, 'type'>>(entity: T): T => ({
+  ...entity,
+  position: entity.position.clone(),
+  rotation: entity.rotation.clone(),
+  scale: entity.scale.clone(),
+  timestamp: new Date(entity.timestamp),
+  metadata: entity.metadata ? { ...entity.metadata } : entity.metadata
+});
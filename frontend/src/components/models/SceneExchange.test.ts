@@ -0,0 +1,54 @@
+import { Vector3 } from 'three';
+import { describe, expect, test } from 'vitest';
+import type { RoomDimensions } from '../ARStore';
+import { createListener, createSpeaker } from './SceneEntities';
+import { applyRewPositions, rewToScene, sceneToRew } from './SceneExchange';
+import type { SceneSnapshot } from './SceneExchange';
+
+const room: RoomDimensions = { length: 5, width: 4, height: 2.5, placement: { corner: new Vector3(), yaw: 0 } };
+
+const scene = (speakers: SceneSnapshot['speakers']): SceneSnapshot => ({
+  roomName: 'Test room',
+  speakers,
+  listeners: [createListener(new Vector3(2.5, 0, 2), { name: 'Sofa', main_seat: true, height: 1.1 })],
+  obstacles: [],
+  roomDimensions: room,
+  surroundLayout: null
+});
+
+// Move every entry of an exported block by the same offset, as if edited in REW
+const shiftEntries = (text: string, meters: number) =>
+  text.replace(/([\d.]+) m from front wall/g, (_match, front: string) => `${(Number(front) + meters).toFixed(2)} m from front wall`);
+
+describe('REW import', () => {
+  test('moves same-named speakers by their roles', () => {
+    const left = createSpeaker(new Vector3(1, 0, 0.5), { name: 'Bookshelf', channel_role: 'L' });
+    const right = createSpeaker(new Vector3(4, 0, 0.5), { name: 'Bookshelf', channel_role: 'R' });
+    const snapshot = scene([left, right]);
+
+    const { positions } = rewToScene(shiftEntries(sceneToRew(snapshot)!, 0.5), room.placement!);
+    const moved = applyRewPositions(positions, snapshot.speakers, snapshot.listeners);
+
+    expect(moved.speakers[0].position.distanceTo(left.position)).toBeCloseTo(0.5, 2);
+    expect(moved.speakers[1].position.distanceTo(right.position)).toBeCloseTo(0.5, 2);
+    expect(moved.speakers[0].position.distanceTo(moved.speakers[1].position)).toBeCloseTo(3, 2);
+  });
+
+  test('puts listeners back on the floor below their ears', () => {
+    const snapshot = scene([]);
+    const { positions } = rewToScene(sceneToRew(snapshot)!, room.placement!);
+    const [listener] = applyRewPositions(positions, snapshot.speakers, snapshot.listeners).listeners;
+
+    expect(listener.position.distanceTo(snapshot.listeners[0].position)).toBeLessThan(0.01);
+  });
+
+  test('rejects a name and role that fit more than one speaker', () => {
+    const snapshot = scene([
+      createSpeaker(new Vector3(1, 0, 0.5), { name: 'Speaker 1' }),
+      createSpeaker(new Vector3(4, 0, 0.5), { name: 'Speaker 1' })
+    ]);
+    const { positions } = rewToScene(sceneToRew(snapshot)!, room.placement!);
+
+    expect(() => applyRewPositions(positions, snapshot.speakers, snapshot.listeners)).toThrow(/More than one speaker "Speaker 1"/);
+  });
+});
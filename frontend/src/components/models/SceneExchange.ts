@@ -0,0 +1,422 @@
+import { Euler, Vector3 } from 'three';
+import type { RoomDimensions } from '../ARStore';
+import {
+  createListener,
+  createObstacle,
+  createSpeaker,
+  ListenerResource,
+  OBSTACLE_MATERIALS,
+  ObstacleMaterial,
+  ObstacleResource,
+  SceneEntity,
+  SpeakerResource
+} from './SceneEntities';
+import { RoomPlacement, getRoomAxes, roomToWorld, worldToRoom } from './RoomModes';
+import {
+  CHANNEL_ROLES,
+  ChannelRole,
+  DEFAULT_EAR_HEIGHT,
+  SURROUND_LAYOUTS,
+  SurroundLayoutId,
+  analyzeSurroundLayout,
+  formatAzimuth,
+  formatSpeakerTag,
+  getEarPosition,
+  getListeningFrame,
+  measureSpeakerAngles,
+  validateChannelAssignments
+} from './SurroundLayouts';
+import { calibrateSpeakers, formatLevelTrim } from './Calibration';
+import { getMainListener } from './ListeningArea';
+
+const DEG = 180 / Math.PI;
+
+// Everything the exporters read from the active room
+export interface SceneSnapshot {
+  roomName: string;
+  speakers: SpeakerResource[];
+  listeners: ListenerResource[];
+  obstacles: ObstacleResource[];
+  roomDimensions: RoomDimensions | null;
+  surroundLayout: SurroundLayoutId | null;
+}
+
+export const csvField = (value: string) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+/**
+ * Rows of fields; handles quoted fields with commas, quotes and line breaks
+ */
+export const parseCSV = (text: string): string[][] => {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+const CSV_HEADER = [
+  'ID', 'Type', 'Name', 'Role', 'Label', 'X (m)', 'Y (m)', 'Z (m)', 'Yaw (deg)', 'Distance to MLP (m)'
+];
+
+// Speakers carry their channel, listeners "MLP" for the main seat, obstacles their material
+const csvRole = (entity: SceneEntity): string => {
+  switch (entity.type) {
+    case 'speaker': return entity.metadata.channel_role ?? '';
+    case 'listener': return entity.metadata.main_seat ? 'MLP' : '';
+    case 'obstacle': return entity.metadata.material ?? '';
+  }
+};
+
+/**
+ * One row per entity in AR world coordinates (meters, Y up). Only the yaw of
+ * the rotation is kept, which is all a floor plan or CAD drawing needs.
+ */
+export const sceneToCSV = ({ speakers, listeners, obstacles }: SceneSnapshot): string => {
+  const main = getMainListener(listeners);
+  const ear = main ? getEarPosition(main) : null;
+
+  const rows = [...speakers, ...listeners, ...obstacles].map(entity => [
+    csvField(entity.id),
+    entity.type,
+    csvField(entity.metadata.name),
+    csvRole(entity),
+    entity.type === 'speaker' ? csvField(entity.metadata.label ?? '') : '',
+    entity.position.x.toFixed(3),
+    entity.position.y.toFixed(3),
+    entity.position.z.toFixed(3),
+    (entity.rotation.y * DEG).toFixed(1),
+    ear ? entity.position.distanceTo(ear).toFixed(3) : ''
+  ].join(','));
+  return [CSV_HEADER.join(','), ...rows].join('\n');
+};
+
+/**
+ * Entities from a CSV in the export layout. Columns are found by header name,
+ * so spreadsheet edits that reorder or drop optional columns still import.
+ * Throws on rows that cannot be read.
+ */
+export const sceneFromCSV = (text: string): SceneEntity[] => {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) throw new Error('The file is empty');
+
+  // Header titles may carry a unit: "X (m)"
+  const column = (name: string) =>
+    header.findIndex(title => title.replace(/\(.*\)/, '').trim().toLowerCase() === name.toLowerCase());
+  const columns = {
+    id: column('ID'),
+    type: column('Type'),
+    name: column('Name'),
+    role: column('Role'),
+    label: column('Label'),
+    x: column('X'),
+    y: column('Y'),
+    z: column('Z'),
+    yaw: column('Yaw')
+  };
+  if ([columns.type, columns.x, columns.y, columns.z].includes(-1)) {
+    throw new Error('Missing one of the Type, X, Y or Z columns');
+  }
+
+  const ids = new Set<string>();
+  return rows.map((fields, index) => {
+    const line = index + 2;
+    const read = (at: number) => at >= 0 ? (fields[at] ?? '').trim() : '';
+    const number = (at: number, fallback?: number) => {
+      const value = read(at);
+      if (value === '' && fallback !== undefined) return fallback;
+      const parsed = Number(value);
+      if (value === '' || !Number.isFinite(parsed)) throw new Error(`Row ${line}: "${value}" is not a number`);
+      return parsed;
+    };
+
+    const type = read(columns.type).toLowerCase();
+    const position = new Vector3(number(columns.x), number(columns.y), number(columns.z));
+    const name = read(columns.name) || `${type.charAt(0).toUpperCase()}${type.slice(1)} ${line - 1}`;
+    const role = read(columns.role);
+
+    let entity: SceneEntity;
+    if (type === 'speaker') {
+      const label = read(columns.label);
+      entity = createSpeaker(position, {
+        name,
+        ...(CHANNEL_ROLES.includes(role as ChannelRole) && { channel_role: role as ChannelRole }),
+        ...(label && { label })
+      });
+    } else if (type === 'listener') {
+      entity = createListener(position, { name, ...(role.toUpperCase() === 'MLP' && { main_seat: true }) });
+    } else if (type === 'obstacle') {
+      const material = OBSTACLE_MATERIALS.includes(role as ObstacleMaterial) ? role as ObstacleMaterial : 'other';
+      entity = createObstacle(position, { name, material });
+    } else {
+      throw new Error(`Row ${line}: unknown type "${read(columns.type)}"`);
+    }
+
+    // Keep exported ids so the rows can be matched up again, unless one repeats
+    const id = read(columns.id);
+    if (id && !ids.has(id)) entity.id = id;
+    ids.add(entity.id);
+    entity.rotation = new Euler(0, number(columns.yaw, 0) / DEG, 0);
+    return entity;
+  });
+};
+
+/**
+ * REW's room simulation works in the listener's frame: length runs from the
+ * front wall to the back, width from the left wall to the right. This maps
+ * the captured room (x along its length, y along its width) onto that frame.
+ */
+interface RewFrame {
+  frontAxis: 'x' | 'y';
+  frontAtZero: boolean; // the front wall is the one through the captured corner
+  leftAtZero: boolean;
+}
+
+// "Facing" line of the settings block, e.g. "-x": the listener looks toward the corner along the length
+const formatFacing = (frame: RewFrame) => `${frame.frontAtZero ? '-' : '+'}${frame.frontAxis}`;
+
+const parseFacing = (value: string): RewFrame | null => {
+  const match = /^([+-])([xy])$/.exec(value.trim());
+  if (!match) return null;
+  const frontAtZero = match[1] === '-';
+  const frontAxis = match[2] as 'x' | 'y';
+  // Left of the facing direction, with z up: (−fy, fx)
+  return { frontAxis, frontAtZero, leftAtZero: frontAxis === 'x' ? frontAtZero : !frontAtZero };
+};
+
+const rewFrameFor = (forward: Vector3, placement: RoomPlacement): RewFrame => {
+  const axes = getRoomAxes(placement.yaw);
+  const fx = forward.dot(axes.length);
+  const fy = forward.dot(axes.width);
+  return parseFacing(Math.abs(fx) >= Math.abs(fy) ? `${fx < 0 ? '-' : '+'}x` : `${fy < 0 ? '-' : '+'}y`)!;
+};
+
+// Room size as REW lists it: [length, width]
+const rewSize = (room: RoomDimensions, frame: RewFrame): [number, number] =>
+  frame.frontAxis === 'x' ? [room.length, room.width] : [room.width, room.length];
+
+const toRewPosition = (point: Vector3, room: RoomDimensions, frame: RewFrame) => {
+  const p = worldToRoom(point, room.placement!);
+  const along = frame.frontAxis === 'x' ? p.x : p.y;
+  const across = frame.frontAxis === 'x' ? p.y : p.x;
+  const alongSize = frame.frontAxis === 'x' ? room.length : room.width;
+  const acrossSize = frame.frontAxis === 'x' ? room.width : room.length;
+  return {
+    front: frame.frontAtZero ? along : alongSize - along,
+    left: frame.leftAtZero ? across : acrossSize - across,
+    height: p.z
+  };
+};
+
+const fromRewPosition = (front: number, left: number, height: number, room: RoomDimensions, frame: RewFrame) => {
+  const alongSize = frame.frontAxis === 'x' ? room.length : room.width;
+  const acrossSize = frame.frontAxis === 'x' ? room.width : room.length;
+  const along = frame.frontAtZero ? front : alongSize - front;
+  const across = frame.leftAtZero ? left : acrossSize - left;
+  const point = frame.frontAxis === 'x' ? new Vector3(along, across, height) : new Vector3(across, along, height);
+  return roomToWorld(point, room.placement!);
+};
+
+const rewLine = (kind: string, name: string, role: string, position: { front: number; left: number; height: number }) =>
+  `${kind} ${JSON.stringify(name)}${role ? ` [${role}]` : ''}: ` +
+  `${position.front.toFixed(2)} m from front wall, ${position.left.toFixed(2)} m from left wall, ${position.height.toFixed(2)} m high`;
+
+/**
+ * Settings for REW's room simulation: room size, then every speaker and the
+ * main listening position measured from the front and left walls. Needs a
+ * captured room; null otherwise.
+ */
+export const sceneToRew = ({ roomName, speakers, listeners, roomDimensions }: SceneSnapshot): string | null => {
+  const placement = roomDimensions?.placement;
+  const main = getMainListener(listeners);
+  if (!roomDimensions || !placement) return null;
+
+  const forward = main ? getListeningFrame(main, speakers).forward : getRoomAxes(placement.yaw).length.negate();
+  const frame = rewFrameFor(forward, placement);
+  const [length, width] = rewSize(roomDimensions, frame);
+
+  return [
+    `REW room simulation - ${roomName}`,
+    `Facing: ${formatFacing(frame)}`,
+    `Room length: ${length.toFixed(2)} m`,
+    `Room width: ${width.toFixed(2)} m`,
+    `Room height: ${roomDimensions.height.toFixed(2)} m`,
+    ...(main ? [rewLine('Listener', main.metadata.name, 'MLP', toRewPosition(getEarPosition(main), roomDimensions, frame))] : []),
+    ...speakers.map(speaker =>
+      rewLine('Speaker', speaker.metadata.name, speaker.metadata.channel_role ?? '', toRewPosition(speaker.position, roomDimensions, frame))
+    )
+  ].join('\n');
+};
+
+export interface RewImport {
+  dimensions: RoomDimensions;
+  // Listener positions are ear positions
+  positions: { type: 'speaker' | 'listener'; name: string; role: string; position: Vector3 }[];
+}
+
+const REW_ENTRY = /^(Speaker|Listener) ("(?:[^"\\]|\\.)*")(?: \[([^\]]*)\])?: ([\d.]+) m from front wall, ([\d.]+) m from left wall, (-?[\d.]+) m high$/;
+
+/**
+ * Read a settings block written by `sceneToRew`, possibly edited after
+ * simulating in REW, back onto the captured room. Throws when the block is
+ * not readable.
+ */
+export const rewToScene = (text: string, placement: RoomPlacement): RewImport => {
+  const lines = text.split(/\r?\n/).map(line => line.trim());
+  const value = (label: string) => {
+    const line = lines.find(candidate => candidate.startsWith(`${label}:`));
+    if (!line) throw new Error(`Missing "${label}"`);
+    return line.slice(label.length + 1).trim();
+  };
+  const meters = (label: string) => {
+    const parsed = parseFloat(value(label));
+    if (!Number.isFinite(parsed) || parsed <= 0) throw new Error(`"${label}" is not a positive length`);
+    return parsed;
+  };
+
+  const frame = parseFacing(value('Facing'));
+  if (!frame) throw new Error('"Facing" must be one of +x, -x, +y, -y');
+
+  const [length, width, height] = [meters('Room length'), meters('Room width'), meters('Room height')];
+  const dimensions: RoomDimensions = frame.frontAxis === 'x'
+    ? { length, width, height, placement }
+    : { length: width, width: length, height, placement };
+
+  const positions = lines.flatMap(line => {
+    const match = REW_ENTRY.exec(line);
+    if (!match) return [];
+    return [{
+      type: match[1] === 'Speaker' ? 'speaker' : 'listener',
+      name: JSON.parse(match[2]) as string,
+      role: match[3] ?? '',
+      position: fromRewPosition(Number(match[4]), Number(match[5]), Number(match[6]), dimensions, frame)
+    } as RewImport['positions'][number]];
+  });
+
+  return { dimensions, positions };
+};
+
+// Role written after a name in the REW block: the channel for speakers, MLP for the main seat
+const rewRole = (entity: SpeakerResource | ListenerResource, main: ListenerResource | undefined) =>
+  entity.type === 'speaker' ? entity.metadata.channel_role ?? '' : entity === main ? 'MLP' : '';
+
+/**
+ * Speakers and listeners moved to the positions read by `rewToScene`. Each
+ * entry moves the one speaker or listener with its name and role; throws when
+ * more than one fits, rather than moving the wrong one.
+ */
+export const applyRewPositions = (
+  positions: RewImport['positions'],
+  speakers: SpeakerResource[],
+  listeners: ListenerResource[]
+): { speakers: SpeakerResource[]; listeners: ListenerResource[] } => {
+  const main = getMainListener(listeners);
+  const targets = new Map<SceneEntity, Vector3>();
+
+  positions.forEach(entry => {
+    const matches = [...speakers, ...listeners].filter(entity =>
+      entity.type === entry.type && entity.metadata.name === entry.name && rewRole(entity, main) === entry.role
+    );
+    const tag = `${entry.type} "${entry.name}"${entry.role ? ` [${entry.role}]` : ''}`;
+    if (matches.length > 1) throw new Error(`More than one ${tag}; rename them apart before importing`);
+    const [entity] = matches;
+    if (!entity) return;
+    if (targets.has(entity)) throw new Error(`The ${tag} is listed more than once`);
+
+    targets.set(entity, entity.type === 'listener'
+      ? entry.position.clone().sub(new Vector3(0, entity.metadata.height ?? DEFAULT_EAR_HEIGHT, 0))
+      : entry.position.clone()
+    );
+  });
+
+  const moved = <T extends SpeakerResource | ListenerResource>(entity: T): T => {
+    const position = targets.get(entity);
+    return position ? { ...entity, position } : entity;
+  };
+  return { speakers: speakers.map(moved), listeners: listeners.map(moved) };
+};
+
+/**
+ * Plain-text sheet for the installer: room, layout, and for every speaker
+ * where it goes, how it measures from the main seat and what to dial into
+ * the receiver, followed by any open problems
+ */
+export const sceneToInstallerReport = (scene: SceneSnapshot, generated = new Date()): string => {
+  const { roomName, speakers, listeners, roomDimensions, surroundLayout } = scene;
+  const main = getMainListener(listeners);
+  const layout = surroundLayout ? SURROUND_LAYOUTS[surroundLayout] : null;
+  const placement = roomDimensions?.placement;
+
+  const lines = [
+    `Installer report - ${roomName}`,
+    `Generated ${generated.toLocaleString()}`,
+    '',
+    `Layout: ${layout ? `${layout.name} (${layout.reference})` : 'Stereo / no layout'}`,
+    `Room: ${roomDimensions
+      ? `${roomDimensions.length.toFixed(2)} x ${roomDimensions.width.toFixed(2)} x ${roomDimensions.height.toFixed(2)} m (L x W x H)`
+      : 'size not entered'}`,
+    `Main listening position: ${main
+      ? `${main.metadata.name}, ear height ${(main.metadata.height ?? DEFAULT_EAR_HEIGHT).toFixed(2)} m`
+      : 'none placed'}`,
+    `Seats: ${listeners.length}`,
+    ''
+  ];
+
+  lines.push('Speakers');
+  if (speakers.length === 0) lines.push('  none placed');
+  const frame = main ? getListeningFrame(main, speakers) : null;
+  const calibration = main ? calibrateSpeakers(speakers, main) : [];
+  const checks = layout && main ? analyzeSurroundLayout(layout.id, speakers, main) : [];
+  speakers.forEach((speaker, index) => {
+    lines.push(`  ${formatSpeakerTag(speaker)}${speaker.metadata.label || speaker.metadata.channel_role ? ` (${speaker.metadata.name})` : ''}`);
+    if (placement && roomDimensions) {
+      const point = worldToRoom(speaker.position, placement);
+      lines.push(`    Position: ${point.x.toFixed(2)} m along the length, ${point.y.toFixed(2)} m along the width, ${point.z.toFixed(2)} m up from the captured corner`);
+    }
+    if (frame) {
+      const angles = measureSpeakerAngles(speaker.position, frame);
+      const check = checks.find(candidate => candidate.speakerId === speaker.id);
+      lines.push(`    From MLP: ${formatAzimuth(angles.azimuth)}, ${angles.elevation.toFixed(0)}° elevation, ${angles.distance.toFixed(2)} m` +
+        (check ? ` - ${check.status === 'pass' ? 'within' : 'outside'} the ${layout!.name} target` : ''));
+      const channel = calibration[index];
+      lines.push(`    Receiver: distance ${channel.distance.toFixed(2)} m, delay ${(channel.delay * 1000).toFixed(2)} ms, level ${formatLevelTrim(channel.levelTrim)}`);
+    }
+  });
+
+  const warnings = validateChannelAssignments(speakers, main ?? null, surroundLayout);
+  lines.push('', 'Open items');
+  if (warnings.length === 0) lines.push('  none');
+  warnings.forEach(warning => lines.push(`  - ${warning.message}`));
+
+  return lines.join('\n');
+};
@@ -0,0 +1,171 @@
+import { Euler, Vector3 } from 'three';
+import type { ObstacleResource, SpeakerResource } from './SceneEntities';
+import { SPEED_OF_SOUND, RoomPlacement, RoomSize, getRoomAxes, roomToWorld } from './RoomModes';
+import { rotationFromFacing } from './SpeakerOrientation';
+
+// Band where boundary notches are most audible and hardest to treat
+export const CRITICAL_BAND = { min: 80, max: 300 };
+
+// Reflection coefficient for a wall with no acoustic properties entered (painted drywall/plaster)
+const DEFAULT_WALL_REFLECTION = 0.9;
+
+// Range searched when suggesting a new wall distance, meters
+const SUGGESTION_RANGE = { min: 0.05, max: 4, step: 0.01 };
+
+// A reflecting surface. A wall obstacle's face points along its local +Z, into the room.
+export interface BoundaryPlane {
+  id: string;
+  name: string;
+  kind: 'wall' | 'floor' | 'ceiling';
+  point: Vector3;
+  normal: Vector3;
+  reflection: number;
+}
+
+export interface BoundaryReflection {
+  wallId: string;
+  wallName: string;
+  wallDistance: number; // meters from the speaker to the wall
+  pathDifference: number; // extra meters the reflection travels to the listener
+  delay: number; // seconds behind the direct sound
+  amplitude: number; // reflected / direct pressure at the listener
+  firstNotch: number; // Hz
+  notchDepth: number; // dB at the notch from this reflection alone
+  inCriticalBand: boolean;
+}
+
+export interface DistanceSuggestion {
+  wallId: string;
+  wallName: string;
+  closer: number | null; // largest distance that puts the first notch above the band
+  farther: number | null; // smallest distance that puts it below the band
+}
+
+export interface SbirReport {
+  speakerId: string;
+  reflections: BoundaryReflection[];
+  suggestions: DistanceSuggestion[];
+}
+
+export const isWall = (obstacle: ObstacleResource) => obstacle.metadata.material === 'wall';
+
+export const getWallPlane = (wall: ObstacleResource): BoundaryPlane => {
+  const { absorption_coefficient: absorption, reflection_coefficient: reflection } = wall.metadata.acoustic_properties ?? {};
+  return {
+    id: wall.id,
+    name: wall.metadata.name,
+    kind: 'wall',
+    point: wall.position.clone(),
+    normal: new Vector3(0, 0, 1).applyEuler(wall.rotation).setY(0).normalize(),
+    reflection: reflection ?? (absorption !== undefined ? Math.sqrt(1 - absorption) : DEFAULT_WALL_REFLECTION)
+  };
+};
+
+// Distance from a point to the plane (unsigned)
+const distanceToPlane = (point: Vector3, plane: BoundaryPlane) =>
+  Math.abs(point.clone().sub(plane.point).dot(plane.normal));
+
+/**
+ * A point mirrored in the plane; for a speaker, its first-order image source
+ */
+export const mirrorInPlane = (point: Vector3, plane: BoundaryPlane) =>
+  point.clone().addScaledVector(plane.normal, -2 * point.clone().sub(plane.point).dot(plane.normal));
+
+const reflectionAt = (source: Vector3, listener: Vector3, wall: BoundaryPlane) => {
+  const direct = source.distanceTo(listener);
+  const reflected = mirrorInPlane(source, wall).distanceTo(listener);
+  const pathDifference = reflected - direct;
+  return {
+    pathDifference,
+    amplitude: direct > 0 ? wall.reflection * direct / reflected : 0,
+    firstNotch: pathDifference > 0 ? SPEED_OF_SOUND / (2 * pathDifference) : Infinity
+  };
+};
+
+const inCriticalBand = (frequency: number) => frequency >= CRITICAL_BAND.min && frequency <= CRITICAL_BAND.max;
+
+/**
+ * Wall distances (moving the speaker straight toward or away from the wall)
+ * that push the first notch above or below the critical band
+ */
+const suggestDistances = (source: Vector3, listener: Vector3, wall: BoundaryPlane): DistanceSuggestion => {
+  const offset = source.clone().sub(wall.point).dot(wall.normal);
+  const side = offset < 0 ? -1 : 1;
+  const foot = source.clone().addScaledVector(wall.normal, -offset);
+
+  let closer: number | null = null;
+  let farther: number | null = null;
+  for (let d = SUGGESTION_RANGE.min; d <= SUGGESTION_RANGE.max; d += SUGGESTION_RANGE.step) {
+    const moved = foot.clone().addScaledVector(wall.normal, side * d);
+    const { firstNotch } = reflectionAt(moved, listener, wall);
+    if (firstNotch > CRITICAL_BAND.max) closer = d;
+    if (firstNotch < CRITICAL_BAND.min && farther === null) farther = d;
+  }
+
+  return { wallId: wall.id, wallName: wall.name, closer, farther };
+};
+
+/**
+ * First-order boundary reflections of one speaker at the listener, one per wall
+ */
+export const analyzeSbir = (speaker: SpeakerResource, listener: Vector3, walls: ObstacleResource[]): SbirReport => {
+  const planes = walls.filter(isWall).map(getWallPlane);
+
+  const reflections = planes.map(wall => {
+    const { pathDifference, amplitude, firstNotch } = reflectionAt(speaker.position, listener, wall);
+    return {
+      wallId: wall.id,
+      wallName: wall.name,
+      wallDistance: distanceToPlane(speaker.position, wall),
+      pathDifference,
+      delay: pathDifference / SPEED_OF_SOUND,
+      amplitude,
+      firstNotch,
+      notchDepth: 20 * Math.log10(Math.max(1 - amplitude, 1e-3)),
+      inCriticalBand: inCriticalBand(firstNotch)
+    };
+  });
+
+  return {
+    speakerId: speaker.id,
+    reflections,
+    suggestions: planes
+      .filter((_wall, index) => reflections[index].inCriticalBand)
+      .map(wall => suggestDistances(speaker.position, listener, wall))
+  };
+};
+
+/**
+ * Level at the listener relative to the direct sound alone, in dB,
+ * with every first-order wall reflection summed in
+ */
+export const predictSbirResponse = (reflections: BoundaryReflection[], frequencies: number[]): number[] =>
+  frequencies.map(frequency => {
+    let real = 1;
+    let imaginary = 0;
+    reflections.forEach(({ amplitude, delay }) => {
+      const phase = -2 * Math.PI * frequency * delay;
+      real += amplitude * Math.cos(phase);
+      imaginary += amplitude * Math.sin(phase);
+    });
+    return 20 * Math.log10(Math.max(Math.hypot(real, imaginary), 1e-3));
+  });
+
+// Log-spaced frequencies for plotting
+export const logFrequencies = (min: number, max: number, count: number): number[] =>
+  Array.from({ length: count }, (_value, index) => min * Math.pow(max / min, index / (count - 1)));
+
+// The four walls of a captured room, at mid-height, each facing into the room
+export const wallsFromRoom = (size: RoomSize, placement: RoomPlacement): { position: Vector3; rotation: Euler }[] => {
+  const axes = getRoomAxes(placement.yaw);
+  const midHeight = size.height / 2;
+  return [
+    { at: new Vector3(size.length / 2, 0, midHeight), normal: axes.width },
+    { at: new Vector3(size.length / 2, size.width, midHeight), normal: axes.width.clone().negate() },
+    { at: new Vector3(0, size.width / 2, midHeight), normal: axes.length },
+    { at: new Vector3(size.length, size.width / 2, midHeight), normal: axes.length.clone().negate() }
+  ].map(({ at, normal }) => ({
+    position: roomToWorld(at, placement),
+    rotation: rotationFromFacing(normal) ?? new Euler(0, 0, 0)
+  }));
+};
@@ -0,0 +1,95 @@
+import { Euler, Quaternion, Vector3 } from 'three';
+import type { SpeakerResource } from './SceneEntities';
+
+// A speaker's baffle faces along its local +Z axis, the same convention as Object3D.lookAt
+const LOCAL_FORWARD = new Vector3(0, 0, 1);
+
+export interface ToeInReport {
+  speakerId: string;
+  toeInAngle: number; // degrees between the on-axis line and the line to the listener (0 = aimed at the listener)
+  side: 'left' | 'right' | 'on-axis'; // which side of the on-axis line the listener is on, seen from the speaker
+  missDistance: number | null; // meters from the listener to the on-axis line; null when the listener is behind the speaker
+  closestPoint: Vector3 | null; // point on the on-axis line nearest the listener
+}
+
+// Project onto the floor plane and normalize; null when there is no horizontal component
+const toFloorDirection = (vector: Vector3): Vector3 | null => {
+  const flat = new Vector3(vector.x, 0, vector.z);
+  return flat.lengthSq() > 1e-8 ? flat.normalize() : null;
+};
+
+export const hasCapturedFacing = (speaker: SpeakerResource): boolean =>
+  speaker.metadata.facing_captured === true;
+
+/**
+ * Floor direction the speaker's baffle points at
+ */
+export const getFacingDirection = (speaker: Pick<SpeakerResource, 'rotation'>): Vector3 =>
+  LOCAL_FORWARD.clone().applyEuler(speaker.rotation).setY(0).normalize();
+
+/**
+ * Yaw-only rotation that points local +Z along the given direction
+ */
+export const rotationFromFacing = (direction: Vector3): Euler | null => {
+  const flat = toFloorDirection(direction);
+  if (!flat) return null;
+  return new Euler(0, Math.atan2(flat.x, flat.z), 0);
+};
+
+/**
+ * Rotation for an object resting on a surface with the given normal.
+ * On floors and tables local +Y follows the normal; on walls the object backs
+ * onto the wall, so local +Z (the baffle) points out along the normal.
+ */
+export const rotationFromSurfaceNormal = (normal: Vector3): Euler => {
+  const up = normal.clone().normalize();
+  if (Math.abs(up.y) >= 0.5) {
+    const quaternion = new Quaternion().setFromUnitVectors(new Vector3(0, 1, 0), up);
+    return new Euler().setFromQuaternion(quaternion);
+  }
+  return rotationFromFacing(up) ?? new Euler(0, 0, 0);
+};
+
+/**
+ * Facing from a tap on the speaker's front: the direction from its center to the tapped point
+ */
+export const facingFromFrontPoint = (speakerPosition: Vector3, frontPoint: Vector3): Vector3 | null =>
+  toFloorDirection(frontPoint.clone().sub(speakerPosition));
+
+/**
+ * Facing from the phone held flat against the baffle, camera pointing away from the speaker.
+ * The camera looks down its local -Z axis.
+ */
+export const facingFromDevice = (cameraQuaternion: Quaternion): Vector3 | null =>
+  toFloorDirection(new Vector3(0, 0, -1).applyQuaternion(cameraQuaternion));
+
+/**
+ * Toe-in of one speaker relative to a listening position, measured on the floor plane
+ */
+export const analyzeToeIn = (speaker: SpeakerResource, listenerPosition: Vector3): ToeInReport | null => {
+  const toListener = new Vector3(
+    listenerPosition.x - speaker.position.x,
+    0,
+    listenerPosition.z - speaker.position.z
+  );
+  const distance = toListener.length();
+  if (distance === 0) return null;
+
+  const facing = getFacingDirection(speaker);
+  const along = toListener.dot(facing);
+  const cross = facing.z * toListener.x - facing.x * toListener.z; // > 0: listener to the speaker's left
+  const toeInAngle = Math.atan2(Math.abs(cross), along) * 180 / Math.PI;
+
+  const inFront = along > 0;
+  const closestPoint = inFront
+    ? new Vector3(speaker.position.x, listenerPosition.y, speaker.position.z).addScaledVector(facing, along)
+    : null;
+
+  return {
+    speakerId: speaker.id,
+    toeInAngle,
+    side: Math.abs(cross) < 1e-6 ? 'on-axis' : cross > 0 ? 'left' : 'right',
+    missDistance: inFront ? Math.abs(cross) : null,
+    closestPoint
+  };
+};
@@ -0,0 +1,139 @@
+import { Vector3 } from 'three';
+import type { ListenerResource } from './SceneEntities';
+import { computeRoomModes, modePressure, RoomMode, RoomPlacement, RoomSize, worldToRoom } from './RoomModes';
+import { logFrequencies } from './SpeakerBoundary';
+import { getEarPosition } from './SurroundLayouts';
+
+// Subwoofer band the ranking looks at
+export const SUB_BAND = { min: 20, max: 120 };
+
+// Modal damping of a typical furnished room
+const MODAL_Q = 8;
+
+// Modes above this barely reach into the sub band
+const MODE_CEILING = 200;
+
+const FREQUENCIES = logFrequencies(SUB_BAND.min, SUB_BAND.max, 48);
+
+// Driver height and wall clearance assumed for the standard candidate positions, meters
+const SUB_DRIVER_HEIGHT = 0.25;
+const WALL_CLEARANCE = 0.3;
+
+export type SubwooferCount = 1 | 2;
+
+export interface SubPlacementScore {
+  candidates: number[]; // indices into the candidate list; two for a dual-sub pair
+  seatDeviation: number; // dB, seat-to-seat spread averaged over the band
+  flatness: number; // dB, spread over frequency of the seat-averaged response
+  score: number; // lower is better
+}
+
+type Complex = [number, number];
+
+/**
+ * Classic candidate spots in room coordinates: the four corners, the four
+ * wall midpoints and the quarter points along each wall.
+ */
+export const standardSubCandidates = (room: RoomSize): Vector3[] => {
+  const x = [WALL_CLEARANCE, room.length / 4, room.length / 2, room.length * 3 / 4, room.length - WALL_CLEARANCE];
+  const y = [WALL_CLEARANCE, room.width / 4, room.width / 2, room.width * 3 / 4, room.width - WALL_CLEARANCE];
+  const points: Vector3[] = [];
+  x.forEach((px, i) => y.forEach((py, j) => {
+    const onWall = i === 0 || i === x.length - 1 || j === 0 || j === y.length - 1;
+    if (onWall) points.push(new Vector3(px, py, SUB_DRIVER_HEIGHT));
+  }));
+  return points;
+};
+
+/**
+ * Modal sum from a point source to a receiver, both in room coordinates:
+ * P(f) = Σ ψn(source)·ψn(receiver) / (fn² − f² − j·f·fn/Q)
+ * The (0,0,0) term gives the pressure-vessel rise below the first mode.
+ */
+const modalTransfer = (source: Vector3, receiver: Vector3, room: RoomSize, modes: RoomMode[], frequency: number): Complex => {
+  let real = -1 / (frequency * frequency);
+  let imaginary = 0;
+  modes.forEach(mode => {
+    const coupling = modePressure(mode, room, source) * modePressure(mode, room, receiver);
+    const a = mode.frequency * mode.frequency - frequency * frequency;
+    const b = frequency * mode.frequency / MODAL_Q;
+    const magnitude = a * a + b * b;
+    real += coupling * a / magnitude;
+    imaginary += coupling * b / magnitude;
+  });
+  return [real, imaginary];
+};
+
+const standardDeviation = (values: number[]) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+};
+
+const toDb = ([real, imaginary]: Complex) => 20 * Math.log10(Math.max(Math.hypot(real, imaginary), 1e-12));
+
+/**
+ * Rank candidate positions (or pairs of them, driven in phase at equal level)
+ * by how evenly they load the seats. With one seat, flatness decides instead.
+ */
+export const rankSubPlacements = (
+  room: RoomSize,
+  candidates: Vector3[],
+  seats: Vector3[],
+  count: SubwooferCount = 1
+): SubPlacementScore[] => {
+  if (candidates.length < count || seats.length === 0) return [];
+
+  const modes = computeRoomModes(room, MODE_CEILING);
+  // transfers[candidate][seat][frequency]
+  const transfers = candidates.map(candidate => seats.map(seat =>
+    FREQUENCIES.map(frequency => modalTransfer(candidate, seat, room, modes, frequency))
+  ));
+
+  const combos: number[][] = count === 1
+    ? candidates.map((_candidate, index) => [index])
+    : candidates.flatMap((_candidate, i) => candidates.slice(i + 1).map((_other, offset) => [i, i + 1 + offset]));
+
+  return combos.map(combo => {
+    // Seat × frequency levels for this combination
+    const levels = seats.map((_seat, seatIndex) => FREQUENCIES.map((_frequency, frequencyIndex) => {
+      const sum: Complex = [0, 0];
+      combo.forEach(candidate => {
+        const [real, imaginary] = transfers[candidate][seatIndex][frequencyIndex];
+        sum[0] += real;
+        sum[1] += imaginary;
+      });
+      return toDb(sum);
+    }));
+
+    const seatDeviation = FREQUENCIES
+      .map((_frequency, frequencyIndex) => standardDeviation(levels.map(seat => seat[frequencyIndex])))
+      .reduce((sum, value) => sum + value, 0) / FREQUENCIES.length;
+    const flatness = standardDeviation(FREQUENCIES.map((_frequency, frequencyIndex) =>
+      levels.reduce((sum, seat) => sum + seat[frequencyIndex], 0) / seats.length
+    ));
+
+    return {
+      candidates: combo,
+      seatDeviation,
+      flatness,
+      score: seats.length > 1 ? seatDeviation : flatness
+    };
+  }).sort((a, b) => a.score - b.score);
+};
+
+/**
+ * Rank world-space candidates for the listeners in a captured room
+ */
+export const rankSceneSubPlacements = (
+  room: RoomSize,
+  placement: RoomPlacement,
+  candidates: Vector3[],
+  listeners: ListenerResource[],
+  count: SubwooferCount
+): SubPlacementScore[] =>
+  rankSubPlacements(
+    room,
+    candidates.map(candidate => worldToRoom(candidate, placement)),
+    listeners.map(listener => worldToRoom(getEarPosition(listener), placement)),
+    count
+  );
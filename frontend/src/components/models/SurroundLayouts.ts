@@ -0,0 +1,337 @@
+import { Vector3 } from 'three';
+import type { ListenerResource, SpeakerResource } from './SceneEntities';
+import { getFacingDirection } from './SpeakerOrientation';
+
+// Channel names follow Dolby's speaker labels: w = wide, rs = rear surround, t?f/t?m/t?r = top front/middle/rear
+export type ChannelRole =
+  'L' | 'C' | 'R' | 'Lw' | 'Rw' | 'Ls' | 'Rs' | 'Lrs' | 'Rrs' | 'LFE' |
+  'Ltf' | 'Rtf' | 'Ltm' | 'Rtm' | 'Ltr' | 'Rtr';
+
+export const CHANNEL_ROLES: ChannelRole[] = [
+  'L', 'C', 'R', 'Lw', 'Rw', 'Ls', 'Rs', 'Lrs', 'Rrs', 'LFE',
+  'Ltf', 'Rtf', 'Ltm', 'Rtm', 'Ltr', 'Rtr'
+];
+
+export const CHANNEL_NAMES: Record<ChannelRole, string> = {
+  L: 'Left',
+  C: 'Center',
+  R: 'Right',
+  Lw: 'Left Wide',
+  Rw: 'Right Wide',
+  Ls: 'Left Surround',
+  Rs: 'Right Surround',
+  Lrs: 'Left Rear Surround',
+  Rrs: 'Right Rear Surround',
+  LFE: 'Subwoofer',
+  Ltf: 'Left Top Front',
+  Rtf: 'Right Top Front',
+  Ltm: 'Left Top Middle',
+  Rtm: 'Right Top Middle',
+  Ltr: 'Left Top Rear',
+  Rtr: 'Right Top Rear'
+};
+
+export type SurroundLayoutId = '5.1' | '7.1' | '7.1.4' | '9.1.6';
+
+// Inclusive range in degrees
+export interface AngleBand {
+  min: number;
+  max: number;
+}
+
+/**
+ * Where one channel should sit, seen from the listener.
+ * Azimuth follows ITU-R BS.2051: 0° straight ahead, positive to the listener's left.
+ * Elevation is measured from ear height. Null bands mean placement is free (the LFE).
+ */
+export interface ChannelTarget {
+  role: ChannelRole;
+  azimuth: AngleBand | null;
+  elevation: AngleBand | null;
+}
+
+export interface SurroundLayout {
+  id: SurroundLayoutId;
+  name: string;
+  reference: string;
+  channels: ChannelTarget[];
+}
+
+const EAR_LEVEL: AngleBand = { min: -10, max: 15 };
+const TOP_FRONT_REAR: AngleBand = { min: 30, max: 55 };
+const TOP_MIDDLE: AngleBand = { min: 65, max: 90 };
+
+// A left channel and its mirrored right partner
+const pair = (left: ChannelRole, right: ChannelRole, azimuth: AngleBand, elevation = EAR_LEVEL): ChannelTarget[] => [
+  { role: left, azimuth, elevation },
+  { role: right, azimuth: { min: -azimuth.max, max: -azimuth.min }, elevation }
+];
+
+const FRONT: ChannelTarget[] = [
+  ...pair('L', 'R', { min: 22, max: 30 }),
+  { role: 'C', azimuth: { min: -5, max: 5 }, elevation: EAR_LEVEL },
+  { role: 'LFE', azimuth: null, elevation: null }
+];
+
+const SEVEN_ONE_SURROUNDS: ChannelTarget[] = [
+  ...pair('Ls', 'Rs', { min: 90, max: 110 }),
+  ...pair('Lrs', 'Rrs', { min: 135, max: 150 })
+];
+
+const TOP_FRONT = pair('Ltf', 'Rtf', { min: 30, max: 55 }, TOP_FRONT_REAR);
+const TOP_REAR = pair('Ltr', 'Rtr', { min: 125, max: 150 }, TOP_FRONT_REAR);
+
+export const SURROUND_LAYOUTS: Record<SurroundLayoutId, SurroundLayout> = {
+  '5.1': {
+    id: '5.1',
+    name: '5.1',
+    reference: 'ITU-R BS.775',
+    channels: [...FRONT, ...pair('Ls', 'Rs', { min: 100, max: 120 })]
+  },
+  '7.1': {
+    id: '7.1',
+    name: '7.1',
+    reference: 'Dolby 7.1 home theater',
+    channels: [...FRONT, ...SEVEN_ONE_SURROUNDS]
+  },
+  '7.1.4': {
+    id: '7.1.4',
+    name: '7.1.4',
+    reference: 'Dolby Atmos home theater',
+    channels: [...FRONT, ...SEVEN_ONE_SURROUNDS, ...TOP_FRONT, ...TOP_REAR]
+  },
+  '9.1.6': {
+    id: '9.1.6',
+    name: '9.1.6',
+    reference: 'Dolby Atmos home theater',
+    channels: [
+      ...FRONT,
+      ...pair('Lw', 'Rw', { min: 50, max: 70 }),
+      ...SEVEN_ONE_SURROUNDS,
+      ...TOP_FRONT,
+      ...pair('Ltm', 'Rtm', { min: 80, max: 100 }, TOP_MIDDLE),
+      ...TOP_REAR
+    ]
+  }
+};
+
+export const SURROUND_LAYOUT_IDS = Object.keys(SURROUND_LAYOUTS) as SurroundLayoutId[];
+
+// Ear height above a listener placed on the floor when no height has been entered
+export const DEFAULT_EAR_HEIGHT = 1.1;
+
+// Ear position and the horizontal direction the listener faces
+export interface ListeningFrame {
+  ear: Vector3;
+  forward: Vector3;
+}
+
+export interface SpeakerAngles {
+  azimuth: number; // degrees, positive to the listener's left
+  elevation: number; // degrees above ear height
+  distance: number; // meters from the ear
+}
+
+export type ChannelStatus = 'pass' | 'fail' | 'missing';
+
+export interface ChannelCheck {
+  target: ChannelTarget;
+  speakerId: string | null;
+  angles: SpeakerAngles | null;
+  azimuthOk: boolean;
+  elevationOk: boolean;
+  status: ChannelStatus;
+}
+
+const UP = new Vector3(0, 1, 0);
+const DEG = 180 / Math.PI;
+
+const inBand = (value: number, band: AngleBand | null) =>
+  band === null || (value >= band.min && value <= band.max);
+
+export const findChannelSpeaker = (speakers: SpeakerResource[], role: ChannelRole): SpeakerResource | undefined =>
+  speakers.find(speaker => speaker.metadata.channel_role === role);
+
+export const getEarPosition = (listener: ListenerResource): Vector3 =>
+  listener.position.clone().add(new Vector3(0, listener.metadata.height ?? DEFAULT_EAR_HEIGHT, 0));
+
+/**
+ * Listener's ear and forward direction. Forward points at the center speaker,
+ * else between L and R, else along the listener's own rotation.
+ */
+export const getListeningFrame = (listener: ListenerResource, speakers: SpeakerResource[]): ListeningFrame => {
+  const ear = getEarPosition(listener);
+
+  const center = findChannelSpeaker(speakers, 'C');
+  const left = findChannelSpeaker(speakers, 'L');
+  const right = findChannelSpeaker(speakers, 'R');
+  const frontTarget = center
+    ? center.position
+    : left && right ? left.position.clone().add(right.position).multiplyScalar(0.5) : null;
+
+  const forward = frontTarget ? frontTarget.clone().sub(ear).setY(0) : new Vector3();
+  return {
+    ear,
+    forward: forward.lengthSq() > 1e-8 ? forward.normalize() : getFacingDirection(listener)
+  };
+};
+
+export const measureSpeakerAngles = (position: Vector3, frame: ListeningFrame): SpeakerAngles => {
+  const offset = position.clone().sub(frame.ear);
+  const left = UP.clone().cross(frame.forward);
+  const horizontal = Math.hypot(offset.x, offset.z);
+  return {
+    azimuth: Math.atan2(offset.dot(left), offset.dot(frame.forward)) * DEG,
+    elevation: Math.atan2(offset.y, horizontal) * DEG,
+    distance: offset.length()
+  };
+};
+
+/**
+ * Unit vector from the ear toward the given azimuth and elevation
+ */
+export const directionFromAngles = (azimuth: number, elevation: number, frame: ListeningFrame): Vector3 => {
+  const left = UP.clone().cross(frame.forward);
+  const az = azimuth / DEG;
+  const el = elevation / DEG;
+  return frame.forward.clone().multiplyScalar(Math.cos(az) * Math.cos(el))
+    .addScaledVector(left, Math.sin(az) * Math.cos(el))
+    .addScaledVector(UP, Math.sin(el));
+};
+
+export const bandCenter = (band: AngleBand) => (band.min + band.max) / 2;
+
+/**
+ * Check every channel of a layout against the speaker assigned to it
+ */
+export const analyzeSurroundLayout = (
+  layoutId: SurroundLayoutId,
+  speakers: SpeakerResource[],
+  listener: ListenerResource
+): ChannelCheck[] => {
+  const frame = getListeningFrame(listener, speakers);
+
+  return SURROUND_LAYOUTS[layoutId].channels.map(target => {
+    const speaker = findChannelSpeaker(speakers, target.role);
+    if (!speaker) {
+      return { target, speakerId: null, angles: null, azimuthOk: false, elevationOk: false, status: 'missing' };
+    }
+
+    const angles = measureSpeakerAngles(speaker.position, frame);
+    const azimuthOk = inBand(angles.azimuth, target.azimuth);
+    const elevationOk = inBand(angles.elevation, target.elevation);
+    return {
+      target,
+      speakerId: speaker.id,
+      angles,
+      azimuthOk,
+      elevationOk,
+      status: azimuthOk && elevationOk ? 'pass' : 'fail'
+    };
+  });
+};
+
+// Which side of the listener a channel belongs on
+export const getChannelSide = (role: ChannelRole): 'left' | 'right' | 'center' =>
+  role === 'C' || role === 'LFE' ? 'center' : role.startsWith('L') ? 'left' : 'right';
+
+const isTopChannel = (role: ChannelRole) => /^[LR]t[fmr]$/.test(role);
+
+/**
+ * Floating tag text: role and label when set, otherwise the speaker's name
+ */
+export const formatSpeakerTag = (speaker: SpeakerResource): string => {
+  const { channel_role: role, label, name } = speaker.metadata;
+  if (role && label) return `${role} · ${label}`;
+  return role ?? label ?? name;
+};
+
+export interface ChannelWarning {
+  speakerIds: string[]; // speakers the warning is about; empty for layout-wide problems
+  message: string;
+}
+
+// Whole degrees, for text written without the user's unit preference (e.g. exports)
+const formatDegrees = (degrees: number) => `${degrees.toFixed(0)}°`;
+
+/**
+ * Sanity checks on the channel assignment: duplicate roles, channels the
+ * layout needs but nobody plays, and speakers on the wrong side or at the
+ * wrong height for their role. Position checks need a listener. Views pass
+ * the app-wide angle formatter for the heights in the messages.
+ */
+export const validateChannelAssignments = (
+  speakers: SpeakerResource[],
+  listener: ListenerResource | null,
+  layoutId: SurroundLayoutId | null,
+  formatAngle = formatDegrees
+): ChannelWarning[] => {
+  const warnings: ChannelWarning[] = [];
+  const layout = layoutId ? SURROUND_LAYOUTS[layoutId] : null;
+  const layoutRoles = layout ? layout.channels.map(channel => channel.role) : null;
+
+  const byRole = new Map<ChannelRole, SpeakerResource[]>();
+  speakers.forEach(speaker => {
+    const role = speaker.metadata.channel_role;
+    if (role) byRole.set(role, [...(byRole.get(role) ?? []), speaker]);
+  });
+
+  byRole.forEach((assigned, role) => {
+    if (assigned.length > 1) {
+      warnings.push({
+        speakerIds: assigned.map(speaker => speaker.id),
+        message: `${role} is assigned to ${assigned.length} speakers (${assigned.map(speaker => speaker.metadata.name).join(', ')})`
+      });
+    }
+    if (layout && layoutRoles && !layoutRoles.includes(role)) {
+      warnings.push({
+        speakerIds: assigned.map(speaker => speaker.id),
+        message: `${role} is not part of a ${layout.name} layout`
+      });
+    }
+  });
+
+  if (layout && layoutRoles) {
+    layoutRoles.filter(role => !byRole.has(role)).forEach(role => {
+      warnings.push({ speakerIds: [], message: `No speaker is assigned to ${role} (${CHANNEL_NAMES[role]}) in ${layout.name}` });
+    });
+    const unassigned = speakers.filter(speaker => !speaker.metadata.channel_role);
+    if (unassigned.length > 0) {
+      warnings.push({
+        speakerIds: unassigned.map(speaker => speaker.id),
+        message: `${unassigned.map(speaker => speaker.metadata.name).join(', ')} ${unassigned.length === 1 ? 'has' : 'have'} no channel`
+      });
+    }
+  }
+
+  if (!listener) return warnings;
+
+  const frame = getListeningFrame(listener, speakers);
+  speakers.forEach(speaker => {
+    const role = speaker.metadata.channel_role;
+    if (!role || role === 'LFE') return;
+
+    // Forward is defined by C (or L/R), so only the side and the height can be wrong here
+    const { azimuth, elevation } = measureSpeakerAngles(speaker.position, frame);
+    const side = getChannelSide(role);
+    const name = speaker.metadata.name;
+
+    if (side === 'left' && azimuth < 0) {
+      warnings.push({ speakerIds: [speaker.id], message: `${name} is ${role} but sits right of the listener` });
+    } else if (side === 'right' && azimuth > 0) {
+      warnings.push({ speakerIds: [speaker.id], message: `${name} is ${role} but sits left of the listener` });
+    }
+
+    if (isTopChannel(role) && elevation < TOP_FRONT_REAR.min / 2) {
+      warnings.push({ speakerIds: [speaker.id], message: `${name} is a height channel (${role}) but is only ${formatAngle(elevation)} above ear level` });
+    } else if (!isTopChannel(role) && elevation > TOP_FRONT_REAR.min) {
+      warnings.push({ speakerIds: [speaker.id], message: `${name} is ${role} but is mounted ${formatAngle(elevation)} above ear level` });
+    }
+  });
+
+  return warnings;
+};
+
+// "30° L" / "110° R" for display; views pass the app-wide angle formatter
+export const formatAzimuth = (azimuth: number, formatAngle = formatDegrees) =>
+  `${formatAngle(Math.abs(azimuth))}${Math.abs(azimuth) < 0.5 ? '' : azimuth > 0 ? ' L' : ' R'}`;
@@ -0,0 +1,6 @@
+/**
+ * Shared utilities for the web app and the React frontend.
+ * Plain ES modules without a build step, so the web app can serve them as they are.
+ */
+
+export * from './units.js';
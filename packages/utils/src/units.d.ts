@@ -0,0 +1,36 @@
+// Types for units.js
+
+export type UnitSystem = 'metric' | 'imperial' | 'feet-inches';
+export type AngleUnit = 'degrees' | 'radians';
+
+export interface UnitPreferences {
+  system: UnitSystem;
+  precision: number;
+  fraction: number;
+  angle: AngleUnit;
+}
+
+export const UNIT_SYSTEMS: UnitSystem[];
+export const ANGLE_UNITS: AngleUnit[];
+export const INCH_FRACTIONS: number[];
+export const UNIT_SYSTEM_LABELS: Record<UnitSystem, string>;
+export const DEFAULT_UNIT_PREFERENCES: Readonly<UnitPreferences>;
+
+export function normalizeUnitPreferences(value: unknown): UnitPreferences;
+export function getUnitPreferences(): UnitPreferences;
+export function setUnitPreferences(changes: Partial<UnitPreferences>): UnitPreferences;
+export function subscribeUnitPreferences(listener: (preferences: UnitPreferences) => void): () => void;
+export function nextUnitSystem(system: UnitSystem): UnitSystem;
+export function toggleUnitSystem(): UnitSystem;
+export function formatLength(meters: number, preferences?: UnitPreferences): string;
+export function formatArea(squareMeters: number, preferences?: UnitPreferences): string;
+export function formatAngle(degrees: number, preferences?: UnitPreferences): string;
+
+export type LengthInputScale = 'small' | 'large';
+
+export function lengthInputSymbol(scale?: LengthInputScale, preferences?: UnitPreferences): string;
+export function toLengthInput(meters: number, scale?: LengthInputScale, preferences?: UnitPreferences): string;
+export function parseLength(text: string, scale?: LengthInputScale, preferences?: UnitPreferences): number;
+export function angleInputSymbol(preferences?: UnitPreferences): string;
+export function toAngleInput(degrees: number, preferences?: UnitPreferences): string;
+export function parseAngle(text: string, preferences?: UnitPreferences): number;
@@ -0,0 +1,280 @@
+/**
+ * Display Units
+ * One unit preference and one set of formatters for every view: the
+ * measurement app, the React dashboard, the camera helper and the AR labels.
+ *
+ * The preference is kept in localStorage so both pages on the origin agree,
+ * and a change made on one page reaches the other through the storage event.
+ *
+ * Systems:
+ * - 'metric': centimeters under a meter, meters above
+ * - 'imperial': decimal inches under a foot, decimal feet above
+ * - 'feet-inches': feet and fractional inches, e.g. 5' 3 1/4"
+ */
+
+const STORAGE_KEY = 'ar-speaker-units';
+
+const METERS_TO_FEET = 3.28084;
+const METERS_TO_INCHES = 39.3701;
+
+export const UNIT_SYSTEMS = ['metric', 'imperial', 'feet-inches'];
+export const ANGLE_UNITS = ['degrees', 'radians'];
+
+// Smallest inch fraction shown in feet-and-inches
+export const INCH_FRACTIONS = [1, 2, 4, 8, 16];
+
+export const UNIT_SYSTEM_LABELS = {
+    metric: 'Metric',
+    imperial: 'Imperial',
+    'feet-inches': 'Feet & inches'
+};
+
+/**
+ * precision is the number of decimals on the larger unit (meters, feet); the
+ * smaller one (centimeters, inches) gets one fewer. Degrees follow the same
+ * rule and radians get precision decimals.
+ */
+export const DEFAULT_UNIT_PREFERENCES = Object.freeze({
+    system: 'metric',
+    precision: 2,
+    fraction: 8,
+    angle: 'degrees'
+});
+
+const listeners = new Set();
+
+/**
+ * Keep known fields with valid values, fall back to the defaults for the rest
+ */
+export function normalizeUnitPreferences(value) {
+    const source = value && typeof value === 'object' ? value : {};
+    const precision = Number(source.precision);
+    return {
+        system: UNIT_SYSTEMS.includes(source.system) ? source.system : DEFAULT_UNIT_PREFERENCES.system,
+        precision: Number.isInteger(precision) && precision >= 0 && precision <= 4 ? precision : DEFAULT_UNIT_PREFERENCES.precision,
+        fraction: INCH_FRACTIONS.includes(Number(source.fraction)) ? Number(source.fraction) : DEFAULT_UNIT_PREFERENCES.fraction,
+        angle: ANGLE_UNITS.includes(source.angle) ? source.angle : DEFAULT_UNIT_PREFERENCES.angle
+    };
+}
+
+function readStoredPreferences() {
+    try {
+        const stored = globalThis.localStorage?.getItem(STORAGE_KEY);
+        return normalizeUnitPreferences(stored ? JSON.parse(stored) : null);
+    } catch (error) {
+        console.error('Failed to read unit preferences:', error);
+        return normalizeUnitPreferences(null);
+    }
+}
+
+let current = readStoredPreferences();
+
+function notify() {
+    listeners.forEach(listener => listener(current));
+}
+
+export function getUnitPreferences() {
+    return current;
+}
+
+/**
+ * Change some of the preferences, store them and tell every subscriber
+ */
+export function setUnitPreferences(changes) {
+    current = normalizeUnitPreferences({ ...current, ...changes });
+    try {
+        globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(current));
+    } catch (error) {
+        console.error('Failed to save unit preferences:', error);
+    }
+    notify();
+    return current;
+}
+
+/**
+ * Call listener with the new preferences whenever they change, on this page or
+ * another one. Returns the unsubscribe function.
+ */
+export function subscribeUnitPreferences(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+        if (event.key !== STORAGE_KEY) return;
+        current = readStoredPreferences();
+        notify();
+    });
+}
+
+export function nextUnitSystem(system) {
+    return UNIT_SYSTEMS[(UNIT_SYSTEMS.indexOf(system) + 1) % UNIT_SYSTEMS.length];
+}
+
+/**
+ * Move on to the next unit system, as the units button does
+ */
+export function toggleUnitSystem() {
+    return setUnitPreferences({ system: nextUnitSystem(current.system) }).system;
+}
+
+const greatestCommonDivisor = (a, b) => (b === 0 ? a : greatestCommonDivisor(b, a % b));
+
+/**
+ * Inches rounded to the nearest 1/fraction, e.g. 3 1/4
+ */
+function formatFractionalInches(inches, fraction) {
+    const steps = Math.round(inches * fraction);
+    const whole = Math.floor(steps / fraction);
+    const remainder = steps - whole * fraction;
+    if (remainder === 0) return `${whole}`;
+
+    const divisor = greatestCommonDivisor(remainder, fraction);
+    const part = `${remainder / divisor}/${fraction / divisor}`;
+    return whole === 0 ? part : `${whole} ${part}`;
+}
+
+function formatFeetAndInches(meters, fraction) {
+    // Round once on the total so 11 15/16" doesn't become 0' 12"
+    const steps = Math.round(meters * METERS_TO_INCHES * fraction);
+    const feet = Math.floor(steps / (12 * fraction));
+    const inches = formatFractionalInches((steps - feet * 12 * fraction) / fraction, fraction);
+    return feet === 0 ? `${inches}"` : `${feet}' ${inches}"`;
+}
+
+/**
+ * Format a length given in meters
+ */
+export function formatLength(meters, preferences = current) {
+    const { system, precision, fraction } = preferences;
+    const sign = meters < 0 ? '-' : '';
+    const size = Math.abs(meters);
+    const smaller = Math.max(precision - 1, 0);
+
+    if (system === 'feet-inches') {
+        return `${sign}${formatFeetAndInches(size, fraction)}`;
+    }
+    // Switch to the larger unit on the rounded value, so 99.96 cm reads 1.00 m
+    if (system === 'imperial') {
+        const inches = (size * METERS_TO_INCHES).toFixed(smaller);
+        if (Number(inches) < 12) return `${sign}${inches} in`;
+        return `${sign}${(size * METERS_TO_FEET).toFixed(precision)} ft`;
+    }
+    const centimeters = (size * 100).toFixed(smaller);
+    if (Number(centimeters) < 100) return `${sign}${centimeters} cm`;
+    return `${sign}${size.toFixed(precision)} m`;
+}
+
+/**
+ * Format an area given in square meters
+ */
+export function formatArea(squareMeters, preferences = current) {
+    if (preferences.system === 'metric') {
+        return `${squareMeters.toFixed(preferences.precision)} m²`;
+    }
+    return `${(squareMeters * METERS_TO_FEET * METERS_TO_FEET).toFixed(Math.max(preferences.precision - 1, 0))} ft²`;
+}
+
+/**
+ * Format an angle given in degrees
+ */
+export function formatAngle(degrees, preferences = current) {
+    if (preferences.angle === 'radians') {
+        return `${(degrees * Math.PI / 180).toFixed(preferences.precision)} rad`;
+    }
+    return `${degrees.toFixed(Math.max(preferences.precision - 1, 0))}°`;
+}
+
+/*
+ * Typed-in values. Length fields are either 'large', for room sizes and
+ * positions (m, ft), or 'small', for phone heights and paper sizes (cm, in).
+ * Feet-and-inches fields show and take both marks, e.g. 5' 3 1/4"; a bare
+ * number in them, 3 1/4 included, counts as feet or inches by the field's scale.
+ */
+
+const INPUT_LENGTH_UNITS = {
+    metric: { small: { symbol: 'cm', meters: 0.01 }, large: { symbol: 'm', meters: 1 } },
+    imperial: { small: { symbol: 'in', meters: 1 / METERS_TO_INCHES }, large: { symbol: 'ft', meters: 1 / METERS_TO_FEET } }
+};
+
+// A whole number and a fraction, or a fraction alone, e.g. 3 1/4
+const MIXED_NUMBER = /^(?:(\d+(?:\.\d+)?)\s+)?(\d+)\/(\d+)$/;
+
+// Feet, then inches with an optional fraction; either part can be left out
+const FEET_AND_INCHES = /^(?:(\d+(?:\.\d+)?)\s*(?:'|′|ft))?\s*(?:(\d+(?:\.\d+)?)?\s*(?:(\d+)\/(\d+))?\s*(?:"|″|in)?)$/;
+
+const inputLengthUnit = (scale, preferences) =>
+    INPUT_LENGTH_UNITS[preferences.system === 'metric' ? 'metric' : 'imperial'][scale];
+
+/**
+ * Unit to label a length field with
+ */
+export function lengthInputSymbol(scale = 'large', preferences = current) {
+    return preferences.system === 'feet-inches' ? 'ft & in' : inputLengthUnit(scale, preferences).symbol;
+}
+
+/**
+ * A length in meters as the text of a length field
+ */
+export function toLengthInput(meters, scale = 'large', preferences = current) {
+    if (preferences.system === 'feet-inches') {
+        return `${meters < 0 ? '-' : ''}${formatFeetAndInches(Math.abs(meters), preferences.fraction)}`;
+    }
+    const decimals = scale === 'large' ? preferences.precision : Math.max(preferences.precision - 1, 0);
+    return String(Number((meters / inputLengthUnit(scale, preferences).meters).toFixed(decimals)));
+}
+
+/**
+ * The text of a length field in meters, NaN when it isn't a length
+ */
+export function parseLength(text, scale = 'large', preferences = current) {
+    const trimmed = String(text).trim();
+    const sign = trimmed.startsWith('-') ? -1 : 1;
+    const unsigned = trimmed.replace(/^-\s*/, '');
+    if (unsigned === '') return NaN;
+
+    const unit = inputLengthUnit(scale, preferences);
+    if (Number.isFinite(Number(unsigned))) return sign * Number(unsigned) * unit.meters;
+    const mixed = unsigned.match(MIXED_NUMBER);
+    if (mixed) {
+        const [, whole = '0', numerator, denominator] = mixed;
+        const value = Number(whole) + Number(numerator) / Number(denominator);
+        return Number.isFinite(value) ? sign * value * unit.meters : NaN;
+    }
+    if (preferences.system === 'metric' || !/['"′″]|ft|in/.test(unsigned)) return NaN;
+
+    const match = unsigned.match(FEET_AND_INCHES);
+    if (!match || !/\d/.test(unsigned)) return NaN;
+    const [, feet = '0', inches = '0', numerator, denominator] = match;
+    const fraction = numerator ? Number(numerator) / Number(denominator) : 0;
+    if (!Number.isFinite(fraction)) return NaN;
+    return sign * (Number(feet) / METERS_TO_FEET + (Number(inches) + fraction) / METERS_TO_INCHES);
+}
+
+/**
+ * Unit to label an angle field with
+ */
+export function angleInputSymbol(preferences = current) {
+    return preferences.angle === 'radians' ? 'rad' : '°';
+}
+
+/**
+ * An angle in degrees as the text of an angle field
+ */
+export function toAngleInput(degrees, preferences = current) {
+    if (preferences.angle === 'radians') {
+        return String(Number((degrees * Math.PI / 180).toFixed(preferences.precision + 1)));
+    }
+    return String(Number(degrees.toFixed(Math.max(preferences.precision - 1, 0))));
+}
+
+/**
+ * The text of an angle field in degrees, NaN when it isn't a number
+ */
+export function parseAngle(text, preferences = current) {
+    const trimmed = String(text).trim();
+    const value = Number(trimmed);
+    if (trimmed === '' || !Number.isFinite(value)) return NaN;
+    return preferences.angle === 'radians' ? value * 180 / Math.PI : value;
+}
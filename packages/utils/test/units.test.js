@@ -0,0 +1,169 @@
+/**
+ * Length and angle formatting and parsing for every unit system, with the
+ * preferences passed in so the stored preference plays no part.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_UNIT_PREFERENCES,
+    formatAngle,
+    formatArea,
+    formatLength,
+    lengthInputSymbol,
+    nextUnitSystem,
+    normalizeUnitPreferences,
+    parseAngle,
+    parseLength,
+    toAngleInput,
+    toLengthInput,
+    UNIT_SYSTEMS
+} from '../src/index.js';
+
+const metric = { ...DEFAULT_UNIT_PREFERENCES };
+const imperial = { ...metric, system: 'imperial' };
+const feetInches = { ...metric, system: 'feet-inches' };
+
+const INCH = 0.0254;
+const FOOT = 12 * INCH;
+
+// Close enough for anything shown to the user: a hundredth of a millimeter
+const assertMeters = (actual, expected) =>
+    assert.ok(Math.abs(actual - expected) < 1e-5, `${actual} m is not ${expected} m`);
+
+describe('normalizeUnitPreferences', () => {
+    test('keeps valid fields and defaults the rest', () => {
+        assert.deepEqual(
+            normalizeUnitPreferences({ system: 'imperial', precision: 9, fraction: 3, angle: 'radians', extra: true }),
+            { system: 'imperial', precision: 2, fraction: 8, angle: 'radians' }
+        );
+        assert.deepEqual(normalizeUnitPreferences(null), DEFAULT_UNIT_PREFERENCES);
+    });
+
+    test('cycles through every unit system', () => {
+        assert.deepEqual(UNIT_SYSTEMS.map(nextUnitSystem), ['imperial', 'feet-inches', 'metric']);
+    });
+});
+
+describe('formatLength', () => {
+    test('metric switches to meters on the rounded value', () => {
+        assert.equal(formatLength(0.254, metric), '25.4 cm');
+        assert.equal(formatLength(0.9996, metric), '1.00 m');
+        assert.equal(formatLength(3.2, metric), '3.20 m');
+        assert.equal(formatLength(-0.05, metric), '-5.0 cm');
+    });
+
+    test('imperial switches to feet at a foot', () => {
+        assert.equal(formatLength(0.254, imperial), '10.0 in');
+        assert.equal(formatLength(FOOT, imperial), '1.00 ft');
+        assert.equal(formatLength(3.2, imperial), '10.50 ft');
+    });
+
+    test('feet and inches round to the chosen fraction', () => {
+        assert.equal(formatLength(5 * FOOT + 3.25 * INCH, feetInches), '5\' 3 1/4"');
+        assert.equal(formatLength(0.5 * INCH, feetInches), '1/2"');
+        assert.equal(formatLength(FOOT - INCH / 32, feetInches), '1\' 0"');
+        assert.equal(formatLength(3.3 * INCH, { ...feetInches, fraction: 2 }), '3 1/2"');
+        assert.equal(formatLength(-2 * FOOT, feetInches), '-2\' 0"');
+    });
+});
+
+describe('formatArea and formatAngle', () => {
+    test('areas follow the unit system', () => {
+        assert.equal(formatArea(20, metric), '20.00 m²');
+        assert.equal(formatArea(20, imperial), '215.3 ft²');
+    });
+
+    test('angles follow the angle unit', () => {
+        assert.equal(formatAngle(30, metric), '30.0°');
+        assert.equal(formatAngle(180, { ...metric, angle: 'radians' }), '3.14 rad');
+    });
+});
+
+describe('parseLength', () => {
+    test('reads plain numbers in the field unit', () => {
+        assertMeters(parseLength('130', 'small', metric), 1.3);
+        assertMeters(parseLength('2.5', 'large', metric), 2.5);
+        assertMeters(parseLength('12', 'small', imperial), FOOT);
+        assertMeters(parseLength('-3', 'large', imperial), -3 * FOOT);
+    });
+
+    test('reads feet and inches marks', () => {
+        assertMeters(parseLength('5\' 3 1/4"', 'large', feetInches), 5 * FOOT + 3.25 * INCH);
+        assertMeters(parseLength('5\'3"', 'large', feetInches), 5 * FOOT + 3 * INCH);
+        assertMeters(parseLength('5 ft 3 in', 'large', feetInches), 5 * FOOT + 3 * INCH);
+        assertMeters(parseLength('5\'', 'small', feetInches), 5 * FOOT);
+        assertMeters(parseLength('1/2"', 'large', feetInches), 0.5 * INCH);
+        assertMeters(parseLength('-2\'', 'large', imperial), -2 * FOOT);
+    });
+
+    test('reads bare fractions by the field scale', () => {
+        assertMeters(parseLength('3 1/4', 'small', feetInches), 3.25 * INCH);
+        assertMeters(parseLength('1/4', 'small', feetInches), 0.25 * INCH);
+        assertMeters(parseLength('2 1/2', 'large', feetInches), 2.5 * FOOT);
+        assertMeters(parseLength('5', 'large', feetInches), 5 * FOOT);
+    });
+
+    test('rejects text that is not a length', () => {
+        ['', '  ', 'abc', '\'', '1/0', '3 1/0"', '5 cm', '1.2.3'].forEach(text => {
+            assert.ok(Number.isNaN(parseLength(text, 'small', feetInches)), `"${text}" parsed`);
+        });
+        assert.ok(Number.isNaN(parseLength('5\'', 'large', metric)));
+    });
+});
+
+describe('length fields', () => {
+    const SAMPLES = [0.21, 0.297, 1.3, 3.2, 4.75];
+    const FIELD_UNITS = { metric: { small: 0.01, large: 1 }, imperial: { small: INCH, large: FOOT } };
+
+    // Half a step of the rounding a field shows, in meters
+    const halfStep = ({ system, precision, fraction }, scale) => {
+        if (system === 'feet-inches') return INCH / fraction / 2;
+        const decimals = scale === 'small' ? precision - 1 : precision;
+        return FIELD_UNITS[system][scale] * 0.5 * 10 ** -decimals;
+    };
+
+    UNIT_SYSTEMS.forEach(system => {
+        ['small', 'large'].forEach(scale => {
+            test(`${system} ${scale} fields read back what they show`, () => {
+                const preferences = { ...metric, system, precision: 3 };
+                const tolerance = halfStep(preferences, scale);
+                SAMPLES.forEach(meters => {
+                    const text = toLengthInput(meters, scale, preferences);
+                    const parsed = parseLength(text, scale, preferences);
+                    assert.ok(Math.abs(parsed - meters) <= tolerance + 1e-9, `${meters} m shown as "${text}" read back as ${parsed} m`);
+                });
+            });
+        });
+    });
+
+    test('are labelled with their unit', () => {
+        assert.equal(lengthInputSymbol('small', metric), 'cm');
+        assert.equal(lengthInputSymbol('large', metric), 'm');
+        assert.equal(lengthInputSymbol('small', imperial), 'in');
+        assert.equal(lengthInputSymbol('large', imperial), 'ft');
+        assert.equal(lengthInputSymbol('small', feetInches), 'ft & in');
+    });
+
+    test('show lengths without trailing zeros', () => {
+        assert.equal(toLengthInput(1.3, 'small', metric), '130');
+        assert.equal(toLengthInput(0.297, 'small', metric), '29.7');
+        assert.equal(toLengthInput(1.6, 'large', feetInches), '5\' 3"');
+    });
+});
+
+describe('angle fields', () => {
+    const radians = { ...metric, angle: 'radians' };
+
+    test('read back what they show', () => {
+        [0, 22.5, 30, 110, -45].forEach(degrees => {
+            assert.ok(Math.abs(parseAngle(toAngleInput(degrees, metric), metric) - degrees) <= 0.05);
+            assert.ok(Math.abs(parseAngle(toAngleInput(degrees, radians), radians) - degrees) <= 0.03);
+        });
+    });
+
+    test('reject text that is not a number', () => {
+        assert.ok(Number.isNaN(parseAngle('', metric)));
+        assert.ok(Number.isNaN(parseAngle('north', metric)));
+    });
+});